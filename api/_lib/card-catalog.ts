@@ -0,0 +1,249 @@
+// GENERATED by script/build-serverless-modules.ts from shared/card-catalog.ts - do not edit.
+// Business credit card catalog
+// The cards Credit Commander recommends, with what each issuer actually checks. matchCards rates approval
+// odds from the owner and business profile and records why, so odds, bureaus and expected limits come
+// from this file rather than the AI - the model only writes the card strategy narrative around the picks.
+
+// Bump when entries change so cached roadmaps built from the old catalog are not reused
+export const CARD_CATALOG_VERSION = "2026-10.1";
+
+export type ApprovalOdds = "High" | "Medium" | "Low";
+
+// Issuer velocity limits the application planner enforces (shared/card-sequencing.ts)
+export interface VelocityLimits {
+  // New accounts on the owner's personal report (any issuer) allowed in the last 24 months - Chase 5/24 is 4
+  maxPersonalAccounts24Months?: number;
+  // New cards from this issuer allowed per rolling window, e.g. Amex 2 per 90 days
+  issuerWindows?: Array<{ count: number; days: number }>;
+}
+
+export interface CardCatalogEntry {
+  id: string;
+  issuer: string;
+  product: string;
+  // Typical owner FICO at approval
+  minFico: number;
+  bureausPulled: string[];
+  // Whether the account appears on the owner's personal credit report
+  reportsToPersonal: boolean;
+  // Issuer rules on how often it approves new cards (velocity enforces them, velocityRules describes them)
+  velocityRules: string[];
+  velocity: VelocityLimits;
+  // Hard inquiries in the last 6 months the issuer usually tolerates
+  maxRecentInquiries: number;
+  minHistoryYears: number;
+  minTradeLines: number;
+  // Annual revenue the issuer expects, 0 when it does not underwrite on revenue
+  minRevenue: number;
+  // Typical starting limit range for a mid-600s to low-700s applicant
+  baseLimit: [number, number];
+  summary: string;
+}
+
+export const CARD_CATALOG: CardCatalogEntry[] = [
+  {
+    id: "capital_one_spark_classic", issuer: "Capital One", product: "Capital One Spark Classic", minFico: 580,
+    bureausPulled: ["Experian", "Equifax", "TransUnion"], reportsToPersonal: true,
+    velocityRules: ["Usually one Capital One approval every 6 months"],
+    velocity: { issuerWindows: [{ count: 1, days: 180 }] },
+    maxRecentInquiries: 4, minHistoryYears: 0, minTradeLines: 0, minRevenue: 0, baseLimit: [500, 2000],
+    summary: "Designed for fair credit and reports to the business bureaus.",
+  },
+  {
+    id: "amex_blue_business_cash", issuer: "Amex", product: "American Express Blue Business Cash", minFico: 670,
+    bureausPulled: ["Experian"], reportsToPersonal: false,
+    velocityRules: ["At most one Amex card approval every 5 days and two every 90 days", "Up to 5 Amex credit cards at a time"],
+    velocity: { issuerWindows: [{ count: 1, days: 5 }, { count: 2, days: 90 }] },
+    maxRecentInquiries: 6, minHistoryYears: 1, minTradeLines: 0, minRevenue: 0, baseLimit: [2000, 5000],
+    summary: "No annual fee and a strong first business card for building history.",
+  },
+  {
+    id: "capital_one_spark_cash_select", issuer: "Capital One", product: "Capital One Spark Cash Select", minFico: 680,
+    bureausPulled: ["Experian", "Equifax", "TransUnion"], reportsToPersonal: true,
+    velocityRules: ["Usually one Capital One approval every 6 months"],
+    velocity: { issuerWindows: [{ count: 1, days: 180 }] },
+    maxRecentInquiries: 4, minHistoryYears: 2, minTradeLines: 0, minRevenue: 0, baseLimit: [1000, 5000],
+    summary: "Flat cash back with limits that grow with on-time payments.",
+  },
+  {
+    id: "chase_ink_business_unlimited", issuer: "Chase", product: "Chase Ink Business Unlimited", minFico: 690,
+    bureausPulled: ["Experian"], reportsToPersonal: false,
+    velocityRules: ["5/24 - declines applicants with 5 or more new personal cards in 24 months", "Usually one Chase business card every 90 days"],
+    velocity: { maxPersonalAccounts24Months: 4, issuerWindows: [{ count: 1, days: 90 }] },
+    maxRecentInquiries: 3, minHistoryYears: 2, minTradeLines: 2, minRevenue: 0, baseLimit: [3000, 10000],
+    summary: "Higher starting limits for established owners with clean history.",
+  },
+  {
+    id: "bank_of_america_business_advantage_cash", issuer: "Bank of America", product: "Bank of America Business Advantage Customized Cash", minFico: 690,
+    bureausPulled: ["Experian", "TransUnion"], reportsToPersonal: false,
+    velocityRules: ["2/3/4 - at most 2 new cards in 2 months, 3 in 12 months and 4 in 24 months"],
+    velocity: { issuerWindows: [{ count: 2, days: 60 }, { count: 3, days: 365 }, { count: 4, days: 730 }] },
+    maxRecentInquiries: 3, minHistoryYears: 2, minTradeLines: 2, minRevenue: 50_000, baseLimit: [3000, 10000],
+    summary: "Rewards a business banking relationship with higher limits and bonus categories.",
+  },
+  {
+    id: "us_bank_triple_cash", issuer: "U.S. Bank", product: "U.S. Bank Triple Cash Rewards", minFico: 700,
+    bureausPulled: ["Experian", "TransUnion"], reportsToPersonal: false,
+    velocityRules: ["Very sensitive to recent inquiries and new accounts", "Prefers an existing U.S. Bank relationship"],
+    velocity: { issuerWindows: [{ count: 1, days: 90 }] },
+    maxRecentInquiries: 2, minHistoryYears: 3, minTradeLines: 3, minRevenue: 0, baseLimit: [3000, 10000],
+    summary: "Strong option once the business has a longer track record.",
+  },
+];
+
+export interface CardMatchProfile {
+  ownerFico: number;
+  tradeLines: number;
+  creditHistory: number;
+  latePayments: number;
+  utilization: number;
+  annualRevenue: string | number;
+  // Hard inquiries on the owner's report in the last 6 months (0 when not provided)
+  recentInquiries?: number;
+}
+
+export interface CardMatch {
+  name: string;
+  issuer: string;
+  minFico: number;
+  expectedLimit: string;
+  reason: string;
+  approvalOdds: ApprovalOdds;
+  applyOrder: number;
+  bureausPulled: string[];
+  reportsToPersonal: boolean;
+  velocityRules: string[];
+  oddsReasons: string[];
+  // The oddsReasons that lowered the odds (unmet requirements and soft concerns)
+  oddsConcerns: string[];
+}
+
+const ODDS_RANK: Record<ApprovalOdds, number> = { High: 0, Medium: 1, Low: 2 };
+
+// Parse free-form dollar amounts like "$500,000", "250k" or "1.2M"
+export function parseDollarAmount(value: string | number | undefined): number {
+  if (typeof value === "number") return value;
+  if (!value) return 0;
+
+  const match = String(value).replace(/,/g, "").match(/(\d+(?:\.\d+)?)\s*([kKmM])?/);
+  if (!match) return 0;
+
+  const amount = parseFloat(match[1]);
+  const suffix = match[2]?.toLowerCase();
+  return suffix === "k" ? amount * 1_000 : suffix === "m" ? amount * 1_000_000 : amount;
+}
+
+export function formatDollars(amount: number): string {
+  return `$${Math.round(amount).toLocaleString("en-US")}`;
+}
+
+export function getFicoBand(fico: number): "excellent" | "good" | "fair" | "poor" {
+  if (fico >= 740) return "excellent";
+  if (fico >= 670) return "good";
+  if (fico >= 580) return "fair";
+  return "poor";
+}
+
+function plural(count: number, word: string): string {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+// Approval odds for one card: any unmet requirement makes it Low, otherwise each soft concern costs a step
+function rateCard(entry: CardCatalogEntry, profile: CardMatchProfile, revenue: number): { odds: ApprovalOdds; reasons: string[]; concerns: string[] } {
+  const reasons: string[] = [];
+  const concerns: string[] = [];
+  let unmet = 0;
+  let soft = 0;
+  const concern = (reason: string) => {
+    reasons.push(reason);
+    concerns.push(reason);
+  };
+
+  const ficoMargin = profile.ownerFico - entry.minFico;
+  if (ficoMargin < 0) {
+    unmet++;
+    concern(`Owner FICO ${profile.ownerFico} is below the typical ${entry.minFico} minimum`);
+  } else if (ficoMargin < 30) {
+    soft++;
+    concern(`Owner FICO ${profile.ownerFico} just clears the typical ${entry.minFico} minimum`);
+  } else {
+    reasons.push(`Owner FICO ${profile.ownerFico} is well above the typical ${entry.minFico} minimum`);
+  }
+
+  if (profile.creditHistory < entry.minHistoryYears) {
+    // A strong score can carry a shorter history
+    if (ficoMargin >= 30) soft++;
+    else unmet++;
+    concern(`${plural(profile.creditHistory, "year")} of credit history - ${entry.issuer} usually looks for ${entry.minHistoryYears}+`);
+  } else if (entry.minHistoryYears > 0) {
+    reasons.push(`${plural(profile.creditHistory, "year")} of credit history meets the ${entry.minHistoryYears}-year guideline`);
+  }
+
+  const inquiries = profile.recentInquiries || 0;
+  const inquiryCount = `${inquiries} hard ${inquiries === 1 ? "inquiry" : "inquiries"}`;
+  if (inquiries > entry.maxRecentInquiries) {
+    unmet++;
+    concern(`${inquiryCount} in 6 months - ${entry.issuer} rarely approves above ${entry.maxRecentInquiries}`);
+  } else if (inquiries > 0 && inquiries === entry.maxRecentInquiries) {
+    soft++;
+    concern(`${inquiryCount} in 6 months is at ${entry.issuer}'s usual limit`);
+  }
+
+  if (profile.tradeLines < entry.minTradeLines) {
+    soft++;
+    concern(`Thin business file - ${plural(profile.tradeLines, "tradeline")} reporting, ${entry.minTradeLines}+ preferred`);
+  }
+
+  if (entry.minRevenue > 0) {
+    if (revenue < entry.minRevenue) {
+      unmet++;
+      concern(`Revenue of ${formatDollars(revenue)} is under the ${formatDollars(entry.minRevenue)} ${entry.issuer} usually expects`);
+    } else {
+      reasons.push(`Revenue of ${formatDollars(revenue)} meets the ${formatDollars(entry.minRevenue)} guideline`);
+    }
+  }
+
+  if (profile.latePayments > 0) {
+    soft++;
+    concern(`${plural(profile.latePayments, "recent late payment")} will weigh on the review`);
+  }
+  if (profile.utilization > 30) {
+    soft++;
+    concern(`${profile.utilization}% utilization is above the 30% most underwriters prefer`);
+  }
+
+  const odds: ApprovalOdds = unmet > 0 || soft >= 3 ? "Low" : soft > 0 ? "Medium" : "High";
+  return { odds, reasons, concerns };
+}
+
+// Rate every catalog card for a profile and pick the ones to apply for, in order.
+// Best approval odds first; within the same odds, established profiles lead with the higher-limit
+// cards and thinner profiles with the easier approvals.
+export function matchCards(profile: CardMatchProfile, limit = 3): CardMatch[] {
+  const revenue = parseDollarAmount(profile.annualRevenue);
+
+  // Scale typical limits by score band and revenue
+  const band = getFicoBand(profile.ownerFico);
+  const limitMultiplier = (band === "excellent" ? 2 : band === "good" ? 1.25 : 0.75) * (revenue >= 500_000 ? 1.5 : revenue >= 100_000 ? 1 : 0.75);
+
+  const established = profile.ownerFico >= 700 && profile.creditHistory >= 3;
+  return CARD_CATALOG
+    .map(entry => ({ entry, ...rateCard(entry, profile, revenue) }))
+    .sort((a, b) => ODDS_RANK[a.odds] - ODDS_RANK[b.odds] ||
+      (established ? b.entry.minFico - a.entry.minFico : a.entry.minFico - b.entry.minFico))
+    .slice(0, limit)
+    .map(({ entry, odds, reasons, concerns }, index) => ({
+      name: entry.product,
+      issuer: entry.issuer,
+      minFico: entry.minFico,
+      expectedLimit: `${formatDollars(entry.baseLimit[0] * limitMultiplier)}-${formatDollars(entry.baseLimit[1] * limitMultiplier)}`,
+      reason: entry.summary,
+      approvalOdds: odds,
+      applyOrder: index + 1,
+      bureausPulled: entry.bureausPulled,
+      reportsToPersonal: entry.reportsToPersonal,
+      velocityRules: entry.velocityRules,
+      oddsReasons: reasons,
+      oddsConcerns: concerns,
+    }));
+}
@@ -1,319 +1,295 @@
+// GENERATED by script/build-serverless-modules.ts from shared/filing-profiles.ts - do not edit.
 // CompliPilot Filing Profiles - Shared Knowledge Base
-// Used by both backend (intelligence merge) and frontend (display)
-
-export interface FilingProfile {
-  slug: string;
-  name: string;
-  scope: {
-    filingTypes: string[];
-    states: string[];
-    entityTypes: string[];
-  };
-  checklist: Array<{
-    id: string;
-    label: string;
-    description: string;
-    required: boolean;
-    category: string;
-  }>;
-  timeline: Array<{
-    milestone: string;
-    owner: string;
-    offsetDays: number;
-    notes: string;
-  }>;
-  risks: Array<{
-    risk: string;
-    severity: string;
-    likelihood: string;
-    mitigation: string;
-  }>;
-  links: Array<{
-    label: string;
-    url: string;
-    description: string;
-  }>;
+// Profiles are JSON packs in data/filing-profiles/ (format: data/filing-profiles/README.md).
+// This is the only loader: the server imports it, `npm run build:serverless` copies it to
+// api/_lib/filing-profiles.ts and `npm run build:profiles` bundles it as public/filing-profiles.js.
+
+import { z } from "zod";
+import { findUsState } from "./us-states.js";
+import annualReportGeneric from "../../data/filing-profiles/annual_report_generic.json";
+import annualReportCa from "../../data/filing-profiles/annual_report_ca.json";
+import annualReportDe from "../../data/filing-profiles/annual_report_de.json";
+import stateTaxRegistrationGeneric from "../../data/filing-profiles/state_tax_registration_generic.json";
+import stateTaxRegistrationCa from "../../data/filing-profiles/state_tax_registration_ca.json";
+import boir from "../../data/filing-profiles/boir.json";
+import dbeMbeCertification from "../../data/filing-profiles/dbe_mbe_certification.json";
+import samRegistration from "../../data/filing-profiles/sam_registration.json";
+
+const text = z.string().trim().min(1);
+
+export const filingProfileSchema = z.object({
+  slug: z.string().regex(/^[a-z0-9_]+$/, "slug must be lowercase letters, digits and underscores"),
+  name: text,
+  scope: z.object({
+    filingTypes: z.array(text).min(1),
+    states: z.array(text).min(1), // "*" = any jurisdiction
+    entityTypes: z.array(text).min(1),
+  }),
+  checklist: z.array(z.object({
+    id: z.string().regex(/^[a-z0-9_]+$/, "checklist id must be lowercase letters, digits and underscores"),
+    label: text,
+    description: text,
+    required: z.boolean(),
+    category: text,
+  })).min(1),
+  suggestedItems: z.array(z.string()).optional().default([]),
+  timeline: z.array(z.object({
+    milestone: text,
+    owner: text,
+    offsetDays: z.number().int(), // relative to the filing deadline (negative = before)
+    notes: z.string(),
+  })),
+  // How the filing repeats (used by the compliance calendar); absent = not scheduled
+  recurrence: z.object({
+    level: z.enum(["state", "federal"]), // state filings repeat per state the business operates in
+    optIn: z.boolean().optional().default(false), // only scheduled when the business asks for it (e.g. SAM.gov)
+    rules: z.array(z.object({
+      entityTypes: z.array(text).optional(), // first rule listing the entity type wins; a rule without entityTypes is the default
+      frequency: z.enum(["once", "annual", "biennial"]), // one-time and recurring rules are chosen separately, so a filing can have both
+      name: text.optional(), // calendar title when it differs from the profile name (e.g. an initial filing)
+      due: z.discriminatedUnion("type", [
+        // Same calendar date every cycle (e.g. Delaware: March 1)
+        z.object({ type: z.literal("fixed"), month: z.number().int().min(1).max(12), day: z.number().int().min(1).max(31) }),
+        // Relative to the anchor date - formation date, or e.g. the SAM.gov activation date when provided
+        z.object({ type: z.literal("anchor"), offsetDays: z.number().int().optional().default(0), endOfMonth: z.boolean().optional().default(false) }),
+      ]),
+    })).min(1),
+    notes: z.string().optional().default(""),
+  }).optional(),
+  risks: z.array(z.object({
+    risk: text,
+    severity: text,
+    likelihood: text,
+    mitigation: text,
+  })),
+  links: z.array(z.object({
+    label: text,
+    url: text,
+    description: z.string(),
+  })),
+}).strict();
+
+export type FilingProfile = z.infer<typeof filingProfileSchema>;
+
+export interface FilingProfileMatch {
+  profile: FilingProfile;
+  isGeneric: boolean;
+  matchType: "generic" | "specific";
 }
 
-export const FILING_PROFILES: Record<string, FilingProfile> = {
-  annual_report_ca: {
-    slug: "annual_report_ca",
-    name: "Annual Report (California)",
-    scope: {
-      filingTypes: ["Annual Report"],
-      states: ["California", "CA"],
-      entityTypes: ["LLC", "Corporation", "S-Corporation", "C-Corporation"]
-    },
-    checklist: [
-      {
-        id: "articles",
-        label: "Articles of Incorporation/Organization",
-        description: "Original formation documents filed with California SOS",
-        required: true,
-        category: "Formation Documents"
-      },
-      {
-        id: "ein",
-        label: "EIN (Employer Identification Number)",
-        description: "Federal tax ID from IRS",
-        required: true,
-        category: "Tax Documents"
-      },
-      {
-        id: "soi",
-        label: "Statement of Information (Form SI-550/SI-350)",
-        description: "California-specific information statement",
-        required: true,
-        category: "State Requirements"
-      },
-      {
-        id: "franchise_tax",
-        label: "Franchise Tax Board Account",
-        description: "Active FTB account in good standing",
-        required: true,
-        category: "Tax Compliance"
-      },
-      {
-        id: "registered_agent",
-        label: "California Registered Agent",
-        description: "Agent with physical CA address (not PO Box)",
-        required: true,
-        category: "Contact Information"
-      },
-      {
-        id: "operating_agreement",
-        label: "Operating Agreement / Bylaws",
-        description: "Current governing documents",
-        required: false,
-        category: "Governance"
-      }
-    ],
-    timeline: [
-      {
-        milestone: "Gather CA-Specific Documents",
-        owner: "Business Owner",
-        offsetDays: -30,
-        notes: "Collect Statement of Information, FTB account info, registered agent details"
-      },
-      {
-        milestone: "Verify FTB Account Status",
-        owner: "Business Owner / CPA",
-        offsetDays: -21,
-        notes: "Ensure Franchise Tax Board account is current and in good standing"
-      },
-      {
-        milestone: "Complete Statement of Information",
-        owner: "Business Owner",
-        offsetDays: -14,
-        notes: "Fill out Form SI-550 (LLC) or SI-350 (Corp) with current data"
-      },
-      {
-        milestone: "Review and Validate",
-        owner: "Business Owner / Advisor",
-        offsetDays: -7,
-        notes: "Double-check officer/member names, addresses, and agent information"
-      },
-      {
-        milestone: "File Online via BizFile",
-        owner: "Business Owner",
-        offsetDays: -3,
-        notes: "Submit through California Secretary of State BizFile portal with $20-25 fee"
-      },
-      {
-        milestone: "California Filing Deadline",
-        owner: "CA Secretary of State",
-        offsetDays: 0,
-        notes: "Late penalty: $250 plus potential suspension of entity status"
-      }
-    ],
-    risks: [
-      {
-        risk: "FTB Suspension",
-        severity: "High",
-        likelihood: "Medium",
-        mitigation: "Verify FTB account is current before filing; resolve any outstanding tax issues"
-      },
-      {
-        risk: "Late Filing Penalty ($250)",
-        severity: "High",
-        likelihood: "Medium",
-        mitigation: "File at least 1 week early; set multiple calendar reminders"
-      },
-      {
-        risk: "Entity Suspension by CA SOS",
-        severity: "High",
-        likelihood: "Low",
-        mitigation: "Monitor compliance calendar; consider professional registered agent service"
-      },
-      {
-        risk: "Incorrect Agent Address",
-        severity: "Medium",
-        likelihood: "Low",
-        mitigation: "Confirm agent address is physical CA location, not PO Box"
-      }
-    ],
-    links: [
-      {
-        label: "California BizFile Portal",
-        url: "https://bizfileonline.sos.ca.gov/",
-        description: "Official California Secretary of State filing system"
-      },
-      {
-        label: "Franchise Tax Board",
-        url: "https://www.ftb.ca.gov/",
-        description: "Verify tax account status"
-      },
-      {
-        label: "CA Secretary of State Business Programs",
-        url: "https://www.sos.ca.gov/business-programs/",
-        description: "General business filing information"
-      }
-    ]
-  },
-
-  annual_report_generic: {
-    slug: "annual_report_generic",
-    name: "Annual Report (Generic)",
-    scope: {
-      filingTypes: ["Annual Report"],
-      states: ["*"],
-      entityTypes: ["LLC", "Corporation", "S-Corporation", "C-Corporation", "LLP"]
-    },
-    checklist: [
-      {
-        id: "articles",
-        label: "Articles of Incorporation/Organization",
-        description: "Certified copy of your formation documents",
-        required: true,
-        category: "Formation Documents"
-      },
-      {
-        id: "ein",
-        label: "EIN (Employer Identification Number)",
-        description: "Federal tax identification number from IRS",
-        required: true,
-        category: "Tax Documents"
-      },
-      {
-        id: "financials",
-        label: "Financial Statements",
-        description: "Balance sheet and income statement for reporting period",
-        required: false,
-        category: "Financial Records"
-      },
-      {
-        id: "operating_agreement",
-        label: "Operating Agreement / Bylaws",
-        description: "Current governing documents",
-        required: false,
-        category: "Governance"
-      },
-      {
-        id: "registered_agent",
-        label: "Registered Agent Information",
-        description: "Current agent name and address",
-        required: true,
-        category: "Contact Information"
-      }
-    ],
-    timeline: [
-      {
-        milestone: "Gather Required Documents",
-        owner: "Business Owner",
-        offsetDays: -30,
-        notes: "Collect formation docs, EIN, and financial records"
-      },
-      {
-        milestone: "Review Filing Requirements",
-        owner: "Business Owner / Advisor",
-        offsetDays: -21,
-        notes: "Confirm state-specific requirements and fees"
-      },
-      {
-        milestone: "Prepare Draft Filing",
-        owner: "Business Owner",
-        offsetDays: -14,
-        notes: "Complete annual report form with current information"
-      },
-      {
-        milestone: "Internal Review",
-        owner: "Business Owner / Advisor",
-        offsetDays: -7,
-        notes: "Verify accuracy of all information before submission"
-      },
-      {
-        milestone: "Submit Annual Report",
-        owner: "Business Owner",
-        offsetDays: -3,
-        notes: "File online or mail to state agency with payment"
-      },
-      {
-        milestone: "Filing Deadline",
-        owner: "State Agency",
-        offsetDays: 0,
-        notes: "Late filings may incur penalties or administrative dissolution"
-      }
-    ],
-    risks: [
-      {
-        risk: "Late Filing Penalty",
-        severity: "Medium",
-        likelihood: "Medium",
-        mitigation: "Set calendar reminders 30 days before deadline; consider auto-renewal if available"
-      },
-      {
-        risk: "Administrative Dissolution",
-        severity: "High",
-        likelihood: "Low",
-        mitigation: "File at least 7 days early to account for processing delays"
-      },
-      {
-        risk: "Incorrect Information",
-        severity: "Medium",
-        likelihood: "Low",
-        mitigation: "Cross-reference with formation documents and previous filings"
-      },
-      {
-        risk: "Payment Processing Delays",
-        severity: "Low",
-        likelihood: "Medium",
-        mitigation: "Use electronic payment methods; confirm receipt within 48 hours"
+// Validate a set of packs: schema, unique slugs, and suggestedItems that point at real checklist ids
+export function validateFilingProfiles(packs: unknown[]): { success: boolean; data?: Record<string, FilingProfile>; issues: string[] } {
+  const issues: string[] = [];
+  const profiles: Record<string, FilingProfile> = {};
+
+  packs.forEach((pack, index) => {
+    const result = filingProfileSchema.safeParse(pack);
+    const label = (pack as { slug?: unknown })?.slug || `#${index}`;
+
+    if (!result.success) {
+      for (const issue of result.error.issues) {
+        issues.push(`${label}: ${issue.path.join(".") || "(root)"}: ${issue.message}`);
       }
-    ],
-    links: [
-      {
-        label: "State Business Portal",
-        url: "[Contact your state's Secretary of State office]",
-        description: "Official filing portal for your jurisdiction"
+      return;
+    }
+
+    const profile = result.data;
+    if (profiles[profile.slug]) {
+      issues.push(`${profile.slug}: duplicate slug`);
+      return;
+    }
+
+    const checklistIds = new Set(profile.checklist.map(item => item.id));
+    for (const id of profile.suggestedItems) {
+      if (!checklistIds.has(id)) {
+        issues.push(`${profile.slug}: suggestedItems references unknown checklist id "${id}"`);
       }
-    ]
+    }
+
+    profiles[profile.slug] = profile;
+  });
+
+  return issues.length === 0 ? { success: true, data: profiles, issues } : { success: false, issues };
+}
+
+// Load packs or throw - a broken pack should stop the process at startup, not surface mid-report
+export function loadFilingProfiles(packs: unknown[]): Record<string, FilingProfile> {
+  const result = validateFilingProfiles(packs);
+  if (!result.success || !result.data) {
+    throw new Error(`Invalid filing profiles:\n${result.issues.map(issue => `  - ${issue}`).join("\n")}`);
   }
+  return result.data;
+}
+
+export const FILING_PROFILE_PACKS: unknown[] = [
+  annualReportGeneric,
+  annualReportCa,
+  annualReportDe,
+  stateTaxRegistrationGeneric,
+  stateTaxRegistrationCa,
+  boir,
+  dbeMbeCertification,
+  samRegistration,
+];
+
+export const FILING_PROFILES: Record<string, FilingProfile> = loadFilingProfiles(FILING_PROFILE_PACKS);
+
+// ============================================================================
+// SCORED RESOLUTION
+// Every profile is scored on filing type (required), state and entity type; candidates come back
+// ranked with the reasons behind each score.
+// ============================================================================
+
+const FILING_TYPE_SCORE = { exact: 60, contains: 45, partial: 30 };
+const STATE_SCORE = { specific: 30, any: 10 };
+const ENTITY_SCORE = 15;
+
+// Words shared by many filing types - ignored when looking for a partial match
+const GENERIC_FILING_WORDS = new Set(["report", "registration", "certification", "filing", "form", "the", "of", "and"]);
+
+const ENTITY_ALIASES: Record<string, string> = {
+  "llc": "LLC",
+  "limited liability company": "LLC",
+  "llp": "LLP",
+  "limited liability partnership": "LLP",
+  "corporation": "Corporation",
+  "corp": "Corporation",
+  "inc": "Corporation",
+  "s corporation": "S-Corporation",
+  "s corp": "S-Corporation",
+  "scorp": "S-Corporation",
+  "c corporation": "C-Corporation",
+  "c corp": "C-Corporation",
+  "ccorp": "C-Corporation",
+  "sole proprietorship": "Sole Proprietorship",
+  "sole proprietor": "Sole Proprietorship",
+  "sole prop": "Sole Proprietorship",
+  "partnership": "Partnership",
+  "general partnership": "Partnership",
 };
 
-// Helper: Resolve profile by filing type + jurisdiction
-export function resolveProfile(
-  filingType: string, 
-  jurisdiction: string, 
-  entityType: string
-): FilingProfile | null {
-  const normalized = {
-    filing: (filingType || '').toLowerCase().trim(),
-    jurisdiction: (jurisdiction || '').toLowerCase().trim(),
-    entity: (entityType || '').toLowerCase().trim()
-  };
-
-  // Try jurisdiction-specific match first
-  if (normalized.filing.includes('annual')) {
-    const caKeys = ['california', 'ca'];
-    if (caKeys.some(k => normalized.jurisdiction.includes(k))) {
-      return FILING_PROFILES.annual_report_ca;
+export interface FilingProfileCandidate extends FilingProfileMatch {
+  score: number;
+  reasons: string[];
+}
+
+function tokenize(value: string): string[] {
+  return value.toLowerCase().replace(/[^a-z0-9]+/g, " ").trim().split(" ").filter(Boolean);
+}
+
+function normalizeEntityType(value: string): string | null {
+  const key = tokenize(value).join(" ");
+  return ENTITY_ALIASES[key] || null;
+}
+
+function scoreFilingType(input: string, profile: FilingProfile): { score: number; reason: string } | null {
+  const inputTokens = tokenize(input);
+  if (inputTokens.length === 0) return null;
+
+  const significant = inputTokens.filter(token => !GENERIC_FILING_WORDS.has(token));
+  let best: { score: number; reason: string } | null = null;
+
+  for (const filingType of profile.scope.filingTypes) {
+    const typeTokens = tokenize(filingType);
+    let candidate: { score: number; reason: string } | null = null;
+
+    if (inputTokens.join(" ") === typeTokens.join(" ")) {
+      candidate = { score: FILING_TYPE_SCORE.exact, reason: `filing type matches "${filingType}"` };
+    } else if (inputTokens.every(token => typeTokens.includes(token)) || typeTokens.every(token => inputTokens.includes(token))) {
+      candidate = { score: FILING_TYPE_SCORE.contains, reason: `filing type contains "${filingType}"` };
+    } else if (significant.length > 0) {
+      const shared = significant.filter(token => typeTokens.includes(token));
+      if (shared.length > 0) {
+        candidate = {
+          score: Math.round(FILING_TYPE_SCORE.partial * shared.length / significant.length),
+          reason: `filing type shares "${shared.join(" ")}" with "${filingType}"`,
+        };
+      }
     }
-  }
 
-  // Fallback to generic
-  if (normalized.filing.includes('annual')) {
-    return FILING_PROFILES.annual_report_generic;
+    if (candidate && (!best || candidate.score > best.score)) {
+      best = candidate;
+    }
   }
 
+  return best;
+}
+
+function scoreState(jurisdiction: string, profile: FilingProfile): { score: number; reason: string } | null {
+  const state = findUsState(jurisdiction);
+  const covered = profile.scope.states.some(scopeState => scopeState !== "*" && state && findUsState(scopeState)?.code === state.code);
+
+  if (covered && state) {
+    return { score: STATE_SCORE.specific, reason: `covers ${state.name} (${state.code})` };
+  }
+  if (profile.scope.states.includes("*")) {
+    const label = state ? `${state.name} (${state.code})` : jurisdiction.trim() ? `"${jurisdiction.trim()}"` : "";
+    return { score: STATE_SCORE.any, reason: label ? `applies in any jurisdiction, including ${label}` : "applies in any jurisdiction" };
+  }
   return null;
 }
+
+// Does any of these entity types cover the given one? ("S-Corp" is covered by "Corporation")
+export function entityTypeMatches(entityType: string, entityTypes: string[]): boolean {
+  const entity = normalizeEntityType(entityType);
+  if (!entity) return false;
+
+  const listed = entityTypes.map(listedType => normalizeEntityType(listedType) || listedType);
+  return listed.includes(entity) ||
+    ((entity === "S-Corporation" || entity === "C-Corporation") && listed.includes("Corporation"));
+}
+
+function scoreEntityType(entityType: string, profile: FilingProfile): { score: number; reason: string } {
+  if (!entityType.trim()) {
+    return { score: 0, reason: "no entity type given" };
+  }
+
+  return entityTypeMatches(entityType, profile.scope.entityTypes)
+    ? { score: ENTITY_SCORE, reason: `entity type ${normalizeEntityType(entityType)} is covered` }
+    : { score: 0, reason: `entity type "${entityType.trim()}" is not listed for this profile` };
+}
+
+// Rank every profile that matches the filing type and state; best match first
+export function rankFilingProfiles(filingType: string, jurisdiction: string, entityType: string): FilingProfileCandidate[] {
+  const candidates: FilingProfileCandidate[] = [];
+
+  for (const profile of Object.values(FILING_PROFILES)) {
+    const filing = scoreFilingType(filingType || "", profile);
+    if (!filing) continue;
+
+    const state = scoreState(jurisdiction || "", profile);
+    if (!state) continue;
+
+    const entity = scoreEntityType(entityType || "", profile);
+    const isGeneric = profile.slug.includes("_generic");
+
+    candidates.push({
+      profile,
+      isGeneric,
+      matchType: isGeneric ? "generic" : "specific",
+      score: filing.score + state.score + entity.score,
+      reasons: [filing.reason, state.reason, entity.reason],
+    });
+  }
+
+  // Ties go to non-generic profiles, then slug order (stable across runs)
+  return candidates.sort((a, b) =>
+    b.score - a.score ||
+    Number(a.isGeneric) - Number(b.isGeneric) ||
+    a.profile.slug.localeCompare(b.profile.slug)
+  );
+}
+
+// Resolve the best profile for filing type + jurisdiction + entity type
+export function resolveFilingProfile(
+  filingType: string,
+  jurisdiction: string,
+  entityType: string
+): FilingProfileCandidate | null {
+  return rankFilingProfiles(filingType, jurisdiction, entityType)[0] || null;
+}
+
+// Helper: Resolve just the profile (server routes)
+export function resolveProfile(filingType: string, jurisdiction: string, entityType: string): FilingProfile | null {
+  return resolveFilingProfile(filingType, jurisdiction, entityType)?.profile || null;
+}
@@ -0,0 +1,48 @@
+// GENERATED by script/build-serverless-modules.ts from server/llm-fixtures.ts - do not edit.
+// Canned LLM responses used by the fixture provider (LLM_PROVIDER=fixture)
+// Shapes match what the real prompts ask for, so every route works offline.
+
+export const LLM_FIXTURES: Record<string, unknown> = {
+  roadmap: {
+    profileSummary: "This business has a workable foundation for building business credit. Utilization, trade line depth and the owner's personal score are the three levers that will move lender decisions fastest, and each has a clear next step.\n\nThe main opportunities are lowering revolving balances, adding vendor accounts that report to the business bureaus, and establishing consistent banking signals before applying for larger limits.",
+    quickWins: "1. Pay revolving balances down below 30% utilization before the next statement date.\n2. Register for a free D-U-N-S number with Dun & Bradstreet.\n3. Open two starter net-30 accounts (Uline and Quill) and place small orders.\n4. Confirm the business name, address and phone match across all bureau listings.",
+    tradeLinesPlan: "Tier 1 - Starter vendors: Uline, Quill and Grainger approve most businesses with an EIN and D-U-N-S number and report to Dun & Bradstreet.\n\nTier 2 - Net-30 accounts: after 60-90 days of on-time payments, add Home Depot Business and Office Depot.\n\nTier 3 - Revolving tradelines: once five or more accounts are reporting, apply for store and fuel cards that report revolving balances.",
+    cardStrategy: "Start with a card that approves on a mid-range personal score and reports to the business bureaus, then space applications 60-90 days apart. Keep reported utilization under 10% on each card and request limit increases after six months of on-time payments.",
+    bankingSignals: "Run all revenue through a dedicated business checking account and keep an average daily balance that supports your target limits. Register with Dun & Bradstreet, Experian Business and Equifax Business so lenders can verify the company.",
+    actionPlan: "30 days: pay down balances, get a D-U-N-S number and open two starter vendor accounts.\n60 days: add two net-30 accounts and confirm the first tradelines are reporting.\n90 days: apply for the first business card and request limit increases on existing accounts.",
+    riskFlags: "Any late payments or collections should be addressed before new applications. Review personal and business reports for errors and dispute inaccurate items under your FCRA rights."
+  },
+
+  explain: {
+    keyTakeaways: "Your business is in a good position to start building credit. Lowering what you owe on your cards and adding a few vendor accounts will make the biggest difference.",
+    priorityActions: "1. Pay your card balances down below 30% of their limits.\n2. Get a free D-U-N-S number.\n3. Open two vendor accounts and pay them on time.",
+    timeline: "First 30 days: clean up balances and open vendor accounts. Next 60 days: let those accounts report. By 90 days: apply for your first business card.",
+    bottomLine: "Yes, your goal is reachable if you follow the plan and keep every payment on time."
+  },
+
+  analyze: {
+    executiveSummary: "This business has a clear market position and a revenue base that can support measured growth. Its biggest constraints are thin cash reserves and a sales process that depends heavily on the owner.\n\nThe strongest near-term opportunities are formalizing recurring revenue, building business credit ahead of expansion, and delegating delivery work so the owner can focus on sales and partnerships.",
+    swot: {
+      strengths: ["Established customer relationships", "Low fixed overhead", "Owner expertise in the core service"],
+      weaknesses: ["Revenue concentrated in a few clients", "Limited business credit history", "Owner-dependent sales process"],
+      opportunities: ["Recurring service packages", "Business credit lines to fund growth", "Strategic referral partnerships"],
+      threats: ["Larger competitors on price", "Cash flow gaps from slow-paying clients", "Rising labor costs"]
+    },
+    riskOpportunityMatrix: [
+      { factor: "Client concentration", type: "Risk", impact: "High", priority: "High", action: "Add three new accounts so no client exceeds 25% of revenue." },
+      { factor: "Recurring revenue packages", type: "Opportunity", impact: "High", priority: "High", action: "Convert top clients to monthly retainers within 90 days." },
+      { factor: "Cash flow timing", type: "Risk", impact: "Medium", priority: "Medium", action: "Move to net-15 terms and require deposits on new projects." },
+      { factor: "Business credit", type: "Opportunity", impact: "Medium", priority: "Medium", action: "Open starter vendor accounts to build a reportable credit file." }
+    ],
+    recommendations: [
+      { title: "Diversify the client base", detail: "Target three new mid-size clients to reduce dependence on the largest accounts.", timeframe: "0-90 days" },
+      { title: "Launch retainer packages", detail: "Package core services into monthly plans to stabilize cash flow.", timeframe: "0-30 days" },
+      { title: "Build business credit", detail: "Open net-30 vendor accounts and a business card to fund growth without personal guarantees.", timeframe: "1-3 months" },
+      { title: "Delegate delivery work", detail: "Hire or contract delivery support so the owner can focus on sales.", timeframe: "3-6 months" }
+    ]
+  },
+
+  chat: "Based on your saved roadmap, the best next step is to bring utilization below 30% and keep your starter vendor accounts paid on time. Those two changes support every later card application in your 30/60/90-day plan.",
+
+  compliance: "This report covers the upcoming filing for your business and what it takes to keep the entity in good standing. Filing on time protects your liability shield and avoids penalties, late fees and possible administrative dissolution.\n\nStart by confirming the information on record is current, gather the documents in the checklist, and work backward from the deadline using the milestones below. Leave at least two weeks of buffer for review and payment so a portal outage or missing signature does not put the filing at risk."
+};
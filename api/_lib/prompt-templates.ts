@@ -0,0 +1,814 @@
+// GENERATED by script/build-serverless-modules.ts from shared/prompt-templates.ts - do not edit.
+// Prompt template registry
+// Every prompt the AI routes send is a named, versioned template with typed variables. Published
+// versions are never edited in place - add a new version and change defaultVersion instead, so saved
+// reports can record exactly which prompt produced them and operators can pin or roll back a version
+// (see server/prompt-registry.ts).
+
+import type { LedgerPromptEntry } from "./tradeline-ledger.js";
+
+export interface CreditRoadmapPromptVars {
+  businessName: string;
+  ein: string;
+  entityType: string;
+  state: string;
+  startDate: string;
+  utilization: number | string;
+  tradeLines: number | string;
+  annualRevenue: string;
+  latePayments: number | string;
+  derogatories?: string;
+  ownerFico: number | string;
+  creditHistory: number | string;
+  recentInquiries?: number | string;
+  fundingGoal: string;
+  targetLimit: string;
+  timeframe: string;
+  // Catalog vendors picked for this profile (v2+); the model writes around them rather than choosing its own
+  vendorPicks?: Array<{
+    name: string;
+    tier: string;
+    reportsBureaus: string[];
+    netTerms?: string;
+    minOrder?: number;
+    pgRequired?: boolean;
+    approvalOdds: string;
+  }>;
+  // Catalog cards picked for this profile, in apply order (v3+)
+  cardPicks?: Array<{
+    name: string;
+    issuer: string;
+    expectedLimit: string;
+    approvalOdds: string;
+    applyOrder: number;
+    bureausPulled?: string[];
+    // Planned application date (YYYY-MM-DD), null when the card is on hold (v4+)
+    applyDate?: string | null;
+  }>;
+  // Account ledger entries (shared/tradeline-ledger.ts) and their average age in years (v5+)
+  ledger?: LedgerPromptEntry[];
+  averageAccountAge?: number;
+  // Fundability index (shared/fundability.ts) so the roadmap quotes the same score as the app and PDF (v6+)
+  fundability?: {
+    score: number;
+    level: string;
+    modelVersion: string;
+    factors: Array<{ factor: string; value: string; points: number; maxPoints: number }>;
+    levers: Array<{ action: string; points: number }>;
+  };
+}
+
+export interface ExplainPromptVars {
+  businessName: string;
+  utilization: number | string;
+  tradeLines: number | string;
+  ownerFico: number | string;
+  fundingGoal: string;
+  targetLimit: string;
+  timeframe: string;
+  roadmap: unknown;
+}
+
+export interface ComplianceSummaryPromptVars {
+  entityName?: string;
+  entityType: string;
+  jurisdiction: string;
+  filingType: string;
+  deadline?: string;
+  profileName: string;
+  requiredItems: string[];
+  risks?: string;
+}
+
+export interface DiagnosticPromptVars {
+  businessName: string;
+  industry: string;
+  revenueRange: string;
+  creditProfile?: string;
+  employees: string;
+  challenges?: string;
+  goals?: string;
+}
+
+// Variables each named prompt takes ({} = static text)
+export interface PromptVariables {
+  "credit-system": {};
+  "credit-roadmap": CreditRoadmapPromptVars;
+  "diagnostic-system": {};
+  "diagnostic-analysis": DiagnosticPromptVars;
+  "explain-system": {};
+  "explain": ExplainPromptVars;
+  "compliance-summary": ComplianceSummaryPromptVars;
+}
+
+export type PromptName = keyof PromptVariables;
+
+export interface PromptTemplate<TVars> {
+  version: string;
+  description: string;
+  render: (vars: TVars) => string;
+}
+
+export interface PromptDefinition<TVars> {
+  defaultVersion: string;
+  versions: Record<string, PromptTemplate<TVars>>;
+}
+
+// Strip quotes and line breaks from free-text values embedded in JSON-shaped prompts
+function sanitize(value: unknown): string {
+  if (typeof value !== "string") return String(value || "");
+  return value.replace(/["\n\r]/g, " ").trim();
+}
+
+export const PROMPT_REGISTRY: { [N in PromptName]: PromptDefinition<PromptVariables[N]> } = {
+  "credit-system": {
+    defaultVersion: "v1",
+    versions: {
+      v1: {
+        version: "v1",
+        description: "Credit Commander advisor persona and formatting rules",
+        render: () => `You are Credit Commander, an expert business credit advisor with AI-powered capabilities.
+
+Your role is to generate personalized, actionable credit-building roadmaps that help businesses establish and improve their business credit profiles.
+
+CRITICAL FORMATTING RULES:
+1. ALWAYS structure your response with these exact 7 sections using markdown headings:
+   # Profile Summary
+   ## Quick Wins (0-30 Days)
+   ## Tiered Trade Lines Plan
+   ## Card Strategy
+   ## Banking & Data Signals
+   ## 30/60/90-Day Action Plan
+   ## Risk Flags & Compliance
+
+2. Format each section as follows:
+   - Profile Summary: Write 2-3 paragraphs (200-250 words) analyzing the business's current credit position, strengths, and improvement opportunities
+   - Quick Wins: Write 1-2 paragraphs listing immediate actions they can take within 30 days to boost credit signals
+   - Tiered Trade Lines Plan: Write 2-3 paragraphs explaining starter, net-30, and revolving tradelines with specific vendor recommendations
+   - Card Strategy: Write 2-3 paragraphs detailing which business cards to target based on their profile, in what order, with utilization tips
+   - Banking & Data Signals: Write 1-2 paragraphs on banking relationships, revenue verification, and D&B/Experian profile optimization
+   - 30/60/90-Day Action Plan: Write a clear timeline with specific milestones for each phase
+   - Risk Flags & Compliance: Write 1-2 paragraphs identifying any red flags (late payments, derogatories, utilization) and compliance issues
+
+3. PLACEHOLDER HANDLING:
+   - If information is missing, insert clean placeholders like [Pending Input] or [AWAITING DATA]
+   - NEVER leave blank sections or break structure
+   - Provide general guidance even with incomplete data
+
+4. WRITING STYLE:
+   - Use clear, direct business language
+   - Be specific and actionable - avoid generic advice
+   - Ground recommendations in the provided credit data
+   - Focus on practical steps the business owner can implement
+   - Maintain professional advisory tone throughout
+   - Include specific dollar amounts, percentages, and timelines
+
+5. CREDIT-SPECIFIC GUIDANCE:
+   - Reference actual FICO scores, utilization percentages, and trade line counts from the input
+   - Suggest specific vendors (Uline, Quill, Grainger, etc.) for trade lines
+   - Recommend specific business cards based on profile (Amex Blue, Chase Ink, etc.)
+   - Provide realistic timeframes based on current credit age and history
+   
+REMEMBER: Your roadmap should be data-driven yet actionable, helping business owners build credit systematically and compliantly.`,
+      },
+    },
+  },
+
+  "credit-roadmap": {
+    defaultVersion: "v6",
+    versions: {
+      v1: {
+        version: "v1",
+        description: "9-section JSON credit roadmap from the full business and owner profile",
+        render: ({
+          businessName, ein, entityType, state, startDate, utilization, tradeLines, annualRevenue,
+          latePayments, derogatories, ownerFico, creditHistory, fundingGoal, targetLimit, timeframe,
+        }) => `You are a business credit expert specializing in actionable credit-building strategies.
+
+Generate a comprehensive credit roadmap for:
+- Business Name: ${businessName}
+- EIN: ${ein}
+- Entity Type: ${entityType}
+- State: ${state}
+- Business Age: Started ${startDate}
+
+CURRENT CREDIT PROFILE:
+- Credit Utilization: ${utilization}%
+- Trade Lines: ${tradeLines}
+- Annual Revenue: ${annualRevenue}
+- Late Payments (90d): ${latePayments}
+- Derogatories/Collections: ${derogatories || 'None reported'}
+
+OWNER PROFILE:
+- Owner FICO Score: ${ownerFico}
+- Credit History: ${creditHistory} years
+
+GOALS:
+- Funding Goal: ${fundingGoal}
+- Target Credit Limit: ${targetLimit}
+- Timeframe: ${timeframe}
+
+Generate a JSON object with these fields:
+{
+  "profileSummary": "Write 2-3 paragraphs (200-250 words) analyzing this business's current credit position. Reference actual numbers (${utilization}% utilization, ${tradeLines} trade lines, FICO ${ownerFico}). Identify key strengths and improvement opportunities.",
+  
+  "quickWins": "Write 1-2 paragraphs listing 3-5 immediate actions they can take within 30 days to boost credit signals. Be specific and actionable (e.g., 'Reduce utilization from ${utilization}% to under 30%', 'Add 2 starter trade lines with Uline and Quill').",
+  
+  "tradeLinesPlan": "Write 2-3 paragraphs explaining a tiered approach: (1) Starter vendors (Uline, Quill, Grainger), (2) Net-30 accounts (Home Depot Business, Office Depot), (3) Revolving tradelines. Provide specific vendor names and qualification requirements based on their ${creditHistory} year history.",
+  
+  "vendorRecommendations": [
+    {
+      "name": "Vendor name (e.g., 'Uline')",
+      "tier": "Starter|Net-30|Revolving",
+      "minFico": minimum FICO score required (number),
+      "reportsBureaus": ["Dun & Bradstreet", "Experian", etc.],
+      "reason": "Why this vendor is recommended for their specific profile (1 sentence)",
+      "approvalOdds": "High|Medium|Low based on their FICO ${ownerFico} and ${tradeLines} tradelines"
+    }
+  ],
+  
+  "cardStrategy": "Write 2-3 paragraphs detailing which business cards to apply for based on FICO ${ownerFico} and ${tradeLines} tradelines. Suggest specific cards (e.g., Amex Blue Business, Chase Ink, Capital One Spark) in order, with timing and utilization strategies to reach ${targetLimit}.",
+  
+  "cardRecommendations": [
+    {
+      "name": "Card name (e.g., 'American Express Blue Business Cash')",
+      "issuer": "Amex|Chase|Capital One|etc.",
+      "minFico": minimum FICO score required (number),
+      "expectedLimit": "Estimated starting limit based on their profile (e.g., '$5,000-$10,000')",
+      "reason": "Why this card is recommended for their specific profile (1 sentence)",
+      "approvalOdds": "High|Medium|Low based on their FICO ${ownerFico}, ${tradeLines} tradelines, and ${creditHistory} year history",
+      "applyOrder": sequence number (1, 2, 3) for when to apply
+    }
+  ],
+  
+  "bankingSignals": "Write 1-2 paragraphs on optimizing banking relationships for credit building. Cover business checking with ${annualRevenue} revenue deposits, D&B registration and DUNS number, Experian profile setup, and revenue verification.",
+  
+  "actionPlan": "Write a clear 30/60/90-day timeline with specific milestones for the ${timeframe} timeframe. Include: 30 days (immediate actions), 60 days (trade line maturation), 90 days (card applications and limit increases). Be concrete with dates and deliverables.",
+  
+  "riskFlags": "Write 1-2 paragraphs identifying red flags from the profile: ${Number(latePayments) > 0 ? latePayments + ' late payments (address immediately)' : 'no late payments (good)'}, ${Number(utilization) > 30 ? utilization + '% utilization (reduce below 30%)' : 'healthy utilization'}, ${derogatories ? 'derogatories present: ' + derogatories + ' (dispute if incorrect)' : 'no derogatories'}. Include compliance guidance on credit reporting and FCRA rights."
+}
+
+IMPORTANT: 
+- Reference actual data points from the profile throughout
+- Provide specific vendor names, card products, and dollar amounts
+- Be direct and actionable - this is a working roadmap
+- Consider the ${timeframe} timeframe in your recommendations
+- Ground all advice in the provided credit metrics
+- Return ONLY valid JSON, no explanations`,
+      },
+      v2: {
+        version: "v2",
+        description: "Credit roadmap narrative around catalog vendor picks (vendor list comes from shared/vendor-catalog.ts)",
+        render: ({
+          businessName, ein, entityType, state, startDate, utilization, tradeLines, annualRevenue,
+          latePayments, derogatories, ownerFico, creditHistory, fundingGoal, targetLimit, timeframe, vendorPicks = [],
+        }) => `You are a business credit expert specializing in actionable credit-building strategies.
+
+Generate a comprehensive credit roadmap for:
+- Business Name: ${businessName}
+- EIN: ${ein}
+- Entity Type: ${entityType}
+- State: ${state}
+- Business Age: Started ${startDate}
+
+CURRENT CREDIT PROFILE:
+- Credit Utilization: ${utilization}%
+- Trade Lines: ${tradeLines}
+- Annual Revenue: ${annualRevenue}
+- Late Payments (90d): ${latePayments}
+- Derogatories/Collections: ${derogatories || 'None reported'}
+
+OWNER PROFILE:
+- Owner FICO Score: ${ownerFico}
+- Credit History: ${creditHistory} years
+
+GOALS:
+- Funding Goal: ${fundingGoal}
+- Target Credit Limit: ${targetLimit}
+- Timeframe: ${timeframe}
+
+VENDOR TRADELINES (already selected from our vendor catalog - do not add, drop or re-rate vendors):
+${vendorPicks.map(v => `- ${sanitize(v.name)} (${sanitize(v.tier)}): ${sanitize(v.netTerms || "Net 30")}, ${v.minOrder ? `$${v.minOrder} minimum order` : "no minimum order"}, ${v.pgRequired ? "personal guarantee required" : "no personal guarantee"}, reports to ${v.reportsBureaus.map(sanitize).join(", ")}; ${sanitize(v.approvalOdds)} approval odds`).join("\n") || "- None selected"}
+
+Generate a JSON object with these fields:
+{
+  "profileSummary": "Write 2-3 paragraphs (200-250 words) analyzing this business's current credit position. Reference actual numbers (${utilization}% utilization, ${tradeLines} trade lines, FICO ${ownerFico}). Identify key strengths and improvement opportunities.",
+  
+  "quickWins": "Write 1-2 paragraphs listing 3-5 immediate actions they can take within 30 days to boost credit signals. Be specific and actionable (e.g., 'Reduce utilization from ${utilization}% to under 30%', 'Add 2 starter trade lines with Uline and Quill').",
+  
+  "tradeLinesPlan": "Write 2-3 paragraphs explaining a tiered approach (starter, net-30, revolving) built around the selected vendors listed above, in that order. Explain when to open each one given their ${creditHistory} year history and ${tradeLines} current tradelines. Do not recommend vendors that are not on the list.",
+  
+  "cardStrategy": "Write 2-3 paragraphs detailing which business cards to apply for based on FICO ${ownerFico} and ${tradeLines} tradelines. Suggest specific cards (e.g., Amex Blue Business, Chase Ink, Capital One Spark) in order, with timing and utilization strategies to reach ${targetLimit}.",
+  
+  "cardRecommendations": [
+    {
+      "name": "Card name (e.g., 'American Express Blue Business Cash')",
+      "issuer": "Amex|Chase|Capital One|etc.",
+      "minFico": minimum FICO score required (number),
+      "expectedLimit": "Estimated starting limit based on their profile (e.g., '$5,000-$10,000')",
+      "reason": "Why this card is recommended for their specific profile (1 sentence)",
+      "approvalOdds": "High|Medium|Low based on their FICO ${ownerFico}, ${tradeLines} tradelines, and ${creditHistory} year history",
+      "applyOrder": sequence number (1, 2, 3) for when to apply
+    }
+  ],
+  
+  "bankingSignals": "Write 1-2 paragraphs on optimizing banking relationships for credit building. Cover business checking with ${annualRevenue} revenue deposits, D&B registration and DUNS number, Experian profile setup, and revenue verification.",
+  
+  "actionPlan": "Write a clear 30/60/90-day timeline with specific milestones for the ${timeframe} timeframe. Include: 30 days (immediate actions), 60 days (trade line maturation), 90 days (card applications and limit increases). Be concrete with dates and deliverables.",
+  
+  "riskFlags": "Write 1-2 paragraphs identifying red flags from the profile: ${Number(latePayments) > 0 ? latePayments + ' late payments (address immediately)' : 'no late payments (good)'}, ${Number(utilization) > 30 ? utilization + '% utilization (reduce below 30%)' : 'healthy utilization'}, ${derogatories ? 'derogatories present: ' + derogatories + ' (dispute if incorrect)' : 'no derogatories'}. Include compliance guidance on credit reporting and FCRA rights."
+}
+
+IMPORTANT: 
+- Reference actual data points from the profile throughout
+- Name only the selected vendors above; provide specific card products and dollar amounts
+- Be direct and actionable - this is a working roadmap
+- Consider the ${timeframe} timeframe in your recommendations
+- Ground all advice in the provided credit metrics
+- Return ONLY valid JSON, no explanations`,
+      },
+      v3: {
+        version: "v3",
+        description: "Credit roadmap narrative around catalog vendor and card picks (shared/vendor-catalog.ts, shared/card-catalog.ts)",
+        render: ({
+          businessName, ein, entityType, state, startDate, utilization, tradeLines, annualRevenue,
+          latePayments, derogatories, ownerFico, creditHistory, fundingGoal, targetLimit, timeframe, vendorPicks = [], cardPicks = [], recentInquiries,
+        }) => `You are a business credit expert specializing in actionable credit-building strategies.
+
+Generate a comprehensive credit roadmap for:
+- Business Name: ${businessName}
+- EIN: ${ein}
+- Entity Type: ${entityType}
+- State: ${state}
+- Business Age: Started ${startDate}
+
+CURRENT CREDIT PROFILE:
+- Credit Utilization: ${utilization}%
+- Trade Lines: ${tradeLines}
+- Annual Revenue: ${annualRevenue}
+- Late Payments (90d): ${latePayments}
+- Derogatories/Collections: ${derogatories || 'None reported'}
+
+OWNER PROFILE:
+- Owner FICO Score: ${ownerFico}
+- Credit History: ${creditHistory} years
+- Hard Inquiries (6 months): ${recentInquiries === undefined || recentInquiries === '' ? 'Not provided' : recentInquiries}
+
+GOALS:
+- Funding Goal: ${fundingGoal}
+- Target Credit Limit: ${targetLimit}
+- Timeframe: ${timeframe}
+
+VENDOR TRADELINES (already selected from our vendor catalog - do not add, drop or re-rate vendors):
+${vendorPicks.map(v => `- ${sanitize(v.name)} (${sanitize(v.tier)}): ${sanitize(v.netTerms || "Net 30")}, ${v.minOrder ? `$${v.minOrder} minimum order` : "no minimum order"}, ${v.pgRequired ? "personal guarantee required" : "no personal guarantee"}, reports to ${v.reportsBureaus.map(sanitize).join(", ")}; ${sanitize(v.approvalOdds)} approval odds`).join("\n") || "- None selected"}
+
+BUSINESS CARDS (already selected and rated from our card catalog, in apply order - do not add, drop or re-rate cards):
+${cardPicks.map(c => `${c.applyOrder}. ${sanitize(c.name)} (${sanitize(c.issuer)}): ${sanitize(c.approvalOdds)} approval odds, expected limit ${sanitize(c.expectedLimit)}${c.bureausPulled?.length ? `, pulls ${c.bureausPulled.map(sanitize).join(", ")}` : ""}`).join("\n") || "- None selected"}
+
+Generate a JSON object with these fields:
+{
+  "profileSummary": "Write 2-3 paragraphs (200-250 words) analyzing this business's current credit position. Reference actual numbers (${utilization}% utilization, ${tradeLines} trade lines, FICO ${ownerFico}). Identify key strengths and improvement opportunities.",
+  
+  "quickWins": "Write 1-2 paragraphs listing 3-5 immediate actions they can take within 30 days to boost credit signals. Be specific and actionable (e.g., 'Reduce utilization from ${utilization}% to under 30%', 'Add 2 starter trade lines with Uline and Quill').",
+  
+  "tradeLinesPlan": "Write 2-3 paragraphs explaining a tiered approach (starter, net-30, revolving) built around the selected vendors listed above, in that order. Explain when to open each one given their ${creditHistory} year history and ${tradeLines} current tradelines. Do not recommend vendors that are not on the list.",
+  
+  "cardStrategy": "Write 2-3 paragraphs explaining the card plan built around the selected cards above, in their apply order. Cover timing between applications, which bureau each pulls, and utilization strategies to reach ${targetLimit}. Do not recommend cards that are not on the list or change their approval odds.",
+  
+  "bankingSignals": "Write 1-2 paragraphs on optimizing banking relationships for credit building. Cover business checking with ${annualRevenue} revenue deposits, D&B registration and DUNS number, Experian profile setup, and revenue verification.",
+  
+  "actionPlan": "Write a clear 30/60/90-day timeline with specific milestones for the ${timeframe} timeframe. Include: 30 days (immediate actions), 60 days (trade line maturation), 90 days (card applications and limit increases). Be concrete with dates and deliverables.",
+  
+  "riskFlags": "Write 1-2 paragraphs identifying red flags from the profile: ${Number(latePayments) > 0 ? latePayments + ' late payments (address immediately)' : 'no late payments (good)'}, ${Number(utilization) > 30 ? utilization + '% utilization (reduce below 30%)' : 'healthy utilization'}, ${derogatories ? 'derogatories present: ' + derogatories + ' (dispute if incorrect)' : 'no derogatories'}. Include compliance guidance on credit reporting and FCRA rights."
+}
+
+IMPORTANT: 
+- Reference actual data points from the profile throughout
+- Name only the selected vendors and cards above; provide specific dollar amounts
+- Be direct and actionable - this is a working roadmap
+- Consider the ${timeframe} timeframe in your recommendations
+- Ground all advice in the provided credit metrics
+- Return ONLY valid JSON, no explanations`,
+      },
+      v4: {
+        version: "v4",
+        description: "Credit roadmap narrative around catalog picks and the dated card application schedule (shared/card-sequencing.ts)",
+        render: ({
+          businessName, ein, entityType, state, startDate, utilization, tradeLines, annualRevenue,
+          latePayments, derogatories, ownerFico, creditHistory, fundingGoal, targetLimit, timeframe, vendorPicks = [], cardPicks = [], recentInquiries,
+        }) => `You are a business credit expert specializing in actionable credit-building strategies.
+
+Generate a comprehensive credit roadmap for:
+- Business Name: ${businessName}
+- EIN: ${ein}
+- Entity Type: ${entityType}
+- State: ${state}
+- Business Age: Started ${startDate}
+
+CURRENT CREDIT PROFILE:
+- Credit Utilization: ${utilization}%
+- Trade Lines: ${tradeLines}
+- Annual Revenue: ${annualRevenue}
+- Late Payments (90d): ${latePayments}
+- Derogatories/Collections: ${derogatories || 'None reported'}
+
+OWNER PROFILE:
+- Owner FICO Score: ${ownerFico}
+- Credit History: ${creditHistory} years
+- Hard Inquiries (6 months): ${recentInquiries === undefined || recentInquiries === '' ? 'Not provided' : recentInquiries}
+
+GOALS:
+- Funding Goal: ${fundingGoal}
+- Target Credit Limit: ${targetLimit}
+- Timeframe: ${timeframe}
+
+VENDOR TRADELINES (already selected from our vendor catalog - do not add, drop or re-rate vendors):
+${vendorPicks.map(v => `- ${sanitize(v.name)} (${sanitize(v.tier)}): ${sanitize(v.netTerms || "Net 30")}, ${v.minOrder ? `$${v.minOrder} minimum order` : "no minimum order"}, ${v.pgRequired ? "personal guarantee required" : "no personal guarantee"}, reports to ${v.reportsBureaus.map(sanitize).join(", ")}; ${sanitize(v.approvalOdds)} approval odds`).join("\n") || "- None selected"}
+
+BUSINESS CARD SCHEDULE (already selected, rated and dated by our application planner around issuer velocity rules - do not add, drop, re-rate or re-date cards):
+${cardPicks.map(c => `${c.applyOrder}. ${c.applyDate ? `Apply ${sanitize(c.applyDate)}` : "On hold"}: ${sanitize(c.name)} (${sanitize(c.issuer)}): ${sanitize(c.approvalOdds)} approval odds, expected limit ${sanitize(c.expectedLimit)}${c.bureausPulled?.length ? `, pulls ${c.bureausPulled.map(sanitize).join(", ")}` : ""}`).join("\n") || "- None selected"}
+
+Generate a JSON object with these fields:
+{
+  "profileSummary": "Write 2-3 paragraphs (200-250 words) analyzing this business's current credit position. Reference actual numbers (${utilization}% utilization, ${tradeLines} trade lines, FICO ${ownerFico}). Identify key strengths and improvement opportunities.",
+  
+  "quickWins": "Write 1-2 paragraphs listing 3-5 immediate actions they can take within 30 days to boost credit signals. Be specific and actionable (e.g., 'Reduce utilization from ${utilization}% to under 30%', 'Add 2 starter trade lines with Uline and Quill').",
+  
+  "tradeLinesPlan": "Write 2-3 paragraphs explaining a tiered approach (starter, net-30, revolving) built around the selected vendors listed above, in that order. Explain when to open each one given their ${creditHistory} year history and ${tradeLines} current tradelines. Do not recommend vendors that are not on the list.",
+  
+  "cardStrategy": "Write 2-3 paragraphs explaining the card schedule above, in its order and on its dates. Explain why the applications are spaced out (issuer velocity rules and bureau pulls), what to do for cards on hold, and utilization strategies to reach ${targetLimit}. Do not recommend cards that are not on the list or change their approval odds or dates.",
+  
+  "bankingSignals": "Write 1-2 paragraphs on optimizing banking relationships for credit building. Cover business checking with ${annualRevenue} revenue deposits, D&B registration and DUNS number, Experian profile setup, and revenue verification.",
+  
+  "actionPlan": "Write a clear 30/60/90-day timeline with specific milestones for the ${timeframe} timeframe. Include: 30 days (immediate actions), 60 days (trade line maturation), 90 days (limit increases). Place each scheduled card application in the window its date falls in, and list applications dated after 90 days separately. Be concrete with dates and deliverables.",
+  
+  "riskFlags": "Write 1-2 paragraphs identifying red flags from the profile: ${Number(latePayments) > 0 ? latePayments + ' late payments (address immediately)' : 'no late payments (good)'}, ${Number(utilization) > 30 ? utilization + '% utilization (reduce below 30%)' : 'healthy utilization'}, ${derogatories ? 'derogatories present: ' + derogatories + ' (dispute if incorrect)' : 'no derogatories'}. Include compliance guidance on credit reporting and FCRA rights."
+}
+
+IMPORTANT: 
+- Reference actual data points from the profile throughout
+- Name only the selected vendors and cards above; provide specific dollar amounts
+- Be direct and actionable - this is a working roadmap
+- Consider the ${timeframe} timeframe in your recommendations
+- Ground all advice in the provided credit metrics
+- Return ONLY valid JSON, no explanations`,
+      },
+      v5: {
+        version: "v5",
+        description: "Credit roadmap with the account ledger (shared/tradeline-ledger.ts), catalog picks and the dated card schedule",
+        render: ({
+          businessName, ein, entityType, state, startDate, utilization, tradeLines, annualRevenue,
+          latePayments, derogatories, ownerFico, creditHistory, fundingGoal, targetLimit, timeframe, vendorPicks = [], cardPicks = [], recentInquiries, ledger = [], averageAccountAge,
+        }) => `You are a business credit expert specializing in actionable credit-building strategies.
+
+Generate a comprehensive credit roadmap for:
+- Business Name: ${businessName}
+- EIN: ${ein}
+- Entity Type: ${entityType}
+- State: ${state}
+- Business Age: Started ${startDate}
+
+CURRENT CREDIT PROFILE:
+- Credit Utilization: ${utilization}%
+- Trade Lines: ${tradeLines}
+- Annual Revenue: ${annualRevenue}
+- Late Payments (90d): ${latePayments}
+- Derogatories/Collections: ${derogatories || 'None reported'}
+- Average Account Age: ${averageAccountAge === undefined ? 'Not provided' : `${averageAccountAge} years`}
+
+OWNER PROFILE:
+- Owner FICO Score: ${ownerFico}
+- Credit History: ${creditHistory} years
+- Hard Inquiries (6 months): ${recentInquiries === undefined || recentInquiries === '' ? 'Not provided' : recentInquiries}
+
+ACCOUNT LEDGER (utilization and trade lines above are calculated from these accounts):
+${ledger.map(a => `- ${sanitize(a.creditor)} (${sanitize(a.type)}): ${a.limit ? `$${a.limit} limit, ` : ""}$${a.balance} balance${typeof a.utilization === "number" ? ` (${a.utilization}% used)` : ""}${a.opened ? `, opened ${sanitize(a.opened)}` : ""}, reports to ${a.bureaus.length ? a.bureaus.map(sanitize).join(", ") : "no bureaus"}; ${sanitize(a.status)}`).join("\n") || "- Not provided"}
+
+GOALS:
+- Funding Goal: ${fundingGoal}
+- Target Credit Limit: ${targetLimit}
+- Timeframe: ${timeframe}
+
+VENDOR TRADELINES (already selected from our vendor catalog - do not add, drop or re-rate vendors):
+${vendorPicks.map(v => `- ${sanitize(v.name)} (${sanitize(v.tier)}): ${sanitize(v.netTerms || "Net 30")}, ${v.minOrder ? `$${v.minOrder} minimum order` : "no minimum order"}, ${v.pgRequired ? "personal guarantee required" : "no personal guarantee"}, reports to ${v.reportsBureaus.map(sanitize).join(", ")}; ${sanitize(v.approvalOdds)} approval odds`).join("\n") || "- None selected"}
+
+BUSINESS CARD SCHEDULE (already selected, rated and dated by our application planner around issuer velocity rules - do not add, drop, re-rate or re-date cards):
+${cardPicks.map(c => `${c.applyOrder}. ${c.applyDate ? `Apply ${sanitize(c.applyDate)}` : "On hold"}: ${sanitize(c.name)} (${sanitize(c.issuer)}): ${sanitize(c.approvalOdds)} approval odds, expected limit ${sanitize(c.expectedLimit)}${c.bureausPulled?.length ? `, pulls ${c.bureausPulled.map(sanitize).join(", ")}` : ""}`).join("\n") || "- None selected"}
+
+Generate a JSON object with these fields:
+{
+  "profileSummary": "Write 2-3 paragraphs (200-250 words) analyzing this business's current credit position. Reference actual numbers (${utilization}% utilization, ${tradeLines} trade lines, FICO ${ownerFico}). Identify key strengths and improvement opportunities.",
+  
+  "quickWins": "Write 1-2 paragraphs listing 3-5 immediate actions they can take within 30 days to boost credit signals. Where the account ledger is provided, name the specific accounts to pay down, bring current or get reporting. Be specific and actionable (e.g., 'Reduce utilization from ${utilization}% to under 30%', 'Add 2 starter trade lines with Uline and Quill').",
+  
+  "tradeLinesPlan": "Write 2-3 paragraphs explaining a tiered approach (starter, net-30, revolving) built around the selected vendors listed above, in that order. Explain when to open each one given their ${creditHistory} year history and ${tradeLines} current tradelines. Do not recommend vendors that are not on the list.",
+  
+  "cardStrategy": "Write 2-3 paragraphs explaining the card schedule above, in its order and on its dates. Explain why the applications are spaced out (issuer velocity rules and bureau pulls), what to do for cards on hold, and utilization strategies to reach ${targetLimit}. Do not recommend cards that are not on the list or change their approval odds or dates.",
+  
+  "bankingSignals": "Write 1-2 paragraphs on optimizing banking relationships for credit building. Cover business checking with ${annualRevenue} revenue deposits, D&B registration and DUNS number, Experian profile setup, and revenue verification.",
+  
+  "actionPlan": "Write a clear 30/60/90-day timeline with specific milestones for the ${timeframe} timeframe. Include: 30 days (immediate actions), 60 days (trade line maturation), 90 days (limit increases). Place each scheduled card application in the window its date falls in, and list applications dated after 90 days separately. Be concrete with dates and deliverables.",
+  
+  "riskFlags": "Write 1-2 paragraphs identifying red flags from the profile: ${Number(latePayments) > 0 ? latePayments + ' late payments (address immediately)' : 'no late payments (good)'}, ${Number(utilization) > 30 ? utilization + '% utilization (reduce below 30%)' : 'healthy utilization'}, ${derogatories ? 'derogatories present: ' + derogatories + ' (dispute if incorrect)' : 'no derogatories'}. Include compliance guidance on credit reporting and FCRA rights."
+}
+
+IMPORTANT: 
+- Reference actual data points from the profile throughout
+- Name only the selected vendors and cards above; provide specific dollar amounts
+- Be direct and actionable - this is a working roadmap
+- Consider the ${timeframe} timeframe in your recommendations
+- Ground all advice in the provided credit metrics
+- Return ONLY valid JSON, no explanations`,
+      },
+      v6: {
+        version: "v6",
+        description: "Credit roadmap with the fundability index (shared/fundability.ts), account ledger, catalog picks and the dated card schedule",
+        render: ({
+          businessName, ein, entityType, state, startDate, utilization, tradeLines, annualRevenue,
+          latePayments, derogatories, ownerFico, creditHistory, fundingGoal, targetLimit, timeframe, vendorPicks = [], cardPicks = [], recentInquiries, ledger = [], averageAccountAge, fundability,
+        }) => `You are a business credit expert specializing in actionable credit-building strategies.
+
+Generate a comprehensive credit roadmap for:
+- Business Name: ${businessName}
+- EIN: ${ein}
+- Entity Type: ${entityType}
+- State: ${state}
+- Business Age: Started ${startDate}
+
+CURRENT CREDIT PROFILE:
+- Credit Utilization: ${utilization}%
+- Trade Lines: ${tradeLines}
+- Annual Revenue: ${annualRevenue}
+- Late Payments (90d): ${latePayments}
+- Derogatories/Collections: ${derogatories || 'None reported'}
+- Average Account Age: ${averageAccountAge === undefined ? 'Not provided' : `${averageAccountAge} years`}
+
+OWNER PROFILE:
+- Owner FICO Score: ${ownerFico}
+- Credit History: ${creditHistory} years
+- Hard Inquiries (6 months): ${recentInquiries === undefined || recentInquiries === '' ? 'Not provided' : recentInquiries}
+
+ACCOUNT LEDGER (utilization and trade lines above are calculated from these accounts):
+${ledger.map(a => `- ${sanitize(a.creditor)} (${sanitize(a.type)}): ${a.limit ? `$${a.limit} limit, ` : ""}$${a.balance} balance${typeof a.utilization === "number" ? ` (${a.utilization}% used)` : ""}${a.opened ? `, opened ${sanitize(a.opened)}` : ""}, reports to ${a.bureaus.length ? a.bureaus.map(sanitize).join(", ") : "no bureaus"}; ${sanitize(a.status)}`).join("\n") || "- Not provided"}
+
+FUNDABILITY INDEX (calculated by our scoring model - quote it as given, do not estimate your own):
+${fundability ? `- Score: ${fundability.score}/100 (${sanitize(fundability.level)} qualification likelihood, model ${sanitize(fundability.modelVersion)})
+${fundability.factors.map(f => `- ${sanitize(f.factor)} ${sanitize(f.value)}: ${f.points} of ${f.maxPoints} points`).join("\n")}
+- Biggest levers: ${fundability.levers.map(l => `${sanitize(l.action)} (+${l.points})`).join("; ") || "none - every factor is in its top band"}` : "- Not provided"}
+
+GOALS:
+- Funding Goal: ${fundingGoal}
+- Target Credit Limit: ${targetLimit}
+- Timeframe: ${timeframe}
+
+VENDOR TRADELINES (already selected from our vendor catalog - do not add, drop or re-rate vendors):
+${vendorPicks.map(v => `- ${sanitize(v.name)} (${sanitize(v.tier)}): ${sanitize(v.netTerms || "Net 30")}, ${v.minOrder ? `$${v.minOrder} minimum order` : "no minimum order"}, ${v.pgRequired ? "personal guarantee required" : "no personal guarantee"}, reports to ${v.reportsBureaus.map(sanitize).join(", ")}; ${sanitize(v.approvalOdds)} approval odds`).join("\n") || "- None selected"}
+
+BUSINESS CARD SCHEDULE (already selected, rated and dated by our application planner around issuer velocity rules - do not add, drop, re-rate or re-date cards):
+${cardPicks.map(c => `${c.applyOrder}. ${c.applyDate ? `Apply ${sanitize(c.applyDate)}` : "On hold"}: ${sanitize(c.name)} (${sanitize(c.issuer)}): ${sanitize(c.approvalOdds)} approval odds, expected limit ${sanitize(c.expectedLimit)}${c.bureausPulled?.length ? `, pulls ${c.bureausPulled.map(sanitize).join(", ")}` : ""}`).join("\n") || "- None selected"}
+
+Generate a JSON object with these fields:
+{
+  "profileSummary": "Write 2-3 paragraphs (200-250 words) analyzing this business's current credit position. Reference actual numbers (${utilization}% utilization, ${tradeLines} trade lines, FICO ${ownerFico}). Identify key strengths and improvement opportunities, and state the fundability index score and level exactly as given above.",
+  
+  "quickWins": "Write 1-2 paragraphs listing 3-5 immediate actions they can take within 30 days to boost credit signals. Where the account ledger is provided, name the specific accounts to pay down, bring current or get reporting. Be specific and actionable (e.g., 'Reduce utilization from ${utilization}% to under 30%', 'Add 2 starter trade lines with Uline and Quill').",
+  
+  "tradeLinesPlan": "Write 2-3 paragraphs explaining a tiered approach (starter, net-30, revolving) built around the selected vendors listed above, in that order. Explain when to open each one given their ${creditHistory} year history and ${tradeLines} current tradelines. Do not recommend vendors that are not on the list.",
+  
+  "cardStrategy": "Write 2-3 paragraphs explaining the card schedule above, in its order and on its dates. Explain why the applications are spaced out (issuer velocity rules and bureau pulls), what to do for cards on hold, and utilization strategies to reach ${targetLimit}. Do not recommend cards that are not on the list or change their approval odds or dates.",
+  
+  "bankingSignals": "Write 1-2 paragraphs on optimizing banking relationships for credit building. Cover business checking with ${annualRevenue} revenue deposits, D&B registration and DUNS number, Experian profile setup, and revenue verification.",
+  
+  "actionPlan": "Write a clear 30/60/90-day timeline with specific milestones for the ${timeframe} timeframe. Include: 30 days (immediate actions), 60 days (trade line maturation), 90 days (limit increases). Place each scheduled card application in the window its date falls in, and list applications dated after 90 days separately. Be concrete with dates and deliverables, and put the biggest fundability levers above in the earliest window they can be worked on.",
+  
+  "riskFlags": "Write 1-2 paragraphs identifying red flags from the profile: ${Number(latePayments) > 0 ? latePayments + ' late payments (address immediately)' : 'no late payments (good)'}, ${Number(utilization) > 30 ? utilization + '% utilization (reduce below 30%)' : 'healthy utilization'}, ${derogatories ? 'derogatories present: ' + derogatories + ' (dispute if incorrect)' : 'no derogatories'}. Include compliance guidance on credit reporting and FCRA rights."
+}
+
+IMPORTANT: 
+- Reference actual data points from the profile throughout
+- Name only the selected vendors and cards above; provide specific dollar amounts
+- Be direct and actionable - this is a working roadmap
+- Consider the ${timeframe} timeframe in your recommendations
+- Ground all advice in the provided credit metrics
+- Return ONLY valid JSON, no explanations`,
+      },
+    },
+  },
+
+  "diagnostic-system": {
+    defaultVersion: "v2",
+    versions: {
+      v1: {
+        version: "v1",
+        description: "Elev8 Analyzer diagnostic persona and report structure",
+        render: () => `You are Elev8 Analyzer, an expert business diagnostic assistant powered by Credit Commander.
+
+Your role is to generate professional strategic analysis reports that help businesses identify opportunities, address challenges, and elevate their operations.
+
+CRITICAL FORMATTING RULES:
+1. ALWAYS structure your response with these exact 4 sections using markdown headings:
+   # Executive Summary
+   ## SWOT Analysis
+   ## Risk & Opportunity Matrix
+   ## Strategic Recommendations
+
+2. Format each section as follows:
+   - Executive Summary: Write 2-3 clear, insightful paragraphs (150-200 words) analyzing the business profile
+   - SWOT Analysis: Create a markdown table with 4 columns: Strengths | Weaknesses | Opportunities | Threats
+   - Risk & Opportunity Matrix: Create a markdown table with 3 columns: Factor | Impact Level | Action Priority
+   - Strategic Recommendations: Use numbered list (1., 2., 3., etc.) with specific, actionable items
+
+3. PLACEHOLDER HANDLING:
+   - If business information is missing, insert clean placeholders like [Pending Input] or [AWAITING DATA]
+   - NEVER leave blank sections or break table structure
+   - For incomplete matrices, include at least one placeholder row
+
+4. WRITING STYLE:
+   - Use clear business language, avoid unnecessary jargon
+   - Be strategic and forward-looking
+   - Ground insights in the provided business data
+   - Focus on actionable intelligence
+   - Maintain professional consultant tone throughout
+
+5. TABLE FORMATTING:
+   - Always use proper markdown table syntax with | separators
+   - Include header row with column names
+   - Include separator row with dashes
+   - Add at least 3-4 data rows per table (use placeholders if needed)
+   
+REMEMBER: Your analysis should be data-driven yet strategic, helping business owners make informed decisions.`,
+      },
+      v2: {
+        version: "v2",
+        description: "Elev8 Analyzer persona for structured JSON diagnostics (POST /api/analyze)",
+        render: () => `You are Elev8 Analyzer, an expert business diagnostic assistant powered by Credit Commander.
+
+Your role is to generate professional strategic analysis that helps businesses identify opportunities, address challenges, and elevate their operations.
+
+WRITING STYLE:
+- Use clear business language, avoid unnecessary jargon
+- Be strategic and forward-looking
+- Ground every insight in the provided business data - do not invent figures the owner did not give you
+- Focus on actionable intelligence
+- Maintain a professional consultant tone throughout
+
+If information is missing, work from what was provided and note the gap in the relevant item rather than leaving a section empty.
+
+Always respond with a single valid JSON object in the exact structure requested - no markdown, no commentary.`,
+      },
+    },
+  },
+
+  "diagnostic-analysis": {
+    defaultVersion: "v1",
+    versions: {
+      v1: {
+        version: "v1",
+        description: "Executive summary, SWOT, risk & opportunity matrix and recommendations as JSON",
+        render: ({ businessName, industry, revenueRange, creditProfile, employees, challenges, goals }) => `Analyze this business:
+- Business Name: ${sanitize(businessName)}
+- Industry: ${sanitize(industry)}
+- Annual Revenue: ${sanitize(revenueRange)}
+- Credit Profile: ${sanitize(creditProfile) || 'Not provided'}
+- Employees: ${sanitize(employees)}
+- Current Challenges: ${sanitize(challenges) || 'Not provided'}
+- Goals: ${sanitize(goals) || 'Not provided'}
+
+Return a JSON object with exactly these fields:
+{
+  "executiveSummary": "2-3 paragraphs (150-200 words) analyzing the business profile, its position in the ${sanitize(industry)} industry and the most important strategic priorities",
+
+  "swot": {
+    "strengths": ["3-5 short statements"],
+    "weaknesses": ["3-5 short statements"],
+    "opportunities": ["3-5 short statements"],
+    "threats": ["3-5 short statements"]
+  },
+
+  "riskOpportunityMatrix": [
+    {
+      "factor": "Name of the risk or opportunity",
+      "type": "Risk|Opportunity",
+      "impact": "High|Medium|Low",
+      "priority": "High|Medium|Low",
+      "action": "One-sentence response to this factor"
+    }
+  ],
+
+  "recommendations": [
+    {
+      "title": "Short recommendation title",
+      "detail": "1-2 sentences on what to do and why, tied to their challenges and goals",
+      "timeframe": "e.g. 0-30 days, 1-3 months, 3-6 months"
+    }
+  ]
+}
+
+REQUIREMENTS:
+- 4-6 matrix rows mixing risks and opportunities, highest priority first
+- 4-6 recommendations in the order they should be tackled
+- Reference the owner's stated challenges and goals directly`,
+      },
+    },
+  },
+
+  "explain-system": {
+    defaultVersion: "v1",
+    versions: {
+      v1: {
+        version: "v1",
+        description: "Plain-English explainer persona",
+        render: () => "You are a business credit advisor who explains complex credit strategies in simple, friendly language. Focus on clarity and actionability.",
+      },
+    },
+  },
+
+  "explain": {
+    defaultVersion: "v1",
+    versions: {
+      v1: {
+        version: "v1",
+        description: "Plain-English explanation of a generated roadmap as a 4-field JSON object",
+        render: ({ businessName, utilization, tradeLines, ownerFico, fundingGoal, targetLimit, timeframe, roadmap }) => `You are a business credit advisor translating technical credit reports into clear, actionable guidance for business owners.
+
+Given this credit roadmap for ${sanitize(businessName)}:
+- Current Utilization: ${utilization}%
+- Trade Lines: ${tradeLines}
+- Owner FICO: ${ownerFico}
+- Funding Goal: ${sanitize(fundingGoal)}
+- Target Limit: ${sanitize(targetLimit)}
+- Timeframe: ${sanitize(timeframe)}
+
+Full Roadmap Data:
+${JSON.stringify(roadmap, null, 2)}
+
+Generate a plain-English explanation as a JSON object with these fields:
+{
+  "keyTakeaways": "Write 2-3 sentences summarizing the most important insights from this roadmap. What does this business need to know RIGHT NOW?",
+  
+  "priorityActions": "List the top 3 immediate actions they should take this month. Be ultra-specific (e.g., 'Pay down your credit cards to reduce utilization from ${utilization}% to below 30%').",
+  
+  "timeline": "Explain their ${timeframe} timeline in simple terms. What happens in the first 30 days? Next 60 days? By 90 days?",
+  
+  "bottomLine": "Write 1-2 sentences answering: 'Can I reach my ${targetLimit} goal?' Be honest and direct."
+}
+
+IMPORTANT:
+- Use everyday language, not credit jargon
+- Be encouraging but honest
+- Reference their actual numbers
+- Make it feel like advice from a trusted advisor, not a robot`,
+      },
+    },
+  },
+
+  "compliance-summary": {
+    defaultVersion: "v1",
+    versions: {
+      v1: {
+        version: "v1",
+        description: "Two-paragraph plain-text executive summary for a CompliPilot filing report",
+        render: ({ entityName, entityType, jurisdiction, filingType, deadline, profileName, requiredItems, risks }) => `You are a compliance advisor writing the executive summary of a filing report for a small business owner.
+
+Filing details:
+- Entity: ${sanitize(entityName) || "Not specified"} (${sanitize(entityType)})
+- Jurisdiction: ${sanitize(jurisdiction)}
+- Filing Type: ${sanitize(filingType)}
+- Deadline: ${sanitize(deadline) || "Not specified"}
+- Filing Profile: ${sanitize(profileName)}
+- Required Items: ${requiredItems.map(sanitize).join(", ") || "None listed"}
+- Known Risks: ${sanitize(risks) || "None provided"}
+
+Write exactly two paragraphs of plain text (no markdown, no headings, no lists):
+1. What this filing is, who it applies to, and why staying in good standing matters for this entity
+2. The deadline, the consequences of missing it, and the most important preparation steps
+
+IMPORTANT:
+- Do not invent fees, form numbers or statutory deadlines that are not listed above
+- Keep it under 180 words`,
+      },
+    },
+  },
+};
+
+export const PROMPT_NAMES = Object.keys(PROMPT_REGISTRY) as PromptName[];
+
+export function isPromptName(name: string): name is PromptName {
+  return Object.prototype.hasOwnProperty.call(PROMPT_REGISTRY, name);
+}
+
+export function hasPromptVersion(name: PromptName, version: string): boolean {
+  return Object.prototype.hasOwnProperty.call(PROMPT_REGISTRY[name].versions, version);
+}
+
+// Render a specific version (falls back to the default version if it is not registered)
+export function renderPrompt<N extends PromptName>(name: N, version: string, vars: PromptVariables[N]): string {
+  const definition = PROMPT_REGISTRY[name] as PromptDefinition<PromptVariables[N]>;
+  const template = definition.versions[version] || definition.versions[definition.defaultVersion];
+  return template.render(vars);
+}
+
+// Stable identifier for a set of resolved versions, e.g. "credit-roadmap@v1,credit-system@v1"
+export function formatPromptVersions(versions: Record<string, string>): string {
+  return Object.keys(versions).sort().map(name => `${name}@${versions[name]}`).join(',');
+}
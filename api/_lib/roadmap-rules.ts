@@ -0,0 +1,190 @@
+// GENERATED by script/build-serverless-modules.ts from server/roadmap-rules.ts - do not edit.
+// Rule-based Credit Commander roadmap engine
+// Builds a complete roadmap from the credit inputs alone, so /api/generate can still
+// deliver a report when the AI provider is out of quota or down. The output matches
+// shared/roadmap-schema.ts, like an AI roadmap that passed validation.
+
+import type {
+  CreditRoadmap,
+  VendorRecommendation,
+  CardRecommendation,
+} from "./roadmap-schema.js";
+import { getBusinessAgeMonths, getCatalogVendors, matchVendors } from "./vendor-catalog.js";
+import { CARD_CATALOG, getFicoBand, matchCards } from "./card-catalog.js";
+import { planCardApplications, type CreditActivity } from "./card-sequencing.js";
+
+export interface CreditProfileInput {
+  businessName: string;
+  entityType: string;
+  state: string;
+  startDate: string;
+  utilization: number;
+  tradeLines: number;
+  annualRevenue: string;
+  latePayments: number;
+  derogatories?: string;
+  ownerFico: number;
+  creditHistory: number;
+  recentInquiries?: number;
+  // Recent personal accounts and dated inquiries for the application planner
+  creditActivity?: CreditActivity;
+  fundingGoal: string;
+  targetLimit: string;
+  timeframe: string;
+}
+
+// Vendor picks come from the curated catalog (shared/vendor-catalog.ts)
+export function recommendVendors(profile: CreditProfileInput, now: Date = new Date()): VendorRecommendation[] {
+  return matchVendors(profile, 5, now);
+}
+
+// Card picks and approval odds come from the card catalog (shared/card-catalog.ts); apply order and dates
+// from the application planner (shared/card-sequencing.ts). High utilization delays the first application
+// by one statement cycle so the lower balances report first.
+export function recommendCards(profile: CreditProfileInput, now: Date = new Date()): CardRecommendation[] {
+  return planCardApplications(matchCards(profile), CARD_CATALOG, profile.creditActivity || { recentAccounts: [], inquiries: [] }, {
+    today: now,
+    reportedInquiries: profile.recentInquiries,
+    startDelayDays: profile.utilization > 30 ? 30 : 0,
+  }).cards;
+}
+
+// Why a card is on hold: what lowered its approval odds, or the application rules no date satisfies
+function describeHold(card: CardRecommendation): string {
+  if (card.approvalOdds === "Low" && card.oddsConcerns?.length) {
+    return card.oddsConcerns.map(concern => concern.charAt(0).toLowerCase() + concern.slice(1)).join("; ");
+  }
+  return (card.scheduleNotes || []).map(note => note.replace(/^On hold - /, "")).join("; ") || "approval odds are low today";
+}
+
+function formatPlanDate(isoDate: string): string {
+  return new Date(`${isoDate}T00:00:00Z`).toLocaleDateString("en-US", { month: "short", day: "numeric", year: "numeric", timeZone: "UTC" });
+}
+
+function buildQuickWins(profile: CreditProfileInput): string {
+  const wins: string[] = [];
+
+  if (profile.utilization > 30) {
+    wins.push(`Pay revolving balances down from ${profile.utilization}% to under 30% utilization before the next statement closes - this is the fastest score lever available.`);
+  } else if (profile.utilization > 10) {
+    wins.push(`Bring utilization from ${profile.utilization}% to under 10% by paying before statement dates so lower balances are reported.`);
+  }
+
+  if (profile.latePayments > 0) {
+    wins.push(`Bring the ${profile.latePayments} late account${profile.latePayments === 1 ? "" : "s"} current, set up autopay for at least the minimum, and request goodwill adjustments once current.`);
+  }
+
+  if (profile.derogatories && profile.derogatories.trim()) {
+    wins.push(`Pull personal and business reports and dispute anything inaccurate in: ${profile.derogatories.trim()}.`);
+  }
+
+  if (profile.tradeLines < 3) {
+    wins.push(`Open two starter net-30 vendor accounts (Uline and Quill) and place small orders to start reporting tradelines - currently ${profile.tradeLines}.`);
+  }
+
+  wins.push("Register for a free D-U-N-S number and confirm the business name, address and phone match across every bureau and bank listing.");
+
+  return wins.slice(0, 5).map((win, index) => `${index + 1}. ${win}`).join("\n");
+}
+
+function buildRiskFlags(profile: CreditProfileInput): string {
+  const flags: string[] = [];
+
+  if (profile.latePayments > 0) {
+    flags.push(`${profile.latePayments} late payment${profile.latePayments === 1 ? "" : "s"} in the last 90 days will weigh on approvals until they age - address these before any new applications.`);
+  }
+  if (profile.utilization > 30) {
+    flags.push(`Utilization of ${profile.utilization}% is above the 30% threshold most underwriters use.`);
+  }
+  if (profile.derogatories && profile.derogatories.trim()) {
+    flags.push(`Derogatory items reported (${profile.derogatories.trim()}) should be verified and disputed if inaccurate.`);
+  }
+  if ((profile.recentInquiries || 0) >= 4) {
+    flags.push(`${profile.recentInquiries} hard inquiries in the last 6 months will make inquiry-sensitive issuers decline - let them age before applying for more credit.`);
+  }
+  if (profile.ownerFico < 580) {
+    flags.push(`An owner FICO of ${profile.ownerFico} limits most card approvals; focus on vendor tradelines and score repair first.`);
+  }
+
+  if (flags.length === 0) {
+    flags.push("No major red flags in the reported profile - keep every payment on time and utilization low while new accounts season.");
+  }
+
+  flags.push("You have the right under the FCRA to a free copy of your reports and to dispute inaccurate information with the bureaus.");
+  return flags.join("\n\n");
+}
+
+// Build a complete, deterministic roadmap from the form inputs
+export function buildRuleBasedRoadmap(profile: CreditProfileInput, now: Date = new Date()): CreditRoadmap {
+  const ageMonths = getBusinessAgeMonths(profile.startDate, now);
+  const band = getFicoBand(profile.ownerFico);
+  const vendors = recommendVendors(profile, now);
+  const cards = recommendCards(profile, now);
+  const firstCard = cards[0];
+  const scheduled = cards.filter(card => card.applyDate);
+  const held = cards.filter(card => !card.applyDate);
+
+  // Scheduled applications by action-plan window (days from today)
+  const applicationsWithin = (fromDay: number, toDay: number) => scheduled
+    .filter(card => {
+      const days = Math.round((new Date(`${card.applyDate}T00:00:00Z`).getTime() - now.getTime()) / (24 * 60 * 60 * 1000));
+      return days >= fromDay && days < toDay;
+    })
+    .map(card => `apply for ${card.name} on ${formatPlanDate(card.applyDate!)}`);
+
+  const strengths: string[] = [];
+  const gaps: string[] = [];
+  (profile.utilization <= 30 ? strengths : gaps).push(`${profile.utilization}% utilization`);
+  (profile.tradeLines >= 5 ? strengths : gaps).push(`${profile.tradeLines} trade line${profile.tradeLines === 1 ? "" : "s"}`);
+  (profile.ownerFico >= 670 ? strengths : gaps).push(`${band === "excellent" ? "an" : "a"} ${band} owner FICO of ${profile.ownerFico}`);
+  (profile.latePayments === 0 ? strengths : gaps).push(profile.latePayments === 0 ? "no recent late payments" : `${profile.latePayments} recent late payment${profile.latePayments === 1 ? "" : "s"}`);
+
+  const profileSummary = [
+    `${profile.businessName} is a ${profile.state} ${profile.entityType} operating for ${ageMonths >= 12 ? `about ${Math.floor(ageMonths / 12)} year${ageMonths >= 24 ? "s" : ""}` : ageMonths > 0 ? `about ${ageMonths} month${ageMonths === 1 ? "" : "s"}` : "less than a month"} with reported revenue of ${profile.annualRevenue || "not provided"} and ${profile.creditHistory} years of owner credit history.`,
+    strengths.length > 0 ? `Strengths: ${strengths.join(", ")}.` : "",
+    gaps.length > 0 ? `Areas to improve: ${gaps.join(", ")}.` : "",
+    `The goal is ${profile.fundingGoal} with ${profile.targetLimit} in total business credit within ${profile.timeframe}.`,
+  ].filter(Boolean).join(" ");
+
+  const tradeLinesPlan = [
+    `Tier 1 - Starter vendors: ${getCatalogVendors("Starter").map(v => v.name).join(", ")} approve businesses with an EIN and D-U-N-S number and report to Dun & Bradstreet. Open two or three and pay invoices early.`,
+    profile.tradeLines >= 3
+      ? `Tier 2 - Net-30 accounts: with ${profile.tradeLines} tradelines already reporting, add ${getCatalogVendors("Net-30").map(v => v.name).join(" and ")} now.`
+      : `Tier 2 - Net-30 accounts: once three tradelines are reporting (about 60-90 days), add ${getCatalogVendors("Net-30").map(v => v.name).join(" and ")}.`,
+    "Tier 3 - Revolving tradelines: after five or more accounts report, add fuel or store cards that report a revolving balance.",
+  ].join("\n\n");
+
+  const cardStrategy = scheduled.length > 0
+    ? [
+        `Application schedule: ${scheduled.map(c => `${c.applyOrder}. ${c.name} on ${formatPlanDate(c.applyDate!)} (${c.approvalOdds.toLowerCase()} approval odds)`).join("; ")}.`,
+        "The dates respect each issuer's velocity rules (such as Chase 5/24) and the recent accounts and inquiries on file, and keep pulls on the same bureau at least 60 days apart so inquiries don't cluster.",
+        held.length > 0 ? `On hold until the profile improves: ${held.map(c => c.name).join(", ")}.` : "",
+        `Keep each card's reported balance under 10% and request limit increases after six months of on-time payments to work toward ${profile.targetLimit}.`,
+      ].filter(Boolean).join(" ")
+    : `Hold off on card applications for now. ${firstCard.name} is on hold: ${describeHold(firstCard)}. Focus on vendor tradelines and on-time payments first, then re-run the plan and start with ${firstCard.name}.`;
+
+  const bankingSignals = `Run all ${profile.annualRevenue ? `${profile.annualRevenue} of ` : ""}revenue through a dedicated business checking account and keep a healthy average daily balance - lenders size limits from deposit history. Register with Dun & Bradstreet (D-U-N-S), Experian Business and Equifax Business, and make sure the ${profile.entityType}'s legal name, address and phone match the ${profile.state} filing exactly.`;
+
+  const first30 = applicationsWithin(0, 30);
+  const next60 = applicationsWithin(30, 60);
+  const next90 = applicationsWithin(60, 90);
+  const later = applicationsWithin(90, Infinity);
+  const actionPlan = [
+    `30 days: ${profile.utilization > 30 ? "pay utilization below 30%, " : ""}${profile.latePayments > 0 ? "bring late accounts current, " : ""}get a D-U-N-S number and open two starter vendor accounts${first30.length > 0 ? `, and ${first30.join(", ")}` : ""}.`,
+    `60 days: confirm the first tradelines are reporting and add net-30 accounts${profile.tradeLines >= 3 ? " and a revolving tradeline" : ""}${next60.length > 0 ? `; ${next60.join(", ")}` : ""}.`,
+    `90 days: ${next90.length > 0 ? next90.join(", ") : scheduled.length > 0 ? "keep new balances low while recent applications season" : "re-check the owner score before any card applications"} and request limit increases on existing accounts. Reassess progress toward ${profile.targetLimit} at the end of ${profile.timeframe}.`,
+    later.length > 0 ? `Later: ${later.join(", ")}.` : "",
+  ].filter(Boolean).join("\n");
+
+  return {
+    profileSummary,
+    quickWins: buildQuickWins(profile),
+    tradeLinesPlan,
+    vendorRecommendations: vendors,
+    cardStrategy,
+    cardRecommendations: cards,
+    bankingSignals,
+    actionPlan,
+    riskFlags: buildRiskFlags(profile),
+  };
+}
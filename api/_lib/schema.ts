@@ -1,5 +1,5 @@
 import { sql } from "drizzle-orm";
-import { pgTable, text, varchar, timestamp, json, integer, unique } from "drizzle-orm/pg-core";
+import { pgTable, text, varchar, timestamp, json, integer, unique, index, doublePrecision, boolean } from "drizzle-orm/pg-core";
 import { createInsertSchema } from "drizzle-zod";
 import { z } from "zod";
 
@@ -42,6 +42,20 @@ export const insertComplianceReportSchema = createInsertSchema(complianceReports
 export type InsertComplianceReport = z.infer<typeof insertComplianceReportSchema>;
 export type ComplianceReport = typeof complianceReports.$inferSelect;
 
+// Follow-up chat thread for a saved report (one thread per report)
+export const reportMessages = pgTable("report_messages", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  reportId: varchar("report_id").notNull().references(() => complianceReports.id, { onDelete: "cascade" }),
+  userId: varchar("user_id").notNull(),
+  role: text("role").notNull(), // 'user' | 'assistant'
+  content: text("content").notNull(),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+}, (table) => ({
+  reportIdx: index("report_messages_report_idx").on(table.reportId, table.createdAt),
+}));
+
+export type ReportMessage = typeof reportMessages.$inferSelect;
+
 export const usageTracking = pgTable("usage_tracking", {
   id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
   ipAddress: text("ip_address").notNull(),
@@ -59,3 +73,53 @@ export const insertUsageTrackingSchema = createInsertSchema(usageTracking).omit(
 
 export type InsertUsageTracking = z.infer<typeof insertUsageTrackingSchema>;
 export type UsageTracking = typeof usageTracking.$inferSelect;
+
+// Content-addressed cache of generated roadmaps
+// cacheKey = sha256 of the normalized form data + prompt version + model, so repeat submissions reuse the stored result
+export const generationCache = pgTable("generation_cache", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  cacheKey: text("cache_key").notNull().unique(),
+  tool: text("tool").notNull().default('creditcommander'),
+  promptVersion: text("prompt_version").notNull(),
+  model: text("model").notNull(),
+  roadmap: json("roadmap").notNull(),
+  meta: json("meta"),
+  hitCount: integer("hit_count").notNull().default(0),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+});
+
+export type GenerationCacheEntry = typeof generationCache.$inferSelect;
+
+// One row per AI call - token usage, latency and estimated cost for spend reporting
+export const generationEvents = pgTable("generation_events", {
+  id: varchar("id").primaryKey().default(sql`gen_random_uuid()`),
+  tool: text("tool").notNull().default('creditcommander'),
+  endpoint: text("endpoint").notNull(), // e.g. /api/generate, /api/explain
+  task: text("task").notNull(), // LlmTask: roadmap | explain | chat
+  provider: text("provider").notNull(),
+  model: text("model").notNull(),
+  promptTokens: integer("prompt_tokens").notNull().default(0),
+  completionTokens: integer("completion_tokens").notNull().default(0),
+  latencyMs: integer("latency_ms").notNull(),
+  estimatedCostUsd: doublePrecision("estimated_cost_usd").notNull().default(0),
+  userId: text("user_id"), // Authenticated user or anon_<clientId>, when known
+  ipAddress: text("ip_address").notNull(),
+  success: boolean("success").notNull().default(true),
+  createdAt: timestamp("created_at").defaultNow().notNull(),
+}, (table) => ({
+  createdAtIdx: index("generation_events_created_at_idx").on(table.createdAt),
+}));
+
+// Typed from the select row: createInsertSchema(...).omit() resolves to never under tsconfig.vercel.json (strict: false)
+export type GenerationEvent = typeof generationEvents.$inferSelect;
+export type InsertGenerationEvent = Omit<GenerationEvent, 'id' | 'createdAt'>;
+
+// Operator prompt pins - overrides a prompt's default version without a deploy (see server/prompt-registry.ts)
+export const promptPins = pgTable("prompt_pins", {
+  name: text("name").primaryKey(), // PromptName, e.g. credit-roadmap
+  version: text("version").notNull(),
+  note: text("note"),
+  pinnedAt: timestamp("pinned_at").defaultNow().notNull(),
+});
+
+export type PromptPin = typeof promptPins.$inferSelect;
@@ -0,0 +1,132 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import {
+  checkUsageLimit,
+  getLlm,
+  incrementUsage,
+  recordGenerationEvent,
+  resolvePromptVersions,
+  setCORS,
+} from './generate.js';
+import { renderPrompt, type DiagnosticPromptVars } from './_lib/prompt-templates.js';
+import { parseJsonObject } from './_lib/roadmap-schema.js';
+import { analyzerFormSchema, buildAnalysisRepairPrompt, validateAnalysis } from './_lib/analysis-schema.js';
+import type { LlmMessage } from './_lib/llm.js';
+
+// Same usage bucket and repair budget as the Express route
+const ANALYZER_TOOL = 'elev8';
+const ANALYZER_LIMIT_MESSAGE = 'You have reached your 30-report limit for the Elev8 Analyzer soft launch. Please upgrade to continue.';
+const MAX_ANALYSIS_REPAIR_ATTEMPTS = 2;
+
+const ANALYZER_EVENT_SOURCE = { tool: ANALYZER_TOOL, endpoint: '/api/analyze', task: 'analyze' };
+
+// Main handler for /api/analyze (Elev8 Analyzer business diagnostic)
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const origin = req.headers.origin as string | undefined;
+  setCORS(res, origin);
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const parsed = analyzerFormSchema.safeParse(req.body?.formData);
+  if (!parsed.success) {
+    return res.status(400).json({
+      error: 'Business name, industry, revenue range and employee count are required.',
+    });
+  }
+  // Required fields are checked above; zod infers every field as optional without strict mode
+  const formData = parsed.data as DiagnosticPromptVars;
+
+  // Check 30-report usage limit BEFORE generation (soft launch protection)
+  const usageCheck = await checkUsageLimit(req, ANALYZER_TOOL);
+  if (!usageCheck.allowed) {
+    console.log(`[Vercel] /api/analyze - Request blocked: usage limit reached for ${ANALYZER_TOOL} (${usageCheck.count}/30)`);
+    return res.status(429).json({
+      error: ANALYZER_LIMIT_MESSAGE,
+      limitReached: true,
+      count: usageCheck.count,
+      limit: 30,
+      tool: ANALYZER_TOOL
+    });
+  }
+
+  try {
+    console.log(`[Vercel] /api/analyze - Analyzing ${formData.businessName} (${formData.industry}) (usage: ${usageCheck.count}/30)`);
+
+    const prompts = await resolvePromptVersions(['diagnostic-system', 'diagnostic-analysis']);
+    const messages: LlmMessage[] = [
+      {
+        role: 'system',
+        content: renderPrompt('diagnostic-system', prompts['diagnostic-system'], {})
+      },
+      {
+        role: 'user',
+        content: renderPrompt('diagnostic-analysis', prompts['diagnostic-analysis'], formData),
+      },
+    ];
+
+    const ai = getLlm();
+    const complete = async (conversation: LlmMessage[]) => {
+      const startedAt = Date.now();
+      const completion = await ai.complete({ task: 'analyze', messages: conversation, json: true, maxTokens: 2000 }).catch(async (error) => {
+        await recordGenerationEvent(req, ai, ai.model, undefined, Date.now() - startedAt, false, ANALYZER_EVENT_SOURCE);
+        throw error;
+      });
+      await recordGenerationEvent(req, ai, completion.model, completion.usage, Date.now() - startedAt, true, ANALYZER_EVENT_SOURCE);
+      return completion;
+    };
+
+    let completion = await complete(messages);
+    let validation = validateAnalysis(parseJsonObject(completion.content));
+    let repairAttempts = 0;
+
+    while (!validation.success && repairAttempts < MAX_ANALYSIS_REPAIR_ATTEMPTS) {
+      repairAttempts++;
+      console.log(`[Vercel] /api/analyze - Analysis failed validation (repair ${repairAttempts}/${MAX_ANALYSIS_REPAIR_ATTEMPTS}): ${validation.issues.slice(0, 5).join('; ')}`);
+
+      completion = await complete([
+        ...messages,
+        { role: 'assistant', content: completion.content },
+        { role: 'user', content: buildAnalysisRepairPrompt(validation.issues) },
+      ]);
+      validation = validateAnalysis(parseJsonObject(completion.content));
+    }
+
+    if (!validation.success) {
+      return res.status(502).json({ error: "We couldn't complete this analysis. Please try again." });
+    }
+
+    // Increment usage counter AFTER successful generation (atomic operation with limit enforcement)
+    const incrementResult = await incrementUsage(req, ANALYZER_TOOL);
+    if (!incrementResult.success && incrementResult.limitReached) {
+      console.log(`[Vercel] /api/analyze - Request completed but limit reached during increment: ${incrementResult.count}/30`);
+      return res.status(429).json({
+        error: ANALYZER_LIMIT_MESSAGE,
+        limitReached: true,
+        count: incrementResult.count,
+        limit: 30,
+        tool: ANALYZER_TOOL
+      });
+    }
+
+    console.log('[Vercel] /api/analyze - Analysis generated successfully');
+
+    return res.status(200).json({
+      success: true,
+      analysis: validation.data,
+      meta: { repairAttempts, promptVersions: prompts },
+    });
+  } catch (error: any) {
+    console.error('[Vercel] /api/analyze - Error:', error);
+
+    return res.status(500).json({
+      error: "We couldn't complete this analysis. Please try again.",
+      ...(process.env.NODE_ENV !== 'production' && { debug: error.message })
+    });
+  }
+}
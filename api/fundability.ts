@@ -0,0 +1,67 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { withLedgerMetrics } from './_lib/tradeline-ledger.js';
+import { fundabilityInputSchema, scoreFundability } from './_lib/fundability.js';
+
+// Helper for CORS
+function setCORS(res: VercelResponse, origin: string | undefined) {
+  const isDevelopment = process.env.NODE_ENV !== 'production';
+
+  const allowedOrigins = [
+    'https://credit.yourbizguru.com',
+    /https:\/\/.*\.vercel\.app$/,
+    /https:\/\/.*\.replit\.dev$/,
+  ];
+
+  if (isDevelopment && origin?.startsWith('http://localhost')) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    return;
+  }
+
+  let allowOrigin = false;
+  if (origin) {
+    allowOrigin = allowedOrigins.some(allowed => {
+      if (typeof allowed === 'string') {
+        return allowed === origin;
+      }
+      return allowed.test(origin);
+    });
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', allowOrigin && origin ? origin : 'https://credit.yourbizguru.com');
+  res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+}
+
+// Main handler for /api/fundability - scores the form data with the same model the roadmap prompt and saved reports use
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const origin = req.headers.origin as string | undefined;
+  setCORS(res, origin);
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    const parsed = fundabilityInputSchema.safeParse(withLedgerMetrics(req.body?.formData));
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: 'Invalid credit profile.',
+        details: parsed.error.issues.map(issue => `${issue.path.join('.')}: ${issue.message}`),
+      });
+    }
+
+    return res.status(200).json(scoreFundability(parsed.data));
+  } catch (error: any) {
+    console.error('Fundability error:', error);
+    return res.status(500).json({ error: 'Failed to score fundability' });
+  }
+}
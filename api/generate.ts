@@ -1,24 +1,191 @@
 import type { VercelRequest, VercelResponse } from '@vercel/node';
-import OpenAI from 'openai';
 import { getDb } from './_lib/db-serverless.js';
-import { usageTracking } from './_lib/schema.js';
-import { eq, sql } from 'drizzle-orm';
-
-// Initialize OpenAI
-let openai: OpenAI | null = null;
-function getOpenAI() {
-  if (!openai) {
-    const apiKey = process.env.OPENAI_API_KEY;
-    if (!apiKey) {
-      throw new Error('OPENAI_API_KEY is required');
+import { usageTracking, generationCache, generationEvents, promptPins, type GenerationCacheEntry, type InsertGenerationEvent } from './_lib/schema.js';
+import { PROMPT_REGISTRY, formatPromptVersions, hasPromptVersion, renderPrompt, type PromptName } from './_lib/prompt-templates.js';
+import { and, eq, sql } from 'drizzle-orm';
+import { createLlmProvider, estimateLlmCostUsd, isProviderUnavailableError, type LlmMessage, type LlmProvider, type LlmRequest, type LlmResponse, type LlmUsage } from './_lib/llm.js';
+import { VENDOR_CATALOG_VERSION, matchVendors } from './_lib/vendor-catalog.js';
+import { CARD_CATALOG, CARD_CATALOG_VERSION, matchCards } from './_lib/card-catalog.js';
+import { countRecentInquiries, parseCreditActivity, planCardApplications } from './_lib/card-sequencing.js';
+import { describeLedger, parseLedger, withLedgerMetrics } from './_lib/tradeline-ledger.js';
+import { scoreFormData } from './_lib/fundability.js';
+import {
+  CREDIT_ROADMAP_SECTIONS,
+  applyRoadmapDefaults,
+  buildRoadmapRepairPrompt,
+  parseJsonObject,
+  validateRoadmap,
+  type CreditRoadmap,
+  type CreditRoadmapSection,
+} from './_lib/roadmap-schema.js';
+import { buildGenerationCacheKey, getGenerationCacheTtlMinutes } from './_lib/generation-cache-key.js';
+import { buildRuleBasedRoadmap, type CreditProfileInput } from './_lib/roadmap-rules.js';
+
+// Initialize LLM provider lazily (LLM_PROVIDER / LLM_MODEL - see _lib/llm.ts)
+let llm: LlmProvider | null = null;
+export function getLlm() {
+  if (!llm) {
+    llm = createLlmProvider();
+  }
+  return llm;
+}
+
+// Which tool, endpoint and task a generation event is recorded against
+export interface GenerationEventSource {
+  tool: string;
+  endpoint: string;
+  task: string;
+}
+
+export const ROADMAP_EVENT_SOURCE: GenerationEventSource = { tool: 'creditcommander', endpoint: '/api/generate', task: 'roadmap' };
+
+// Record token usage and estimated cost for one AI call (fail open - never blocks generation)
+export async function recordGenerationEvent(req: VercelRequest, ai: LlmProvider, model: string, usage: LlmUsage | undefined, latencyMs: number, success: boolean, source: GenerationEventSource = ROADMAP_EVENT_SOURCE) {
+  try {
+    const tokens = usage || { promptTokens: 0, completionTokens: 0 };
+    const event: InsertGenerationEvent = {
+      tool: source.tool,
+      endpoint: source.endpoint,
+      task: source.task,
+      provider: ai.name,
+      model,
+      promptTokens: tokens.promptTokens,
+      completionTokens: tokens.completionTokens,
+      latencyMs,
+      estimatedCostUsd: estimateLlmCostUsd(model, tokens),
+      userId: req.headers['x-client-id'] ? `anon_${req.headers['x-client-id']}` : null,
+      ipAddress: getClientIp(req),
+      success,
+    };
+
+    const db = getDb();
+    await db.insert(generationEvents).values(event);
+  } catch (error) {
+    console.error('[Costs] Error recording generation event:', error);
+  }
+}
+
+// Provider for one request that records a generation event for each complete/stream call
+// (same accounting as trackLlmUsage in server/generation-events.ts)
+export function getTrackedLlm(req: VercelRequest, source: GenerationEventSource = ROADMAP_EVENT_SOURCE): LlmProvider {
+  const ai = getLlm();
+
+  return {
+    name: ai.name,
+    model: ai.model,
+
+    async complete(request: LlmRequest): Promise<LlmResponse> {
+      const startedAt = Date.now();
+      try {
+        const response = await ai.complete(request);
+        await recordGenerationEvent(req, ai, response.model, response.usage, Date.now() - startedAt, true, source);
+        return response;
+      } catch (error) {
+        await recordGenerationEvent(req, ai, ai.model, undefined, Date.now() - startedAt, false, source);
+        throw error;
+      }
+    },
+
+    async *stream(request: LlmRequest): AsyncIterable<string> {
+      const startedAt = Date.now();
+      let usage: LlmUsage | undefined;
+      let success = false;
+
+      try {
+        yield* ai.stream({
+          ...request,
+          onUsage: (reported) => {
+            usage = reported;
+            request.onUsage?.(reported);
+          },
+        });
+        success = true;
+      } finally {
+        // Also runs when the client disconnects mid-stream - tokens were still spent
+        await recordGenerationEvent(req, ai, ai.model, usage, Date.now() - startedAt, success, source);
+      }
+    },
+  };
+}
+
+// Prompt versions to use: operator pin from prompt_pins, otherwise the registry default (fails open to defaults)
+export async function resolvePromptVersions<N extends PromptName>(names: N[]): Promise<Record<N, string>> {
+  const versions = {} as Record<N, string>;
+  for (const name of names) {
+    versions[name] = PROMPT_REGISTRY[name].defaultVersion;
+  }
+
+  try {
+    const db = getDb();
+    const pins = await db.select().from(promptPins);
+    for (const pin of pins) {
+      const name = pin.name as N;
+      if (names.includes(name) && hasPromptVersion(name, pin.version)) {
+        versions[name] = pin.version;
+      }
     }
-    openai = new OpenAI({ apiKey: apiKey.replace(/\s+/g, '').trim() });
+  } catch (error) {
+    console.error('[Prompts] Error loading prompt pins:', error);
+  }
+
+  return versions;
+}
+
+// Cached roadmap stored within the TTL window, same table and rules as server/generation-cache.ts (fails open on DB errors)
+export async function getCachedRoadmap(cacheKey: string): Promise<{ roadmap: Record<string, unknown>; meta: Record<string, unknown>; createdAt: Date } | null> {
+  const ttlMinutes = getGenerationCacheTtlMinutes();
+  if (ttlMinutes <= 0) return null;
+
+  try {
+    const db = getDb();
+    const [entry] = await db
+      .select()
+      .from(generationCache)
+      .where(eq(generationCache.cacheKey, cacheKey))
+      .limit(1);
+
+    if (!entry) return null;
+
+    const ageMs = Date.now() - new Date(entry.createdAt).getTime();
+    if (ageMs > ttlMinutes * 60 * 1000) return null;
+
+    await db.execute(sql`UPDATE generation_cache SET hit_count = hit_count + 1 WHERE id = ${entry.id}`);
+
+    return {
+      roadmap: entry.roadmap as Record<string, unknown>,
+      meta: (entry.meta as Record<string, unknown>) || {},
+      createdAt: entry.createdAt,
+    };
+  } catch (error) {
+    console.error('[Cache] Error reading generation cache:', error);
+    return null;
+  }
+}
+
+// Store (or refresh) a generated roadmap under its cache key
+// Rows are typed from the select type - the insert types drizzle infers without strictNullChecks drop defaulted columns
+export async function storeCachedRoadmap(entry: Pick<GenerationCacheEntry, 'cacheKey' | 'promptVersion' | 'model' | 'roadmap' | 'meta'>) {
+  const row: Pick<GenerationCacheEntry, 'cacheKey' | 'tool' | 'promptVersion' | 'model' | 'roadmap' | 'meta'> = { ...entry, tool: 'creditcommander' };
+  const refresh: Pick<GenerationCacheEntry, 'roadmap' | 'meta' | 'hitCount' | 'createdAt'> = {
+    roadmap: entry.roadmap,
+    meta: entry.meta,
+    hitCount: 0,
+    createdAt: new Date(),
+  };
+
+  try {
+    const db = getDb();
+    await db
+      .insert(generationCache)
+      .values(row)
+      .onConflictDoUpdate({ target: generationCache.cacheKey, set: refresh });
+  } catch (error) {
+    console.error('[Cache] Error writing generation cache:', error);
   }
-  return openai;
 }
 
 // Get client IP address from request
-function getClientIp(req: VercelRequest): string {
+export function getClientIp(req: VercelRequest): string {
   const forwarded = req.headers['x-forwarded-for'];
   const ip = forwarded
     ? (typeof forwarded === 'string' ? forwarded.split(',')[0] : forwarded[0])
@@ -27,8 +194,15 @@ function getClientIp(req: VercelRequest): string {
   return typeof ip === 'string' ? ip.trim() : 'unknown';
 }
 
-// Check usage limit (read-only check before generation)
-async function checkUsageLimit(req: VercelRequest): Promise<{ allowed: boolean; count: number }> {
+// Usage rows matching this IP, narrowed to one tool's bucket when a tool is given
+function usageWhere(ipAddress: string, tool?: string) {
+  return tool
+    ? and(eq(usageTracking.ipAddress, ipAddress), eq(usageTracking.tool, tool))
+    : eq(usageTracking.ipAddress, ipAddress);
+}
+
+// Check usage limit (read-only check before generation) - pass a tool to check that tool's own bucket
+export async function checkUsageLimit(req: VercelRequest, tool?: string): Promise<{ allowed: boolean; count: number }> {
   try {
     const ipAddress = getClientIp(req);
     
@@ -43,7 +217,7 @@ async function checkUsageLimit(req: VercelRequest): Promise<{ allowed: boolean;
     const existing = await db
       .select()
       .from(usageTracking)
-      .where(eq(usageTracking.ipAddress, ipAddress))
+      .where(usageWhere(ipAddress, tool))
       .limit(1);
 
     const currentCount = existing.length > 0 ? existing[0].reportCount : 0;
@@ -64,7 +238,7 @@ async function checkUsageLimit(req: VercelRequest): Promise<{ allowed: boolean;
 }
 
 // Increment usage after successful generation (atomic with limit enforcement)
-async function incrementUsage(req: VercelRequest): Promise<{ success: boolean; count: number; limitReached?: boolean }> {
+export async function incrementUsage(req: VercelRequest, tool?: string): Promise<{ success: boolean; count: number; limitReached?: boolean }> {
   try {
     const ipAddress = getClientIp(req);
     
@@ -83,7 +257,7 @@ async function incrementUsage(req: VercelRequest): Promise<{ success: boolean; c
         reportCount: sql`${usageTracking.reportCount} + 1`,
         lastUpdated: new Date(),
       })
-      .where(sql`${usageTracking.ipAddress} = ${ipAddress} AND ${usageTracking.reportCount} < 30`)
+      .where(and(usageWhere(ipAddress, tool), sql`${usageTracking.reportCount} < 30`))
       .returning();
 
     if (updated.length > 0) {
@@ -96,7 +270,7 @@ async function incrementUsage(req: VercelRequest): Promise<{ success: boolean; c
     const existing = await db
       .select()
       .from(usageTracking)
-      .where(eq(usageTracking.ipAddress, ipAddress))
+      .where(usageWhere(ipAddress, tool))
       .limit(1);
 
     if (existing.length > 0) {
@@ -110,6 +284,7 @@ async function incrementUsage(req: VercelRequest): Promise<{ success: boolean; c
       .insert(usageTracking)
       .values({
         ipAddress,
+        ...(tool && { tool }),
         reportCount: 1,
       })
       .returning();
@@ -124,7 +299,7 @@ async function incrementUsage(req: VercelRequest): Promise<{ success: boolean; c
 }
 
 // Helper for CORS (production-locked with development support)
-function setCORS(res: VercelResponse, origin: string | undefined) {
+export function setCORS(res: VercelResponse, origin: string | undefined) {
   const isDevelopment = process.env.NODE_ENV !== 'production';
   
   const allowedOrigins = [
@@ -158,235 +333,426 @@ function setCORS(res: VercelResponse, origin: string | undefined) {
   res.setHeader('Access-Control-Allow-Credentials', 'true');
 }
 
-// Main handler for /api/generate
-export default async function handler(req: VercelRequest, res: VercelResponse) {
-  const origin = req.headers.origin as string | undefined;
-  setCORS(res, origin);
+// Vendor and card picks come from the catalogs and the card dates from the application planner;
+// the model only writes around them
+export function buildCatalogPicks(formData: any) {
+  const { startDate, annualRevenue, utilization, tradeLines, latePayments, ownerFico, creditHistory, recentInquiries } = formData;
+
+  const creditActivity = parseCreditActivity(formData);
+  const inquiryCount = countRecentInquiries(creditActivity, Number(recentInquiries) || 0);
+  const vendorPicks = matchVendors({
+    startDate: String(startDate || ''),
+    ownerFico: Number(ownerFico) || 0,
+    tradeLines: Number(tradeLines) || 0,
+    latePayments: Number(latePayments) || 0,
+  });
+  const cardPicks = planCardApplications(matchCards({
+    ownerFico: Number(ownerFico) || 0,
+    tradeLines: Number(tradeLines) || 0,
+    creditHistory: Number(creditHistory) || 0,
+    latePayments: Number(latePayments) || 0,
+    utilization: Number(utilization) || 0,
+    annualRevenue: annualRevenue ? String(annualRevenue) : '',
+    recentInquiries: inquiryCount,
+  }), CARD_CATALOG, creditActivity, {
+    reportedInquiries: Number(recentInquiries) || 0,
+    // One statement cycle for lower balances to report before the first application
+    startDelayDays: (Number(utilization) || 0) > 30 ? 30 : 0,
+  }).cards;
+
+  return { creditActivity, inquiryCount, vendorPicks, cardPicks };
+}
 
-  // Always set JSON content type
-  res.setHeader('Content-Type', 'application/json');
+// Credit roadmap prompt plus the catalog vendor and card picks it was written around - shared by
+// /api/generate and /api/generate/section
+export function buildRoadmapPrompt(formData: any, prompts: Record<'credit-roadmap', string>) {
+  const {
+    businessName,
+    ein,
+    entityType,
+    state,
+    startDate,
+    annualRevenue,
+    utilization,
+    tradeLines,
+    latePayments,
+    derogatories,
+    ownerFico,
+    creditHistory,
+    recentInquiries,
+    fundingGoal,
+    targetLimit,
+    timeframe,
+    ledger,
+    averageAccountAge
+  } = formData;
+
+  const notSpecified = (value: unknown) => value === undefined || value === null || value === '' ? 'Not specified' : value as string | number;
+  const { creditActivity, inquiryCount, vendorPicks, cardPicks } = buildCatalogPicks(formData);
+  const prompt = renderPrompt('credit-roadmap', prompts['credit-roadmap'], {
+    businessName,
+    ein: ein ? String(ein) : 'Not provided',
+    entityType,
+    state,
+    startDate: String(notSpecified(startDate)),
+    utilization: notSpecified(utilization),
+    tradeLines: notSpecified(tradeLines),
+    annualRevenue: String(notSpecified(annualRevenue)),
+    latePayments: notSpecified(latePayments),
+    derogatories,
+    ownerFico: notSpecified(ownerFico),
+    creditHistory: notSpecified(creditHistory),
+    // "Not provided" only when the owner left both the count and the inquiry list empty
+    recentInquiries: (recentInquiries === undefined || recentInquiries === '') && creditActivity.inquiries.length === 0 ? recentInquiries : inquiryCount,
+    fundingGoal: String(notSpecified(fundingGoal)),
+    targetLimit: String(notSpecified(targetLimit)),
+    timeframe: String(notSpecified(timeframe)),
+    vendorPicks,
+    cardPicks,
+    ledger: describeLedger(parseLedger(ledger)),
+    averageAccountAge,
+    fundability: scoreFormData(formData) ?? undefined,
+  });
+
+  return { prompt, vendorPicks, cardPicks };
+}
 
-  // Handle OPTIONS for CORS preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).end();
+export type RoadmapPromptVersions = Record<'credit-system' | 'credit-roadmap', string>;
+
+type GenerationMode = 'ai' | 'rules-only';
+
+const MAX_ROADMAP_REPAIR_ATTEMPTS = 2;
+
+const ROADMAP_LIMIT_MESSAGE = 'You have reached your 30-report limit for Credit Commander. Please contact support to continue.';
+
+const CATALOG_VERSIONS = { vendorCatalogVersion: VENDOR_CATALOG_VERSION, cardCatalogVersion: CARD_CATALOG_VERSION };
+
+type CachedRoadmap = NonNullable<Awaited<ReturnType<typeof getCachedRoadmap>>>;
+
+// Form, cache and usage checks shared by /api/generate and /api/generate/stream: the form data and prompt
+// versions to generate with (or the cached roadmap to return), otherwise the response to send instead
+export async function prepareRoadmapRequest(req: VercelRequest): Promise<
+  { formData: any; prompts: RoadmapPromptVersions; cacheKey: string; cached: CachedRoadmap | null; usageCount: number | null } | { error: { status: number; body: any } }
+> {
+  // Utilization and trade lines come from the account ledger when one is submitted
+  const formData = withLedgerMetrics((req.body as any)?.formData);
+  const forceFresh = (req.body as any)?.forceFresh === true;
+
+  if (!formData) {
+    console.error('[Vercel] /api/generate - Missing formData');
+    return { error: { status: 400, body: { error: 'formData is required' } } };
   }
 
-  // Only POST allowed
-  if (req.method !== 'POST') {
-    return res.status(405).json({ error: 'Method not allowed' });
+  const { businessName, entityType, state, fundingGoal, timeframe } = formData;
+
+  // Validate required fields for Credit Commander
+  if (!businessName || !entityType || !state) {
+    return { error: { status: 400, body: {
+      error: "Business name, entity type, and state are required to generate your credit roadmap.",
+    } } };
   }
 
-  // Check 30-report usage limit BEFORE generation (soft launch protection)
+  console.log('[Vercel] /api/generate - Credit roadmap data:', {
+    businessName,
+    entityType,
+    state,
+    fundingGoal,
+    timeframe
+  });
+
+  // Same registered prompt templates as the Express server (pinned versions honored)
+  const prompts = await resolvePromptVersions(['credit-system', 'credit-roadmap']);
+
+  // Repeat submissions inside the cache window get the stored roadmap (same key as the Express server);
+  // a catalog update changes the key, so roadmaps never show stale vendor or card terms
+  const cacheKey = buildGenerationCacheKey(formData, `${formatPromptVersions(prompts)},${formatPromptVersions(CATALOG_VERSIONS)}`, getLlm().model);
+  const cached = forceFresh ? null : await getCachedRoadmap(cacheKey);
+  if (cached) {
+    console.log(`[Vercel] /api/generate - Returning cached roadmap for: ${businessName}`);
+    return { formData, prompts, cacheKey, cached, usageCount: null };
+  }
+
+  // Check 30-report usage limit BEFORE generation (soft launch protection) - cache hits use no report credit
   const usageCheck = await checkUsageLimit(req);
   if (!usageCheck.allowed) {
     console.log(`[Vercel] /api/generate - Request blocked: usage limit reached (${usageCheck.count}/30)`);
-    return res.status(429).json({
-      error: 'You have reached your 30-report limit for Credit Commander. Please contact support to continue.',
+    return { error: { status: 429, body: {
+      error: ROADMAP_LIMIT_MESSAGE,
       limitReached: true,
       count: usageCheck.count,
       limit: 30
-    });
+    } } };
   }
 
-  try {
-    console.log(`[Vercel] /api/generate - Starting credit roadmap generation (usage: ${usageCheck.count}/30)`);
-    
-    const { formData } = req.body as any;
-    
-    if (!formData) {
-      console.error('[Vercel] /api/generate - Missing formData');
-      return res.status(400).json({ error: 'formData is required' });
-    }
-
-    const {
-      businessName,
-      ein,
-      entityType,
-      state,
-      startDate,
-      annualRevenue,
-      utilization,
-      tradeLines,
-      latePayments,
-      derogatories,
-      ownerFico,
-      creditHistory,
-      fundingGoal,
-      targetLimit,
-      timeframe
-    } = formData;
-
-    // Validate required fields for Credit Commander
-    if (!businessName || !entityType || !state) {
-      return res.status(400).json({
-        error: "Business name, entity type, and state are required to generate your credit roadmap.",
-      });
-    }
-
-    console.log('[Vercel] /api/generate - Credit roadmap data:', {
-      businessName,
-      entityType,
-      state,
-      fundingGoal,
-      timeframe
-    });
+  return { formData, prompts, cacheKey, cached: null, usageCount: usageCheck.count };
+}
 
-    // Initialize OpenAI client
-    const ai = getOpenAI();
+// Stored roadmap as returned to the client, flagged so the UI can offer a fresh generation
+export function formatCachedRoadmap(cached: CachedRoadmap) {
+  const { roadmap, meta, createdAt } = cached;
+  return { roadmap, meta: { ...meta, cached: true, cachedAt: createdAt } };
+}
 
-    // Generate credit roadmap using AI
-    console.log('[Vercel] /api/generate - Generating credit roadmap with AI...');
-    
-    const creditRoadmapPrompt = `Generate a personalized business credit-building roadmap for:
-
-BUSINESS PROFILE:
-- Business Name: ${businessName}
-- Entity Type: ${entityType || 'Not specified'}
-- State: ${state || 'Not specified'}
-- EIN: ${ein ? 'Provided' : 'Not provided'}
-- Business Start Date: ${startDate || 'Not specified'}
-- Annual Revenue: ${annualRevenue || 'Not specified'}
-
-CURRENT CREDIT METRICS:
-- Credit Utilization: ${utilization || 'Not specified'}%
-- Active Trade Lines: ${tradeLines || 'Not specified'}
-- Late Payments (90 Days): ${latePayments || 'Not specified'}
-- Derogatories/Collections: ${derogatories || 'Not specified'}
-- Owner FICO Score: ${ownerFico || 'Not specified'}
-- Credit History (Years): ${creditHistory || 'Not specified'}
-
-FUNDING GOALS:
-- Funding Goal: ${fundingGoal || 'Not specified'}
-- Target Credit Limit: ${targetLimit || 'Not specified'}
-- Timeframe: ${timeframe || 'Not specified'}
-
-Generate a JSON object with these 9 sections (use markdown formatting):
-{
-  "profileSummary": "2-3 paragraphs (200-250 words) analyzing the business's current credit position, strengths, and improvement opportunities",
-  
-  "quickWins": "1-2 paragraphs listing immediate actions they can take within 30 days to boost credit signals",
-  
-  "tradeLinesPlan": "2-3 paragraphs explaining starter, net-30, and revolving tradelines strategy",
-  
-  "vendorRecommendations": [
+// System + user messages for a roadmap generation, with the catalog picks the model writes around
+export function buildRoadmapMessages(formData: any, prompts: RoadmapPromptVersions) {
+  const { prompt, vendorPicks, cardPicks } = buildRoadmapPrompt(formData, prompts);
+  const messages: LlmMessage[] = [
     {
-      "name": "Vendor name (e.g., Uline, Quill, Grainger)",
-      "approvalOdds": "High|Medium|Low",
-      "tier": "Starter|Net-30|Revolving",
-      "minFico": 0,
-      "reason": "Brief explanation why this vendor fits their profile",
-      "reportsBureaus": ["Dun & Bradstreet", "Experian", "Equifax"]
-    }
-  ],
-  
-  "cardStrategy": "2-3 paragraphs detailing business card strategy, timing, and utilization tips",
-  
-  "cardRecommendations": [
+      role: "system",
+      content: renderPrompt('credit-system', prompts['credit-system'], {})
+    },
     {
-      "name": "Card name (e.g., Amex Blue Business Plus, Chase Ink Business Cash)",
-      "issuer": "Issuer name (e.g., American Express, Chase)",
-      "approvalOdds": "High|Medium|Low",
-      "applyOrder": 1,
-      "benefits": "Key benefits and rewards structure",
-      "annualFee": "$0 or fee amount"
-    }
-  ],
-  
-  "bankingSignals": "1-2 paragraphs on banking relationships, revenue verification, and D&B/Experian profile optimization",
-  
-  "actionPlan": "A clear 30/60/90-day timeline with specific milestones for each phase (as a formatted string, not an object)",
-  
-  "riskFlags": "1-2 paragraphs identifying any red flags (late payments, derogatories, utilization) and compliance issues"
+      role: "user",
+      content: prompt,
+    },
+  ];
+
+  return { messages, vendorPicks, cardPicks };
 }
 
-CRITICAL REQUIREMENTS:
-- Be specific and actionable - reference actual data from the profile
-- Generate 3-5 vendor recommendations tailored to their credit profile and business stage
-- Generate 3-5 card recommendations in priority order (applyOrder: 1, 2, 3, etc.)
-- Match approval odds to their actual FICO score and credit history
-- Provide realistic timeframes based on current credit age
-- Use clear, direct business language
-- If information is missing, insert [Pending Input] but still provide general guidance
-- Return ONLY valid JSON, no markdown wrapper`;
+// Validate the raw AI roadmap against the shared schema, sending bounded repair prompts for invalid sections
+// (same flow as the Express server - only the sections asked for are taken from a repair reply)
+async function repairRoadmap(
+  ai: LlmProvider,
+  messages: LlmMessage[],
+  raw: Record<string, unknown> | null,
+  signal?: AbortSignal
+): Promise<{ raw: Record<string, unknown>; repairAttempts: number }> {
+  let current = raw || {};
+  let validation = raw
+    ? validateRoadmap(current)
+    : { success: false, issues: ['Response was not valid JSON'], invalidSections: [...CREDIT_ROADMAP_SECTIONS] };
+  let repairAttempts = 0;
+
+  while (!validation.success && repairAttempts < MAX_ROADMAP_REPAIR_ATTEMPTS) {
+    repairAttempts++;
+    const sections = validation.invalidSections.length > 0 ? validation.invalidSections : [...CREDIT_ROADMAP_SECTIONS];
+    console.log(`[Vercel] Roadmap failed validation (repair ${repairAttempts}/${MAX_ROADMAP_REPAIR_ATTEMPTS}): ${validation.issues.slice(0, 5).join('; ')}`);
 
     try {
-      console.log('[Vercel] /api/generate - Calling OpenAI API for credit roadmap...');
-      
-      const completion = await ai.chat.completions.create({
-        model: "gpt-4o",
+      const repair = await ai.complete({
+        task: "roadmap",
         messages: [
-          {
-            role: "system",
-            content: "You are Credit Commander, an expert business credit advisor with AI-powered capabilities. Generate personalized, actionable credit-building roadmaps that help businesses establish and improve their business credit profiles. Return valid JSON only."
-          },
-          {
-            role: "user",
-            content: creditRoadmapPrompt,
-          },
+          ...messages,
+          { role: "assistant", content: JSON.stringify(current) },
+          { role: "user", content: buildRoadmapRepairPrompt(validation.issues, sections) },
         ],
-        response_format: { type: "json_object" },
-        max_tokens: 3000,
+        json: true,
+        maxTokens: 3000,
+        signal,
       });
 
-      console.log('[Vercel] /api/generate - OpenAI API call completed');
-      
-      const aiResponse = JSON.parse(completion.choices[0].message.content || '{}');
-      
-      // Transform response to match Credit Commander frontend expectations (9 sections)
-      const response = {
-        profileSummary: aiResponse.profileSummary || 'Profile summary not generated.',
-        quickWins: aiResponse.quickWins || 'Quick wins not generated.',
-        tradeLinesPlan: aiResponse.tradeLinesPlan || 'Trade lines plan not generated.',
-        vendorRecommendations: Array.isArray(aiResponse.vendorRecommendations) 
-          ? aiResponse.vendorRecommendations 
-          : [],
-        cardStrategy: aiResponse.cardStrategy || 'Card strategy not generated.',
-        cardRecommendations: Array.isArray(aiResponse.cardRecommendations)
-          ? aiResponse.cardRecommendations
-          : [],
-        bankingSignals: aiResponse.bankingSignals || 'Banking signals not generated.',
-        actionPlan: typeof aiResponse.actionPlan === 'string' 
-          ? aiResponse.actionPlan 
-          : '30/60/90-day action plan not generated.',
-        riskFlags: aiResponse.riskFlags || 'Risk flags not generated.'
-      };
-
-      console.log('[Vercel] /api/generate - Credit roadmap generated successfully');
-
-      // Increment usage counter AFTER successful generation
-      const incrementResult = await incrementUsage(req);
-      
-      // If increment failed due to limit (race condition), reject the request
-      if (!incrementResult.success && incrementResult.limitReached) {
-        console.log(`[Express] /api/generate - Request completed but limit reached during increment: ${incrementResult.count}/30`);
-        return res.status(429).json({
-          error: 'You have reached your 30-report limit for Credit Commander. Please contact support to continue.',
-          limitReached: true,
-          count: incrementResult.count,
-          limit: 30
-        });
+      const patch = parseJsonObject(repair.content) || {};
+      for (const key of sections) {
+        if (key in patch) current = { ...current, [key]: patch[key] };
       }
+    } catch (error: any) {
+      if (signal?.aborted) throw error;
+      console.error('[Vercel] Roadmap repair request failed - using defaults for invalid sections:', error.message);
+      break;
+    }
 
-      return res.status(200).json(response);
+    validation = validateRoadmap(current);
+  }
 
-    } catch (error: any) {
-      console.error('[Vercel] /api/generate - OpenAI error:', error.message);
-      console.error('[Vercel] /api/generate - Full error:', error);
-      
-      // Return a friendly error with details for debugging
-      return res.status(500).json({ 
-        error: 'Failed to generate credit roadmap. Please try again.',
-        details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+  return { raw: current, repairAttempts };
+}
+
+// Defaults for sections the AI could not produce, so the roadmap structure never breaks
+function getRoadmapDefaults(formData: any): CreditRoadmap {
+  const { businessName, timeframe } = formData;
+
+  return {
+    profileSummary: `Credit roadmap for ${businessName}.`,
+    quickWins: 'Focus on reducing utilization and adding trade lines.',
+    tradeLinesPlan: 'Build trade lines with starter vendors.',
+    vendorRecommendations: [],
+    cardStrategy: 'Apply for business cards based on your profile.',
+    cardRecommendations: [],
+    bankingSignals: 'Optimize banking relationships and data signals.',
+    actionPlan: `Complete credit roadmap within ${timeframe}.`,
+    riskFlags: 'Address any late payments and derogatories.'
+  };
+}
+
+// Validate, repair and default-fill the AI reply (null when it was not a JSON object) into the 9 sections
+// the Credit Commander frontend expects. Vendor and card recommendations always come from the catalog picks;
+// meta.fallbackFields lists the sections that are default filler, meta.partialFields the recommendation
+// lists that had invalid items dropped
+export async function finalizeRoadmap(
+  ai: LlmProvider,
+  formData: any,
+  prompts: RoadmapPromptVersions,
+  generation: ReturnType<typeof buildRoadmapMessages>,
+  raw: Record<string, unknown> | null,
+  signal?: AbortSignal
+) {
+  const recommendations = { vendorRecommendations: generation.vendorPicks, cardRecommendations: generation.cardPicks };
+  const repaired = await repairRoadmap(ai, generation.messages, raw && { ...raw, ...recommendations }, signal);
+  const { roadmap, fallbackFields, partialFields } = applyRoadmapDefaults({ ...repaired.raw, ...recommendations }, getRoadmapDefaults(formData));
+
+  if (fallbackFields.length > 0) {
+    console.log(`[Vercel] Roadmap sections using defaults: ${fallbackFields.join(', ')}`);
+  }
+  if (partialFields.length > 0) {
+    console.log(`[Vercel] Roadmap sections with invalid items dropped: ${partialFields.join(', ')}`);
+  }
+
+  return {
+    roadmap,
+    meta: { generationMode: 'ai' as GenerationMode, fallbackFields, partialFields, repairAttempts: repaired.repairAttempts, promptVersions: prompts as RoadmapPromptVersions | null, ...CATALOG_VERSIONS },
+  };
+}
+
+// Numeric credit inputs from the form (the form posts numbers as strings), plus the recent accounts
+// and dated inquiries the card application planner works from
+function toCreditProfileInput(formData: any): CreditProfileInput {
+  const creditActivity = parseCreditActivity(formData);
+  return {
+    ...formData,
+    utilization: Number(formData.utilization) || 0,
+    tradeLines: Number(formData.tradeLines) || 0,
+    latePayments: Number(formData.latePayments) || 0,
+    ownerFico: Number(formData.ownerFico) || 0,
+    creditHistory: Number(formData.creditHistory) || 0,
+    recentInquiries: countRecentInquiries(creditActivity, Number(formData.recentInquiries) || 0),
+    creditActivity,
+  };
+}
+
+// Deterministic roadmap from the rule engine, used when the AI provider is out of quota or down
+export function buildRulesOnlyRoadmap(formData: any) {
+  const roadmap = buildRuleBasedRoadmap(toCreditProfileInput(formData));
+
+  return {
+    roadmap,
+    meta: { generationMode: 'rules-only' as GenerationMode, fallbackFields: [] as CreditRoadmapSection[], partialFields: [] as CreditRoadmapSection[], repairAttempts: 0, promptVersions: null as RoadmapPromptVersions | null, ...CATALOG_VERSIONS },
+  };
+}
+
+// Cache a finished roadmap - only complete AI output, never rules-only or default-filled results
+export async function cacheRoadmap(cacheKey: string, prompts: RoadmapPromptVersions, result: { roadmap: CreditRoadmap; meta: { generationMode: GenerationMode; fallbackFields: CreditRoadmapSection[]; partialFields: CreditRoadmapSection[] } }) {
+  if (getGenerationCacheTtlMinutes() <= 0) return;
+  if (result.meta.generationMode !== 'ai' || result.meta.fallbackFields.length > 0 || result.meta.partialFields.length > 0) return;
+
+  await storeCachedRoadmap({
+    cacheKey,
+    promptVersion: formatPromptVersions(prompts),
+    model: getLlm().model,
+    roadmap: result.roadmap,
+    meta: result.meta,
+  });
+}
+
+// Count a delivered roadmap (atomic with limit enforcement) - returns the 429 body when another request
+// used the last report in the meantime, otherwise null
+export async function countRoadmapUsage(req: VercelRequest): Promise<Record<string, unknown> | null> {
+  const incrementResult = await incrementUsage(req);
+
+  if (!incrementResult.success && incrementResult.limitReached) {
+    console.log(`[Vercel] /api/generate - Request completed but limit reached during increment: ${incrementResult.count}/30`);
+    return {
+      error: ROADMAP_LIMIT_MESSAGE,
+      limitReached: true,
+      count: incrementResult.count,
+      limit: 30
+    };
+  }
+
+  return null;
+}
+
+// Build the credit roadmap for a request as { status, body } (/api/generate)
+export async function generateRoadmap(req: VercelRequest): Promise<{ status: number; body: any }> {
+  try {
+    const prepared = await prepareRoadmapRequest(req);
+    if ('error' in prepared) {
+      return prepared.error;
+    }
+
+    const { formData, prompts, cacheKey, cached, usageCount } = prepared;
+    if (cached) {
+      const { roadmap, meta } = formatCachedRoadmap(cached);
+      return { status: 200, body: { ...roadmap, meta } };
+    }
+
+    console.log(`[Vercel] /api/generate - Starting credit roadmap generation (usage: ${usageCount}/30)`);
+
+    const ai = getTrackedLlm(req);
+    const generation = buildRoadmapMessages(formData, prompts);
+
+    let result;
+    try {
+      console.log(`[Vercel] /api/generate - Calling ${ai.name} (${ai.model}) for credit roadmap...`);
+      const completion = await ai.complete({
+        task: "roadmap",
+        messages: generation.messages,
+        json: true,
+        maxTokens: 3000,
       });
+      console.log('[Vercel] /api/generate - LLM call completed');
+
+      // A malformed reply goes through the repair prompt and defaults like any other invalid section
+      result = await finalizeRoadmap(ai, formData, prompts, generation, parseJsonObject(completion.content));
+    } catch (error: any) {
+      if (!isProviderUnavailableError(error)) {
+        console.error('[Vercel] /api/generate - LLM error:', error.message);
+        console.error('[Vercel] /api/generate - Full error:', error);
+
+        // Return a friendly error with details for debugging
+        return { status: 500, body: {
+          error: 'Failed to generate credit roadmap. Please try again.',
+          details: process.env.NODE_ENV !== 'production' ? error.message : undefined
+        } };
+      }
+
+      // Quota exhausted or provider down - still deliver a complete roadmap from the rule engine
+      console.warn(`[Vercel] /api/generate - AI unavailable (${error.code || error.status || error.message}), using rule-based roadmap`);
+      result = buildRulesOnlyRoadmap(formData);
+    }
+
+    const { roadmap, meta } = result;
+    console.log(`[Vercel] /api/generate - Credit roadmap generated successfully (${meta.generationMode})`);
+
+    // Increment usage counter AFTER successful generation
+    const limitReached = await countRoadmapUsage(req);
+    if (limitReached) {
+      return { status: 429, body: limitReached };
     }
 
+    await cacheRoadmap(cacheKey, prompts, result);
+
+    return { status: 200, body: { ...roadmap, meta } };
+
   } catch (error: any) {
     console.error('[Vercel] /api/generate - Error:', error);
     console.error('[Vercel] /api/generate - Stack:', error.stack);
     
-    return res.status(500).json({
+    return { status: 500, body: {
       error: 'Something went wrong. Please try again later.',
       ...(process.env.NODE_ENV !== 'production' && { debug: error.message })
-    });
+    } };
   }
 }
+
+// Main handler for /api/generate
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const origin = req.headers.origin as string | undefined;
+  setCORS(res, origin);
+
+  // Always set JSON content type
+  res.setHeader('Content-Type', 'application/json');
+
+  // Handle OPTIONS for CORS preflight
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  // Only POST allowed
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { status, body } = await generateRoadmap(req);
+  return res.status(status).json(body);
+}
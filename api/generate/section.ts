@@ -0,0 +1,166 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import {
+  buildCatalogPicks,
+  buildRoadmapPrompt,
+  checkUsageLimit,
+  getLlm,
+  incrementUsage,
+  recordGenerationEvent,
+  resolvePromptVersions,
+  setCORS,
+} from '../generate.js';
+import { renderPrompt } from '../_lib/prompt-templates.js';
+import { VENDOR_CATALOG_VERSION } from '../_lib/vendor-catalog.js';
+import { CARD_CATALOG_VERSION } from '../_lib/card-catalog.js';
+import { withLedgerMetrics } from '../_lib/tradeline-ledger.js';
+import {
+  CREDIT_ROADMAP_SECTIONS,
+  buildRoadmapRepairPrompt,
+  buildSectionRegenerationPrompt,
+  parseJsonObject,
+  validateRoadmapSection,
+  type CreditRoadmapSection,
+} from '../_lib/roadmap-schema.js';
+import type { LlmMessage } from '../_lib/llm.js';
+
+// Same usage bucket and repair budget as the Express route
+const SECTION_TOOL = 'creditcommander-sections';
+const SECTION_LIMIT_MESSAGE = 'You have reached your 30-section rewrite limit for the Credit Commander soft launch. Please upgrade to continue.';
+const MAX_ROADMAP_REPAIR_ATTEMPTS = 2;
+
+const SECTION_EVENT_SOURCE = { tool: SECTION_TOOL, endpoint: '/api/generate/section', task: 'roadmap' };
+
+// Main handler for /api/generate/section
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const origin = req.headers.origin as string | undefined;
+  setCORS(res, origin);
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const { roadmap, section, instructions } = req.body || {};
+  const formData = withLedgerMetrics(req.body?.formData);
+
+  try {
+    console.log(`[Vercel] /api/generate/section - Regenerating section: ${section}`);
+
+    if (!roadmap || typeof roadmap !== 'object' || Array.isArray(roadmap)) {
+      return res.status(400).json({ error: 'The existing roadmap is required.' });
+    }
+
+    if (!CREDIT_ROADMAP_SECTIONS.includes(section)) {
+      return res.status(400).json({ error: `Unknown section. Use one of: ${CREDIT_ROADMAP_SECTIONS.join(', ')}.` });
+    }
+
+    if (!formData?.businessName || !formData.entityType || !formData.state) {
+      return res.status(400).json({
+        error: 'Business name, entity type, and state are required to generate your credit roadmap.',
+      });
+    }
+
+    const catalogMeta = { vendorCatalogVersion: VENDOR_CATALOG_VERSION, cardCatalogVersion: CARD_CATALOG_VERSION };
+
+    // Vendor and card picks are deterministic - re-run the catalog matchers rather than asking the model
+    if (section === 'vendorRecommendations' || section === 'cardRecommendations') {
+      const { vendorPicks, cardPicks } = buildCatalogPicks(formData);
+      return res.status(200).json({
+        success: true,
+        section,
+        value: section === 'vendorRecommendations' ? vendorPicks : cardPicks,
+        meta: { repairAttempts: 0, promptVersions: null, ...catalogMeta },
+      });
+    }
+
+    // Check the 30-rewrite section limit BEFORE calling the model (catalog sections above are free)
+    const usageCheck = await checkUsageLimit(req, SECTION_TOOL);
+    if (!usageCheck.allowed) {
+      console.log(`[Vercel] /api/generate/section - Request blocked: usage limit reached (${usageCheck.count}/30)`);
+      return res.status(429).json({
+        error: SECTION_LIMIT_MESSAGE,
+        limitReached: true,
+        count: usageCheck.count,
+        limit: 30,
+        tool: SECTION_TOOL
+      });
+    }
+
+    const prompts = await resolvePromptVersions(['credit-system', 'credit-roadmap']);
+    const { prompt: roadmapPrompt } = buildRoadmapPrompt(formData, prompts);
+    const messages: LlmMessage[] = [
+      {
+        role: 'system',
+        content: renderPrompt('credit-system', prompts['credit-system'], {})
+      },
+      {
+        role: 'user',
+        content: buildSectionRegenerationPrompt(roadmapPrompt, roadmap, section as CreditRoadmapSection, typeof instructions === 'string' ? instructions.slice(0, 500) : undefined),
+      },
+    ];
+
+    const ai = getLlm();
+    const complete = async (conversation: LlmMessage[]) => {
+      const startedAt = Date.now();
+      const completion = await ai.complete({ task: 'roadmap', messages: conversation, json: true, maxTokens: 1500 }).catch(async (error) => {
+        await recordGenerationEvent(req, ai, ai.model, undefined, Date.now() - startedAt, false, SECTION_EVENT_SOURCE);
+        throw error;
+      });
+      await recordGenerationEvent(req, ai, completion.model, completion.usage, Date.now() - startedAt, true, SECTION_EVENT_SOURCE);
+      return completion;
+    };
+
+    let completion = await complete(messages);
+    let validation = validateRoadmapSection(section, parseJsonObject(completion.content)?.[section]);
+    let repairAttempts = 0;
+
+    while (!validation.success && repairAttempts < MAX_ROADMAP_REPAIR_ATTEMPTS) {
+      repairAttempts++;
+      console.log(`[Vercel] /api/generate/section - Section failed validation (repair ${repairAttempts}/${MAX_ROADMAP_REPAIR_ATTEMPTS}): ${validation.issues.slice(0, 5).join('; ')}`);
+
+      completion = await complete([
+        ...messages,
+        { role: 'assistant', content: completion.content },
+        { role: 'user', content: buildRoadmapRepairPrompt(validation.issues, [section]) },
+      ]);
+      validation = validateRoadmapSection(section, parseJsonObject(completion.content)?.[section]);
+    }
+
+    // Keep the existing section rather than replacing it with filler
+    if (!validation.success) {
+      return res.status(502).json({ error: "We couldn't regenerate this section. Please try again." });
+    }
+
+    const incrementResult = await incrementUsage(req, SECTION_TOOL);
+    if (!incrementResult.success && incrementResult.limitReached) {
+      console.log(`[Vercel] /api/generate/section - Request completed but limit reached during increment: ${incrementResult.count}/30`);
+      return res.status(429).json({
+        error: SECTION_LIMIT_MESSAGE,
+        limitReached: true,
+        count: incrementResult.count,
+        limit: 30,
+        tool: SECTION_TOOL
+      });
+    }
+
+    console.log(`[Vercel] /api/generate/section - Section regenerated successfully: ${section}`);
+
+    return res.status(200).json({
+      success: true,
+      section,
+      value: validation.data,
+      meta: { repairAttempts, promptVersions: prompts },
+    });
+  } catch (error: any) {
+    console.error('[Vercel] /api/generate/section - Error:', error);
+
+    return res.status(500).json({
+      error: "We couldn't regenerate this section. Please try again.",
+      ...(process.env.NODE_ENV !== 'production' && { debug: error.message })
+    });
+  }
+}
@@ -0,0 +1,147 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import {
+  ROADMAP_EVENT_SOURCE,
+  buildRoadmapMessages,
+  buildRulesOnlyRoadmap,
+  cacheRoadmap,
+  countRoadmapUsage,
+  finalizeRoadmap,
+  formatCachedRoadmap,
+  getTrackedLlm,
+  prepareRoadmapRequest,
+  setCORS,
+} from '../generate.js';
+import { JsonObjectStreamParser } from '../_lib/json-stream.js';
+import { isProviderUnavailableError } from '../_lib/llm.js';
+import { CREDIT_ROADMAP_SECTIONS, type CreditRoadmapSection } from '../_lib/roadmap-schema.js';
+
+// Main handler for /api/generate/stream
+// Same events as the Express route: "section" ({ key, value }) as each section completes, then "done"
+// ({ roadmap, meta }) or "error" ({ error })
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const origin = req.headers.origin as string | undefined;
+  setCORS(res, origin);
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  // Usage and validation errors are returned as plain JSON before the stream opens
+  let prepared: Awaited<ReturnType<typeof prepareRoadmapRequest>>;
+  try {
+    prepared = await prepareRoadmapRequest(req);
+  } catch (error: any) {
+    console.error('[Vercel] /api/generate/stream - Error:', error);
+    return res.status(500).json({ error: 'Something went wrong. Please try again later.' });
+  }
+
+  if ('error' in prepared) {
+    return res.status(prepared.error.status).json(prepared.error.body);
+  }
+
+  const { formData, prompts, cacheKey, cached, usageCount } = prepared;
+
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering so events arrive immediately
+  res.flushHeaders();
+
+  const sendEvent = (event: string, data: unknown) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+
+  // Cache hit - replay the stored roadmap as events, without counting usage
+  if (cached) {
+    const { roadmap, meta } = formatCachedRoadmap(cached);
+    for (const key of CREDIT_ROADMAP_SECTIONS) {
+      sendEvent('section', { key, value: roadmap[key] });
+    }
+    sendEvent('done', { roadmap, meta });
+    return res.end();
+  }
+
+  // Stop generating (and never count usage) if the client goes away mid-stream
+  const abortController = new AbortController();
+  let clientClosed = false;
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      clientClosed = true;
+      abortController.abort();
+    }
+  });
+
+  try {
+    console.log(`[Vercel] /api/generate/stream - Streaming credit roadmap for: ${formData.businessName} (usage: ${usageCount}/30)`);
+
+    const ai = getTrackedLlm(req, { ...ROADMAP_EVENT_SOURCE, endpoint: '/api/generate/stream' });
+    const generation = buildRoadmapMessages(formData, prompts);
+    const emitted = new Map<string, string>();
+    let result;
+
+    try {
+      const stream = ai.stream({
+        task: "roadmap",
+        messages: generation.messages,
+        json: true,
+        maxTokens: 3000,
+        signal: abortController.signal,
+      });
+
+      const parser = new JsonObjectStreamParser();
+
+      for await (const delta of stream) {
+        for (const field of parser.push(delta)) {
+          if (!CREDIT_ROADMAP_SECTIONS.includes(field.key as CreditRoadmapSection)) continue;
+          emitted.set(field.key, JSON.stringify(field.value));
+          sendEvent('section', { key: field.key, value: field.value });
+        }
+      }
+
+      if (clientClosed) return;
+
+      result = await finalizeRoadmap(ai, formData, prompts, generation, parser.finish(), abortController.signal);
+    } catch (error: any) {
+      if (clientClosed || !isProviderUnavailableError(error)) throw error;
+
+      // Quota exhausted or provider down (even mid-stream) - replace everything with the rule engine's roadmap
+      console.warn(`[Vercel] /api/generate/stream - AI unavailable (${error.code || error.status || error.message}), using rule-based roadmap`);
+      result = buildRulesOnlyRoadmap(formData);
+    }
+
+    const { roadmap, meta } = result;
+
+    // Re-send any section whose final value differs from what was streamed (catalog picks, repaired, defaulted or rules-only)
+    for (const key of CREDIT_ROADMAP_SECTIONS) {
+      if (emitted.get(key) !== JSON.stringify(roadmap[key])) {
+        sendEvent('section', { key, value: roadmap[key] });
+      }
+    }
+
+    // Count usage only once the full roadmap has been delivered
+    const limitReached = await countRoadmapUsage(req);
+    if (limitReached) {
+      sendEvent('error', limitReached);
+      return res.end();
+    }
+
+    await cacheRoadmap(cacheKey, prompts, result);
+
+    console.log('[Vercel] /api/generate/stream - Credit roadmap streamed successfully');
+    sendEvent('done', { roadmap, meta });
+    res.end();
+  } catch (error: any) {
+    if (clientClosed) {
+      console.log('[Vercel] /api/generate/stream - Client disconnected, generation aborted');
+      return;
+    }
+
+    console.error('[Vercel] /api/generate/stream - LLM error:', error);
+    sendEvent('error', { error: 'Failed to generate credit roadmap. Please try again.' });
+    res.end();
+  }
+}
@@ -2,8 +2,17 @@ import type { VercelRequest, VercelResponse } from '@vercel/node';
 import { getDb } from '../_lib/db-serverless.js';
 import { complianceReports } from '../_lib/schema.js';
 import { eq, and } from 'drizzle-orm';
+import { sanitizeHtmlContent, withReportFundability } from './save.js';
+import { z } from 'zod';
 import crypto from 'crypto';
 
+// Fields that can change after a report is saved (e.g. a regenerated roadmap section)
+const updateReportSchema = z.object({
+  htmlContent: z.string(),
+  checksum: z.string(),
+  metadata: z.unknown(),
+}).partial();
+
 // Get anonymous user ID from browser-provided client ID
 function getAnonymousUserId(req: VercelRequest): string {
   const clientId = req.headers['x-client-id'] as string;
@@ -25,7 +34,7 @@ function setCORS(res: VercelResponse, origin: string | undefined) {
 
   if (isDevelopment && origin?.startsWith('http://localhost')) {
     res.setHeader('Access-Control-Allow-Origin', origin);
-    res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, DELETE, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Client-Id');
     res.setHeader('Access-Control-Allow-Credentials', 'true');
     return;
@@ -42,7 +51,7 @@ function setCORS(res: VercelResponse, origin: string | undefined) {
   }
 
   res.setHeader('Access-Control-Allow-Origin', allowOrigin && origin ? origin : 'https://credit.yourbizguru.com');
-  res.setHeader('Access-Control-Allow-Methods', 'GET, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PATCH, DELETE, OPTIONS');
   res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Client-Id');
   res.setHeader('Access-Control-Allow-Credentials', 'true');
 }
@@ -57,7 +66,7 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
     return res.status(200).end();
   }
 
-  if (req.method !== 'GET' && req.method !== 'DELETE') {
+  if (req.method !== 'GET' && req.method !== 'PATCH' && req.method !== 'DELETE') {
     return res.status(405).json({ error: 'Method not allowed' });
   }
 
@@ -99,6 +108,42 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
       return res.status(200).json(report);
     }
 
+    if (req.method === 'PATCH') {
+      // Update a saved report's content (e.g. a regenerated roadmap section)
+      const parsed = updateReportSchema.safeParse(req.body);
+      if (!parsed.success) {
+        return res.status(400).json({ error: 'Invalid report update', details: parsed.error.errors });
+      }
+
+      const updates = parsed.data;
+      if (updates.htmlContent !== undefined) {
+        updates.htmlContent = sanitizeHtmlContent(updates.htmlContent);
+      }
+      if (updates.metadata !== undefined) {
+        updates.metadata = withReportFundability(updates.metadata);
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({ error: 'No report fields to update.' });
+      }
+
+      // Update only if owned by this client
+      const [updatedReport] = await db
+        .update(complianceReports)
+        .set(updates)
+        .where(and(
+          eq(complianceReports.id, id),
+          eq(complianceReports.userId, userId)
+        ))
+        .returning();
+
+      if (!updatedReport) {
+        return res.status(404).json({ error: 'Report not found or access denied' });
+      }
+
+      return res.status(200).json(updatedReport);
+    }
+
     if (req.method === 'DELETE') {
       // Delete report by ID
       const result = await db
@@ -0,0 +1,183 @@
+import type { VercelRequest, VercelResponse } from '@vercel/node';
+import { getDb } from '../../_lib/db-serverless.js';
+import { complianceReports, reportMessages } from '../../_lib/schema.js';
+import { CHAT_HISTORY_LIMIT, MAX_CHAT_MESSAGES_PER_REPORT, buildReportChatSystemPrompt } from '../../_lib/report-chat.js';
+import { getLlm, recordGenerationEvent } from '../../generate.js';
+import { eq, and, desc, sql } from 'drizzle-orm';
+import { z } from 'zod';
+
+const chatMessageSchema = z.string().trim().min(1).max(4000);
+
+// Get anonymous user ID from browser-provided client ID
+function getAnonymousUserId(req: VercelRequest): string {
+  const clientId = req.headers['x-client-id'] as string;
+  if (!clientId) {
+    throw new Error('X-Client-Id header is required');
+  }
+  return `anon_${clientId}`;
+}
+
+// Helper for CORS
+function setCORS(res: VercelResponse, origin: string | undefined) {
+  const isDevelopment = process.env.NODE_ENV !== 'production';
+
+  const allowedOrigins = [
+    'https://credit.yourbizguru.com',
+    /https:\/\/.*\.vercel\.app$/,
+    /https:\/\/.*\.replit\.dev$/,
+  ];
+
+  if (isDevelopment && origin?.startsWith('http://localhost')) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Client-Id');
+    res.setHeader('Access-Control-Allow-Credentials', 'true');
+    return;
+  }
+
+  let allowOrigin = false;
+  if (origin) {
+    allowOrigin = allowedOrigins.some(allowed => {
+      if (typeof allowed === 'string') {
+        return allowed === origin;
+      }
+      return allowed.test(origin);
+    });
+  }
+
+  res.setHeader('Access-Control-Allow-Origin', allowOrigin && origin ? origin : 'https://credit.yourbizguru.com');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-Client-Id');
+  res.setHeader('Access-Control-Allow-Credentials', 'true');
+}
+
+// Main handler for /api/reports/[id]/chat
+// GET returns the follow-up thread; POST answers a question grounded in the saved roadmap and form data
+export default async function handler(req: VercelRequest, res: VercelResponse) {
+  const origin = req.headers.origin as string | undefined;
+  setCORS(res, origin);
+  res.setHeader('Content-Type', 'application/json');
+
+  if (req.method === 'OPTIONS') {
+    return res.status(200).end();
+  }
+
+  if (req.method !== 'GET' && req.method !== 'POST') {
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  try {
+    // Get anonymous user ID from browser client ID (until full auth is implemented)
+    let userId;
+    try {
+      userId = getAnonymousUserId(req);
+    } catch (error: any) {
+      if (error.message === 'X-Client-Id header is required') {
+        return res.status(400).json({ error: 'X-Client-Id header is required' });
+      }
+      throw error;
+    }
+
+    const id = req.query.id as string;
+    if (!id) {
+      return res.status(400).json({ error: 'Report ID is required' });
+    }
+
+    const db = getDb();
+
+    // Only the report's owner can read or extend its thread
+    const [report] = await db
+      .select()
+      .from(complianceReports)
+      .where(and(
+        eq(complianceReports.id, id),
+        eq(complianceReports.userId, userId)
+      ));
+
+    if (!report) {
+      return res.status(404).json({ error: 'Report not found.' });
+    }
+
+    if (req.method === 'GET') {
+      const messages = await db
+        .select()
+        .from(reportMessages)
+        .where(eq(reportMessages.reportId, report.id))
+        .orderBy(reportMessages.createdAt);
+
+      return res.status(200).json({ messages });
+    }
+
+    const question = chatMessageSchema.safeParse(req.body?.message);
+    if (!question.success) {
+      return res.status(400).json({ error: 'Please enter a question (up to 4,000 characters).' });
+    }
+
+    const [{ count }] = await db
+      .select({ count: sql<number>`count(*)::int` })
+      .from(reportMessages)
+      .where(eq(reportMessages.reportId, report.id));
+
+    if (count >= MAX_CHAT_MESSAGES_PER_REPORT) {
+      return res.status(429).json({
+        error: "This report's chat has reached its message limit. Generate a new roadmap to keep asking questions.",
+      });
+    }
+
+    // Most recent messages, oldest first
+    const history = (await db
+      .select()
+      .from(reportMessages)
+      .where(eq(reportMessages.reportId, report.id))
+      .orderBy(desc(reportMessages.createdAt))
+      .limit(CHAT_HISTORY_LIMIT)).reverse();
+
+    console.log(`[Vercel] /api/reports/[id]/chat - Answering follow-up for report ${report.id} (${count} prior messages)`);
+
+    const ai = getLlm();
+    const source = { tool: report.toolkitCode || 'creditcommander', endpoint: '/api/reports/:id/chat', task: 'chat' };
+    const startedAt = Date.now();
+    const completion = await ai.complete({
+      task: 'chat',
+      messages: [
+        { role: 'system', content: buildReportChatSystemPrompt(report) },
+        ...history.map(message => ({
+          role: message.role === 'assistant' ? 'assistant' as const : 'user' as const,
+          content: message.content,
+        })),
+        { role: 'user', content: question.data },
+      ],
+      maxTokens: 600,
+    }).catch(async (error) => {
+      await recordGenerationEvent(req, ai, ai.model, undefined, Date.now() - startedAt, false, source);
+      throw error;
+    });
+    await recordGenerationEvent(req, ai, completion.model, completion.usage, Date.now() - startedAt, true, source);
+
+    const answer = completion.content.trim();
+    if (!answer) {
+      return res.status(502).json({ error: "We couldn't answer that question. Please try again." });
+    }
+
+    // Store the question and answer together so the thread never has an unanswered question
+    // Explicit timestamps keep the pair ordered (both rows would otherwise share the same now())
+    const askedAt = new Date();
+    const pair = [
+      { reportId: report.id, userId, role: 'user', content: question.data, createdAt: askedAt },
+      { reportId: report.id, userId, role: 'assistant', content: answer, createdAt: new Date(askedAt.getTime() + 1) },
+    ];
+    const saved = await db
+      .insert(reportMessages)
+      .values(pair)
+      .returning();
+
+    return res.status(200).json({ success: true, messages: saved });
+  } catch (error: any) {
+    console.error('[Vercel] /api/reports/[id]/chat - Error:', error);
+
+    return res.status(500).json({
+      error: 'Something went wrong. Please try again later.',
+      ...(process.env.NODE_ENV !== 'production' && { debug: error.message })
+    });
+  }
+}
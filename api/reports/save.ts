@@ -3,6 +3,8 @@ import { createClient } from '@supabase/supabase-js';
 import sanitizeHtml from 'sanitize-html';
 import { getDb } from '../_lib/db-serverless.js';
 import { complianceReports, insertComplianceReportSchema } from '../_lib/schema.js';
+import { withLedgerMetrics } from '../_lib/tradeline-ledger.js';
+import { scoreFormData } from '../_lib/fundability.js';
 import crypto from 'crypto';
 
 // Initialize Supabase client
@@ -14,7 +16,7 @@ const supabase = supabaseUrl && supabaseAnonKey
   : null;
 
 // Sanitize HTML content to prevent XSS
-function sanitizeHtmlContent(html: string): string {
+export function sanitizeHtmlContent(html: string): string {
   return sanitizeHtml(html, {
     allowedTags: sanitizeHtml.defaults.allowedTags.concat(['h1', 'h2', 'h3', 'h4', 'h5', 'h6']),
     allowedAttributes: {
@@ -24,6 +26,22 @@ function sanitizeHtmlContent(html: string): string {
   });
 }
 
+// Score the fundability index from the report's form data on the server (metadata may be a JSON string)
+export function withReportFundability(metadata: any): any {
+  let parsed = metadata;
+  if (typeof metadata === 'string') {
+    try {
+      parsed = JSON.parse(metadata);
+    } catch {
+      return metadata;
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || !parsed.formData) return metadata;
+
+  const withScore = { ...parsed, fundability: scoreFormData(withLedgerMetrics(parsed.formData)) };
+  return typeof metadata === 'string' ? JSON.stringify(withScore) : withScore;
+}
+
 // Get anonymous user ID from browser-provided client ID
 function getAnonymousUserId(req: VercelRequest): string {
   const clientId = req.headers['x-client-id'] as string;
@@ -131,7 +149,7 @@ export default async function handler(req: VercelRequest, res: VercelResponse) {
         htmlContent: sanitizedHtml,
         checksum,
         ownerId: data.ownerId || '',
-        metadata: data.metadata || {},
+        metadata: withReportFundability(data.metadata || {}),
       })
       .returning();
 
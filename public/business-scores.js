@@ -0,0 +1,3 @@
+// GENERATED by script/build-browser-modules.ts from shared/business-scores.ts - do not edit.
+"use strict";var CreditCommanderScores=(()=>{var y=Object.defineProperty;var C=Object.getOwnPropertyDescriptor;var I=Object.getOwnPropertyNames;var _=Object.prototype.hasOwnProperty;var A=(e,n)=>{for(var s in n)y(e,s,{get:n[s],enumerable:!0})},N=(e,n,s,t)=>{if(n&&typeof n=="object"||typeof n=="function")for(let r of I(n))!_.call(e,r)&&r!==s&&y(e,r,{get:()=>n[r],enumerable:!(t=C(n,r))||t.enumerable});return e};var E=e=>N(y({},"__esModule",{value:!0}),e);var H={};A(H,{PAYMENT_TIMING_OPTIONS:()=>v,SBSS_SBA_MINIMUM:()=>c,estimateBusinessScores:()=>q,estimateIntelliscore:()=>w,estimatePaydex:()=>T,estimateSbss:()=>$,formatScoreEstimate:()=>k,hasDerogatories:()=>x});function L(e,n=new Date){let s=new Date(e);return isNaN(s.getTime())?0:Math.max(0,(n.getFullYear()-s.getFullYear())*12+(n.getMonth()-s.getMonth()))}function O(e){var r;if(typeof e=="number")return e;if(!e)return 0;let n=String(e).replace(/,/g,"").match(/(\d+(?:\.\d+)?)\s*([kKmM])?/);if(!n)return 0;let s=parseFloat(n[1]),t=(r=n[2])==null?void 0:r.toLowerCase();return t==="k"?s*1e3:t==="m"?s*1e6:s}function P(e){return`$${Math.round(e).toLocaleString("en-US")}`}var v={early30:{label:"About 30 days early",paydex:100},early20:{label:"About 20 days early",paydex:90},onTime:{label:"On the due date",paydex:80},late15:{label:"About 15 days late",paydex:70},late30:{label:"About 30 days late",paydex:50},late60:{label:"60+ days late",paydex:40}},c=165;function d(e,n,s){return Math.max(n,Math.min(s,Math.round(e)))}function m(e,n){return`${e>=0?"+":""}${Math.round(e)} of ${n} points`}function x(e){let n=String(e||"").trim();return n!==""&&!/^(none|no|n\/?a|0|nothing|clean)\.?$/i.test(n)}function D(e){return!!e&&Object.prototype.hasOwnProperty.call(v,e)}function T(e){let n=Number(e.tradeLines)||0,s=Number(e.latePayments)||0,t=D(e.paymentTiming)?v[e.paymentTiming]:null,r=[];r.push(t?{input:"Payment timing",value:t.label,effect:`Starts the estimate at ${t.paydex}`}:{input:"Payment timing",value:"Not provided",effect:"Assumes on-time payment (80)"});let u=t?t.paydex:80,i=Math.min(30,s*8);if(r.push({input:"Late payments (90 days)",value:String(s),effect:i>0?`-${i} points`:"No effect"}),r.push({input:"Trade lines",value:String(n),effect:n>=3?"Enough reported payments to score":"D&B usually needs 3 reported payments before it scores a business"}),n<3)return{score:null,scale:"1-100",rating:"Not yet scored",status:"danger",target:"80+ (pay on or before the due date)",factors:r};let o=d(u-i,1,100);return{score:o,scale:"1-100",rating:o>=80?"Low risk":o>=50?"Moderate risk":"High risk",status:o>=80?"healthy":o>=70?"warning":"danger",target:"80+ (pay on or before the due date)",factors:r}}function w(e){let n=Number(e.tradeLines)||0,s=Number(e.utilization)||0,t=x(e.derogatories),r=s<=10?40:s<=30?32:s<=50?20:s<=75?10:0,u=n>=5?30:n>=3?20:n>=1?10:0,i=t?0:30,o=[{input:"Credit utilization",value:`${s}%`,effect:m(r,40)},{input:"Trade lines",value:String(n),effect:m(u,30)},{input:"Derogatories / collections",value:t?String(e.derogatories).trim():"None",effect:m(i,30)}];if(n===0)return{score:null,scale:"1-100",rating:"No Experian business file yet",status:"danger",target:"76+ (low risk)",factors:o};let a=d(r+u+i,1,100);return{score:a,scale:"1-100",rating:a>=76?"Low risk":a>=51?"Low-medium risk":a>=26?"Medium risk":a>=11?"High-medium risk":"High risk",status:a>=76?"healthy":a>=51?"warning":"danger",target:"76+ (low risk)",factors:o}}function $(e,n=new Date){let s=Number(e.ownerFico)||0,t=Number(e.utilization)||0,r=Number(e.latePayments)||0,u=e.startDate?L(e.startDate,n):0,i=O(e.annualRevenue),o=s>300?Math.min(120,(s-300)/550*120):0,a=[T(e).score,w(e).score].filter(f=>f!==null),B=a.length>0?a.reduce((f,M)=>f+M,0)/a.length*.6:0,R=Math.min(1,u/36)*40,S=i>=1e6?40:i>=5e5?32:i>=25e4?24:i>=1e5?16:i>0?8:0,F=t<=10?40:t<=30?30:t<=50?15:0,p=Math.min(40,r*10),g=x(e.derogatories)?30:0,h=[{input:"Owner FICO",value:s?String(s):"Not provided",effect:m(o,120)},{input:"Business scores (Paydex, Intelliscore)",value:a.length>0?a.join(" / "):"Not yet scored",effect:m(B,60)},{input:"Time in business",value:u>0?`${u} months`:"Under a month or not provided",effect:m(R,40)},{input:"Annual revenue",value:i>0?P(i):"Not provided",effect:m(S,40)},{input:"Credit utilization",value:`${t}%`,effect:m(F,40)}];p>0&&h.push({input:"Late payments (90 days)",value:String(r),effect:`-${p} points`}),g>0&&h.push({input:"Derogatories / collections",value:String(e.derogatories).trim(),effect:`-${g} points`});let b=d(o+B+R+S+F-p-g,0,300),l=[d(b-12,0,300),d(b+12,0,300)];return{score:b,range:l,scale:"0-300",rating:l[0]>=c?"Clears the SBA 7(a) prescreen":l[1]>=c?"Near the SBA 7(a) prescreen":"Below the SBA 7(a) prescreen",status:l[0]>=c?"healthy":l[1]>=c?"warning":"danger",target:`${c}+ (SBA 7(a) small loan minimum)`,factors:h}}function q(e,n=new Date){return{paydex:T(e),intelliscore:w(e),sbss:$(e,n)}}function k(e){return e.score===null?"N/A":e.range?`${e.range[0]}-${e.range[1]}`:String(e.score)}return E(H);})();
+window.estimateBusinessScores=CreditCommanderScores.estimateBusinessScores;window.formatScoreEstimate=CreditCommanderScores.formatScoreEstimate;window.PAYMENT_TIMING_OPTIONS=CreditCommanderScores.PAYMENT_TIMING_OPTIONS;
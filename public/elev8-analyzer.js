@@ -0,0 +1,352 @@
+/**
+ * Elev8 Analyzer - Business diagnostic page
+ * Sends the business profile to /api/analyze, renders the structured analysis
+ * and saves it through /api/reports/save (toolkit "elev8").
+ */
+
+// =====================================================
+// THEME MANAGER (shares the cc-theme preference with Credit Commander)
+// =====================================================
+function initTheme() {
+    const saved = localStorage.getItem('cc-theme');
+    const theme = saved || 'dark';
+    document.documentElement.setAttribute('data-theme', theme);
+    updateThemeButton(theme);
+}
+
+function toggleTheme() {
+    const cur = document.documentElement.getAttribute('data-theme') || 'dark';
+    const next = cur === 'dark' ? 'light' : 'dark';
+    document.documentElement.setAttribute('data-theme', next);
+    localStorage.setItem('cc-theme', next);
+    updateThemeButton(next);
+}
+
+function updateThemeButton(theme) {
+    const themeIcon = document.getElementById('themeIcon');
+    if (themeIcon) {
+        themeIcon.textContent = theme === 'dark' ? '🌙' : '☀️';
+    }
+}
+
+initTheme();
+
+// =====================================================
+// ELEV8 ANALYZER
+// =====================================================
+class Elev8Analyzer {
+    constructor() {
+        this.auth = window.supabaseAuth || null;
+        this.currentResult = null;
+        this.init();
+    }
+
+    init() {
+        document.getElementById('themeToggle')?.addEventListener('click', toggleTheme);
+
+        document.getElementById('toolkitForm')?.addEventListener('submit', async (e) => {
+            e.preventDefault();
+            await this.handleAnalyze();
+        });
+
+        document.getElementById('clearBtn')?.addEventListener('click', () => {
+            document.getElementById('toolkitForm')?.reset();
+        });
+        document.getElementById('saveReportBtn')?.addEventListener('click', () => this.handleSave());
+        document.getElementById('exportPdfBtn')?.addEventListener('click', () => this.handleExport());
+        document.getElementById('copyAllBtn')?.addEventListener('click', () => this.handleCopy());
+        document.getElementById('clearHistoryBtn')?.addEventListener('click', () => this.handleClearResults());
+    }
+
+    getAuthHeaders() {
+        return this.auth ? this.auth.getAuthHeaders() : {};
+    }
+
+    // ========================================================
+    // ANALYSIS
+    // ========================================================
+    collectFormData() {
+        const value = (id) => document.getElementById(id)?.value.trim() || '';
+        return {
+            businessName: value('businessName'),
+            industry: value('industry'),
+            revenueRange: value('revenueRange'),
+            creditProfile: value('creditProfile'),
+            employees: value('employees'),
+            challenges: value('challenges'),
+            goals: value('goals')
+        };
+    }
+
+    async handleAnalyze() {
+        const formData = this.collectFormData();
+        this.setLoadingState(true);
+
+        try {
+            const response = await fetch('/api/analyze', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getAuthHeaders()
+                },
+                body: JSON.stringify({ formData })
+            });
+
+            const result = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(result.error || 'We couldn\'t complete your analysis. Please try again.');
+            }
+
+            const html = this.renderAnalysisHTML(formData, result.analysis);
+            const resultsContainer = document.getElementById('resultsContainer');
+            if (resultsContainer) {
+                resultsContainer.innerHTML = html;
+            }
+
+            this.currentResult = {
+                formData,
+                analysis: result.analysis,
+                meta: result.meta || {},
+                html,
+                createdAt: new Date().toISOString(),
+                checksum: this.checksum(html)
+            };
+
+            this.showToast('Analysis generated successfully!', 'success');
+        } catch (error) {
+            console.error('Analysis error:', error);
+            this.showToast(error.message || 'We couldn\'t complete your analysis. Please try again.', 'error');
+        } finally {
+            this.setLoadingState(false);
+        }
+    }
+
+    // ========================================================
+    // RENDERING
+    // ========================================================
+    renderAnalysisHTML(formData, analysis) {
+        const esc = (value) => this.escapeHtml(value);
+        const cardStyle = 'margin-bottom: 20px; padding: 20px; border-radius: 12px; border: 1px solid rgba(var(--primary-rgb, 46, 125, 50), 0.25);';
+        const cellStyle = 'padding: 8px 10px; border: 1px solid rgba(128, 128, 128, 0.3); vertical-align: top; text-align: left;';
+        const list = (items) => `<ul style="margin: 0; padding-left: 18px;">${items.map(item => `<li>${esc(item)}</li>`).join('')}</ul>`;
+
+        const summary = analysis.executiveSummary
+            .split(/\n\s*\n/)
+            .map(paragraph => `<p>${esc(paragraph.trim())}</p>`)
+            .join('');
+
+        const swot = analysis.swot;
+        const matrixRows = analysis.riskOpportunityMatrix.map(row => `
+            <tr>
+                <td style="${cellStyle}">${esc(row.factor)}</td>
+                <td style="${cellStyle}">${esc(row.type)}</td>
+                <td style="${cellStyle}">${esc(row.impact)}</td>
+                <td style="${cellStyle}">${esc(row.priority)}</td>
+                <td style="${cellStyle}">${esc(row.action)}</td>
+            </tr>`).join('');
+
+        const recommendations = analysis.recommendations.map(item => `
+            <li style="margin-bottom: 10px;"><strong>${esc(item.title)}</strong> <em>(${esc(item.timeframe)})</em><br>${esc(item.detail)}</li>`).join('');
+
+        return `
+            <div class="analysis-report" data-testid="analysis-report">
+                <h2 style="margin-top: 0;">${esc(formData.businessName)} - Business Analysis</h2>
+                <p style="opacity: 0.8;">${esc(formData.industry)} • ${esc(formData.revenueRange)} revenue • ${esc(formData.employees)} employees</p>
+
+                <div style="${cardStyle}" data-testid="section-executive-summary">
+                    <h3>Executive Summary</h3>
+                    ${summary}
+                </div>
+
+                <div style="${cardStyle}" data-testid="section-swot">
+                    <h3>SWOT Analysis</h3>
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <thead>
+                            <tr>
+                                <th style="${cellStyle}">Strengths</th>
+                                <th style="${cellStyle}">Weaknesses</th>
+                                <th style="${cellStyle}">Opportunities</th>
+                                <th style="${cellStyle}">Threats</th>
+                            </tr>
+                        </thead>
+                        <tbody>
+                            <tr>
+                                <td style="${cellStyle}">${list(swot.strengths)}</td>
+                                <td style="${cellStyle}">${list(swot.weaknesses)}</td>
+                                <td style="${cellStyle}">${list(swot.opportunities)}</td>
+                                <td style="${cellStyle}">${list(swot.threats)}</td>
+                            </tr>
+                        </tbody>
+                    </table>
+                </div>
+
+                <div style="${cardStyle}" data-testid="section-risk-matrix">
+                    <h3>Risk &amp; Opportunity Matrix</h3>
+                    <table style="width: 100%; border-collapse: collapse;">
+                        <thead>
+                            <tr>
+                                <th style="${cellStyle}">Factor</th>
+                                <th style="${cellStyle}">Type</th>
+                                <th style="${cellStyle}">Impact</th>
+                                <th style="${cellStyle}">Priority</th>
+                                <th style="${cellStyle}">Action</th>
+                            </tr>
+                        </thead>
+                        <tbody>${matrixRows}</tbody>
+                    </table>
+                </div>
+
+                <div style="${cardStyle}" data-testid="section-recommendations">
+                    <h3>Strategic Recommendations</h3>
+                    <ol style="margin: 0; padding-left: 20px;">${recommendations}</ol>
+                </div>
+            </div>
+        `;
+    }
+
+    // ========================================================
+    // ACTIONS (Save, Export, Copy, Clear)
+    // ========================================================
+    async handleSave() {
+        if (!this.currentResult) {
+            this.showToast('Generate an analysis before saving.', 'error');
+            return;
+        }
+
+        const defaultName = `${this.currentResult.formData.businessName} Analysis`;
+        const name = prompt('Report name:', defaultName);
+        if (!name || !name.trim()) return;
+
+        try {
+            const { formData, analysis, meta, html, checksum } = this.currentResult;
+            const response = await fetch('/api/reports/save', {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getAuthHeaders()
+                },
+                body: JSON.stringify({
+                    name: name.trim(),
+                    entityName: formData.businessName,
+                    entityType: formData.industry,
+                    jurisdiction: '',
+                    filingType: 'Business Analysis',
+                    deadline: '',
+                    htmlContent: html,
+                    checksum,
+                    metadata: JSON.stringify({
+                        formData,
+                        analysis,
+                        generation: meta,
+                        promptVersions: meta.promptVersions || null
+                    }),
+                    toolkitCode: 'elev8'
+                })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || 'We couldn\'t save your report. Please try again.');
+            }
+
+            this.showToast(`Report "${name.trim()}" saved successfully!`, 'success');
+        } catch (error) {
+            console.error('Save error:', error);
+            this.showToast(error.message || 'We couldn\'t save your report. Please try again.', 'error');
+        }
+    }
+
+    handleExport() {
+        if (!this.currentResult || typeof window.exportResultToPDF !== 'function') {
+            this.showToast('Generate an analysis before exporting.', 'error');
+            return;
+        }
+        window.exportResultToPDF(this.stripHTML(this.currentResult.html));
+    }
+
+    async handleCopy() {
+        if (!this.currentResult) {
+            this.showToast('Nothing to copy yet.', 'error');
+            return;
+        }
+
+        try {
+            await navigator.clipboard.writeText(this.stripHTML(this.currentResult.html));
+            this.showToast('Analysis copied to clipboard.', 'success');
+        } catch (error) {
+            this.showToast('Copy failed. Please select the text manually.', 'error');
+        }
+    }
+
+    handleClearResults() {
+        this.currentResult = null;
+        const resultsContainer = document.getElementById('resultsContainer');
+        if (resultsContainer) {
+            resultsContainer.innerHTML = `
+                <div class="no-results" id="noResults" data-testid="text-no-results">
+                    No analysis yet. Enter your business profile and click Generate Analysis to get started.
+                </div>`;
+        }
+    }
+
+    // ========================================================
+    // HELPERS
+    // ========================================================
+    setLoadingState(loading) {
+        const submitBtn = document.getElementById('submitBtn');
+        document.getElementById('submitText')?.classList.toggle('hidden', loading);
+        document.getElementById('loadingText')?.classList.toggle('hidden', !loading);
+        if (submitBtn) submitBtn.disabled = loading;
+    }
+
+    checksum(str) {
+        let hash = 5381;
+        for (let i = 0; i < str.length; i++) {
+            hash = ((hash << 5) + hash) ^ str.charCodeAt(i);
+        }
+        return ('00000000' + (hash >>> 0).toString(16)).slice(-8);
+    }
+
+    escapeHtml(value) {
+        const div = document.createElement('div');
+        div.textContent = value == null ? '' : String(value);
+        return div.innerHTML;
+    }
+
+    stripHTML(html) {
+        const div = document.createElement('div');
+        div.innerHTML = html;
+        return (div.innerText || div.textContent || '').replace(/\n{3,}/g, '\n\n').trim();
+    }
+
+    showToast(message, type = 'info') {
+        const toast = document.createElement('div');
+        toast.className = `toast ${type}`;
+
+        const messageSpan = document.createElement('span');
+        messageSpan.className = 'toast-message';
+        messageSpan.textContent = message;
+
+        const closeBtn = document.createElement('button');
+        closeBtn.className = 'toast-close';
+        closeBtn.innerHTML = '×';
+        closeBtn.onclick = () => toast.remove();
+
+        toast.appendChild(messageSpan);
+        toast.appendChild(closeBtn);
+        document.body.appendChild(toast);
+
+        setTimeout(() => {
+            toast.style.opacity = '0';
+            toast.style.transform = 'translateX(400px)';
+            setTimeout(() => toast.remove(), 300);
+        }, 3000);
+    }
+}
+
+// =====================================================
+// INITIALIZE ON PAGE LOAD
+// =====================================================
+document.addEventListener('DOMContentLoaded', () => {
+    window.elev8Analyzer = new Elev8Analyzer();
+});
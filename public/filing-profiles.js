@@ -1,1109 +1,5 @@
-// CompliPilot Filing Profiles Library
-// Knowledge packs for structured compliance intelligence
-
-const FILING_PROFILES = {
-  // ============================================================================
-  // ANNUAL REPORT PROFILES
-  // ============================================================================
-  
-  annual_report_generic: {
-    slug: "annual_report_generic",
-    name: "Annual Report (Generic)",
-    scope: {
-      filingTypes: ["Annual Report"],
-      states: ["*"], // Fallback for all states
-      entityTypes: ["LLC", "Corporation", "S-Corporation", "C-Corporation", "LLP"]
-    },
-    checklist: [
-      {
-        id: "articles",
-        label: "Articles of Incorporation/Organization",
-        description: "Certified copy of your formation documents",
-        required: true,
-        category: "Formation Documents"
-      },
-      {
-        id: "ein",
-        label: "EIN (Employer Identification Number)",
-        description: "Federal tax identification number from IRS",
-        required: true,
-        category: "Tax Documents"
-      },
-      {
-        id: "financials",
-        label: "Financial Statements",
-        description: "Balance sheet and income statement for reporting period",
-        required: false,
-        category: "Financial Records"
-      },
-      {
-        id: "operating_agreement",
-        label: "Operating Agreement / Bylaws",
-        description: "Current governing documents",
-        required: false,
-        category: "Governance"
-      },
-      {
-        id: "registered_agent",
-        label: "Registered Agent Information",
-        description: "Current agent name and address",
-        required: true,
-        category: "Contact Information"
-      }
-    ],
-    suggestedItems: ["operating_agreement", "financials"],
-    timeline: [
-      {
-        milestone: "Gather Required Documents",
-        owner: "Business Owner",
-        offsetDays: -30,
-        notes: "Collect formation docs, EIN, and financial records"
-      },
-      {
-        milestone: "Review Filing Requirements",
-        owner: "Business Owner / Advisor",
-        offsetDays: -21,
-        notes: "Confirm state-specific requirements and fees"
-      },
-      {
-        milestone: "Prepare Draft Filing",
-        owner: "Business Owner",
-        offsetDays: -14,
-        notes: "Complete annual report form with current information"
-      },
-      {
-        milestone: "Internal Review",
-        owner: "Business Owner / Advisor",
-        offsetDays: -7,
-        notes: "Verify accuracy of all information before submission"
-      },
-      {
-        milestone: "Submit Annual Report",
-        owner: "Business Owner",
-        offsetDays: -3,
-        notes: "File online or mail to state agency with payment"
-      },
-      {
-        milestone: "Filing Deadline",
-        owner: "State Agency",
-        offsetDays: 0,
-        notes: "Late filings may incur penalties or administrative dissolution"
-      }
-    ],
-    risks: [
-      {
-        risk: "Late Filing Penalty",
-        severity: "Medium",
-        likelihood: "Medium",
-        mitigation: "Set calendar reminders 30 days before deadline; consider auto-renewal if available"
-      },
-      {
-        risk: "Administrative Dissolution",
-        severity: "High",
-        likelihood: "Low",
-        mitigation: "File at least 7 days early to account for processing delays"
-      },
-      {
-        risk: "Incorrect Information",
-        severity: "Medium",
-        likelihood: "Low",
-        mitigation: "Cross-reference with formation documents and previous filings"
-      },
-      {
-        risk: "Payment Processing Delays",
-        severity: "Low",
-        likelihood: "Medium",
-        mitigation: "Use electronic payment methods; confirm receipt within 48 hours"
-      }
-    ],
-    links: [
-      {
-        label: "State Business Portal",
-        url: "[Contact your state's Secretary of State office]",
-        description: "Official filing portal"
-      }
-    ]
-  },
-
-  annual_report_ca: {
-    slug: "annual_report_ca",
-    name: "Annual Report (California)",
-    scope: {
-      filingTypes: ["Annual Report"],
-      states: ["California", "CA"],
-      entityTypes: ["LLC", "Corporation", "S-Corporation", "C-Corporation"]
-    },
-    checklist: [
-      {
-        id: "articles",
-        label: "Articles of Incorporation/Organization",
-        description: "Original formation documents filed with California SOS",
-        required: true,
-        category: "Formation Documents"
-      },
-      {
-        id: "ein",
-        label: "EIN (Employer Identification Number)",
-        description: "Federal tax ID from IRS",
-        required: true,
-        category: "Tax Documents"
-      },
-      {
-        id: "soi",
-        label: "Statement of Information (Form SI-550/SI-350)",
-        description: "California-specific information statement",
-        required: true,
-        category: "State Requirements"
-      },
-      {
-        id: "franchise_tax",
-        label: "Franchise Tax Board Account",
-        description: "Active FTB account in good standing",
-        required: true,
-        category: "Tax Compliance"
-      },
-      {
-        id: "registered_agent",
-        label: "California Registered Agent",
-        description: "Agent with physical CA address (not PO Box)",
-        required: true,
-        category: "Contact Information"
-      },
-      {
-        id: "operating_agreement",
-        label: "Operating Agreement / Bylaws",
-        description: "Current governing documents",
-        required: false,
-        category: "Governance"
-      }
-    ],
-    suggestedItems: ["operating_agreement", "soi"],
-    timeline: [
-      {
-        milestone: "Gather CA-Specific Documents",
-        owner: "Business Owner",
-        offsetDays: -30,
-        notes: "Collect Statement of Information, FTB account info, registered agent details"
-      },
-      {
-        milestone: "Verify FTB Account Status",
-        owner: "Business Owner / CPA",
-        offsetDays: -21,
-        notes: "Ensure Franchise Tax Board account is current and in good standing"
-      },
-      {
-        milestone: "Complete Statement of Information",
-        owner: "Business Owner",
-        offsetDays: -14,
-        notes: "Fill out Form SI-550 (LLC) or SI-350 (Corp) with current data"
-      },
-      {
-        milestone: "Review and Validate",
-        owner: "Business Owner / Advisor",
-        offsetDays: -7,
-        notes: "Double-check officer/member names, addresses, and agent information"
-      },
-      {
-        milestone: "File Online via BizFile",
-        owner: "Business Owner",
-        offsetDays: -3,
-        notes: "Submit through California Secretary of State BizFile portal with $20-25 fee"
-      },
-      {
-        milestone: "California Filing Deadline",
-        owner: "CA Secretary of State",
-        offsetDays: 0,
-        notes: "Late penalty: $250 plus potential suspension of entity status"
-      }
-    ],
-    risks: [
-      {
-        risk: "FTB Suspension",
-        severity: "High",
-        likelihood: "Medium",
-        mitigation: "Verify FTB account is current before filing; resolve any outstanding tax issues"
-      },
-      {
-        risk: "Late Filing Penalty ($250)",
-        severity: "Medium",
-        likelihood: "Medium",
-        mitigation: "File at least 1 week early; set multiple calendar reminders"
-      },
-      {
-        risk: "Entity Suspension",
-        severity: "High",
-        likelihood: "Low",
-        mitigation: "Monitor compliance calendar; consider professional registered agent service"
-      },
-      {
-        risk: "Incorrect Agent Address",
-        severity: "Medium",
-        likelihood: "Low",
-        mitigation: "Confirm agent address is physical CA location, not PO Box"
-      }
-    ],
-    links: [
-      {
-        label: "California BizFile Portal",
-        url: "https://bizfileonline.sos.ca.gov/",
-        description: "Official California Secretary of State filing system"
-      },
-      {
-        label: "Franchise Tax Board",
-        url: "https://www.ftb.ca.gov/",
-        description: "Verify tax account status"
-      }
-    ]
-  },
-
-  annual_report_de: {
-    slug: "annual_report_de",
-    name: "Annual Report (Delaware)",
-    scope: {
-      filingTypes: ["Annual Report"],
-      states: ["Delaware", "DE"],
-      entityTypes: ["LLC", "Corporation", "S-Corporation", "C-Corporation"]
-    },
-    checklist: [
-      {
-        id: "articles",
-        label: "Certificate of Formation/Incorporation",
-        description: "Original Delaware formation documents",
-        required: true,
-        category: "Formation Documents"
-      },
-      {
-        id: "ein",
-        label: "EIN (Employer Identification Number)",
-        description: "Federal tax ID",
-        required: true,
-        category: "Tax Documents"
-      },
-      {
-        id: "franchise_tax",
-        label: "Delaware Franchise Tax Payment",
-        description: "Annual franchise tax must be paid",
-        required: true,
-        category: "Tax Compliance"
-      },
-      {
-        id: "registered_agent",
-        label: "Delaware Registered Agent",
-        description: "Agent with physical DE address",
-        required: true,
-        category: "Contact Information"
-      },
-      {
-        id: "file_number",
-        label: "Delaware File Number",
-        description: "7-digit file number from formation",
-        required: true,
-        category: "State Requirements"
-      }
-    ],
-    suggestedItems: ["franchise_tax"],
-    timeline: [
-      {
-        milestone: "Review Franchise Tax Calculation",
-        owner: "Business Owner / CPA",
-        offsetDays: -30,
-        notes: "Calculate franchise tax based on authorized shares or assumed par value method"
-      },
-      {
-        milestone: "Gather Delaware File Number",
-        owner: "Business Owner",
-        offsetDays: -21,
-        notes: "Locate 7-digit file number from original Certificate"
-      },
-      {
-        milestone: "Prepare Annual Report",
-        owner: "Business Owner",
-        offsetDays: -14,
-        notes: "Complete report with current officer/director information"
-      },
-      {
-        milestone: "Calculate Total Fees",
-        owner: "Business Owner / CPA",
-        offsetDays: -7,
-        notes: "Annual report fee ($50 LLC / $50+ Corp) plus franchise tax"
-      },
-      {
-        milestone: "File Online",
-        owner: "Business Owner",
-        offsetDays: -3,
-        notes: "Submit via Delaware Division of Corporations online portal"
-      },
-      {
-        milestone: "Delaware Deadline",
-        owner: "DE Division of Corporations",
-        offsetDays: 0,
-        notes: "LLC: June 1 / Corp: March 1. Late penalty: $200 + monthly interest"
-      }
-    ],
-    risks: [
-      {
-        risk: "Franchise Tax Miscalculation",
-        severity: "Medium",
-        likelihood: "Medium",
-        mitigation: "Use Delaware tax calculator; consult CPA for complex capital structures"
-      },
-      {
-        risk: "Late Filing Penalty ($200 + interest)",
-        severity: "Medium",
-        likelihood: "Low",
-        mitigation: "File at least 2 weeks before deadline; set early reminders"
-      },
-      {
-        risk: "Entity Voiding",
-        severity: "High",
-        likelihood: "Low",
-        mitigation: "Never miss 3 consecutive years; maintain current registered agent"
-      },
-      {
-        risk: "Payment Processing Delay",
-        severity: "Low",
-        likelihood: "Medium",
-        mitigation: "Use credit card payment for instant processing; avoid checks near deadline"
-      }
-    ],
-    links: [
-      {
-        label: "Delaware Division of Corporations",
-        url: "https://corp.delaware.gov/",
-        description: "Official filing portal and franchise tax calculator"
-      }
-    ]
-  },
-
-  // ============================================================================
-  // STATE TAX REGISTRATION PROFILES
-  // ============================================================================
-
-  state_tax_registration_generic: {
-    slug: "state_tax_registration_generic",
-    name: "State Tax Registration (Generic)",
-    scope: {
-      filingTypes: ["State Tax Registration"],
-      states: ["*"],
-      entityTypes: ["LLC", "Corporation", "S-Corporation", "C-Corporation", "Sole Proprietorship", "Partnership"]
-    },
-    checklist: [
-      {
-        id: "ein",
-        label: "Federal EIN",
-        description: "Employer Identification Number from IRS",
-        required: true,
-        category: "Federal Documents"
-      },
-      {
-        id: "articles",
-        label: "Formation Documents",
-        description: "Articles of Incorporation/Organization or DBA filing",
-        required: true,
-        category: "Business Documents"
-      },
-      {
-        id: "business_address",
-        label: "Physical Business Address",
-        description: "Physical location in state (not PO Box)",
-        required: true,
-        category: "Location Information"
-      },
-      {
-        id: "business_description",
-        label: "Business Activity Description",
-        description: "NAICS code and detailed description of operations",
-        required: true,
-        category: "Business Information"
-      },
-      {
-        id: "start_date",
-        label: "Business Start Date",
-        description: "Date of first business activity in state",
-        required: true,
-        category: "Business Information"
-      }
-    ],
-    suggestedItems: ["business_description", "start_date"],
-    timeline: [
-      {
-        milestone: "Determine Tax Obligations",
-        owner: "Business Owner / CPA",
-        offsetDays: -30,
-        notes: "Identify sales tax, use tax, payroll tax, and income tax requirements"
-      },
-      {
-        milestone: "Gather Registration Documents",
-        owner: "Business Owner",
-        offsetDays: -21,
-        notes: "Collect EIN, formation docs, NAICS code, business location details"
-      },
-      {
-        milestone: "Complete Registration Application",
-        owner: "Business Owner",
-        offsetDays: -14,
-        notes: "Fill out state tax agency registration forms online or paper"
-      },
-      {
-        milestone: "Review for Accuracy",
-        owner: "Business Owner / CPA",
-        offsetDays: -7,
-        notes: "Verify all tax types selected, addresses correct, and signatures obtained"
-      },
-      {
-        milestone: "Submit Registration",
-        owner: "Business Owner",
-        offsetDays: -3,
-        notes: "File with state tax agency; receive confirmation number"
-      },
-      {
-        milestone: "Registration Deadline",
-        owner: "State Tax Agency",
-        offsetDays: 0,
-        notes: "Register before starting taxable activities to avoid penalties"
-      }
-    ],
-    risks: [
-      {
-        risk: "Late Registration Penalty",
-        severity: "Medium",
-        likelihood: "High",
-        mitigation: "Register before first taxable transaction; retroactive registration may incur fines"
-      },
-      {
-        risk: "Incorrect Tax Type Selection",
-        severity: "Medium",
-        likelihood: "Medium",
-        mitigation: "Consult with CPA to identify all applicable tax obligations"
-      },
-      {
-        risk: "Nexus Determination Error",
-        severity: "High",
-        likelihood: "Low",
-        mitigation: "Review state nexus rules; consider economic nexus thresholds for remote sellers"
-      },
-      {
-        risk: "Ongoing Compliance Burden",
-        severity: "Medium",
-        likelihood: "High",
-        mitigation: "Set up quarterly/monthly filing calendar; consider using tax automation software"
-      }
-    ],
-    links: [
-      {
-        label: "State Tax Agency Portal",
-        url: "[Contact your state's Department of Revenue or Taxation]",
-        description: "Official tax registration portal"
-      }
-    ]
-  },
-
-  state_tax_registration_ca: {
-    slug: "state_tax_registration_ca",
-    name: "State Tax Registration (California)",
-    scope: {
-      filingTypes: ["State Tax Registration"],
-      states: ["California", "CA"],
-      entityTypes: ["LLC", "Corporation", "S-Corporation", "C-Corporation", "Sole Proprietorship", "Partnership"]
-    },
-    checklist: [
-      {
-        id: "ein",
-        label: "Federal EIN",
-        description: "IRS Employer Identification Number",
-        required: true,
-        category: "Federal Documents"
-      },
-      {
-        id: "articles",
-        label: "CA Formation Documents",
-        description: "Articles filed with California Secretary of State",
-        required: true,
-        category: "Business Documents"
-      },
-      {
-        id: "cdtfa_account",
-        label: "CDTFA Online Services Account",
-        description: "Create account at onlineservices.cdtfa.ca.gov",
-        required: true,
-        category: "Registration Requirements"
-      },
-      {
-        id: "naics_code",
-        label: "NAICS Business Code",
-        description: "6-digit code describing primary business activity",
-        required: true,
-        category: "Business Information"
-      },
-      {
-        id: "seller_permit",
-        label: "Seller's Permit Application",
-        description: "Required if selling tangible goods in California",
-        required: false,
-        category: "Sales Tax"
-      },
-      {
-        id: "use_tax",
-        label: "Use Tax Registration",
-        description: "Required for purchases of taxable items for business use",
-        required: false,
-        category: "Sales Tax"
-      }
-    ],
-    suggestedItems: ["seller_permit", "use_tax"],
-    timeline: [
-      {
-        milestone: "Determine Tax Nexus",
-        owner: "Business Owner / CPA",
-        offsetDays: -30,
-        notes: "Confirm if physical presence or economic nexus exists in California"
-      },
-      {
-        milestone: "Create CDTFA Account",
-        owner: "Business Owner",
-        offsetDays: -21,
-        notes: "Register at onlineservices.cdtfa.ca.gov for online access"
-      },
-      {
-        milestone: "Complete Registration Forms",
-        owner: "Business Owner",
-        offsetDays: -14,
-        notes: "Fill CDTFA-101-DMV or online registration; select applicable tax types"
-      },
-      {
-        milestone: "Gather Supporting Documents",
-        owner: "Business Owner",
-        offsetDays: -10,
-        notes: "EIN confirmation, CA formation docs, lease or property deed"
-      },
-      {
-        milestone: "Submit Registration",
-        owner: "Business Owner",
-        offsetDays: -5,
-        notes: "File online or mail to CDTFA; processing takes 5-10 business days"
-      },
-      {
-        milestone: "Begin Business Operations",
-        owner: "Business Owner",
-        offsetDays: 0,
-        notes: "Must be registered before first taxable sale or use"
-      }
-    ],
-    risks: [
-      {
-        risk: "Unregistered Sales (10% Penalty)",
-        severity: "High",
-        likelihood: "Medium",
-        mitigation: "Register immediately upon establishing nexus; never delay for convenience"
-      },
-      {
-        risk: "Security Deposit Requirement",
-        severity: "Medium",
-        likelihood: "Low",
-        mitigation: "New businesses may owe deposit equal to estimated quarterly tax; plan cash flow accordingly"
-      },
-      {
-        risk: "Incorrect Tax Type Selection",
-        severity: "Medium",
-        likelihood: "Medium",
-        mitigation: "Consult CPA to identify sales tax, use tax, and special district tax obligations"
-      },
-      {
-        risk: "Quarterly Filing Burden",
-        severity: "Low",
-        likelihood: "High",
-        mitigation: "Set up automated reminders; consider POS system with tax calculation features"
-      }
-    ],
-    links: [
-      {
-        label: "CDTFA Online Services",
-        url: "https://onlineservices.cdtfa.ca.gov/",
-        description: "California Department of Tax and Fee Administration portal"
-      },
-      {
-        label: "Seller's Permit Information",
-        url: "https://www.cdtfa.ca.gov/taxes-and-fees/sales-and-use-tax-permit.htm",
-        description: "Requirements and application process"
-      }
-    ]
-  },
-
-  // ============================================================================
-  // BOIR PROFILE
-  // ============================================================================
-
-  boir: {
-    slug: "boir",
-    name: "BOIR (Beneficial Ownership Information Report)",
-    scope: {
-      filingTypes: ["BOIR", "BOIR (Beneficial Ownership Information Report)"],
-      states: ["*"],
-      entityTypes: ["LLC", "Corporation", "S-Corporation", "C-Corporation"]
-    },
-    checklist: [
-      {
-        id: "beneficial_owners",
-        label: "Beneficial Owner Information",
-        description: "Name, DOB, address, ID for each person owning 25%+ or exercising substantial control",
-        required: true,
-        category: "Ownership Data"
-      },
-      {
-        id: "company_applicant",
-        label: "Company Applicant Details",
-        description: "Person who filed formation documents (if formed after Jan 1, 2024)",
-        required: false,
-        category: "Formation Data"
-      },
-      {
-        id: "identification_docs",
-        label: "Government-Issued ID",
-        description: "Driver's license, passport, or state ID for each beneficial owner",
-        required: true,
-        category: "Identification"
-      },
-      {
-        id: "entity_info",
-        label: "Entity Information",
-        description: "Legal name, DBA, EIN, formation jurisdiction, and address",
-        required: true,
-        category: "Business Documents"
-      },
-      {
-        id: "ownership_structure",
-        label: "Ownership Structure Chart",
-        description: "Diagram showing ownership percentages and control relationships",
-        required: false,
-        category: "Supporting Documents"
-      }
-    ],
-    suggestedItems: ["ownership_structure", "identification_docs"],
-    timeline: [
-      {
-        milestone: "Identify Beneficial Owners",
-        owner: "Business Owner / Attorney",
-        offsetDays: -30,
-        notes: "List all individuals with 25%+ ownership or substantial control"
-      },
-      {
-        milestone: "Collect ID Documents",
-        owner: "Business Owner",
-        offsetDays: -21,
-        notes: "Obtain scan/photo of driver's license or passport for each owner"
-      },
-      {
-        milestone: "Gather Entity Details",
-        owner: "Business Owner",
-        offsetDays: -14,
-        notes: "Compile legal name, EIN, formation date, jurisdiction, and registered address"
-      },
-      {
-        milestone: "Complete BOIR Form",
-        owner: "Business Owner / Attorney",
-        offsetDays: -7,
-        notes: "Fill FinCEN BOIR form with all beneficial owner and entity data"
-      },
-      {
-        milestone: "Review for Accuracy",
-        owner: "Business Owner / Attorney",
-        offsetDays: -3,
-        notes: "Verify all names, DOBs, addresses, and ID numbers are correct"
-      },
-      {
-        milestone: "File with FinCEN",
-        owner: "Business Owner",
-        offsetDays: 0,
-        notes: "Submit electronically via FinCEN BOSS portal; deadline varies by formation date"
-      }
-    ],
-    risks: [
-      {
-        risk: "Civil Penalty (Up to $500/day)",
-        severity: "High",
-        likelihood: "Medium",
-        mitigation: "File before deadline; set early reminder 60 days out"
-      },
-      {
-        risk: "Criminal Penalties (Willful Violation)",
-        severity: "High",
-        likelihood: "Low",
-        mitigation: "Never intentionally omit beneficial owners; consult attorney if uncertain"
-      },
-      {
-        risk: "Incomplete Ownership Disclosure",
-        severity: "High",
-        likelihood: "Medium",
-        mitigation: "Review all ownership tiers; include indirect owners through trusts or entities"
-      },
-      {
-        risk: "Failure to Update Changes",
-        severity: "Medium",
-        likelihood: "High",
-        mitigation: "Update BOIR within 30 days of any ownership or control changes"
-      }
-    ],
-    links: [
-      {
-        label: "FinCEN BOSS Portal",
-        url: "https://www.fincen.gov/boi",
-        description: "Official Beneficial Ownership Information Reporting portal"
-      },
-      {
-        label: "BOIR Small Entity Compliance Guide",
-        url: "https://www.fincen.gov/boi-faqs",
-        description: "FAQs and exemptions"
-      }
-    ]
-  },
-
-  // ============================================================================
-  // DBE / MBE CERTIFICATION PROFILE
-  // ============================================================================
-
-  dbe_mbe_certification: {
-    slug: "dbe_mbe_certification",
-    name: "DBE / MBE Certification",
-    scope: {
-      filingTypes: ["DBE Certification", "MBE Certification"],
-      states: ["*"],
-      entityTypes: ["LLC", "Corporation", "S-Corporation", "C-Corporation", "Sole Proprietorship"]
-    },
-    checklist: [
-      {
-        id: "personal_net_worth",
-        label: "Personal Net Worth Statement",
-        description: "Detailed financial statement showing assets, liabilities, and net worth under threshold",
-        required: true,
-        category: "Financial Documents"
-      },
-      {
-        id: "tax_returns",
-        label: "Business & Personal Tax Returns",
-        description: "Last 3 years of filed tax returns (business and owner)",
-        required: true,
-        category: "Financial Documents"
-      },
-      {
-        id: "ownership_proof",
-        label: "Ownership Documentation",
-        description: "Stock certificates, operating agreement, or partnership agreement showing 51%+ ownership",
-        required: true,
-        category: "Ownership Proof"
-      },
-      {
-        id: "control_proof",
-        label: "Control Documentation",
-        description: "Resolutions, bylaws, or agreements showing operational control by disadvantaged owner",
-        required: true,
-        category: "Control Proof"
-      },
-      {
-        id: "citizenship_proof",
-        label: "Citizenship/Residency Proof",
-        description: "Birth certificate, passport, or naturalization papers",
-        required: true,
-        category: "Identification"
-      },
-      {
-        id: "industry_expertise",
-        label: "Industry Expertise Evidence",
-        description: "Resume, licenses, prior work history demonstrating sector knowledge",
-        required: false,
-        category: "Qualifications"
-      }
-    ],
-    suggestedItems: ["industry_expertise", "control_proof"],
-    timeline: [
-      {
-        milestone: "Review Eligibility Requirements",
-        owner: "Business Owner / Consultant",
-        offsetDays: -90,
-        notes: "Confirm 51% ownership by disadvantaged individual; verify net worth limits"
-      },
-      {
-        milestone: "Gather Financial Documents",
-        owner: "Business Owner / CPA",
-        offsetDays: -75,
-        notes: "Collect 3 years tax returns, personal net worth statement, bank statements"
-      },
-      {
-        milestone: "Compile Ownership Proof",
-        owner: "Business Owner / Attorney",
-        offsetDays: -60,
-        notes: "Assemble stock certificates, operating agreement, formation documents"
-      },
-      {
-        milestone: "Document Control",
-        owner: "Business Owner / Attorney",
-        offsetDays: -45,
-        notes: "Prepare affidavits, resolutions, and organizational charts showing operational control"
-      },
-      {
-        milestone: "Complete Certification Application",
-        owner: "Business Owner / Consultant",
-        offsetDays: -30,
-        notes: "Fill state-specific DBE/MBE application with supporting documentation"
-      },
-      {
-        milestone: "Submit Application",
-        owner: "Business Owner",
-        offsetDays: -14,
-        notes: "File with state DOT or certification agency; typical review: 60-90 days"
-      },
-      {
-        milestone: "Application Deadline",
-        owner: "Certification Agency",
-        offsetDays: 0,
-        notes: "No statutory deadline, but allow 90+ days before bid submission needs"
-      }
-    ],
-    risks: [
-      {
-        risk: "Application Denial (Insufficient Control)",
-        severity: "High",
-        likelihood: "Medium",
-        mitigation: "Document day-to-day management; avoid nominee arrangements or passive ownership"
-      },
-      {
-        risk: "Net Worth Exceeds Threshold",
-        severity: "High",
-        likelihood: "Low",
-        mitigation: "Calculate net worth carefully; exclude primary residence equity per federal rules"
-      },
-      {
-        risk: "Incomplete Documentation",
-        severity: "Medium",
-        likelihood: "High",
-        mitigation: "Use certification consultant; prepare comprehensive evidence package upfront"
-      },
-      {
-        risk: "Onsite Visit Findings",
-        severity: "Medium",
-        likelihood: "Medium",
-        mitigation: "Ensure physical business location, equipment, and staff demonstrate operational control"
-      }
-    ],
-    links: [
-      {
-        label: "State DBE Certification Office",
-        url: "[Contact your state Department of Transportation]",
-        description: "State-specific DBE certification program"
-      },
-      {
-        label: "Federal DBE Program Overview",
-        url: "https://www.transportation.gov/civil-rights/disadvantaged-business-enterprise",
-        description: "USDOT DBE program guidance"
-      }
-    ]
-  },
-
-  // ============================================================================
-  // SAM REGISTRATION PROFILE
-  // ============================================================================
-
-  sam_registration: {
-    slug: "sam_registration",
-    name: "SAM.gov Registration",
-    scope: {
-      filingTypes: ["SAM Registration", "SAM.gov Registration"],
-      states: ["*"],
-      entityTypes: ["LLC", "Corporation", "S-Corporation", "C-Corporation", "Sole Proprietorship", "Partnership"]
-    },
-    checklist: [
-      {
-        id: "ein",
-        label: "EIN (Employer Identification Number)",
-        description: "Federal tax ID from IRS",
-        required: true,
-        category: "Federal Documents"
-      },
-      {
-        id: "duns",
-        label: "UEI (Unique Entity Identifier)",
-        description: "Formerly DUNS number; now auto-assigned by SAM.gov",
-        required: true,
-        category: "Federal Documents"
-      },
-      {
-        id: "bank_account",
-        label: "Bank Account Information",
-        description: "Routing and account numbers for electronic funds transfer",
-        required: true,
-        category: "Financial Information"
-      },
-      {
-        id: "naics_codes",
-        label: "NAICS Codes (up to 10)",
-        description: "6-digit codes describing your business capabilities",
-        required: true,
-        category: "Business Information"
-      },
-      {
-        id: "psc_codes",
-        label: "Product/Service Codes",
-        description: "Federal PSC codes matching your offerings",
-        required: false,
-        category: "Business Information"
-      },
-      {
-        id: "executive_info",
-        label: "Executive Compensation Data",
-        description: "Names and compensation for top 5 executives (if >$25k federal revenue)",
-        required: false,
-        category: "Financial Information"
-      },
-      {
-        id: "reps_certs",
-        label: "Representations & Certifications",
-        description: "Annual certifications about business size, ownership, and compliance",
-        required: true,
-        category: "Compliance"
-      }
-    ],
-    suggestedItems: ["psc_codes", "executive_info"],
-    timeline: [
-      {
-        milestone: "Obtain EIN",
-        owner: "Business Owner",
-        offsetDays: -45,
-        notes: "Apply for EIN via IRS if not already obtained"
-      },
-      {
-        milestone: "Create SAM.gov Account",
-        owner: "Business Owner",
-        offsetDays: -30,
-        notes: "Register at SAM.gov; receive UEI assignment (replaces DUNS)"
-      },
-      {
-        milestone: "Gather Bank & Tax Info",
-        owner: "Business Owner / CPA",
-        offsetDays: -21,
-        notes: "Collect bank routing/account, tax returns, and financial statements"
-      },
-      {
-        milestone: "Select NAICS & PSC Codes",
-        owner: "Business Owner",
-        offsetDays: -14,
-        notes: "Identify up to 10 NAICS codes that match capabilities; prioritize primary code"
-      },
-      {
-        milestone: "Complete SAM Registration",
-        owner: "Business Owner",
-        offsetDays: -7,
-        notes: "Fill entity profile, NAICS codes, banking info, and reps & certs"
-      },
-      {
-        milestone: "Submit & Await Validation",
-        owner: "SAM.gov / IRS",
-        offsetDays: 0,
-        notes: "Initial registration takes 7-10 days for IRS TIN validation"
-      },
-      {
-        milestone: "Registration Active",
-        owner: "Business Owner",
-        offsetDays: 10,
-        notes: "Status changes to Active; eligible to bid on federal contracts"
-      }
-    ],
-    risks: [
-      {
-        risk: "TIN Validation Failure",
-        severity: "High",
-        likelihood: "Medium",
-        mitigation: "Verify EIN matches IRS records exactly; resolve any IRS discrepancies first"
-      },
-      {
-        risk: "Annual Renewal Lapse",
-        severity: "High",
-        likelihood: "High",
-        mitigation: "Registration expires annually; set calendar reminder 60 days before expiration"
-      },
-      {
-        risk: "Incorrect NAICS Code Selection",
-        severity: "Medium",
-        likelihood: "Medium",
-        mitigation: "Research NAICS carefully; primary code affects small business size standards"
-      },
-      {
-        risk: "Incomplete Reps & Certs",
-        severity: "Medium",
-        likelihood: "Medium",
-        mitigation: "Answer all certification questions; update annually or when circumstances change"
-      }
-    ],
-    links: [
-      {
-        label: "SAM.gov Registration Portal",
-        url: "https://sam.gov/",
-        description: "Official System for Award Management"
-      },
-      {
-        label: "NAICS Code Lookup",
-        url: "https://www.census.gov/naics/",
-        description: "Search and identify appropriate business codes"
-      }
-    ]
-  }
-};
-
-// Profile resolver function
-function resolveFilingProfile(filingType, jurisdiction, entityType) {
-  // Normalize inputs
-  const normalizedFiling = (filingType || "").toLowerCase().trim();
-  const normalizedJurisdiction = (jurisdiction || "").toLowerCase().trim();
-  const normalizedEntity = (entityType || "").toLowerCase().trim();
-
-  // Build profile key search order (most specific to generic)
-  const searchKeys = [];
-  
-  // Check for specific filing type + jurisdiction combinations
-  if (normalizedFiling.includes("annual report")) {
-    if (normalizedJurisdiction.includes("california") || normalizedJurisdiction === "ca") {
-      searchKeys.push("annual_report_ca");
-    }
-    if (normalizedJurisdiction.includes("delaware") || normalizedJurisdiction === "de") {
-      searchKeys.push("annual_report_de");
-    }
-    searchKeys.push("annual_report_generic");
-  }
-  
-  if (normalizedFiling.includes("state tax") || normalizedFiling.includes("tax registration")) {
-    if (normalizedJurisdiction.includes("california") || normalizedJurisdiction === "ca") {
-      searchKeys.push("state_tax_registration_ca");
-    }
-    searchKeys.push("state_tax_registration_generic");
-  }
-  
-  if (normalizedFiling.includes("boir") || normalizedFiling.includes("beneficial ownership")) {
-    searchKeys.push("boir");
-  }
-  
-  if (normalizedFiling.includes("dbe") || normalizedFiling.includes("mbe") || normalizedFiling.includes("certification")) {
-    searchKeys.push("dbe_mbe_certification");
-  }
-  
-  if (normalizedFiling.includes("sam") || normalizedFiling.includes("sam.gov")) {
-    searchKeys.push("sam_registration");
-  }
-
-  // Return first matching profile
-  for (const key of searchKeys) {
-    if (FILING_PROFILES[key]) {
-      return {
-        profile: FILING_PROFILES[key],
-        isGeneric: key.includes("_generic"),
-        matchType: key.includes("_generic") ? "generic" : "specific"
-      };
-    }
-  }
-
-  // No profile found
-  return null;
-}
-
-// Export for use in other modules
-if (typeof window !== 'undefined') {
-  window.FILING_PROFILES = FILING_PROFILES;
-  window.resolveFilingProfile = resolveFilingProfile;
-}
+// GENERATED by script/build-filing-profiles.ts from shared/filing-profiles.ts - do not edit.
+"use strict";var CompliPilotProfiles=(()=>{var Ce=Object.defineProperty;var dt=Object.getOwnPropertyDescriptor;var ut=Object.getOwnPropertyNames;var ft=Object.prototype.hasOwnProperty;var pt=(n,e)=>{for(var t in e)Ce(n,t,{get:e[t],enumerable:!0})},mt=(n,e,t,r)=>{if(e&&typeof e=="object"||typeof e=="function")for(let i of ut(e))!ft.call(n,i)&&i!==t&&Ce(n,i,{get:()=>e[i],enumerable:!(r=dt(e,i))||r.enumerable});return n};var ht=n=>mt(Ce({},"__esModule",{value:!0}),n);var $n={};pt($n,{FILING_PROFILES:()=>at,FILING_PROFILE_PACKS:()=>st,entityTypeMatches:()=>ot,filingProfileSchema:()=>nt,loadFilingProfiles:()=>it,rankFilingProfiles:()=>ct,resolveFilingProfile:()=>lt,resolveProfile:()=>Zn,validateFilingProfiles:()=>rt});var b;(function(n){n.assertEqual=i=>i;function e(i){}n.assertIs=e;function t(i){throw new Error}n.assertNever=t,n.arrayToEnum=i=>{let s={};for(let o of i)s[o]=o;return s},n.getValidEnumValues=i=>{let s=n.objectKeys(i).filter(a=>typeof i[i[a]]!="number"),o={};for(let a of s)o[a]=i[a];return n.objectValues(o)},n.objectValues=i=>n.objectKeys(i).map(function(s){return i[s]}),n.objectKeys=typeof Object.keys=="function"?i=>Object.keys(i):i=>{let s=[];for(let o in i)Object.prototype.hasOwnProperty.call(i,o)&&s.push(o);return s},n.find=(i,s)=>{for(let o of i)if(s(o))return o},n.isInteger=typeof Number.isInteger=="function"?i=>Number.isInteger(i):i=>typeof i=="number"&&isFinite(i)&&Math.floor(i)===i;function r(i,s=" | "){return i.map(o=>typeof o=="string"?`'${o}'`:o).join(s)}n.joinValues=r,n.jsonStringifyReplacer=(i,s)=>typeof s=="bigint"?s.toString():s})(b||(b={}));var Te;(function(n){n.mergeShapes=(e,t)=>({...e,...t})})(Te||(Te={}));var f=b.arrayToEnum(["string","nan","number","integer","float","boolean","date","bigint","symbol","function","undefined","null","array","object","unknown","promise","void","never","map","set"]),P=n=>{switch(typeof n){case"undefined":return f.undefined;case"string":return f.string;case"number":return isNaN(n)?f.nan:f.number;case"boolean":return f.boolean;case"function":return f.function;case"bigint":return f.bigint;case"symbol":return f.symbol;case"object":return Array.isArray(n)?f.array:n===null?f.null:n.then&&typeof n.then=="function"&&n.catch&&typeof n.catch=="function"?f.promise:typeof Map!="undefined"&&n instanceof Map?f.map:typeof Set!="undefined"&&n instanceof Set?f.set:typeof Date!="undefined"&&n instanceof Date?f.date:f.object;default:return f.unknown}},c=b.arrayToEnum(["invalid_type","invalid_literal","custom","invalid_union","invalid_union_discriminator","invalid_enum_value","unrecognized_keys","invalid_arguments","invalid_return_type","invalid_date","invalid_string","too_small","too_big","invalid_intersection_types","not_multiple_of","not_finite"]),gt=n=>JSON.stringify(n,null,2).replace(/"([^"]+)":/g,"$1:"),T=class n extends Error{get errors(){return this.issues}constructor(e){super(),this.issues=[],this.addIssue=r=>{this.issues=[...this.issues,r]},this.addIssues=(r=[])=>{this.issues=[...this.issues,...r]};let t=new.target.prototype;Object.setPrototypeOf?Object.setPrototypeOf(this,t):this.__proto__=t,this.name="ZodError",this.issues=e}format(e){let t=e||function(s){return s.message},r={_errors:[]},i=s=>{for(let o of s.issues)if(o.code==="invalid_union")o.unionErrors.map(i);else if(o.code==="invalid_return_type")i(o.returnTypeError);else if(o.code==="invalid_arguments")i(o.argumentsError);else if(o.path.length===0)r._errors.push(t(o));else{let a=r,d=0;for(;d<o.path.length;){let l=o.path[d];d===o.path.length-1?(a[l]=a[l]||{_errors:[]},a[l]._errors.push(t(o))):a[l]=a[l]||{_errors:[]},a=a[l],d++}}};return i(this),r}static assert(e){if(!(e instanceof n))throw new Error(`Not a ZodError: ${e}`)}toString(){return this.message}get message(){return JSON.stringify(this.issues,b.jsonStringifyReplacer,2)}get isEmpty(){return this.issues.length===0}flatten(e=t=>t.message){let t={},r=[];for(let i of this.issues)i.path.length>0?(t[i.path[0]]=t[i.path[0]]||[],t[i.path[0]].push(e(i))):r.push(e(i));return{formErrors:r,fieldErrors:t}}get formErrors(){return this.flatten()}};T.create=n=>new T(n);var se=(n,e)=>{let t;switch(n.code){case c.invalid_type:n.received===f.undefined?t="Required":t=`Expected ${n.expected}, received ${n.received}`;break;case c.invalid_literal:t=`Invalid literal value, expected ${JSON.stringify(n.expected,b.jsonStringifyReplacer)}`;break;case c.unrecognized_keys:t=`Unrecognized key(s) in object: ${b.joinValues(n.keys,", ")}`;break;case c.invalid_union:t="Invalid input";break;case c.invalid_union_discriminator:t=`Invalid discriminator value. Expected ${b.joinValues(n.options)}`;break;case c.invalid_enum_value:t=`Invalid enum value. Expected ${b.joinValues(n.options)}, received '${n.received}'`;break;case c.invalid_arguments:t="Invalid function arguments";break;case c.invalid_return_type:t="Invalid function return type";break;case c.invalid_date:t="Invalid date";break;case c.invalid_string:typeof n.validation=="object"?"includes"in n.validation?(t=`Invalid input: must include "${n.validation.includes}"`,typeof n.validation.position=="number"&&(t=`${t} at one or more positions greater than or equal to ${n.validation.position}`)):"startsWith"in n.validation?t=`Invalid input: must start with "${n.validation.startsWith}"`:"endsWith"in n.validation?t=`Invalid input: must end with "${n.validation.endsWith}"`:b.assertNever(n.validation):n.validation!=="regex"?t=`Invalid ${n.validation}`:t="Invalid";break;case c.too_small:n.type==="array"?t=`Array must contain ${n.exact?"exactly":n.inclusive?"at least":"more than"} ${n.minimum} element(s)`:n.type==="string"?t=`String must contain ${n.exact?"exactly":n.inclusive?"at least":"over"} ${n.minimum} character(s)`:n.type==="number"?t=`Number must be ${n.exact?"exactly equal to ":n.inclusive?"greater than or equal to ":"greater than "}${n.minimum}`:n.type==="date"?t=`Date must be ${n.exact?"exactly equal to ":n.inclusive?"greater than or equal to ":"greater than "}${new Date(Number(n.minimum))}`:t="Invalid input";break;case c.too_big:n.type==="array"?t=`Array must contain ${n.exact?"exactly":n.inclusive?"at most":"less than"} ${n.maximum} element(s)`:n.type==="string"?t=`String must contain ${n.exact?"exactly":n.inclusive?"at most":"under"} ${n.maximum} character(s)`:n.type==="number"?t=`Number must be ${n.exact?"exactly":n.inclusive?"less than or equal to":"less than"} ${n.maximum}`:n.type==="bigint"?t=`BigInt must be ${n.exact?"exactly":n.inclusive?"less than or equal to":"less than"} ${n.maximum}`:n.type==="date"?t=`Date must be ${n.exact?"exactly":n.inclusive?"smaller than or equal to":"smaller than"} ${new Date(Number(n.maximum))}`:t="Invalid input";break;case c.custom:t="Invalid input";break;case c.invalid_intersection_types:t="Intersection results could not be merged";break;case c.not_multiple_of:t=`Number must be a multiple of ${n.multipleOf}`;break;case c.not_finite:t="Number must be finite";break;default:t=e.defaultError,b.assertNever(n)}return{message:t}},Be=se;function yt(n){Be=n}function ye(){return Be}var ve=n=>{let{data:e,path:t,errorMaps:r,issueData:i}=n,s=[...t,...i.path||[]],o={...i,path:s};if(i.message!==void 0)return{...i,path:s,message:i.message};let a="",d=r.filter(l=>!!l).slice().reverse();for(let l of d)a=l(o,{data:e,defaultError:a}).message;return{...i,path:s,message:a}},vt=[];function u(n,e){let t=ye(),r=ve({issueData:e,data:n.data,path:n.path,errorMaps:[n.common.contextualErrorMap,n.schemaErrorMap,t,t===se?void 0:se].filter(i=>!!i)});n.common.issues.push(r)}var x=class n{constructor(){this.value="valid"}dirty(){this.value==="valid"&&(this.value="dirty")}abort(){this.value!=="aborted"&&(this.value="aborted")}static mergeArray(e,t){let r=[];for(let i of t){if(i.status==="aborted")return g;i.status==="dirty"&&e.dirty(),r.push(i.value)}return{status:e.value,value:r}}static async mergeObjectAsync(e,t){let r=[];for(let i of t){let s=await i.key,o=await i.value;r.push({key:s,value:o})}return n.mergeObjectSync(e,r)}static mergeObjectSync(e,t){let r={};for(let i of t){let{key:s,value:o}=i;if(s.status==="aborted"||o.status==="aborted")return g;s.status==="dirty"&&e.dirty(),o.status==="dirty"&&e.dirty(),s.value!=="__proto__"&&(typeof o.value!="undefined"||i.alwaysSet)&&(r[s.value]=o.value)}return{status:e.value,value:r}}},g=Object.freeze({status:"aborted"}),ie=n=>({status:"dirty",value:n}),C=n=>({status:"valid",value:n}),Ae=n=>n.status==="aborted",Ie=n=>n.status==="dirty",$=n=>n.status==="valid",pe=n=>typeof Promise!="undefined"&&n instanceof Promise;function _e(n,e,t,r){if(t==="a"&&!r)throw new TypeError("Private accessor was defined without a getter");if(typeof e=="function"?n!==e||!r:!e.has(n))throw new TypeError("Cannot read private member from an object whose class did not declare it");return t==="m"?r:t==="a"?r.call(n):r?r.value:e.get(n)}function je(n,e,t,r,i){if(r==="m")throw new TypeError("Private method is not writable");if(r==="a"&&!i)throw new TypeError("Private accessor was defined without a setter");if(typeof e=="function"?n!==e||!i:!e.has(n))throw new TypeError("Cannot write private member to an object whose class did not declare it");return r==="a"?i.call(n,t):i?i.value=t:e.set(n,t),t}var p;(function(n){n.errToObj=e=>typeof e=="string"?{message:e}:e||{},n.toString=e=>typeof e=="string"?e:e==null?void 0:e.message})(p||(p={}));var ue,fe,O=class{constructor(e,t,r,i){this._cachedPath=[],this.parent=e,this.data=t,this._path=r,this._key=i}get path(){return this._cachedPath.length||(this._key instanceof Array?this._cachedPath.push(...this._path,...this._key):this._cachedPath.push(...this._path,this._key)),this._cachedPath}},Pe=(n,e)=>{if($(e))return{success:!0,data:e.value};if(!n.common.issues.length)throw new Error("Validation failed but no issues detected.");return{success:!1,get error(){if(this._error)return this._error;let t=new T(n.common.issues);return this._error=t,this._error}}};function y(n){if(!n)return{};let{errorMap:e,invalid_type_error:t,required_error:r,description:i}=n;if(e&&(t||r))throw new Error(`Can't use "invalid_type_error" or "required_error" in conjunction with custom error map.`);return e?{errorMap:e,description:i}:{errorMap:(o,a)=>{var d,l;let{message:m}=n;return o.code==="invalid_enum_value"?{message:m!=null?m:a.defaultError}:typeof a.data=="undefined"?{message:(d=m!=null?m:r)!==null&&d!==void 0?d:a.defaultError}:o.code!=="invalid_type"?{message:a.defaultError}:{message:(l=m!=null?m:t)!==null&&l!==void 0?l:a.defaultError}},description:i}}var v=class{get description(){return this._def.description}_getType(e){return P(e.data)}_getOrReturnCtx(e,t){return t||{common:e.parent.common,data:e.data,parsedType:P(e.data),schemaErrorMap:this._def.errorMap,path:e.path,parent:e.parent}}_processInputParams(e){return{status:new x,ctx:{common:e.parent.common,data:e.data,parsedType:P(e.data),schemaErrorMap:this._def.errorMap,path:e.path,parent:e.parent}}}_parseSync(e){let t=this._parse(e);if(pe(t))throw new Error("Synchronous parse encountered promise.");return t}_parseAsync(e){let t=this._parse(e);return Promise.resolve(t)}parse(e,t){let r=this.safeParse(e,t);if(r.success)return r.data;throw r.error}safeParse(e,t){var r;let i={common:{issues:[],async:(r=t==null?void 0:t.async)!==null&&r!==void 0?r:!1,contextualErrorMap:t==null?void 0:t.errorMap},path:(t==null?void 0:t.path)||[],schemaErrorMap:this._def.errorMap,parent:null,data:e,parsedType:P(e)},s=this._parseSync({data:e,path:i.path,parent:i});return Pe(i,s)}"~validate"(e){var t,r;let i={common:{issues:[],async:!!this["~standard"].async},path:[],schemaErrorMap:this._def.errorMap,parent:null,data:e,parsedType:P(e)};if(!this["~standard"].async)try{let s=this._parseSync({data:e,path:[],parent:i});return $(s)?{value:s.value}:{issues:i.common.issues}}catch(s){!((r=(t=s==null?void 0:s.message)===null||t===void 0?void 0:t.toLowerCase())===null||r===void 0)&&r.includes("encountered")&&(this["~standard"].async=!0),i.common={issues:[],async:!0}}return this._parseAsync({data:e,path:[],parent:i}).then(s=>$(s)?{value:s.value}:{issues:i.common.issues})}async parseAsync(e,t){let r=await this.safeParseAsync(e,t);if(r.success)return r.data;throw r.error}async safeParseAsync(e,t){let r={common:{issues:[],contextualErrorMap:t==null?void 0:t.errorMap,async:!0},path:(t==null?void 0:t.path)||[],schemaErrorMap:this._def.errorMap,parent:null,data:e,parsedType:P(e)},i=this._parse({data:e,path:r.path,parent:r}),s=await(pe(i)?i:Promise.resolve(i));return Pe(r,s)}refine(e,t){let r=i=>typeof t=="string"||typeof t=="undefined"?{message:t}:typeof t=="function"?t(i):t;return this._refinement((i,s)=>{let o=e(i),a=()=>s.addIssue({code:c.custom,...r(i)});return typeof Promise!="undefined"&&o instanceof Promise?o.then(d=>d?!0:(a(),!1)):o?!0:(a(),!1)})}refinement(e,t){return this._refinement((r,i)=>e(r)?!0:(i.addIssue(typeof t=="function"?t(r,i):t),!1))}_refinement(e){return new A({schema:this,typeName:h.ZodEffects,effect:{type:"refinement",refinement:e}})}superRefine(e){return this._refinement(e)}constructor(e){this.spa=this.safeParseAsync,this._def=e,this.parse=this.parse.bind(this),this.safeParse=this.safeParse.bind(this),this.parseAsync=this.parseAsync.bind(this),this.safeParseAsync=this.safeParseAsync.bind(this),this.spa=this.spa.bind(this),this.refine=this.refine.bind(this),this.refinement=this.refinement.bind(this),this.superRefine=this.superRefine.bind(this),this.optional=this.optional.bind(this),this.nullable=this.nullable.bind(this),this.nullish=this.nullish.bind(this),this.array=this.array.bind(this),this.promise=this.promise.bind(this),this.or=this.or.bind(this),this.and=this.and.bind(this),this.transform=this.transform.bind(this),this.brand=this.brand.bind(this),this.default=this.default.bind(this),this.catch=this.catch.bind(this),this.describe=this.describe.bind(this),this.pipe=this.pipe.bind(this),this.readonly=this.readonly.bind(this),this.isNullable=this.isNullable.bind(this),this.isOptional=this.isOptional.bind(this),this["~standard"]={version:1,vendor:"zod",validate:t=>this["~validate"](t)}}optional(){return I.create(this,this._def)}nullable(){return E.create(this,this._def)}nullish(){return this.nullable().optional()}array(){return F.create(this)}promise(){return L.create(this,this._def)}or(e){return H.create([this,e],this._def)}and(e){return Y.create(this,e,this._def)}transform(e){return new A({...y(this._def),schema:this,typeName:h.ZodEffects,effect:{type:"transform",transform:e}})}default(e){let t=typeof e=="function"?e:()=>e;return new ee({...y(this._def),innerType:this,defaultValue:t,typeName:h.ZodDefault})}brand(){return new me({typeName:h.ZodBranded,type:this,...y(this._def)})}catch(e){let t=typeof e=="function"?e:()=>e;return new te({...y(this._def),innerType:this,catchValue:t,typeName:h.ZodCatch})}describe(e){let t=this.constructor;return new t({...this._def,description:e})}pipe(e){return he.create(this,e)}readonly(){return ne.create(this)}isOptional(){return this.safeParse(void 0).success}isNullable(){return this.safeParse(null).success}},_t=/^c[^\s-]{8,}$/i,bt=/^[0-9a-z]+$/,wt=/^[0-9A-HJKMNP-TV-Z]{26}$/i,xt=/^[0-9a-fA-F]{8}\b-[0-9a-fA-F]{4}\b-[0-9a-fA-F]{4}\b-[0-9a-fA-F]{4}\b-[0-9a-fA-F]{12}$/i,kt=/^[a-z0-9_-]{21}$/i,Ct=/^[A-Za-z0-9-_]+\.[A-Za-z0-9-_]+\.[A-Za-z0-9-_]*$/,St=/^[-+]?P(?!$)(?:(?:[-+]?\d+Y)|(?:[-+]?\d+[.,]\d+Y$))?(?:(?:[-+]?\d+M)|(?:[-+]?\d+[.,]\d+M$))?(?:(?:[-+]?\d+W)|(?:[-+]?\d+[.,]\d+W$))?(?:(?:[-+]?\d+D)|(?:[-+]?\d+[.,]\d+D$))?(?:T(?=[\d+-])(?:(?:[-+]?\d+H)|(?:[-+]?\d+[.,]\d+H$))?(?:(?:[-+]?\d+M)|(?:[-+]?\d+[.,]\d+M$))?(?:[-+]?\d+(?:[.,]\d+)?S)?)??$/,Tt=/^(?!\.)(?!.*\.\.)([A-Z0-9_'+\-\.]*)[A-Z0-9_+-]@([A-Z0-9][A-Z0-9\-]*\.)+[A-Z]{2,}$/i,At="^(\\p{Extended_Pictographic}|\\p{Emoji_Component})+$",Se,It=/^(?:(?:25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9][0-9]|[0-9])\.){3}(?:25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9][0-9]|[0-9])$/,Ot=/^(?:(?:25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9][0-9]|[0-9])\.){3}(?:25[0-5]|2[0-4][0-9]|1[0-9][0-9]|[1-9][0-9]|[0-9])\/(3[0-2]|[12]?[0-9])$/,Rt=/^(([0-9a-fA-F]{1,4}:){7,7}[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,7}:|([0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,5}(:[0-9a-fA-F]{1,4}){1,2}|([0-9a-fA-F]{1,4}:){1,4}(:[0-9a-fA-F]{1,4}){1,3}|([0-9a-fA-F]{1,4}:){1,3}(:[0-9a-fA-F]{1,4}){1,4}|([0-9a-fA-F]{1,4}:){1,2}(:[0-9a-fA-F]{1,4}){1,5}|[0-9a-fA-F]{1,4}:((:[0-9a-fA-F]{1,4}){1,6})|:((:[0-9a-fA-F]{1,4}){1,7}|:)|fe80:(:[0-9a-fA-F]{0,4}){0,4}%[0-9a-zA-Z]{1,}|::(ffff(:0{1,4}){0,1}:){0,1}((25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])\.){3,3}(25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])|([0-9a-fA-F]{1,4}:){1,4}:((25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])\.){3,3}(25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9]))$/,Dt=/^(([0-9a-fA-F]{1,4}:){7,7}[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,7}:|([0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}|([0-9a-fA-F]{1,4}:){1,5}(:[0-9a-fA-F]{1,4}){1,2}|([0-9a-fA-F]{1,4}:){1,4}(:[0-9a-fA-F]{1,4}){1,3}|([0-9a-fA-F]{1,4}:){1,3}(:[0-9a-fA-F]{1,4}){1,4}|([0-9a-fA-F]{1,4}:){1,2}(:[0-9a-fA-F]{1,4}){1,5}|[0-9a-fA-F]{1,4}:((:[0-9a-fA-F]{1,4}){1,6})|:((:[0-9a-fA-F]{1,4}){1,7}|:)|fe80:(:[0-9a-fA-F]{0,4}){0,4}%[0-9a-zA-Z]{1,}|::(ffff(:0{1,4}){0,1}:){0,1}((25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])\.){3,3}(25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])|([0-9a-fA-F]{1,4}:){1,4}:((25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9])\.){3,3}(25[0-5]|(2[0-4]|1{0,1}[0-9]){0,1}[0-9]))\/(12[0-8]|1[01][0-9]|[1-9]?[0-9])$/,Et=/^([0-9a-zA-Z+/]{4})*(([0-9a-zA-Z+/]{2}==)|([0-9a-zA-Z+/]{3}=))?$/,Nt=/^([0-9a-zA-Z-_]{4})*(([0-9a-zA-Z-_]{2}(==)?)|([0-9a-zA-Z-_]{3}(=)?))?$/,Le="((\\d\\d[2468][048]|\\d\\d[13579][26]|\\d\\d0[48]|[02468][048]00|[13579][26]00)-02-29|\\d{4}-((0[13578]|1[02])-(0[1-9]|[12]\\d|3[01])|(0[469]|11)-(0[1-9]|[12]\\d|30)|(02)-(0[1-9]|1\\d|2[0-8])))",Pt=new RegExp(`^${Le}$`);function Ze(n){let e="([01]\\d|2[0-3]):[0-5]\\d:[0-5]\\d";return n.precision?e=`${e}\\.\\d{${n.precision}}`:n.precision==null&&(e=`${e}(\\.\\d+)?`),e}function Mt(n){return new RegExp(`^${Ze(n)}$`)}function $e(n){let e=`${Le}T${Ze(n)}`,t=[];return t.push(n.local?"Z?":"Z"),n.offset&&t.push("([+-]\\d{2}:?\\d{2})"),e=`${e}(${t.join("|")})`,new RegExp(`^${e}$`)}function Ft(n,e){return!!((e==="v4"||!e)&&It.test(n)||(e==="v6"||!e)&&Rt.test(n))}function Bt(n,e){if(!Ct.test(n))return!1;try{let[t]=n.split("."),r=t.replace(/-/g,"+").replace(/_/g,"/").padEnd(t.length+(4-t.length%4)%4,"="),i=JSON.parse(atob(r));return!(typeof i!="object"||i===null||!i.typ||!i.alg||e&&i.alg!==e)}catch{return!1}}function jt(n,e){return!!((e==="v4"||!e)&&Ot.test(n)||(e==="v6"||!e)&&Dt.test(n))}var B=class n extends v{_parse(e){if(this._def.coerce&&(e.data=String(e.data)),this._getType(e)!==f.string){let s=this._getOrReturnCtx(e);return u(s,{code:c.invalid_type,expected:f.string,received:s.parsedType}),g}let r=new x,i;for(let s of this._def.checks)if(s.kind==="min")e.data.length<s.value&&(i=this._getOrReturnCtx(e,i),u(i,{code:c.too_small,minimum:s.value,type:"string",inclusive:!0,exact:!1,message:s.message}),r.dirty());else if(s.kind==="max")e.data.length>s.value&&(i=this._getOrReturnCtx(e,i),u(i,{code:c.too_big,maximum:s.value,type:"string",inclusive:!0,exact:!1,message:s.message}),r.dirty());else if(s.kind==="length"){let o=e.data.length>s.value,a=e.data.length<s.value;(o||a)&&(i=this._getOrReturnCtx(e,i),o?u(i,{code:c.too_big,maximum:s.value,type:"string",inclusive:!0,exact:!0,message:s.message}):a&&u(i,{code:c.too_small,minimum:s.value,type:"string",inclusive:!0,exact:!0,message:s.message}),r.dirty())}else if(s.kind==="email")Tt.test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"email",code:c.invalid_string,message:s.message}),r.dirty());else if(s.kind==="emoji")Se||(Se=new RegExp(At,"u")),Se.test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"emoji",code:c.invalid_string,message:s.message}),r.dirty());else if(s.kind==="uuid")xt.test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"uuid",code:c.invalid_string,message:s.message}),r.dirty());else if(s.kind==="nanoid")kt.test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"nanoid",code:c.invalid_string,message:s.message}),r.dirty());else if(s.kind==="cuid")_t.test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"cuid",code:c.invalid_string,message:s.message}),r.dirty());else if(s.kind==="cuid2")bt.test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"cuid2",code:c.invalid_string,message:s.message}),r.dirty());else if(s.kind==="ulid")wt.test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"ulid",code:c.invalid_string,message:s.message}),r.dirty());else if(s.kind==="url")try{new URL(e.data)}catch{i=this._getOrReturnCtx(e,i),u(i,{validation:"url",code:c.invalid_string,message:s.message}),r.dirty()}else s.kind==="regex"?(s.regex.lastIndex=0,s.regex.test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"regex",code:c.invalid_string,message:s.message}),r.dirty())):s.kind==="trim"?e.data=e.data.trim():s.kind==="includes"?e.data.includes(s.value,s.position)||(i=this._getOrReturnCtx(e,i),u(i,{code:c.invalid_string,validation:{includes:s.value,position:s.position},message:s.message}),r.dirty()):s.kind==="toLowerCase"?e.data=e.data.toLowerCase():s.kind==="toUpperCase"?e.data=e.data.toUpperCase():s.kind==="startsWith"?e.data.startsWith(s.value)||(i=this._getOrReturnCtx(e,i),u(i,{code:c.invalid_string,validation:{startsWith:s.value},message:s.message}),r.dirty()):s.kind==="endsWith"?e.data.endsWith(s.value)||(i=this._getOrReturnCtx(e,i),u(i,{code:c.invalid_string,validation:{endsWith:s.value},message:s.message}),r.dirty()):s.kind==="datetime"?$e(s).test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{code:c.invalid_string,validation:"datetime",message:s.message}),r.dirty()):s.kind==="date"?Pt.test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{code:c.invalid_string,validation:"date",message:s.message}),r.dirty()):s.kind==="time"?Mt(s).test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{code:c.invalid_string,validation:"time",message:s.message}),r.dirty()):s.kind==="duration"?St.test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"duration",code:c.invalid_string,message:s.message}),r.dirty()):s.kind==="ip"?Ft(e.data,s.version)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"ip",code:c.invalid_string,message:s.message}),r.dirty()):s.kind==="jwt"?Bt(e.data,s.alg)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"jwt",code:c.invalid_string,message:s.message}),r.dirty()):s.kind==="cidr"?jt(e.data,s.version)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"cidr",code:c.invalid_string,message:s.message}),r.dirty()):s.kind==="base64"?Et.test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"base64",code:c.invalid_string,message:s.message}),r.dirty()):s.kind==="base64url"?Nt.test(e.data)||(i=this._getOrReturnCtx(e,i),u(i,{validation:"base64url",code:c.invalid_string,message:s.message}),r.dirty()):b.assertNever(s);return{status:r.value,value:e.data}}_regex(e,t,r){return this.refinement(i=>e.test(i),{validation:t,code:c.invalid_string,...p.errToObj(r)})}_addCheck(e){return new n({...this._def,checks:[...this._def.checks,e]})}email(e){return this._addCheck({kind:"email",...p.errToObj(e)})}url(e){return this._addCheck({kind:"url",...p.errToObj(e)})}emoji(e){return this._addCheck({kind:"emoji",...p.errToObj(e)})}uuid(e){return this._addCheck({kind:"uuid",...p.errToObj(e)})}nanoid(e){return this._addCheck({kind:"nanoid",...p.errToObj(e)})}cuid(e){return this._addCheck({kind:"cuid",...p.errToObj(e)})}cuid2(e){return this._addCheck({kind:"cuid2",...p.errToObj(e)})}ulid(e){return this._addCheck({kind:"ulid",...p.errToObj(e)})}base64(e){return this._addCheck({kind:"base64",...p.errToObj(e)})}base64url(e){return this._addCheck({kind:"base64url",...p.errToObj(e)})}jwt(e){return this._addCheck({kind:"jwt",...p.errToObj(e)})}ip(e){return this._addCheck({kind:"ip",...p.errToObj(e)})}cidr(e){return this._addCheck({kind:"cidr",...p.errToObj(e)})}datetime(e){var t,r;return typeof e=="string"?this._addCheck({kind:"datetime",precision:null,offset:!1,local:!1,message:e}):this._addCheck({kind:"datetime",precision:typeof(e==null?void 0:e.precision)=="undefined"?null:e==null?void 0:e.precision,offset:(t=e==null?void 0:e.offset)!==null&&t!==void 0?t:!1,local:(r=e==null?void 0:e.local)!==null&&r!==void 0?r:!1,...p.errToObj(e==null?void 0:e.message)})}date(e){return this._addCheck({kind:"date",message:e})}time(e){return typeof e=="string"?this._addCheck({kind:"time",precision:null,message:e}):this._addCheck({kind:"time",precision:typeof(e==null?void 0:e.precision)=="undefined"?null:e==null?void 0:e.precision,...p.errToObj(e==null?void 0:e.message)})}duration(e){return this._addCheck({kind:"duration",...p.errToObj(e)})}regex(e,t){return this._addCheck({kind:"regex",regex:e,...p.errToObj(t)})}includes(e,t){return this._addCheck({kind:"includes",value:e,position:t==null?void 0:t.position,...p.errToObj(t==null?void 0:t.message)})}startsWith(e,t){return this._addCheck({kind:"startsWith",value:e,...p.errToObj(t)})}endsWith(e,t){return this._addCheck({kind:"endsWith",value:e,...p.errToObj(t)})}min(e,t){return this._addCheck({kind:"min",value:e,...p.errToObj(t)})}max(e,t){return this._addCheck({kind:"max",value:e,...p.errToObj(t)})}length(e,t){return this._addCheck({kind:"length",value:e,...p.errToObj(t)})}nonempty(e){return this.min(1,p.errToObj(e))}trim(){return new n({...this._def,checks:[...this._def.checks,{kind:"trim"}]})}toLowerCase(){return new n({...this._def,checks:[...this._def.checks,{kind:"toLowerCase"}]})}toUpperCase(){return new n({...this._def,checks:[...this._def.checks,{kind:"toUpperCase"}]})}get isDatetime(){return!!this._def.checks.find(e=>e.kind==="datetime")}get isDate(){return!!this._def.checks.find(e=>e.kind==="date")}get isTime(){return!!this._def.checks.find(e=>e.kind==="time")}get isDuration(){return!!this._def.checks.find(e=>e.kind==="duration")}get isEmail(){return!!this._def.checks.find(e=>e.kind==="email")}get isURL(){return!!this._def.checks.find(e=>e.kind==="url")}get isEmoji(){return!!this._def.checks.find(e=>e.kind==="emoji")}get isUUID(){return!!this._def.checks.find(e=>e.kind==="uuid")}get isNANOID(){return!!this._def.checks.find(e=>e.kind==="nanoid")}get isCUID(){return!!this._def.checks.find(e=>e.kind==="cuid")}get isCUID2(){return!!this._def.checks.find(e=>e.kind==="cuid2")}get isULID(){return!!this._def.checks.find(e=>e.kind==="ulid")}get isIP(){return!!this._def.checks.find(e=>e.kind==="ip")}get isCIDR(){return!!this._def.checks.find(e=>e.kind==="cidr")}get isBase64(){return!!this._def.checks.find(e=>e.kind==="base64")}get isBase64url(){return!!this._def.checks.find(e=>e.kind==="base64url")}get minLength(){let e=null;for(let t of this._def.checks)t.kind==="min"&&(e===null||t.value>e)&&(e=t.value);return e}get maxLength(){let e=null;for(let t of this._def.checks)t.kind==="max"&&(e===null||t.value<e)&&(e=t.value);return e}};B.create=n=>{var e;return new B({checks:[],typeName:h.ZodString,coerce:(e=n==null?void 0:n.coerce)!==null&&e!==void 0?e:!1,...y(n)})};function Lt(n,e){let t=(n.toString().split(".")[1]||"").length,r=(e.toString().split(".")[1]||"").length,i=t>r?t:r,s=parseInt(n.toFixed(i).replace(".","")),o=parseInt(e.toFixed(i).replace(".",""));return s%o/Math.pow(10,i)}var q=class n extends v{constructor(){super(...arguments),this.min=this.gte,this.max=this.lte,this.step=this.multipleOf}_parse(e){if(this._def.coerce&&(e.data=Number(e.data)),this._getType(e)!==f.number){let s=this._getOrReturnCtx(e);return u(s,{code:c.invalid_type,expected:f.number,received:s.parsedType}),g}let r,i=new x;for(let s of this._def.checks)s.kind==="int"?b.isInteger(e.data)||(r=this._getOrReturnCtx(e,r),u(r,{code:c.invalid_type,expected:"integer",received:"float",message:s.message}),i.dirty()):s.kind==="min"?(s.inclusive?e.data<s.value:e.data<=s.value)&&(r=this._getOrReturnCtx(e,r),u(r,{code:c.too_small,minimum:s.value,type:"number",inclusive:s.inclusive,exact:!1,message:s.message}),i.dirty()):s.kind==="max"?(s.inclusive?e.data>s.value:e.data>=s.value)&&(r=this._getOrReturnCtx(e,r),u(r,{code:c.too_big,maximum:s.value,type:"number",inclusive:s.inclusive,exact:!1,message:s.message}),i.dirty()):s.kind==="multipleOf"?Lt(e.data,s.value)!==0&&(r=this._getOrReturnCtx(e,r),u(r,{code:c.not_multiple_of,multipleOf:s.value,message:s.message}),i.dirty()):s.kind==="finite"?Number.isFinite(e.data)||(r=this._getOrReturnCtx(e,r),u(r,{code:c.not_finite,message:s.message}),i.dirty()):b.assertNever(s);return{status:i.value,value:e.data}}gte(e,t){return this.setLimit("min",e,!0,p.toString(t))}gt(e,t){return this.setLimit("min",e,!1,p.toString(t))}lte(e,t){return this.setLimit("max",e,!0,p.toString(t))}lt(e,t){return this.setLimit("max",e,!1,p.toString(t))}setLimit(e,t,r,i){return new n({...this._def,checks:[...this._def.checks,{kind:e,value:t,inclusive:r,message:p.toString(i)}]})}_addCheck(e){return new n({...this._def,checks:[...this._def.checks,e]})}int(e){return this._addCheck({kind:"int",message:p.toString(e)})}positive(e){return this._addCheck({kind:"min",value:0,inclusive:!1,message:p.toString(e)})}negative(e){return this._addCheck({kind:"max",value:0,inclusive:!1,message:p.toString(e)})}nonpositive(e){return this._addCheck({kind:"max",value:0,inclusive:!0,message:p.toString(e)})}nonnegative(e){return this._addCheck({kind:"min",value:0,inclusive:!0,message:p.toString(e)})}multipleOf(e,t){return this._addCheck({kind:"multipleOf",value:e,message:p.toString(t)})}finite(e){return this._addCheck({kind:"finite",message:p.toString(e)})}safe(e){return this._addCheck({kind:"min",inclusive:!0,value:Number.MIN_SAFE_INTEGER,message:p.toString(e)})._addCheck({kind:"max",inclusive:!0,value:Number.MAX_SAFE_INTEGER,message:p.toString(e)})}get minValue(){let e=null;for(let t of this._def.checks)t.kind==="min"&&(e===null||t.value>e)&&(e=t.value);return e}get maxValue(){let e=null;for(let t of this._def.checks)t.kind==="max"&&(e===null||t.value<e)&&(e=t.value);return e}get isInt(){return!!this._def.checks.find(e=>e.kind==="int"||e.kind==="multipleOf"&&b.isInteger(e.value))}get isFinite(){let e=null,t=null;for(let r of this._def.checks){if(r.kind==="finite"||r.kind==="int"||r.kind==="multipleOf")return!0;r.kind==="min"?(t===null||r.value>t)&&(t=r.value):r.kind==="max"&&(e===null||r.value<e)&&(e=r.value)}return Number.isFinite(t)&&Number.isFinite(e)}};q.create=n=>new q({checks:[],typeName:h.ZodNumber,coerce:(n==null?void 0:n.coerce)||!1,...y(n)});var V=class n extends v{constructor(){super(...arguments),this.min=this.gte,this.max=this.lte}_parse(e){if(this._def.coerce)try{e.data=BigInt(e.data)}catch{return this._getInvalidInput(e)}if(this._getType(e)!==f.bigint)return this._getInvalidInput(e);let r,i=new x;for(let s of this._def.checks)s.kind==="min"?(s.inclusive?e.data<s.value:e.data<=s.value)&&(r=this._getOrReturnCtx(e,r),u(r,{code:c.too_small,type:"bigint",minimum:s.value,inclusive:s.inclusive,message:s.message}),i.dirty()):s.kind==="max"?(s.inclusive?e.data>s.value:e.data>=s.value)&&(r=this._getOrReturnCtx(e,r),u(r,{code:c.too_big,type:"bigint",maximum:s.value,inclusive:s.inclusive,message:s.message}),i.dirty()):s.kind==="multipleOf"?e.data%s.value!==BigInt(0)&&(r=this._getOrReturnCtx(e,r),u(r,{code:c.not_multiple_of,multipleOf:s.value,message:s.message}),i.dirty()):b.assertNever(s);return{status:i.value,value:e.data}}_getInvalidInput(e){let t=this._getOrReturnCtx(e);return u(t,{code:c.invalid_type,expected:f.bigint,received:t.parsedType}),g}gte(e,t){return this.setLimit("min",e,!0,p.toString(t))}gt(e,t){return this.setLimit("min",e,!1,p.toString(t))}lte(e,t){return this.setLimit("max",e,!0,p.toString(t))}lt(e,t){return this.setLimit("max",e,!1,p.toString(t))}setLimit(e,t,r,i){return new n({...this._def,checks:[...this._def.checks,{kind:e,value:t,inclusive:r,message:p.toString(i)}]})}_addCheck(e){return new n({...this._def,checks:[...this._def.checks,e]})}positive(e){return this._addCheck({kind:"min",value:BigInt(0),inclusive:!1,message:p.toString(e)})}negative(e){return this._addCheck({kind:"max",value:BigInt(0),inclusive:!1,message:p.toString(e)})}nonpositive(e){return this._addCheck({kind:"max",value:BigInt(0),inclusive:!0,message:p.toString(e)})}nonnegative(e){return this._addCheck({kind:"min",value:BigInt(0),inclusive:!0,message:p.toString(e)})}multipleOf(e,t){return this._addCheck({kind:"multipleOf",value:e,message:p.toString(t)})}get minValue(){let e=null;for(let t of this._def.checks)t.kind==="min"&&(e===null||t.value>e)&&(e=t.value);return e}get maxValue(){let e=null;for(let t of this._def.checks)t.kind==="max"&&(e===null||t.value<e)&&(e=t.value);return e}};V.create=n=>{var e;return new V({checks:[],typeName:h.ZodBigInt,coerce:(e=n==null?void 0:n.coerce)!==null&&e!==void 0?e:!1,...y(n)})};var z=class extends v{_parse(e){if(this._def.coerce&&(e.data=!!e.data),this._getType(e)!==f.boolean){let r=this._getOrReturnCtx(e);return u(r,{code:c.invalid_type,expected:f.boolean,received:r.parsedType}),g}return C(e.data)}};z.create=n=>new z({typeName:h.ZodBoolean,coerce:(n==null?void 0:n.coerce)||!1,...y(n)});var U=class n extends v{_parse(e){if(this._def.coerce&&(e.data=new Date(e.data)),this._getType(e)!==f.date){let s=this._getOrReturnCtx(e);return u(s,{code:c.invalid_type,expected:f.date,received:s.parsedType}),g}if(isNaN(e.data.getTime())){let s=this._getOrReturnCtx(e);return u(s,{code:c.invalid_date}),g}let r=new x,i;for(let s of this._def.checks)s.kind==="min"?e.data.getTime()<s.value&&(i=this._getOrReturnCtx(e,i),u(i,{code:c.too_small,message:s.message,inclusive:!0,exact:!1,minimum:s.value,type:"date"}),r.dirty()):s.kind==="max"?e.data.getTime()>s.value&&(i=this._getOrReturnCtx(e,i),u(i,{code:c.too_big,message:s.message,inclusive:!0,exact:!1,maximum:s.value,type:"date"}),r.dirty()):b.assertNever(s);return{status:r.value,value:new Date(e.data.getTime())}}_addCheck(e){return new n({...this._def,checks:[...this._def.checks,e]})}min(e,t){return this._addCheck({kind:"min",value:e.getTime(),message:p.toString(t)})}max(e,t){return this._addCheck({kind:"max",value:e.getTime(),message:p.toString(t)})}get minDate(){let e=null;for(let t of this._def.checks)t.kind==="min"&&(e===null||t.value>e)&&(e=t.value);return e!=null?new Date(e):null}get maxDate(){let e=null;for(let t of this._def.checks)t.kind==="max"&&(e===null||t.value<e)&&(e=t.value);return e!=null?new Date(e):null}};U.create=n=>new U({checks:[],coerce:(n==null?void 0:n.coerce)||!1,typeName:h.ZodDate,...y(n)});var ae=class extends v{_parse(e){if(this._getType(e)!==f.symbol){let r=this._getOrReturnCtx(e);return u(r,{code:c.invalid_type,expected:f.symbol,received:r.parsedType}),g}return C(e.data)}};ae.create=n=>new ae({typeName:h.ZodSymbol,...y(n)});var W=class extends v{_parse(e){if(this._getType(e)!==f.undefined){let r=this._getOrReturnCtx(e);return u(r,{code:c.invalid_type,expected:f.undefined,received:r.parsedType}),g}return C(e.data)}};W.create=n=>new W({typeName:h.ZodUndefined,...y(n)});var G=class extends v{_parse(e){if(this._getType(e)!==f.null){let r=this._getOrReturnCtx(e);return u(r,{code:c.invalid_type,expected:f.null,received:r.parsedType}),g}return C(e.data)}};G.create=n=>new G({typeName:h.ZodNull,...y(n)});var j=class extends v{constructor(){super(...arguments),this._any=!0}_parse(e){return C(e.data)}};j.create=n=>new j({typeName:h.ZodAny,...y(n)});var M=class extends v{constructor(){super(...arguments),this._unknown=!0}_parse(e){return C(e.data)}};M.create=n=>new M({typeName:h.ZodUnknown,...y(n)});var R=class extends v{_parse(e){let t=this._getOrReturnCtx(e);return u(t,{code:c.invalid_type,expected:f.never,received:t.parsedType}),g}};R.create=n=>new R({typeName:h.ZodNever,...y(n)});var oe=class extends v{_parse(e){if(this._getType(e)!==f.undefined){let r=this._getOrReturnCtx(e);return u(r,{code:c.invalid_type,expected:f.void,received:r.parsedType}),g}return C(e.data)}};oe.create=n=>new oe({typeName:h.ZodVoid,...y(n)});var F=class n extends v{_parse(e){let{ctx:t,status:r}=this._processInputParams(e),i=this._def;if(t.parsedType!==f.array)return u(t,{code:c.invalid_type,expected:f.array,received:t.parsedType}),g;if(i.exactLength!==null){let o=t.data.length>i.exactLength.value,a=t.data.length<i.exactLength.value;(o||a)&&(u(t,{code:o?c.too_big:c.too_small,minimum:a?i.exactLength.value:void 0,maximum:o?i.exactLength.value:void 0,type:"array",inclusive:!0,exact:!0,message:i.exactLength.message}),r.dirty())}if(i.minLength!==null&&t.data.length<i.minLength.value&&(u(t,{code:c.too_small,minimum:i.minLength.value,type:"array",inclusive:!0,exact:!1,message:i.minLength.message}),r.dirty()),i.maxLength!==null&&t.data.length>i.maxLength.value&&(u(t,{code:c.too_big,maximum:i.maxLength.value,type:"array",inclusive:!0,exact:!1,message:i.maxLength.message}),r.dirty()),t.common.async)return Promise.all([...t.data].map((o,a)=>i.type._parseAsync(new O(t,o,t.path,a)))).then(o=>x.mergeArray(r,o));let s=[...t.data].map((o,a)=>i.type._parseSync(new O(t,o,t.path,a)));return x.mergeArray(r,s)}get element(){return this._def.type}min(e,t){return new n({...this._def,minLength:{value:e,message:p.toString(t)}})}max(e,t){return new n({...this._def,maxLength:{value:e,message:p.toString(t)}})}length(e,t){return new n({...this._def,exactLength:{value:e,message:p.toString(t)}})}nonempty(e){return this.min(1,e)}};F.create=(n,e)=>new F({type:n,minLength:null,maxLength:null,exactLength:null,typeName:h.ZodArray,...y(e)});function re(n){if(n instanceof S){let e={};for(let t in n.shape){let r=n.shape[t];e[t]=I.create(re(r))}return new S({...n._def,shape:()=>e})}else return n instanceof F?new F({...n._def,type:re(n.element)}):n instanceof I?I.create(re(n.unwrap())):n instanceof E?E.create(re(n.unwrap())):n instanceof D?D.create(n.items.map(e=>re(e))):n}var S=class n extends v{constructor(){super(...arguments),this._cached=null,this.nonstrict=this.passthrough,this.augment=this.extend}_getCached(){if(this._cached!==null)return this._cached;let e=this._def.shape(),t=b.objectKeys(e);return this._cached={shape:e,keys:t}}_parse(e){if(this._getType(e)!==f.object){let l=this._getOrReturnCtx(e);return u(l,{code:c.invalid_type,expected:f.object,received:l.parsedType}),g}let{status:r,ctx:i}=this._processInputParams(e),{shape:s,keys:o}=this._getCached(),a=[];if(!(this._def.catchall instanceof R&&this._def.unknownKeys==="strip"))for(let l in i.data)o.includes(l)||a.push(l);let d=[];for(let l of o){let m=s[l],k=i.data[l];d.push({key:{status:"valid",value:l},value:m._parse(new O(i,k,i.path,l)),alwaysSet:l in i.data})}if(this._def.catchall instanceof R){let l=this._def.unknownKeys;if(l==="passthrough")for(let m of a)d.push({key:{status:"valid",value:m},value:{status:"valid",value:i.data[m]}});else if(l==="strict")a.length>0&&(u(i,{code:c.unrecognized_keys,keys:a}),r.dirty());else if(l!=="strip")throw new Error("Internal ZodObject error: invalid unknownKeys value.")}else{let l=this._def.catchall;for(let m of a){let k=i.data[m];d.push({key:{status:"valid",value:m},value:l._parse(new O(i,k,i.path,m)),alwaysSet:m in i.data})}}return i.common.async?Promise.resolve().then(async()=>{let l=[];for(let m of d){let k=await m.key,ge=await m.value;l.push({key:k,value:ge,alwaysSet:m.alwaysSet})}return l}).then(l=>x.mergeObjectSync(r,l)):x.mergeObjectSync(r,d)}get shape(){return this._def.shape()}strict(e){return p.errToObj,new n({...this._def,unknownKeys:"strict",...e!==void 0?{errorMap:(t,r)=>{var i,s,o,a;let d=(o=(s=(i=this._def).errorMap)===null||s===void 0?void 0:s.call(i,t,r).message)!==null&&o!==void 0?o:r.defaultError;return t.code==="unrecognized_keys"?{message:(a=p.errToObj(e).message)!==null&&a!==void 0?a:d}:{message:d}}}:{}})}strip(){return new n({...this._def,unknownKeys:"strip"})}passthrough(){return new n({...this._def,unknownKeys:"passthrough"})}extend(e){return new n({...this._def,shape:()=>({...this._def.shape(),...e})})}merge(e){return new n({unknownKeys:e._def.unknownKeys,catchall:e._def.catchall,shape:()=>({...this._def.shape(),...e._def.shape()}),typeName:h.ZodObject})}setKey(e,t){return this.augment({[e]:t})}catchall(e){return new n({...this._def,catchall:e})}pick(e){let t={};return b.objectKeys(e).forEach(r=>{e[r]&&this.shape[r]&&(t[r]=this.shape[r])}),new n({...this._def,shape:()=>t})}omit(e){let t={};return b.objectKeys(this.shape).forEach(r=>{e[r]||(t[r]=this.shape[r])}),new n({...this._def,shape:()=>t})}deepPartial(){return re(this)}partial(e){let t={};return b.objectKeys(this.shape).forEach(r=>{let i=this.shape[r];e&&!e[r]?t[r]=i:t[r]=i.optional()}),new n({...this._def,shape:()=>t})}required(e){let t={};return b.objectKeys(this.shape).forEach(r=>{if(e&&!e[r])t[r]=this.shape[r];else{let s=this.shape[r];for(;s instanceof I;)s=s._def.innerType;t[r]=s}}),new n({...this._def,shape:()=>t})}keyof(){return qe(b.objectKeys(this.shape))}};S.create=(n,e)=>new S({shape:()=>n,unknownKeys:"strip",catchall:R.create(),typeName:h.ZodObject,...y(e)});S.strictCreate=(n,e)=>new S({shape:()=>n,unknownKeys:"strict",catchall:R.create(),typeName:h.ZodObject,...y(e)});S.lazycreate=(n,e)=>new S({shape:n,unknownKeys:"strip",catchall:R.create(),typeName:h.ZodObject,...y(e)});var H=class extends v{_parse(e){let{ctx:t}=this._processInputParams(e),r=this._def.options;function i(s){for(let a of s)if(a.result.status==="valid")return a.result;for(let a of s)if(a.result.status==="dirty")return t.common.issues.push(...a.ctx.common.issues),a.result;let o=s.map(a=>new T(a.ctx.common.issues));return u(t,{code:c.invalid_union,unionErrors:o}),g}if(t.common.async)return Promise.all(r.map(async s=>{let o={...t,common:{...t.common,issues:[]},parent:null};return{result:await s._parseAsync({data:t.data,path:t.path,parent:o}),ctx:o}})).then(i);{let s,o=[];for(let d of r){let l={...t,common:{...t.common,issues:[]},parent:null},m=d._parseSync({data:t.data,path:t.path,parent:l});if(m.status==="valid")return m;m.status==="dirty"&&!s&&(s={result:m,ctx:l}),l.common.issues.length&&o.push(l.common.issues)}if(s)return t.common.issues.push(...s.ctx.common.issues),s.result;let a=o.map(d=>new T(d));return u(t,{code:c.invalid_union,unionErrors:a}),g}}get options(){return this._def.options}};H.create=(n,e)=>new H({options:n,typeName:h.ZodUnion,...y(e)});var N=n=>n instanceof J?N(n.schema):n instanceof A?N(n.innerType()):n instanceof K?[n.value]:n instanceof Q?n.options:n instanceof X?b.objectValues(n.enum):n instanceof ee?N(n._def.innerType):n instanceof W?[void 0]:n instanceof G?[null]:n instanceof I?[void 0,...N(n.unwrap())]:n instanceof E?[null,...N(n.unwrap())]:n instanceof me||n instanceof ne?N(n.unwrap()):n instanceof te?N(n._def.innerType):[],be=class n extends v{_parse(e){let{ctx:t}=this._processInputParams(e);if(t.parsedType!==f.object)return u(t,{code:c.invalid_type,expected:f.object,received:t.parsedType}),g;let r=this.discriminator,i=t.data[r],s=this.optionsMap.get(i);return s?t.common.async?s._parseAsync({data:t.data,path:t.path,parent:t}):s._parseSync({data:t.data,path:t.path,parent:t}):(u(t,{code:c.invalid_union_discriminator,options:Array.from(this.optionsMap.keys()),path:[r]}),g)}get discriminator(){return this._def.discriminator}get options(){return this._def.options}get optionsMap(){return this._def.optionsMap}static create(e,t,r){let i=new Map;for(let s of t){let o=N(s.shape[e]);if(!o.length)throw new Error(`A discriminator value for key \`${e}\` could not be extracted from all schema options`);for(let a of o){if(i.has(a))throw new Error(`Discriminator property ${String(e)} has duplicate value ${String(a)}`);i.set(a,s)}}return new n({typeName:h.ZodDiscriminatedUnion,discriminator:e,options:t,optionsMap:i,...y(r)})}};function Oe(n,e){let t=P(n),r=P(e);if(n===e)return{valid:!0,data:n};if(t===f.object&&r===f.object){let i=b.objectKeys(e),s=b.objectKeys(n).filter(a=>i.indexOf(a)!==-1),o={...n,...e};for(let a of s){let d=Oe(n[a],e[a]);if(!d.valid)return{valid:!1};o[a]=d.data}return{valid:!0,data:o}}else if(t===f.array&&r===f.array){if(n.length!==e.length)return{valid:!1};let i=[];for(let s=0;s<n.length;s++){let o=n[s],a=e[s],d=Oe(o,a);if(!d.valid)return{valid:!1};i.push(d.data)}return{valid:!0,data:i}}else return t===f.date&&r===f.date&&+n==+e?{valid:!0,data:n}:{valid:!1}}var Y=class extends v{_parse(e){let{status:t,ctx:r}=this._processInputParams(e),i=(s,o)=>{if(Ae(s)||Ae(o))return g;let a=Oe(s.value,o.value);return a.valid?((Ie(s)||Ie(o))&&t.dirty(),{status:t.value,value:a.data}):(u(r,{code:c.invalid_intersection_types}),g)};return r.common.async?Promise.all([this._def.left._parseAsync({data:r.data,path:r.path,parent:r}),this._def.right._parseAsync({data:r.data,path:r.path,parent:r})]).then(([s,o])=>i(s,o)):i(this._def.left._parseSync({data:r.data,path:r.path,parent:r}),this._def.right._parseSync({data:r.data,path:r.path,parent:r}))}};Y.create=(n,e,t)=>new Y({left:n,right:e,typeName:h.ZodIntersection,...y(t)});var D=class n extends v{_parse(e){let{status:t,ctx:r}=this._processInputParams(e);if(r.parsedType!==f.array)return u(r,{code:c.invalid_type,expected:f.array,received:r.parsedType}),g;if(r.data.length<this._def.items.length)return u(r,{code:c.too_small,minimum:this._def.items.length,inclusive:!0,exact:!1,type:"array"}),g;!this._def.rest&&r.data.length>this._def.items.length&&(u(r,{code:c.too_big,maximum:this._def.items.length,inclusive:!0,exact:!1,type:"array"}),t.dirty());let s=[...r.data].map((o,a)=>{let d=this._def.items[a]||this._def.rest;return d?d._parse(new O(r,o,r.path,a)):null}).filter(o=>!!o);return r.common.async?Promise.all(s).then(o=>x.mergeArray(t,o)):x.mergeArray(t,s)}get items(){return this._def.items}rest(e){return new n({...this._def,rest:e})}};D.create=(n,e)=>{if(!Array.isArray(n))throw new Error("You must pass an array of schemas to z.tuple([ ... ])");return new D({items:n,typeName:h.ZodTuple,rest:null,...y(e)})};var we=class n extends v{get keySchema(){return this._def.keyType}get valueSchema(){return this._def.valueType}_parse(e){let{status:t,ctx:r}=this._processInputParams(e);if(r.parsedType!==f.object)return u(r,{code:c.invalid_type,expected:f.object,received:r.parsedType}),g;let i=[],s=this._def.keyType,o=this._def.valueType;for(let a in r.data)i.push({key:s._parse(new O(r,a,r.path,a)),value:o._parse(new O(r,r.data[a],r.path,a)),alwaysSet:a in r.data});return r.common.async?x.mergeObjectAsync(t,i):x.mergeObjectSync(t,i)}get element(){return this._def.valueType}static create(e,t,r){return t instanceof v?new n({keyType:e,valueType:t,typeName:h.ZodRecord,...y(r)}):new n({keyType:B.create(),valueType:e,typeName:h.ZodRecord,...y(t)})}},ce=class extends v{get keySchema(){return this._def.keyType}get valueSchema(){return this._def.valueType}_parse(e){let{status:t,ctx:r}=this._processInputParams(e);if(r.parsedType!==f.map)return u(r,{code:c.invalid_type,expected:f.map,received:r.parsedType}),g;let i=this._def.keyType,s=this._def.valueType,o=[...r.data.entries()].map(([a,d],l)=>({key:i._parse(new O(r,a,r.path,[l,"key"])),value:s._parse(new O(r,d,r.path,[l,"value"]))}));if(r.common.async){let a=new Map;return Promise.resolve().then(async()=>{for(let d of o){let l=await d.key,m=await d.value;if(l.status==="aborted"||m.status==="aborted")return g;(l.status==="dirty"||m.status==="dirty")&&t.dirty(),a.set(l.value,m.value)}return{status:t.value,value:a}})}else{let a=new Map;for(let d of o){let l=d.key,m=d.value;if(l.status==="aborted"||m.status==="aborted")return g;(l.status==="dirty"||m.status==="dirty")&&t.dirty(),a.set(l.value,m.value)}return{status:t.value,value:a}}}};ce.create=(n,e,t)=>new ce({valueType:e,keyType:n,typeName:h.ZodMap,...y(t)});var le=class n extends v{_parse(e){let{status:t,ctx:r}=this._processInputParams(e);if(r.parsedType!==f.set)return u(r,{code:c.invalid_type,expected:f.set,received:r.parsedType}),g;let i=this._def;i.minSize!==null&&r.data.size<i.minSize.value&&(u(r,{code:c.too_small,minimum:i.minSize.value,type:"set",inclusive:!0,exact:!1,message:i.minSize.message}),t.dirty()),i.maxSize!==null&&r.data.size>i.maxSize.value&&(u(r,{code:c.too_big,maximum:i.maxSize.value,type:"set",inclusive:!0,exact:!1,message:i.maxSize.message}),t.dirty());let s=this._def.valueType;function o(d){let l=new Set;for(let m of d){if(m.status==="aborted")return g;m.status==="dirty"&&t.dirty(),l.add(m.value)}return{status:t.value,value:l}}let a=[...r.data.values()].map((d,l)=>s._parse(new O(r,d,r.path,l)));return r.common.async?Promise.all(a).then(d=>o(d)):o(a)}min(e,t){return new n({...this._def,minSize:{value:e,message:p.toString(t)}})}max(e,t){return new n({...this._def,maxSize:{value:e,message:p.toString(t)}})}size(e,t){return this.min(e,t).max(e,t)}nonempty(e){return this.min(1,e)}};le.create=(n,e)=>new le({valueType:n,minSize:null,maxSize:null,typeName:h.ZodSet,...y(e)});var xe=class n extends v{constructor(){super(...arguments),this.validate=this.implement}_parse(e){let{ctx:t}=this._processInputParams(e);if(t.parsedType!==f.function)return u(t,{code:c.invalid_type,expected:f.function,received:t.parsedType}),g;function r(a,d){return ve({data:a,path:t.path,errorMaps:[t.common.contextualErrorMap,t.schemaErrorMap,ye(),se].filter(l=>!!l),issueData:{code:c.invalid_arguments,argumentsError:d}})}function i(a,d){return ve({data:a,path:t.path,errorMaps:[t.common.contextualErrorMap,t.schemaErrorMap,ye(),se].filter(l=>!!l),issueData:{code:c.invalid_return_type,returnTypeError:d}})}let s={errorMap:t.common.contextualErrorMap},o=t.data;if(this._def.returns instanceof L){let a=this;return C(async function(...d){let l=new T([]),m=await a._def.args.parseAsync(d,s).catch(ke=>{throw l.addIssue(r(d,ke)),l}),k=await Reflect.apply(o,this,m);return await a._def.returns._def.type.parseAsync(k,s).catch(ke=>{throw l.addIssue(i(k,ke)),l})})}else{let a=this;return C(function(...d){let l=a._def.args.safeParse(d,s);if(!l.success)throw new T([r(d,l.error)]);let m=Reflect.apply(o,this,l.data),k=a._def.returns.safeParse(m,s);if(!k.success)throw new T([i(m,k.error)]);return k.data})}}parameters(){return this._def.args}returnType(){return this._def.returns}args(...e){return new n({...this._def,args:D.create(e).rest(M.create())})}returns(e){return new n({...this._def,returns:e})}implement(e){return this.parse(e)}strictImplement(e){return this.parse(e)}static create(e,t,r){return new n({args:e||D.create([]).rest(M.create()),returns:t||M.create(),typeName:h.ZodFunction,...y(r)})}},J=class extends v{get schema(){return this._def.getter()}_parse(e){let{ctx:t}=this._processInputParams(e);return this._def.getter()._parse({data:t.data,path:t.path,parent:t})}};J.create=(n,e)=>new J({getter:n,typeName:h.ZodLazy,...y(e)});var K=class extends v{_parse(e){if(e.data!==this._def.value){let t=this._getOrReturnCtx(e);return u(t,{received:t.data,code:c.invalid_literal,expected:this._def.value}),g}return{status:"valid",value:e.data}}get value(){return this._def.value}};K.create=(n,e)=>new K({value:n,typeName:h.ZodLiteral,...y(e)});function qe(n,e){return new Q({values:n,typeName:h.ZodEnum,...y(e)})}var Q=class n extends v{constructor(){super(...arguments),ue.set(this,void 0)}_parse(e){if(typeof e.data!="string"){let t=this._getOrReturnCtx(e),r=this._def.values;return u(t,{expected:b.joinValues(r),received:t.parsedType,code:c.invalid_type}),g}if(_e(this,ue,"f")||je(this,ue,new Set(this._def.values),"f"),!_e(this,ue,"f").has(e.data)){let t=this._getOrReturnCtx(e),r=this._def.values;return u(t,{received:t.data,code:c.invalid_enum_value,options:r}),g}return C(e.data)}get options(){return this._def.values}get enum(){let e={};for(let t of this._def.values)e[t]=t;return e}get Values(){let e={};for(let t of this._def.values)e[t]=t;return e}get Enum(){let e={};for(let t of this._def.values)e[t]=t;return e}extract(e,t=this._def){return n.create(e,{...this._def,...t})}exclude(e,t=this._def){return n.create(this.options.filter(r=>!e.includes(r)),{...this._def,...t})}};ue=new WeakMap;Q.create=qe;var X=class extends v{constructor(){super(...arguments),fe.set(this,void 0)}_parse(e){let t=b.getValidEnumValues(this._def.values),r=this._getOrReturnCtx(e);if(r.parsedType!==f.string&&r.parsedType!==f.number){let i=b.objectValues(t);return u(r,{expected:b.joinValues(i),received:r.parsedType,code:c.invalid_type}),g}if(_e(this,fe,"f")||je(this,fe,new Set(b.getValidEnumValues(this._def.values)),"f"),!_e(this,fe,"f").has(e.data)){let i=b.objectValues(t);return u(r,{received:r.data,code:c.invalid_enum_value,options:i}),g}return C(e.data)}get enum(){return this._def.values}};fe=new WeakMap;X.create=(n,e)=>new X({values:n,typeName:h.ZodNativeEnum,...y(e)});var L=class extends v{unwrap(){return this._def.type}_parse(e){let{ctx:t}=this._processInputParams(e);if(t.parsedType!==f.promise&&t.common.async===!1)return u(t,{code:c.invalid_type,expected:f.promise,received:t.parsedType}),g;let r=t.parsedType===f.promise?t.data:Promise.resolve(t.data);return C(r.then(i=>this._def.type.parseAsync(i,{path:t.path,errorMap:t.common.contextualErrorMap})))}};L.create=(n,e)=>new L({type:n,typeName:h.ZodPromise,...y(e)});var A=class extends v{innerType(){return this._def.schema}sourceType(){return this._def.schema._def.typeName===h.ZodEffects?this._def.schema.sourceType():this._def.schema}_parse(e){let{status:t,ctx:r}=this._processInputParams(e),i=this._def.effect||null,s={addIssue:o=>{u(r,o),o.fatal?t.abort():t.dirty()},get path(){return r.path}};if(s.addIssue=s.addIssue.bind(s),i.type==="preprocess"){let o=i.transform(r.data,s);if(r.common.async)return Promise.resolve(o).then(async a=>{if(t.value==="aborted")return g;let d=await this._def.schema._parseAsync({data:a,path:r.path,parent:r});return d.status==="aborted"?g:d.status==="dirty"||t.value==="dirty"?ie(d.value):d});{if(t.value==="aborted")return g;let a=this._def.schema._parseSync({data:o,path:r.path,parent:r});return a.status==="aborted"?g:a.status==="dirty"||t.value==="dirty"?ie(a.value):a}}if(i.type==="refinement"){let o=a=>{let d=i.refinement(a,s);if(r.common.async)return Promise.resolve(d);if(d instanceof Promise)throw new Error("Async refinement encountered during synchronous parse operation. Use .parseAsync instead.");return a};if(r.common.async===!1){let a=this._def.schema._parseSync({data:r.data,path:r.path,parent:r});return a.status==="aborted"?g:(a.status==="dirty"&&t.dirty(),o(a.value),{status:t.value,value:a.value})}else return this._def.schema._parseAsync({data:r.data,path:r.path,parent:r}).then(a=>a.status==="aborted"?g:(a.status==="dirty"&&t.dirty(),o(a.value).then(()=>({status:t.value,value:a.value}))))}if(i.type==="transform")if(r.common.async===!1){let o=this._def.schema._parseSync({data:r.data,path:r.path,parent:r});if(!$(o))return o;let a=i.transform(o.value,s);if(a instanceof Promise)throw new Error("Asynchronous transform encountered during synchronous parse operation. Use .parseAsync instead.");return{status:t.value,value:a}}else return this._def.schema._parseAsync({data:r.data,path:r.path,parent:r}).then(o=>$(o)?Promise.resolve(i.transform(o.value,s)).then(a=>({status:t.value,value:a})):o);b.assertNever(i)}};A.create=(n,e,t)=>new A({schema:n,typeName:h.ZodEffects,effect:e,...y(t)});A.createWithPreprocess=(n,e,t)=>new A({schema:e,effect:{type:"preprocess",transform:n},typeName:h.ZodEffects,...y(t)});var I=class extends v{_parse(e){return this._getType(e)===f.undefined?C(void 0):this._def.innerType._parse(e)}unwrap(){return this._def.innerType}};I.create=(n,e)=>new I({innerType:n,typeName:h.ZodOptional,...y(e)});var E=class extends v{_parse(e){return this._getType(e)===f.null?C(null):this._def.innerType._parse(e)}unwrap(){return this._def.innerType}};E.create=(n,e)=>new E({innerType:n,typeName:h.ZodNullable,...y(e)});var ee=class extends v{_parse(e){let{ctx:t}=this._processInputParams(e),r=t.data;return t.parsedType===f.undefined&&(r=this._def.defaultValue()),this._def.innerType._parse({data:r,path:t.path,parent:t})}removeDefault(){return this._def.innerType}};ee.create=(n,e)=>new ee({innerType:n,typeName:h.ZodDefault,defaultValue:typeof e.default=="function"?e.default:()=>e.default,...y(e)});var te=class extends v{_parse(e){let{ctx:t}=this._processInputParams(e),r={...t,common:{...t.common,issues:[]}},i=this._def.innerType._parse({data:r.data,path:r.path,parent:{...r}});return pe(i)?i.then(s=>({status:"valid",value:s.status==="valid"?s.value:this._def.catchValue({get error(){return new T(r.common.issues)},input:r.data})})):{status:"valid",value:i.status==="valid"?i.value:this._def.catchValue({get error(){return new T(r.common.issues)},input:r.data})}}removeCatch(){return this._def.innerType}};te.create=(n,e)=>new te({innerType:n,typeName:h.ZodCatch,catchValue:typeof e.catch=="function"?e.catch:()=>e.catch,...y(e)});var de=class extends v{_parse(e){if(this._getType(e)!==f.nan){let r=this._getOrReturnCtx(e);return u(r,{code:c.invalid_type,expected:f.nan,received:r.parsedType}),g}return{status:"valid",value:e.data}}};de.create=n=>new de({typeName:h.ZodNaN,...y(n)});var Zt=Symbol("zod_brand"),me=class extends v{_parse(e){let{ctx:t}=this._processInputParams(e),r=t.data;return this._def.type._parse({data:r,path:t.path,parent:t})}unwrap(){return this._def.type}},he=class n extends v{_parse(e){let{status:t,ctx:r}=this._processInputParams(e);if(r.common.async)return(async()=>{let s=await this._def.in._parseAsync({data:r.data,path:r.path,parent:r});return s.status==="aborted"?g:s.status==="dirty"?(t.dirty(),ie(s.value)):this._def.out._parseAsync({data:s.value,path:r.path,parent:r})})();{let i=this._def.in._parseSync({data:r.data,path:r.path,parent:r});return i.status==="aborted"?g:i.status==="dirty"?(t.dirty(),{status:"dirty",value:i.value}):this._def.out._parseSync({data:i.value,path:r.path,parent:r})}}static create(e,t){return new n({in:e,out:t,typeName:h.ZodPipeline})}},ne=class extends v{_parse(e){let t=this._def.innerType._parse(e),r=i=>($(i)&&(i.value=Object.freeze(i.value)),i);return pe(t)?t.then(i=>r(i)):r(t)}unwrap(){return this._def.innerType}};ne.create=(n,e)=>new ne({innerType:n,typeName:h.ZodReadonly,...y(e)});function Me(n,e){let t=typeof n=="function"?n(e):typeof n=="string"?{message:n}:n;return typeof t=="string"?{message:t}:t}function Ve(n,e={},t){return n?j.create().superRefine((r,i)=>{var s,o;let a=n(r);if(a instanceof Promise)return a.then(d=>{var l,m;if(!d){let k=Me(e,r),ge=(m=(l=k.fatal)!==null&&l!==void 0?l:t)!==null&&m!==void 0?m:!0;i.addIssue({code:"custom",...k,fatal:ge})}});if(!a){let d=Me(e,r),l=(o=(s=d.fatal)!==null&&s!==void 0?s:t)!==null&&o!==void 0?o:!0;i.addIssue({code:"custom",...d,fatal:l})}}):j.create()}var $t={object:S.lazycreate},h;(function(n){n.ZodString="ZodString",n.ZodNumber="ZodNumber",n.ZodNaN="ZodNaN",n.ZodBigInt="ZodBigInt",n.ZodBoolean="ZodBoolean",n.ZodDate="ZodDate",n.ZodSymbol="ZodSymbol",n.ZodUndefined="ZodUndefined",n.ZodNull="ZodNull",n.ZodAny="ZodAny",n.ZodUnknown="ZodUnknown",n.ZodNever="ZodNever",n.ZodVoid="ZodVoid",n.ZodArray="ZodArray",n.ZodObject="ZodObject",n.ZodUnion="ZodUnion",n.ZodDiscriminatedUnion="ZodDiscriminatedUnion",n.ZodIntersection="ZodIntersection",n.ZodTuple="ZodTuple",n.ZodRecord="ZodRecord",n.ZodMap="ZodMap",n.ZodSet="ZodSet",n.ZodFunction="ZodFunction",n.ZodLazy="ZodLazy",n.ZodLiteral="ZodLiteral",n.ZodEnum="ZodEnum",n.ZodEffects="ZodEffects",n.ZodNativeEnum="ZodNativeEnum",n.ZodOptional="ZodOptional",n.ZodNullable="ZodNullable",n.ZodDefault="ZodDefault",n.ZodCatch="ZodCatch",n.ZodPromise="ZodPromise",n.ZodBranded="ZodBranded",n.ZodPipeline="ZodPipeline",n.ZodReadonly="ZodReadonly"})(h||(h={}));var qt=(n,e={message:`Input not instance of ${n.name}`})=>Ve(t=>t instanceof n,e),ze=B.create,Ue=q.create,Vt=de.create,zt=V.create,We=z.create,Ut=U.create,Wt=ae.create,Gt=W.create,Ht=G.create,Yt=j.create,Jt=M.create,Kt=R.create,Qt=oe.create,Xt=F.create,en=S.create,tn=S.strictCreate,nn=H.create,rn=be.create,sn=Y.create,an=D.create,on=we.create,cn=ce.create,ln=le.create,dn=xe.create,un=J.create,fn=K.create,pn=Q.create,mn=X.create,hn=L.create,Fe=A.create,gn=I.create,yn=E.create,vn=A.createWithPreprocess,_n=he.create,bn=()=>ze().optional(),wn=()=>Ue().optional(),xn=()=>We().optional(),kn={string:n=>B.create({...n,coerce:!0}),number:n=>q.create({...n,coerce:!0}),boolean:n=>z.create({...n,coerce:!0}),bigint:n=>V.create({...n,coerce:!0}),date:n=>U.create({...n,coerce:!0})},Cn=g,_=Object.freeze({__proto__:null,defaultErrorMap:se,setErrorMap:yt,getErrorMap:ye,makeIssue:ve,EMPTY_PATH:vt,addIssueToContext:u,ParseStatus:x,INVALID:g,DIRTY:ie,OK:C,isAborted:Ae,isDirty:Ie,isValid:$,isAsync:pe,get util(){return b},get objectUtil(){return Te},ZodParsedType:f,getParsedType:P,ZodType:v,datetimeRegex:$e,ZodString:B,ZodNumber:q,ZodBigInt:V,ZodBoolean:z,ZodDate:U,ZodSymbol:ae,ZodUndefined:W,ZodNull:G,ZodAny:j,ZodUnknown:M,ZodNever:R,ZodVoid:oe,ZodArray:F,ZodObject:S,ZodUnion:H,ZodDiscriminatedUnion:be,ZodIntersection:Y,ZodTuple:D,ZodRecord:we,ZodMap:ce,ZodSet:le,ZodFunction:xe,ZodLazy:J,ZodLiteral:K,ZodEnum:Q,ZodNativeEnum:X,ZodPromise:L,ZodEffects:A,ZodTransformer:A,ZodOptional:I,ZodNullable:E,ZodDefault:ee,ZodCatch:te,ZodNaN:de,BRAND:Zt,ZodBranded:me,ZodPipeline:he,ZodReadonly:ne,custom:Ve,Schema:v,ZodSchema:v,late:$t,get ZodFirstPartyTypeKind(){return h},coerce:kn,any:Yt,array:Xt,bigint:zt,boolean:We,date:Ut,discriminatedUnion:rn,effect:Fe,enum:pn,function:dn,instanceof:qt,intersection:sn,lazy:un,literal:fn,map:cn,nan:Vt,nativeEnum:mn,never:Kt,null:Ht,nullable:yn,number:Ue,object:en,oboolean:xn,onumber:wn,optional:gn,ostring:bn,pipeline:_n,preprocess:vn,promise:hn,record:on,set:ln,strictObject:tn,string:ze,symbol:Wt,transformer:Fe,tuple:an,undefined:Gt,union:nn,unknown:Jt,void:Qt,NEVER:Cn,ZodIssueCode:c,quotelessJson:gt,ZodError:T});var Sn=[{code:"AL",name:"Alabama"},{code:"AK",name:"Alaska"},{code:"AZ",name:"Arizona"},{code:"AR",name:"Arkansas"},{code:"CA",name:"California"},{code:"CO",name:"Colorado"},{code:"CT",name:"Connecticut"},{code:"DE",name:"Delaware"},{code:"DC",name:"District of Columbia"},{code:"FL",name:"Florida"},{code:"GA",name:"Georgia"},{code:"HI",name:"Hawaii"},{code:"ID",name:"Idaho"},{code:"IL",name:"Illinois"},{code:"IN",name:"Indiana"},{code:"IA",name:"Iowa"},{code:"KS",name:"Kansas"},{code:"KY",name:"Kentucky"},{code:"LA",name:"Louisiana"},{code:"ME",name:"Maine"},{code:"MD",name:"Maryland"},{code:"MA",name:"Massachusetts"},{code:"MI",name:"Michigan"},{code:"MN",name:"Minnesota"},{code:"MS",name:"Mississippi"},{code:"MO",name:"Missouri"},{code:"MT",name:"Montana"},{code:"NE",name:"Nebraska"},{code:"NV",name:"Nevada"},{code:"NH",name:"New Hampshire"},{code:"NJ",name:"New Jersey"},{code:"NM",name:"New Mexico"},{code:"NY",name:"New York"},{code:"NC",name:"North Carolina"},{code:"ND",name:"North Dakota"},{code:"OH",name:"Ohio"},{code:"OK",name:"Oklahoma"},{code:"OR",name:"Oregon"},{code:"PA",name:"Pennsylvania"},{code:"RI",name:"Rhode Island"},{code:"SC",name:"South Carolina"},{code:"SD",name:"South Dakota"},{code:"TN",name:"Tennessee"},{code:"TX",name:"Texas"},{code:"UT",name:"Utah"},{code:"VT",name:"Vermont"},{code:"VA",name:"Virginia"},{code:"WA",name:"Washington"},{code:"WV",name:"West Virginia"},{code:"WI",name:"Wisconsin"},{code:"WY",name:"Wyoming"}],Z=new Map;for(let n of Sn)Z.set(n.code.toLowerCase(),n),Z.set(n.name.toLowerCase(),n);Z.set("washington dc",Z.get("dc"));Z.set("washington d c",Z.get("dc"));function Re(n){let e=(n||"").toLowerCase().replace(/[.,]/g," ").replace(/\s+/g," ").trim().replace(/^state of /,"");return Z.get(e)||Z.get(e.replace(/ /g,""))||null}var Ge={slug:"annual_report_generic",name:"Annual Report (Generic)",scope:{filingTypes:["Annual Report"],states:["*"],entityTypes:["LLC","Corporation","S-Corporation","C-Corporation","LLP"]},checklist:[{id:"articles",label:"Articles of Incorporation/Organization",description:"Certified copy of your formation documents",required:!0,category:"Formation Documents"},{id:"ein",label:"EIN (Employer Identification Number)",description:"Federal tax identification number from IRS",required:!0,category:"Tax Documents"},{id:"financials",label:"Financial Statements",description:"Balance sheet and income statement for reporting period",required:!1,category:"Financial Records"},{id:"operating_agreement",label:"Operating Agreement / Bylaws",description:"Current governing documents",required:!1,category:"Governance"},{id:"registered_agent",label:"Registered Agent Information",description:"Current agent name and address",required:!0,category:"Contact Information"}],suggestedItems:["operating_agreement","financials"],timeline:[{milestone:"Gather Required Documents",owner:"Business Owner",offsetDays:-30,notes:"Collect formation docs, EIN, and financial records"},{milestone:"Review Filing Requirements",owner:"Business Owner / Advisor",offsetDays:-21,notes:"Confirm state-specific requirements and fees"},{milestone:"Prepare Draft Filing",owner:"Business Owner",offsetDays:-14,notes:"Complete annual report form with current information"},{milestone:"Internal Review",owner:"Business Owner / Advisor",offsetDays:-7,notes:"Verify accuracy of all information before submission"},{milestone:"Submit Annual Report",owner:"Business Owner",offsetDays:-3,notes:"File online or mail to state agency with payment"},{milestone:"Filing Deadline",owner:"State Agency",offsetDays:0,notes:"Late filings may incur penalties or administrative dissolution"}],recurrence:{level:"state",rules:[{frequency:"annual",due:{type:"anchor",endOfMonth:!0}}],notes:"Most states set the annual report due date by the formation anniversary month; confirm the exact date with your Secretary of State."},risks:[{risk:"Late Filing Penalty",severity:"Medium",likelihood:"Medium",mitigation:"Set calendar reminders 30 days before deadline; consider auto-renewal if available"},{risk:"Administrative Dissolution",severity:"High",likelihood:"Low",mitigation:"File at least 7 days early to account for processing delays"},{risk:"Incorrect Information",severity:"Medium",likelihood:"Low",mitigation:"Cross-reference with formation documents and previous filings"},{risk:"Payment Processing Delays",severity:"Low",likelihood:"Medium",mitigation:"Use electronic payment methods; confirm receipt within 48 hours"}],links:[{label:"State Business Portal",url:"[Contact your state's Secretary of State office]",description:"Official filing portal for your jurisdiction"}]};var He={slug:"annual_report_ca",name:"Annual Report (California)",scope:{filingTypes:["Annual Report"],states:["California","CA"],entityTypes:["LLC","Corporation","S-Corporation","C-Corporation"]},checklist:[{id:"articles",label:"Articles of Incorporation/Organization",description:"Original formation documents filed with California SOS",required:!0,category:"Formation Documents"},{id:"ein",label:"EIN (Employer Identification Number)",description:"Federal tax ID from IRS",required:!0,category:"Tax Documents"},{id:"soi",label:"Statement of Information (Form SI-550/SI-350)",description:"California-specific information statement",required:!0,category:"State Requirements"},{id:"franchise_tax",label:"Franchise Tax Board Account",description:"Active FTB account in good standing",required:!0,category:"Tax Compliance"},{id:"registered_agent",label:"California Registered Agent",description:"Agent with physical CA address (not PO Box)",required:!0,category:"Contact Information"},{id:"operating_agreement",label:"Operating Agreement / Bylaws",description:"Current governing documents",required:!1,category:"Governance"}],suggestedItems:["operating_agreement","soi"],timeline:[{milestone:"Gather CA-Specific Documents",owner:"Business Owner",offsetDays:-30,notes:"Collect Statement of Information, FTB account info, registered agent details"},{milestone:"Verify FTB Account Status",owner:"Business Owner / CPA",offsetDays:-21,notes:"Ensure Franchise Tax Board account is current and in good standing"},{milestone:"Complete Statement of Information",owner:"Business Owner",offsetDays:-14,notes:"Fill out Form SI-550 (LLC) or SI-350 (Corp) with current data"},{milestone:"Review and Validate",owner:"Business Owner / Advisor",offsetDays:-7,notes:"Double-check officer/member names, addresses, and agent information"},{milestone:"File Online via BizFile",owner:"Business Owner",offsetDays:-3,notes:"Submit through California Secretary of State BizFile portal with $20-25 fee"},{milestone:"California Filing Deadline",owner:"CA Secretary of State",offsetDays:0,notes:"Late penalty: $250 plus potential suspension of entity status"}],recurrence:{level:"state",rules:[{name:"California Statement of Information (initial)",frequency:"once",due:{type:"anchor",offsetDays:90}},{entityTypes:["LLC"],frequency:"biennial",due:{type:"anchor",endOfMonth:!0}},{frequency:"annual",due:{type:"anchor",endOfMonth:!0}}],notes:"The initial Statement of Information is due within 90 days of registration; after that it is due by the end of the registration anniversary month (LLCs every two years, corporations every year)."},risks:[{risk:"FTB Suspension",severity:"High",likelihood:"Medium",mitigation:"Verify FTB account is current before filing; resolve any outstanding tax issues"},{risk:"Late Filing Penalty ($250)",severity:"High",likelihood:"Medium",mitigation:"File at least 1 week early; set multiple calendar reminders"},{risk:"Entity Suspension by CA SOS",severity:"High",likelihood:"Low",mitigation:"Monitor compliance calendar; consider professional registered agent service"},{risk:"Incorrect Agent Address",severity:"Medium",likelihood:"Low",mitigation:"Confirm agent address is physical CA location, not PO Box"}],links:[{label:"California BizFile Portal",url:"https://bizfileonline.sos.ca.gov/",description:"Official California Secretary of State filing system"},{label:"Franchise Tax Board",url:"https://www.ftb.ca.gov/",description:"Verify tax account status"},{label:"CA Secretary of State Business Programs",url:"https://www.sos.ca.gov/business-programs/",description:"General business filing information"}]};var Ye={slug:"annual_report_de",name:"Annual Report (Delaware)",scope:{filingTypes:["Annual Report"],states:["Delaware","DE"],entityTypes:["LLC","Corporation","S-Corporation","C-Corporation"]},checklist:[{id:"articles",label:"Certificate of Formation/Incorporation",description:"Original Delaware formation documents",required:!0,category:"Formation Documents"},{id:"ein",label:"EIN (Employer Identification Number)",description:"Federal tax ID",required:!0,category:"Tax Documents"},{id:"franchise_tax",label:"Delaware Franchise Tax Payment",description:"Annual franchise tax must be paid",required:!0,category:"Tax Compliance"},{id:"registered_agent",label:"Delaware Registered Agent",description:"Agent with physical DE address",required:!0,category:"Contact Information"},{id:"file_number",label:"Delaware File Number",description:"7-digit file number from formation",required:!0,category:"State Requirements"}],suggestedItems:["franchise_tax"],timeline:[{milestone:"Review Franchise Tax Calculation",owner:"Business Owner / CPA",offsetDays:-30,notes:"Calculate franchise tax based on authorized shares or assumed par value method"},{milestone:"Gather Delaware File Number",owner:"Business Owner",offsetDays:-21,notes:"Locate 7-digit file number from original Certificate"},{milestone:"Prepare Annual Report",owner:"Business Owner",offsetDays:-14,notes:"Complete report with current officer/director information"},{milestone:"Calculate Total Fees",owner:"Business Owner / CPA",offsetDays:-7,notes:"Annual report fee ($50 LLC / $50+ Corp) plus franchise tax"},{milestone:"File Online",owner:"Business Owner",offsetDays:-3,notes:"Submit via Delaware Division of Corporations online portal"},{milestone:"Delaware Deadline",owner:"DE Division of Corporations",offsetDays:0,notes:"LLC: June 1 / Corp: March 1. Late penalty: $200 + monthly interest"}],recurrence:{level:"state",rules:[{entityTypes:["LLC"],frequency:"annual",due:{type:"fixed",month:6,day:1}},{frequency:"annual",due:{type:"fixed",month:3,day:1}}],notes:"LLC annual tax is due June 1; corporation annual report and franchise tax are due March 1."},risks:[{risk:"Franchise Tax Miscalculation",severity:"Medium",likelihood:"Medium",mitigation:"Use Delaware tax calculator; consult CPA for complex capital structures"},{risk:"Late Filing Penalty ($200 + interest)",severity:"Medium",likelihood:"Low",mitigation:"File at least 2 weeks before deadline; set early reminders"},{risk:"Entity Voiding",severity:"High",likelihood:"Low",mitigation:"Never miss 3 consecutive years; maintain current registered agent"},{risk:"Payment Processing Delay",severity:"Low",likelihood:"Medium",mitigation:"Use credit card payment for instant processing; avoid checks near deadline"}],links:[{label:"Delaware Division of Corporations",url:"https://corp.delaware.gov/",description:"Official filing portal and franchise tax calculator"}]};var Je={slug:"state_tax_registration_generic",name:"State Tax Registration (Generic)",scope:{filingTypes:["State Tax Registration"],states:["*"],entityTypes:["LLC","Corporation","S-Corporation","C-Corporation","Sole Proprietorship","Partnership"]},checklist:[{id:"ein",label:"Federal EIN",description:"Employer Identification Number from IRS",required:!0,category:"Federal Documents"},{id:"articles",label:"Formation Documents",description:"Articles of Incorporation/Organization or DBA filing",required:!0,category:"Business Documents"},{id:"business_address",label:"Physical Business Address",description:"Physical location in state (not PO Box)",required:!0,category:"Location Information"},{id:"business_description",label:"Business Activity Description",description:"NAICS code and detailed description of operations",required:!0,category:"Business Information"},{id:"start_date",label:"Business Start Date",description:"Date of first business activity in state",required:!0,category:"Business Information"}],suggestedItems:["business_description","start_date"],timeline:[{milestone:"Determine Tax Obligations",owner:"Business Owner / CPA",offsetDays:-30,notes:"Identify sales tax, use tax, payroll tax, and income tax requirements"},{milestone:"Gather Registration Documents",owner:"Business Owner",offsetDays:-21,notes:"Collect EIN, formation docs, NAICS code, business location details"},{milestone:"Complete Registration Application",owner:"Business Owner",offsetDays:-14,notes:"Fill out state tax agency registration forms online or paper"},{milestone:"Review for Accuracy",owner:"Business Owner / CPA",offsetDays:-7,notes:"Verify all tax types selected, addresses correct, and signatures obtained"},{milestone:"Submit Registration",owner:"Business Owner",offsetDays:-3,notes:"File with state tax agency; receive confirmation number"},{milestone:"Registration Deadline",owner:"State Tax Agency",offsetDays:0,notes:"Register before starting taxable activities to avoid penalties"}],recurrence:{level:"state",rules:[{frequency:"once",due:{type:"anchor"}}],notes:"Register before starting taxable activity in the state."},risks:[{risk:"Late Registration Penalty",severity:"Medium",likelihood:"High",mitigation:"Register before first taxable transaction; retroactive registration may incur fines"},{risk:"Incorrect Tax Type Selection",severity:"Medium",likelihood:"Medium",mitigation:"Consult with CPA to identify all applicable tax obligations"},{risk:"Nexus Determination Error",severity:"High",likelihood:"Low",mitigation:"Review state nexus rules; consider economic nexus thresholds for remote sellers"},{risk:"Ongoing Compliance Burden",severity:"Medium",likelihood:"High",mitigation:"Set up quarterly/monthly filing calendar; consider using tax automation software"}],links:[{label:"State Tax Agency Portal",url:"[Contact your state's Department of Revenue or Taxation]",description:"Official tax registration portal"}]};var Ke={slug:"state_tax_registration_ca",name:"State Tax Registration (California)",scope:{filingTypes:["State Tax Registration"],states:["California","CA"],entityTypes:["LLC","Corporation","S-Corporation","C-Corporation","Sole Proprietorship","Partnership"]},checklist:[{id:"ein",label:"Federal EIN",description:"IRS Employer Identification Number",required:!0,category:"Federal Documents"},{id:"articles",label:"CA Formation Documents",description:"Articles filed with California Secretary of State",required:!0,category:"Business Documents"},{id:"cdtfa_account",label:"CDTFA Online Services Account",description:"Create account at onlineservices.cdtfa.ca.gov",required:!0,category:"Registration Requirements"},{id:"naics_code",label:"NAICS Business Code",description:"6-digit code describing primary business activity",required:!0,category:"Business Information"},{id:"seller_permit",label:"Seller's Permit Application",description:"Required if selling tangible goods in California",required:!1,category:"Sales Tax"},{id:"use_tax",label:"Use Tax Registration",description:"Required for purchases of taxable items for business use",required:!1,category:"Sales Tax"}],suggestedItems:["seller_permit","use_tax"],timeline:[{milestone:"Determine Tax Nexus",owner:"Business Owner / CPA",offsetDays:-30,notes:"Confirm if physical presence or economic nexus exists in California"},{milestone:"Create CDTFA Account",owner:"Business Owner",offsetDays:-21,notes:"Register at onlineservices.cdtfa.ca.gov for online access"},{milestone:"Complete Registration Forms",owner:"Business Owner",offsetDays:-14,notes:"Fill CDTFA-101-DMV or online registration; select applicable tax types"},{milestone:"Gather Supporting Documents",owner:"Business Owner",offsetDays:-10,notes:"EIN confirmation, CA formation docs, lease or property deed"},{milestone:"Submit Registration",owner:"Business Owner",offsetDays:-5,notes:"File online or mail to CDTFA; processing takes 5-10 business days"},{milestone:"Begin Business Operations",owner:"Business Owner",offsetDays:0,notes:"Must be registered before first taxable sale or use"}],recurrence:{level:"state",rules:[{frequency:"once",due:{type:"anchor"}}],notes:"Register with CDTFA before making taxable sales in California."},risks:[{risk:"Unregistered Sales (10% Penalty)",severity:"High",likelihood:"Medium",mitigation:"Register immediately upon establishing nexus; never delay for convenience"},{risk:"Security Deposit Requirement",severity:"Medium",likelihood:"Low",mitigation:"New businesses may owe deposit equal to estimated quarterly tax; plan cash flow accordingly"},{risk:"Incorrect Tax Type Selection",severity:"Medium",likelihood:"Medium",mitigation:"Consult CPA to identify sales tax, use tax, and special district tax obligations"},{risk:"Quarterly Filing Burden",severity:"Low",likelihood:"High",mitigation:"Set up automated reminders; consider POS system with tax calculation features"}],links:[{label:"CDTFA Online Services",url:"https://onlineservices.cdtfa.ca.gov/",description:"California Department of Tax and Fee Administration portal"},{label:"Seller's Permit Information",url:"https://www.cdtfa.ca.gov/taxes-and-fees/sales-and-use-tax-permit.htm",description:"Requirements and application process"}]};var Qe={slug:"boir",name:"BOIR (Beneficial Ownership Information Report)",scope:{filingTypes:["BOIR","BOIR (Beneficial Ownership Information Report)"],states:["*"],entityTypes:["LLC","Corporation","S-Corporation","C-Corporation"]},checklist:[{id:"beneficial_owners",label:"Beneficial Owner Information",description:"Name, DOB, address, ID for each person owning 25%+ or exercising substantial control",required:!0,category:"Ownership Data"},{id:"company_applicant",label:"Company Applicant Details",description:"Person who filed formation documents (if formed after Jan 1, 2024)",required:!1,category:"Formation Data"},{id:"identification_docs",label:"Government-Issued ID",description:"Driver's license, passport, or state ID for each beneficial owner",required:!0,category:"Identification"},{id:"entity_info",label:"Entity Information",description:"Legal name, DBA, EIN, formation jurisdiction, and address",required:!0,category:"Business Documents"},{id:"ownership_structure",label:"Ownership Structure Chart",description:"Diagram showing ownership percentages and control relationships",required:!1,category:"Supporting Documents"}],suggestedItems:["ownership_structure","identification_docs"],timeline:[{milestone:"Identify Beneficial Owners",owner:"Business Owner / Attorney",offsetDays:-30,notes:"List all individuals with 25%+ ownership or substantial control"},{milestone:"Collect ID Documents",owner:"Business Owner",offsetDays:-21,notes:"Obtain scan/photo of driver's license or passport for each owner"},{milestone:"Gather Entity Details",owner:"Business Owner",offsetDays:-14,notes:"Compile legal name, EIN, formation date, jurisdiction, and registered address"},{milestone:"Complete BOIR Form",owner:"Business Owner / Attorney",offsetDays:-7,notes:"Fill FinCEN BOIR form with all beneficial owner and entity data"},{milestone:"Review for Accuracy",owner:"Business Owner / Attorney",offsetDays:-3,notes:"Verify all names, DOBs, addresses, and ID numbers are correct"},{milestone:"File with FinCEN",owner:"Business Owner",offsetDays:0,notes:"Submit electronically via FinCEN BOSS portal; deadline varies by formation date"}],recurrence:{level:"federal",rules:[{frequency:"once",due:{type:"anchor",offsetDays:30}}],notes:"Initial report is due 30 days after formation. File an updated report within 30 days of any change to beneficial owners or company details."},risks:[{risk:"Civil Penalty (Up to $500/day)",severity:"High",likelihood:"Medium",mitigation:"File before deadline; set early reminder 60 days out"},{risk:"Criminal Penalties (Willful Violation)",severity:"High",likelihood:"Low",mitigation:"Never intentionally omit beneficial owners; consult attorney if uncertain"},{risk:"Incomplete Ownership Disclosure",severity:"High",likelihood:"Medium",mitigation:"Review all ownership tiers; include indirect owners through trusts or entities"},{risk:"Failure to Update Changes",severity:"Medium",likelihood:"High",mitigation:"Update BOIR within 30 days of any ownership or control changes"}],links:[{label:"FinCEN BOSS Portal",url:"https://www.fincen.gov/boi",description:"Official Beneficial Ownership Information Reporting portal"},{label:"BOIR Small Entity Compliance Guide",url:"https://www.fincen.gov/boi-faqs",description:"FAQs and exemptions"}]};var Xe={slug:"dbe_mbe_certification",name:"DBE / MBE Certification",scope:{filingTypes:["DBE Certification","MBE Certification"],states:["*"],entityTypes:["LLC","Corporation","S-Corporation","C-Corporation","Sole Proprietorship"]},checklist:[{id:"personal_net_worth",label:"Personal Net Worth Statement",description:"Detailed financial statement showing assets, liabilities, and net worth under threshold",required:!0,category:"Financial Documents"},{id:"tax_returns",label:"Business & Personal Tax Returns",description:"Last 3 years of filed tax returns (business and owner)",required:!0,category:"Financial Documents"},{id:"ownership_proof",label:"Ownership Documentation",description:"Stock certificates, operating agreement, or partnership agreement showing 51%+ ownership",required:!0,category:"Ownership Proof"},{id:"control_proof",label:"Control Documentation",description:"Resolutions, bylaws, or agreements showing operational control by disadvantaged owner",required:!0,category:"Control Proof"},{id:"citizenship_proof",label:"Citizenship/Residency Proof",description:"Birth certificate, passport, or naturalization papers",required:!0,category:"Identification"},{id:"industry_expertise",label:"Industry Expertise Evidence",description:"Resume, licenses, prior work history demonstrating sector knowledge",required:!1,category:"Qualifications"}],suggestedItems:["industry_expertise","control_proof"],timeline:[{milestone:"Review Eligibility Requirements",owner:"Business Owner / Consultant",offsetDays:-90,notes:"Confirm 51% ownership by disadvantaged individual; verify net worth limits"},{milestone:"Gather Financial Documents",owner:"Business Owner / CPA",offsetDays:-75,notes:"Collect 3 years tax returns, personal net worth statement, bank statements"},{milestone:"Compile Ownership Proof",owner:"Business Owner / Attorney",offsetDays:-60,notes:"Assemble stock certificates, operating agreement, formation documents"},{milestone:"Document Control",owner:"Business Owner / Attorney",offsetDays:-45,notes:"Prepare affidavits, resolutions, and organizational charts showing operational control"},{milestone:"Complete Certification Application",owner:"Business Owner / Consultant",offsetDays:-30,notes:"Fill state-specific DBE/MBE application with supporting documentation"},{milestone:"Submit Application",owner:"Business Owner",offsetDays:-14,notes:"File with state DOT or certification agency; typical review: 60-90 days"},{milestone:"Application Deadline",owner:"Certification Agency",offsetDays:0,notes:"No statutory deadline, but allow 90+ days before bid submission needs"}],recurrence:{level:"federal",optIn:!0,rules:[{frequency:"annual",due:{type:"anchor"}}],notes:"Submit the annual no-change affidavit on each certification anniversary to keep certification active."},risks:[{risk:"Application Denial (Insufficient Control)",severity:"High",likelihood:"Medium",mitigation:"Document day-to-day management; avoid nominee arrangements or passive ownership"},{risk:"Net Worth Exceeds Threshold",severity:"High",likelihood:"Low",mitigation:"Calculate net worth carefully; exclude primary residence equity per federal rules"},{risk:"Incomplete Documentation",severity:"Medium",likelihood:"High",mitigation:"Use certification consultant; prepare comprehensive evidence package upfront"},{risk:"Onsite Visit Findings",severity:"Medium",likelihood:"Medium",mitigation:"Ensure physical business location, equipment, and staff demonstrate operational control"}],links:[{label:"State DBE Certification Office",url:"[Contact your state Department of Transportation]",description:"State-specific DBE certification program"},{label:"Federal DBE Program Overview",url:"https://www.transportation.gov/civil-rights/disadvantaged-business-enterprise",description:"USDOT DBE program guidance"}]};var et={slug:"sam_registration",name:"SAM.gov Registration",scope:{filingTypes:["SAM Registration","SAM.gov Registration"],states:["*"],entityTypes:["LLC","Corporation","S-Corporation","C-Corporation","Sole Proprietorship","Partnership"]},checklist:[{id:"ein",label:"EIN (Employer Identification Number)",description:"Federal tax ID from IRS",required:!0,category:"Federal Documents"},{id:"duns",label:"UEI (Unique Entity Identifier)",description:"Formerly DUNS number; now auto-assigned by SAM.gov",required:!0,category:"Federal Documents"},{id:"bank_account",label:"Bank Account Information",description:"Routing and account numbers for electronic funds transfer",required:!0,category:"Financial Information"},{id:"naics_codes",label:"NAICS Codes (up to 10)",description:"6-digit codes describing your business capabilities",required:!0,category:"Business Information"},{id:"psc_codes",label:"Product/Service Codes",description:"Federal PSC codes matching your offerings",required:!1,category:"Business Information"},{id:"executive_info",label:"Executive Compensation Data",description:"Names and compensation for top 5 executives (if >$25k federal revenue)",required:!1,category:"Financial Information"},{id:"reps_certs",label:"Representations & Certifications",description:"Annual certifications about business size, ownership, and compliance",required:!0,category:"Compliance"}],suggestedItems:["psc_codes","executive_info"],timeline:[{milestone:"Obtain EIN",owner:"Business Owner",offsetDays:-45,notes:"Apply for EIN via IRS if not already obtained"},{milestone:"Create SAM.gov Account",owner:"Business Owner",offsetDays:-30,notes:"Register at SAM.gov; receive UEI assignment (replaces DUNS)"},{milestone:"Gather Bank & Tax Info",owner:"Business Owner / CPA",offsetDays:-21,notes:"Collect bank routing/account, tax returns, and financial statements"},{milestone:"Select NAICS & PSC Codes",owner:"Business Owner",offsetDays:-14,notes:"Identify up to 10 NAICS codes that match capabilities; prioritize primary code"},{milestone:"Complete SAM Registration",owner:"Business Owner",offsetDays:-7,notes:"Fill entity profile, NAICS codes, banking info, and reps & certs"},{milestone:"Submit & Await Validation",owner:"SAM.gov / IRS",offsetDays:0,notes:"Initial registration takes 7-10 days for IRS TIN validation"},{milestone:"Registration Active",owner:"Business Owner",offsetDays:10,notes:"Status changes to Active; eligible to bid on federal contracts"}],recurrence:{level:"federal",optIn:!0,rules:[{frequency:"annual",due:{type:"anchor"}}],notes:"SAM.gov registrations expire 365 days after activation; renew at least 30 days early to avoid a lapse."},risks:[{risk:"TIN Validation Failure",severity:"High",likelihood:"Medium",mitigation:"Verify EIN matches IRS records exactly; resolve any IRS discrepancies first"},{risk:"Annual Renewal Lapse",severity:"High",likelihood:"High",mitigation:"Registration expires annually; set calendar reminder 60 days before expiration"},{risk:"Incorrect NAICS Code Selection",severity:"Medium",likelihood:"Medium",mitigation:"Research NAICS carefully; primary code affects small business size standards"},{risk:"Incomplete Reps & Certs",severity:"Medium",likelihood:"Medium",mitigation:"Answer all certification questions; update annually or when circumstances change"}],links:[{label:"SAM.gov Registration Portal",url:"https://sam.gov/",description:"Official System for Award Management"},{label:"NAICS Code Lookup",url:"https://www.census.gov/naics/",description:"Search and identify appropriate business codes"}]};var w=_.string().trim().min(1),nt=_.object({slug:_.string().regex(/^[a-z0-9_]+$/,"slug must be lowercase letters, digits and underscores"),name:w,scope:_.object({filingTypes:_.array(w).min(1),states:_.array(w).min(1),entityTypes:_.array(w).min(1)}),checklist:_.array(_.object({id:_.string().regex(/^[a-z0-9_]+$/,"checklist id must be lowercase letters, digits and underscores"),label:w,description:w,required:_.boolean(),category:w})).min(1),suggestedItems:_.array(_.string()).optional().default([]),timeline:_.array(_.object({milestone:w,owner:w,offsetDays:_.number().int(),notes:_.string()})),recurrence:_.object({level:_.enum(["state","federal"]),optIn:_.boolean().optional().default(!1),rules:_.array(_.object({entityTypes:_.array(w).optional(),frequency:_.enum(["once","annual","biennial"]),name:w.optional(),due:_.discriminatedUnion("type",[_.object({type:_.literal("fixed"),month:_.number().int().min(1).max(12),day:_.number().int().min(1).max(31)}),_.object({type:_.literal("anchor"),offsetDays:_.number().int().optional().default(0),endOfMonth:_.boolean().optional().default(!1)})])})).min(1),notes:_.string().optional().default("")}).optional(),risks:_.array(_.object({risk:w,severity:w,likelihood:w,mitigation:w})),links:_.array(_.object({label:w,url:w,description:_.string()}))}).strict();function rt(n){let e=[],t={};return n.forEach((r,i)=>{let s=nt.safeParse(r),o=(r==null?void 0:r.slug)||`#${i}`;if(!s.success){for(let l of s.error.issues)e.push(`${o}: ${l.path.join(".")||"(root)"}: ${l.message}`);return}let a=s.data;if(t[a.slug]){e.push(`${a.slug}: duplicate slug`);return}let d=new Set(a.checklist.map(l=>l.id));for(let l of a.suggestedItems)d.has(l)||e.push(`${a.slug}: suggestedItems references unknown checklist id "${l}"`);t[a.slug]=a}),e.length===0?{success:!0,data:t,issues:e}:{success:!1,issues:e}}function it(n){let e=rt(n);if(!e.success||!e.data)throw new Error(`Invalid filing profiles:
+${e.issues.map(t=>`  - ${t}`).join(`
+`)}`);return e.data}var st=[Ge,He,Ye,Je,Ke,Qe,Xe,et],at=it(st),De={exact:60,contains:45,partial:30},tt={specific:30,any:10},Pn=15,Mn=new Set(["report","registration","certification","filing","form","the","of","and"]),Fn={llc:"LLC","limited liability company":"LLC",llp:"LLP","limited liability partnership":"LLP",corporation:"Corporation",corp:"Corporation",inc:"Corporation","s corporation":"S-Corporation","s corp":"S-Corporation",scorp:"S-Corporation","c corporation":"C-Corporation","c corp":"C-Corporation",ccorp:"C-Corporation","sole proprietorship":"Sole Proprietorship","sole proprietor":"Sole Proprietorship","sole prop":"Sole Proprietorship",partnership:"Partnership","general partnership":"Partnership"};function Ee(n){return n.toLowerCase().replace(/[^a-z0-9]+/g," ").trim().split(" ").filter(Boolean)}function Ne(n){let e=Ee(n).join(" ");return Fn[e]||null}function Bn(n,e){let t=Ee(n);if(t.length===0)return null;let r=t.filter(s=>!Mn.has(s)),i=null;for(let s of e.scope.filingTypes){let o=Ee(s),a=null;if(t.join(" ")===o.join(" "))a={score:De.exact,reason:`filing type matches "${s}"`};else if(t.every(d=>o.includes(d))||o.every(d=>t.includes(d)))a={score:De.contains,reason:`filing type contains "${s}"`};else if(r.length>0){let d=r.filter(l=>o.includes(l));d.length>0&&(a={score:Math.round(De.partial*d.length/r.length),reason:`filing type shares "${d.join(" ")}" with "${s}"`})}a&&(!i||a.score>i.score)&&(i=a)}return i}function jn(n,e){let t=Re(n);if(e.scope.states.some(i=>{var s;return i!=="*"&&t&&((s=Re(i))==null?void 0:s.code)===t.code})&&t)return{score:tt.specific,reason:`covers ${t.name} (${t.code})`};if(e.scope.states.includes("*")){let i=t?`${t.name} (${t.code})`:n.trim()?`"${n.trim()}"`:"";return{score:tt.any,reason:i?`applies in any jurisdiction, including ${i}`:"applies in any jurisdiction"}}return null}function ot(n,e){let t=Ne(n);if(!t)return!1;let r=e.map(i=>Ne(i)||i);return r.includes(t)||(t==="S-Corporation"||t==="C-Corporation")&&r.includes("Corporation")}function Ln(n,e){return n.trim()?ot(n,e.scope.entityTypes)?{score:Pn,reason:`entity type ${Ne(n)} is covered`}:{score:0,reason:`entity type "${n.trim()}" is not listed for this profile`}:{score:0,reason:"no entity type given"}}function ct(n,e,t){let r=[];for(let i of Object.values(at)){let s=Bn(n||"",i);if(!s)continue;let o=jn(e||"",i);if(!o)continue;let a=Ln(t||"",i),d=i.slug.includes("_generic");r.push({profile:i,isGeneric:d,matchType:d?"generic":"specific",score:s.score+o.score+a.score,reasons:[s.reason,o.reason,a.reason]})}return r.sort((i,s)=>s.score-i.score||Number(i.isGeneric)-Number(s.isGeneric)||i.profile.slug.localeCompare(s.profile.slug))}function lt(n,e,t){return ct(n,e,t)[0]||null}function Zn(n,e,t){var r;return((r=lt(n,e,t))==null?void 0:r.profile)||null}return ht($n);})();
+window.FILING_PROFILES=CompliPilotProfiles.FILING_PROFILES;window.resolveFilingProfile=CompliPilotProfiles.resolveFilingProfile;window.rankFilingProfiles=CompliPilotProfiles.rankFilingProfiles;
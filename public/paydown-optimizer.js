@@ -0,0 +1,3 @@
+// GENERATED by script/build-browser-modules.ts from shared/paydown-optimizer.ts - do not edit.
+"use strict";var CreditCommanderPaydown=(()=>{var x=Object.defineProperty;var M=Object.getOwnPropertyDescriptor;var _=Object.getOwnPropertyNames;var L=Object.prototype.hasOwnProperty;var R=(e,t)=>{for(var o in t)x(e,o,{get:t[o],enumerable:!0})},Y=(e,t,o,c)=>{if(t&&typeof t=="object"||typeof t=="function")for(let a of _(t))!L.call(e,a)&&a!==o&&x(e,a,{get:()=>t[a],enumerable:!(c=M(t,a))||c.enumerable});return e};var z=e=>Y(x({},"__esModule",{value:!0}),e);var V={};R(V,{PAYDOWN_STRATEGIES:()=>I,PAY_BEFORE_STATEMENT_DAYS:()=>C,UTILIZATION_THRESHOLDS:()=>B,balanceUnder:()=>g,dateInMonth:()=>U,nextStatementDates:()=>v,optimizePaydown:()=>G,paydownCardsFromLedger:()=>O});var w=["revolving","card"];var I={thresholds:"Get each card under 30% and 10%",azeo:"All zero except one"},B=[90,50,30,10],C=3,N=24*60*60*1e3;function O(e){return e.filter(t=>t.status!=="closed"&&w.includes(t.type)&&(t.limit||0)>0).map(t=>({creditor:t.creditor,limit:t.limit,balance:t.balance,apr:t.apr,statementDay:t.statementDay}))}function D(e,t){return t>0?Math.floor(e/t*1e3)/10:0}function g(e,t){return Math.max(0,Math.ceil(e*t/100)-1)}function A(e){return e.toISOString().slice(0,10)}function U(e,t,o){let c=new Date(Date.UTC(e,t+1,0)).getUTCDate();return new Date(Date.UTC(e,t,Math.min(o,c)))}function v(e,t=new Date){if(!e)return null;let o=new Date(Date.UTC(t.getUTCFullYear(),t.getUTCMonth(),t.getUTCDate()));for(let c=0;c<3;c++){let a=U(o.getUTCFullYear(),o.getUTCMonth()+c,e),i=new Date(a.getTime()-C*N);if(i.getTime()>=o.getTime())return{statementDate:A(a),payBy:A(i)}}return null}function E(e){return`$${Math.round(e).toLocaleString("en-US")}`}function $(e,t,o,c){let a=t;for(;;){let r=null;for(let u=0;u<e.length;u++){let n=e[u],m=n.balance-o[u],h=B.find(l=>m>g(n.limit,l));if(h===void 0)continue;let d=m-g(n.limit,h);d>a||(!r||d<r.cost||d===r.cost&&(n.apr||0)>(e[r.index].apr||0))&&(r={index:u,cost:d,threshold:h})}if(!r)break;let{index:s,cost:b,threshold:p}=r;o[s]+=b,a-=b,c[s].push(`under ${p}%`)}let i=e.map((r,s)=>s).sort((r,s)=>(e[s].apr||0)-(e[r].apr||0));for(let r of i){if(a<=0)break;let s=Math.min(a,e[r].balance-o[r]);s<=0||(o[r]+=s,a-=s,c[r].push(e[r].apr?`extra toward the ${e[r].apr}% APR`:"extra paydown"))}return a}function k(e,t,o,c,a){let i=t,r=e.map((n,m)=>m).filter(n=>n!==a&&e[n].balance>0).sort((n,m)=>e[n].balance-e[m].balance||(e[m].apr||0)-(e[n].apr||0));for(let n of r)e[n].balance>i||(o[n]=e[n].balance,i-=e[n].balance,c[n].push("pay to $0"));let s=e[a],b=Math.max(1,g(s.limit,10)),p=Math.min(i,Math.max(0,s.balance-b));p>0&&(o[a]=p,i-=p,c[a].push(s.balance-p<=b?"keep a small balance under 10%":"partial paydown, keep reporting a balance"));let u=r.filter(n=>o[n]===0);if(i>0&&u.length>0){let n=u[u.length-1],m=Math.min(i,e[n].balance);o[n]=m,i-=m,c[n].push("partial paydown")}return i}function G(e,t,o="thresholds",c=new Date){let a=Math.max(0,Math.floor(Number(t)||0)),i=e.reduce((l,f)=>l+f.limit,0),r=e.reduce((l,f)=>l+f.balance,0),s=e.map(()=>0),b=e.map(()=>[]),p=[],u=o==="azeo"&&e.length>0?e.reduce((l,f,T)=>f.limit>e[l].limit?T:l,0):-1,n=e.length===0?a:o==="azeo"?k(e,a,s,b,u):$(e,a,s,b),m=e.map((l,f)=>{var P,S;let T=l.balance-s[f],y=v(l.statementDay,c);return{...l,payment:s[f],newBalance:T,utilizationBefore:D(l.balance,l.limit),utilizationAfter:D(T,l.limit),statementDate:(P=y==null?void 0:y.statementDate)!=null?P:null,payBy:(S=y==null?void 0:y.payBy)!=null?S:null,reason:b[f].length>0?b[f].join(", "):f===u?"keeper - leave its balance reporting":"no payment"}}),h=m.reduce((l,f)=>l+f.newBalance,0),d=D(h,i);return e.length===0?p.push("Add your credit cards and revolving lines to the account ledger with their limits and balances to get a per-card plan."):(m.some(l=>l.payment>0&&!l.payBy)&&p.push("Add the statement closing day to each card to get a pay-by date - paying after the statement closes does not change what is reported this month."),d>=30?p.push(`Overall utilization stays at ${d}%. Getting under 30% takes ${E(h-g(i,30))} more.`):d>=10&&p.push(`Overall utilization is under 30%. Under 10% takes ${E(h-g(i,10))} more.`),o==="azeo"&&u>=0&&m[u].newBalance===0&&p.push(`${e[u].creditor} has no balance - put a small charge on it before the statement closes so one card reports a balance.`),n>0&&p.push(`${E(n)} is left over - every reported balance is already at the plan's target.`)),{strategy:o,cash:a,cashUsed:a-n,cashLeft:n,totalLimit:i,totalBalance:r,overallBefore:D(r,i),overallAfter:d,keeper:u>=0?e[u].creditor:null,payments:m,notes:p}}return z(V);})();
+window.optimizePaydown=CreditCommanderPaydown.optimizePaydown;window.paydownCardsFromLedger=CreditCommanderPaydown.paydownCardsFromLedger;window.PAYDOWN_STRATEGIES=CreditCommanderPaydown.PAYDOWN_STRATEGIES;
@@ -0,0 +1,7 @@
+// GENERATED by script/build-browser-modules.ts from shared/payment-calendar.ts - do not edit.
+"use strict";var CreditCommanderCalendar=(()=>{var b=Object.defineProperty;var B=Object.getOwnPropertyDescriptor;var Y=Object.getOwnPropertyNames;var O=Object.prototype.hasOwnProperty;var k=(n,t)=>{for(var a in t)b(n,a,{get:t[a],enumerable:!0})},V=(n,t,a,o)=>{if(t&&typeof t=="object"||typeof t=="function")for(let r of Y(t))!O.call(n,r)&&r!==a&&b(n,r,{get:()=>t[r],enumerable:!(o=B(t,r))||o.enumerable});return n};var G=n=>V(b({},"__esModule",{value:!0}),n);var Z={};k(Z,{CALENDAR_PHASES:()=>S,PAYDEX_TARGETS:()=>x,buildPaymentCalendar:()=>j,calendarToCsv:()=>H,calendarToIcs:()=>F});var $={current:"Current",late30:"30 days late",late60:"60 days late",late90:"90+ days late",collection:"Charged off / collections",closed:"Closed"},E=["revolving","card"];var M=3,q=24*60*60*1e3;function L(n,t){return Math.max(0,Math.ceil(n*t/100)-1)}function N(n,t,a){let o=new Date(Date.UTC(n,t+1,0)).getUTCDate();return new Date(Date.UTC(n,t,Math.min(a,o)))}function U(n){let t=n==null?"":String(n);return/^[=+\-@]/.test(t)&&(t=`'${t}`),/[",\r\n]/.test(t)?`"${t.replace(/"/g,'""')}"`:t}function A(n){return n.replace(/\\/g,"\\\\").replace(/;/g,"\\;").replace(/,/g,"\\,").replace(/\r?\n/g,"\\n")}function z(n){return n<=127?1:n<=2047?2:n<=65535?3:4}function I(n){let t=[],a="",o=0;for(let r of n){let s=z(r.codePointAt(0));o+s>(t.length===0?75:74)&&(t.push(a),a="",o=0),a+=r,o+=s}return t.push(a),t.join(`\r
+ `)}var x={80:{daysEarly:5,label:"Paydex 80 - pay just before the due date"},90:{daysEarly:20,label:"Paydex 90 - pay about 20 days early"},100:{daysEarly:30,label:"Paydex 100 - pay about 30 days early"}},S=["0-30 days","30-60 days","60-90 days"],R=90,_=2,C=24*60*60*1e3;function i(n){return n.toISOString().slice(0,10)}function D(n,t){return new Date(n.getTime()+t*C)}function P(n){return`$${Math.round(n).toLocaleString("en-US")}`}function T(n,t,a,o,r=!1){let s=[];for(let m=0;m<=Math.ceil(R/28)+1;m++){let c=N(a.getUTCFullYear(),a.getUTCMonth()+m,n),d=D(c,-t);r&&d.getTime()<a.getTime()&&c.getTime()>=a.getTime()&&(d=a),d.getTime()>=a.getTime()&&d.getTime()<o.getTime()&&s.push({date:d,anchor:c})}return s}function j(n,t={}){var w;let a=t.today||new Date,o=new Date(Date.UTC(a.getUTCFullYear(),a.getUTCMonth(),a.getUTCDate())),r=D(o,R),s=t.paydexTarget&&x[t.paydexTarget]?t.paydexTarget:80,{daysEarly:m}=x[s],c=[],d=[],f=[];for(let e of n)if(e.status!=="closed"){if(e.status!=="current"&&d.push(`${e.creditor} is ${$[e.status].toLowerCase()} - bring it current first; on-time payments only help once the account is current.`),E.includes(e.type)){let l=e.limit||0,u=(w=t.paydown)==null?void 0:w.payments.find(y=>y.creditor===e.creditor),p=u?u.newBalance:l>0?Math.min(e.balance,L(l,10)):null;e.statementDay&&T(e.statementDay,M,o,r).forEach(({date:y,anchor:h},v)=>{let g=v===0?u?u.payment:Math.max(0,e.balance-(p!=null?p:e.balance)):0;c.push({date:i(y),kind:"paydown",account:e.creditor,title:g>0?`Pay ${P(g)} before the statement closes`:"Pay new charges down before the statement closes",amount:g>0?Math.round(g):null,details:`Statement closes ${i(h)}.${p!==null&&l>0?` Leave no more than ${P(p)} (${Math.floor(p/l*1e3)/10}% of the limit) to report.`:""}`})}),e.dueDay&&T(e.dueDay,_,o,r,!0).forEach(({date:y,anchor:h})=>{c.push({date:i(y),kind:"card-payment",account:e.creditor,title:"Pay the statement balance",amount:null,details:`Due ${i(h)}. Pay the full statement balance to avoid interest and a late payment.`})}),(!e.statementDay||!e.dueDay)&&f.push(e.creditor);continue}if(!e.dueDay){f.push(e.creditor);continue}e.type==="net30"?T(e.dueDay,m,o,r,!0).forEach(({date:l,anchor:u},p)=>{let y=u.getTime()-l.getTime()>=m*C,h=p===0&&e.balance>0?`the ${P(e.balance)} invoice`:"this month's invoice";c.push({date:i(l),kind:"vendor-payment",account:e.creditor,title:`Pay ${h} ${y?"early":"now"}`,amount:p===0&&e.balance>0?Math.round(e.balance):null,details:y?`Due ${i(u)}. Paying ${m} days early keeps the Paydex at ${s}+.`:`Due ${i(u)} - too soon to pay ${m} days early this time (on time still reports as Paydex 80).`})}):T(e.dueDay,_,o,r,!0).forEach(({date:l,anchor:u})=>{c.push({date:i(l),kind:"loan-payment",account:e.creditor,title:"Make the loan payment",amount:null,details:`Due ${i(u)}.`})})}for(let e of t.applications||[]){if(!e.applyDate)continue;let l=new Date(`${e.applyDate}T00:00:00Z`);isNaN(l.getTime())||l.getTime()<o.getTime()||l.getTime()>=r.getTime()||c.push({date:e.applyDate,kind:"card-application",account:e.name,title:"Apply for this card",amount:null,details:"Scheduled in the card application plan. Apply after the paydowns above have reported."})}return f.length>0&&d.push(`Add the due day (and the statement closing day for cards and revolving lines) to ${f.join(", ")} in the account ledger to put ${f.length===1?"it":"them"} on the calendar.`),{from:i(o),to:i(D(r,-1)),paydexTarget:s,events:c.sort((e,l)=>e.date.localeCompare(l.date)||e.account.localeCompare(l.account)).map(e=>{let l=Math.round((Date.parse(`${e.date}T00:00:00Z`)-o.getTime())/C);return{...e,phase:S[Math.min(S.length-1,Math.floor(l/30))]}}),notes:d}}function F(n,t=new Date){let a=t.toISOString().replace(/[-:]/g,"").replace(/\.\d{3}/,"");return["BEGIN:VCALENDAR","VERSION:2.0","PRODID:-//Credit Commander//Payment Calendar//EN","CALSCALE:GREGORIAN","METHOD:PUBLISH",...n.events.flatMap((r,s)=>["BEGIN:VEVENT",`UID:${r.date.replace(/-/g,"")}-${s}-${r.kind}@creditcommander`,`DTSTAMP:${a}`,`DTSTART;VALUE=DATE:${r.date.replace(/-/g,"")}`,`DTEND;VALUE=DATE:${i(D(new Date(`${r.date}T00:00:00Z`),1)).replace(/-/g,"")}`,`SUMMARY:${A(`${r.account}: ${r.title}`)}`,`DESCRIPTION:${A(`${r.details} (${r.phase} of the action plan)`)}`,"END:VEVENT"]),"END:VCALENDAR"].map(I).join(`\r
+`)+`\r
+`}function H(n){return[["Date","Timeline","Account","Action","Amount","Details"],...n.events.map(a=>{var o;return[a.date,a.phase,a.account,a.title,(o=a.amount)!=null?o:"",a.details]})].map(a=>a.map(U).join(",")).join(`
+`)}return G(Z);})();
+window.buildPaymentCalendar=CreditCommanderCalendar.buildPaymentCalendar;window.calendarToIcs=CreditCommanderCalendar.calendarToIcs;window.calendarToCsv=CreditCommanderCalendar.calendarToCsv;window.PAYDEX_TARGETS=CreditCommanderCalendar.PAYDEX_TARGETS;
@@ -277,6 +277,16 @@ window.YBG_PDF = window.YBG_PDF || {};
       
       doc.text(metricsText, x + logoSize + 4, metricsY);
     }
+
+    // Estimated business scores (right-aligned under the date)
+    if (metadata.businessScores) {
+      const scores = metadata.businessScores;
+      const scoresText = `Est. Paydex: ${scores.paydex} • Intelliscore: ${scores.intelliscore} • SBSS: ${scores.sbss}`;
+      doc.setFont(TYPOGRAPHY.fontFamily, "normal");
+      doc.setFontSize(8);
+      doc.setTextColor(80, 80, 80);
+      doc.text(scoresText, CONTENT.right - doc.getTextWidth(scoresText), y + 11);
+    }
     
     // Add subtle gold divider line below header
     const dividerY = y + 15;  // Position below title
@@ -1557,6 +1567,47 @@ window.YBG_PDF = window.YBG_PDF || {};
     return yPosition + badgeHeight + 8;
   }
 
+  // Server-scored fundability index: score, each factor's points and the top levers
+  function renderFundabilityInPDF(doc, yPosition, fundability) {
+    const lineHeight = 5;
+    const lines = [
+      ...fundability.factors.map(f => `${f.factor}: ${f.value} - ${f.points}/${f.maxPoints} pts (${f.detail})`),
+      ...fundability.levers.map(l => `Lever: ${l.action} (+${l.points} pts)`)
+    ];
+    const boxHeight = 22 + lines.length * lineHeight;
+
+    // Light background
+    doc.setFillColor(250, 250, 252);
+    doc.roundedRect(CONTENT.left, yPosition, CONTENT.width, boxHeight, 3, 3, 'F');
+
+    // Border
+    doc.setDrawColor(220, 220, 230);
+    doc.setLineWidth(0.5);
+    doc.roundedRect(CONTENT.left, yPosition, CONTENT.width, boxHeight, 3, 3, 'S');
+
+    // Title and score
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.setTextColor(60, 60, 80);
+    doc.text(`Fundability Index: ${fundability.score}/100 (${fundability.level})`, CONTENT.left + 5, yPosition + 8);
+
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.setTextColor(100, 100, 120);
+    const modelText = `Model ${fundability.modelVersion}`;
+    doc.text(modelText, CONTENT.right - 5 - doc.getTextWidth(modelText), yPosition + 8);
+    doc.text(`${fundability.message} • Est. rate ${fundability.estRate} • Est. term ${fundability.estTerm}`, CONTENT.left + 5, yPosition + 14);
+
+    // Factor breakdown, then levers
+    doc.setFontSize(9);
+    doc.setTextColor(60, 60, 80);
+    lines.forEach((line, index) => {
+      doc.text(line, CONTENT.left + 5, yPosition + 21 + index * lineHeight);
+    });
+
+    return yPosition + boxHeight + 8;
+  }
+
   window.exportAllResultsToPDF = function(resultsArray, options = {}) {
     // NEW: Handle HTML-based export from unified renderer
     if (Array.isArray(resultsArray) && resultsArray.length > 0 && resultsArray[0]?.html) {
@@ -1621,6 +1672,11 @@ window.YBG_PDF = window.YBG_PDF || {};
       console.log('PDF Export: Rendering signals badges natively');
       writer.yPosition = renderSignalsInPDF(doc, writer.yPosition, signalsData);
     }
+
+    if (metadata.fundability?.factors) {
+      console.log('PDF Export: Rendering fundability index natively');
+      writer.yPosition = renderFundabilityInPDF(doc, writer.yPosition, metadata.fundability);
+    }
     
     // Parse and write content
     const blocks = parseContent(text);
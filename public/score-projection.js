@@ -0,0 +1,3 @@
+// GENERATED by script/build-browser-modules.ts from shared/score-projection.ts - do not edit.
+"use strict";var CreditCommanderProjection=(()=>{var b=Object.defineProperty;var S=Object.getOwnPropertyDescriptor;var j=Object.getOwnPropertyNames;var w=Object.prototype.hasOwnProperty;var y=(t,e)=>{for(var r in e)b(t,r,{get:e[r],enumerable:!0})},B=(t,e,r,n)=>{if(e&&typeof e=="object"||typeof e=="function")for(let a of j(e))!w.call(t,a)&&a!==r&&b(t,a,{get:()=>e[a],enumerable:!(n=S(e,a))||n.enumerable});return t};var L=t=>B(b({},"__esModule",{value:!0}),t);var v={};y(v,{MAX_PROJECTION_MONTHS:()=>x,SCORE_PROJECTION_MODEL:()=>l,defaultScenarios:()=>q,projectScenarios:()=>E,projectScoreAt:()=>g});var l={version:"2026.10",minScore:300,maxScore:850,utilization:{highBand:30,highBandPoints:.5,highBandMax:15,lowBand:10,lowBandPoints:.25,lowBandMax:5,lagMonths:1},tradeLines:{target:5,pointsEach:2,max:10,lagMonths:2},latePayments:{pointsEach:5,max:15,lagMonths:3},inquiries:{pointsEach:5,max:20,recoveryMonths:12},aging:{pointsPerMonth:1,max:12}},x=24;function z(t){return Math.round(t*10)/10}function p(t,e,r){let{highBand:n,highBandPoints:a,highBandMax:u,lowBand:i,lowBandPoints:c,lowBandMax:o}=r.utilization,M=t>n?Math.min(u,(t-Math.max(e,n))*a):0,P=e<n?Math.min(o,Math.max(0,Math.min(t,n)-Math.max(e,i))*c):0;return M+P}function g(t,e,r,n=l){let a=Number(t.utilization)||0,u=Number(t.tradeLines)||0,i=Number(t.latePayments)||0,c=Math.max(0,Number(e.targetUtilization)||0),o=[];if(r>=n.utilization.lagMonths&&c!==a){let s=c<a?p(a,c,n):-p(c,a,n);o.push({factor:`Utilization ${a}% \u2192 ${c}%`,points:s})}let M=Math.max(0,Number(e.newTradeLinesPerMonth)||0),P=Math.floor(M*Math.max(0,r-n.tradeLines.lagMonths+1)+1e-9),m=Math.min(P,Math.max(0,n.tradeLines.target-u));m>0&&o.push({factor:`${m} new tradeline${m===1?"":"s"} reporting`,points:Math.min(n.tradeLines.max,m*n.tradeLines.pointsEach)}),e.resolveLatePayments&&i>0&&r>=n.latePayments.lagMonths&&o.push({factor:`${i} late payment${i===1?"":"s"} resolved`,points:Math.min(n.latePayments.max,i*n.latePayments.pointsEach)});let h=Math.max(0,Number(e.newInquiries)||0);if(h>0&&r>0){let s=Math.max(0,1-r/n.inquiries.recoveryMonths);s>0&&o.push({factor:`${h} new hard inquir${h===1?"y":"ies"}`,points:-Math.min(n.inquiries.max,h*n.inquiries.pointsEach)*s})}r>0&&o.push({factor:"Account aging",points:Math.min(n.aging.max,r*n.aging.pointsPerMonth)});let d=o.reduce((s,f)=>s+f.points,0);return{score:Math.max(n.minScore,Math.min(n.maxScore,Math.round(t.score+d))),factors:o.map(s=>({...s,points:z(s.points)}))}}function E(t,e,r,n=l){let a=Math.max(1,Math.min(x,Math.round(Number(r)||3)));return e.map(u=>{let i=Array.from({length:a+1},(c,o)=>({month:o,score:g(t,u,o,n).score}));return{scenario:u,points:i,gain:i[i.length-1].score-i[0].score,factors:g(t,u,a,n).factors,modelVersion:n.version}})}function q(t,e=0){let r=Number(t.utilization)||0;return[{name:"Current habits",targetUtilization:r,newTradeLinesPerMonth:0,resolveLatePayments:!1,newInquiries:0},{name:"Roadmap plan",targetUtilization:Math.min(r,30),newTradeLinesPerMonth:1,resolveLatePayments:!0,newInquiries:e}]}return L(v);})();
+window.projectScoreAt=CreditCommanderProjection.projectScoreAt;window.projectScenarios=CreditCommanderProjection.projectScenarios;window.defaultScenarios=CreditCommanderProjection.defaultScenarios;window.MAX_PROJECTION_MONTHS=CreditCommanderProjection.MAX_PROJECTION_MONTHS;
@@ -7,6 +7,12 @@
 window.currentToolkitName = "Credit Commander";
 window.currentToolkitLogo = null;  // TODO: Add Credit Commander logo asset
 
+// Number of roadmap sections streamed by /api/generate/stream (used for progress text)
+const ROADMAP_SECTION_COUNT = 9;
+
+// Section revisions kept per report when regenerating individual sections
+const MAX_SECTION_REVISIONS = 20;
+
 // =====================================================
 // THEME MANAGER (GG v3 with data-theme attribute)
 // =====================================================
@@ -103,12 +109,17 @@ class ComplianceToolkit {
         this.loadCurrentResult();
         this.initKpiTooltips();
         this.initFundingSimulator();
+        this.initPaydownOptimizer();
+        this.initPaymentCalendar();
+        this.initScoreProjection();
         this.initExplanationModal();
         
         // Restore form data after a brief delay to ensure DOM is fully ready
         setTimeout(() => {
             this.restoreFormData();
             this.bindFormPersistence();
+            this.initCreditActivity();
+            this.initLedger();
         }, 100);
     }
 
@@ -120,14 +131,19 @@ class ComplianceToolkit {
         const guidance = {
             utilization: (v) => {
                 if (v < 30) return `Excellent! Your ${v}% utilization is in the healthy range. Keep it below 30% to maximize your credit score.`;
-                if (v < 50) return `Your ${v}% utilization is moderate. Aim to pay down balances to get below 30% for optimal credit health.`;
-                return `Critical: ${v}% utilization is high. Immediately pay down credit balances below 30% to avoid score damage.`;
+                if (v < 50) return `Your ${v}% utilization is moderate. Use the Paydown Optimizer to see which card balances to pay, and by when, to report under 30%.`;
+                return `Critical: ${v}% utilization is high. Use the Paydown Optimizer to plan per-card payments before each statement closes to get under 30%.`;
             },
             tradelines: (v) => {
                 if (v >= 5) return `Great! You have ${v} trade lines, which provides strong credit diversity. Maintain these relationships.`;
                 if (v >= 3) return `You have ${v} trade lines. Target 5+ active lines by opening vendor accounts (Uline, Quill, Grainger) to strengthen your profile.`;
                 return `Priority action: With only ${v} trade line(s), immediately open starter vendor accounts (Office Depot, Staples, Uline) to build credit history.`;
             },
+            accountAge: (v) => {
+                if (v >= 2) return `Your accounts average ${v} years old, which lenders read as an established file. Keep your oldest accounts open and active.`;
+                if (v >= 1) return `Your accounts average ${v} years old. Avoid closing older accounts and space out new ones so the average keeps climbing toward 2+ years.`;
+                return `Your accounts average ${v} years old - a young file. Each new account lowers the average, so add tradelines steadily rather than all at once.`;
+            },
             fico: (v) => {
                 if (v >= 680) return `Strong! Your ${v} FICO score qualifies for prime business credit. You can pursue premium cards and higher limits.`;
                 if (v >= 620) return `Fair score at ${v}. Focus on payment history and utilization to reach 680+ for better terms and approvals.`;
@@ -162,6 +178,10 @@ class ComplianceToolkit {
                 percent = (value / 5) * 100;
                 status = 'danger';
             }
+        } else if (type === 'accountAge') {
+            // Higher is better: 2+ years = 100%, proportional below
+            percent = (value / 2) * 100;
+            status = value >= 2 ? 'healthy' : value >= 1 ? 'warning' : 'danger';
         } else if (type === 'fico') {
             // Higher is better: 680+ = 100%, <680 = proportional from 300-680
             if (value >= 680) {
@@ -226,18 +246,26 @@ class ComplianceToolkit {
     showKpiTooltip(type) {
         if (!this.currentResult) return;
 
+        if (['paydex', 'intelliscore', 'sbss'].includes(type)) {
+            this.showBusinessScoreTooltip(type);
+            return;
+        }
+
         const titles = {
             utilization: 'Credit Utilization Strategy',
             tradelines: 'Trade Lines Growth Plan',
+            accountAge: 'Account Age',
             fico: 'FICO Score Improvement'
         };
 
         const values = {
             utilization: this.currentResult.payload.utilization,
             tradelines: this.currentResult.payload.tradeLines,
+            accountAge: this.currentResult.payload.averageAccountAge,
             fico: this.currentResult.payload.ownerFico
         };
 
+        if (values[type] === undefined || values[type] === null) return;
         const status = this.getKpiStatus(type, values[type]);
         if (!status) return;
 
@@ -245,12 +273,65 @@ class ComplianceToolkit {
         document.getElementById('tooltipGuidance').innerHTML = `
             <div class="kpi-tooltip-guidance">
                 ${status.guidance}
+                ${type === 'utilization' ? this.renderLedgerUtilization(this.currentResult.payload) : ''}
+            </div>
+        `;
+
+        document.getElementById('kpiTooltipOverlay').classList.add('active');
+    }
+
+    // Business score estimates (shared/business-scores.ts, loaded as business-scores.js)
+    getBusinessScores(formData) {
+        if (typeof window.estimateBusinessScores !== 'function' || !formData) return null;
+        return window.estimateBusinessScores(formData);
+    }
+
+    showBusinessScoreTooltip(type) {
+        const estimate = this.getBusinessScores(this.currentResult.payload)?.[type];
+        if (!estimate) return;
+
+        const titles = {
+            paydex: 'Estimated D&B Paydex',
+            intelliscore: 'Estimated Experian Intelliscore Plus',
+            sbss: 'Estimated FICO SBSS'
+        };
+
+        document.getElementById('tooltipTitle').textContent = titles[type];
+        document.getElementById('tooltipGuidance').innerHTML = `
+            <div class="kpi-tooltip-guidance">
+                <p style="margin: 0 0 8px 0;"><strong>${this.escapeHtml(window.formatScoreEstimate(estimate))}</strong> on a ${this.escapeHtml(estimate.scale)} scale - ${this.escapeHtml(estimate.rating)}. Target: ${this.escapeHtml(estimate.target)}.</p>
+                <ul style="margin: 0 0 8px 0; padding-left: 18px;" data-testid="list-score-factors">
+                    ${estimate.factors.map(f => `<li><strong>${this.escapeHtml(f.input)}:</strong> ${this.escapeHtml(f.value)} (${this.escapeHtml(f.effect)})</li>`).join('')}
+                </ul>
+                <p style="margin: 0; font-size: 12px; opacity: 0.8;">An estimate from your inputs, not a bureau pull. Lenders see the score on your actual business credit file.</p>
             </div>
         `;
 
         document.getElementById('kpiTooltipOverlay').classList.add('active');
     }
 
+    updateBusinessScoreKpis(formData) {
+        const scores = this.getBusinessScores(formData);
+        if (!scores) return;
+
+        // Progress is measured against each score's target (Paydex 80, Intelliscore 76, SBSS 165)
+        const targets = { paydex: 80, intelliscore: 76, sbss: 165 };
+        [['paydex', 'Paydex'], ['intelliscore', 'Intelliscore'], ['sbss', 'Sbss']].forEach(([type, key]) => {
+            const estimate = scores[type];
+            const valueEl = document.getElementById(`kpi${key}`);
+            const bar = document.getElementById(`kpi${key}Bar`);
+            if (!valueEl) return;
+
+            valueEl.textContent = window.formatScoreEstimate(estimate);
+            valueEl.title = estimate.rating;
+            valueEl.className = 'kpi-value ' + estimate.status;
+            if (bar) {
+                bar.style.width = `${estimate.score === null ? 0 : Math.min(100, (estimate.score / targets[type]) * 100)}%`;
+                bar.className = 'kpi-progress-fill ' + estimate.status;
+            }
+        });
+    }
+
     hideKpiTooltip() {
         document.getElementById('kpiTooltipOverlay').classList.remove('active');
     }
@@ -264,16 +345,40 @@ class ComplianceToolkit {
         overlay.className = 'explanation-modal-overlay';
         overlay.id = 'explanationModalOverlay';
         overlay.innerHTML = `
-            <div class="explanation-modal-content">
+            <div class="explanation-modal-content explanation-modal-content--with-chat">
                 <div class="explanation-modal-header">
                     <div class="explanation-modal-title">Your Roadmap Explained</div>
                     <button class="explanation-modal-close" id="explanationClose" aria-label="Close">&times;</button>
                 </div>
-                <div id="explanationBody"></div>
+                <div class="explanation-modal-layout">
+                    <div id="explanationBody"></div>
+                    <aside class="report-chat-panel" id="reportChatPanel" data-testid="panel-report-chat">
+                        <div class="explanation-section-title">Ask a Follow-up</div>
+                        <div class="report-chat-messages" id="reportChatMessages" data-testid="list-report-chat"></div>
+                        <form class="report-chat-form" id="reportChatForm">
+                            <textarea id="reportChatInput" rows="2" maxlength="4000" placeholder="e.g. Which of these vendors reports to Equifax?" data-testid="input-report-chat"></textarea>
+                            <button type="submit" class="cc-btn" id="reportChatSend" data-testid="button-report-chat-send">Send</button>
+                        </form>
+                    </aside>
+                </div>
             </div>
         `;
         document.body.appendChild(overlay);
 
+        // Chat handlers (Enter sends, Shift+Enter adds a new line)
+        const chatForm = overlay.querySelector('#reportChatForm');
+        const chatInput = overlay.querySelector('#reportChatInput');
+        chatForm.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.sendReportChatMessage();
+        });
+        chatInput.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && !e.shiftKey) {
+                e.preventDefault();
+                this.sendReportChatMessage();
+            }
+        });
+
         // Close handlers
         const closeBtn = overlay.querySelector('#explanationClose');
         closeBtn.addEventListener('click', () => this.hideExplanationModal());
@@ -300,6 +405,9 @@ class ComplianceToolkit {
         const explanationBody = document.getElementById('explanationBody');
         if (!explanationBody) return;
 
+        // Chat thread loads alongside the explanation
+        this.loadReportChat();
+
         // Check cache first
         if (this.currentResult.explanation) {
             this.displayExplanation(this.currentResult.explanation);
@@ -393,6 +501,125 @@ class ComplianceToolkit {
         }
     }
 
+    // ========================================================
+    // REPORT CHAT (follow-up questions on a saved report)
+    // ========================================================
+    setReportChatEnabled(enabled) {
+        const input = document.getElementById('reportChatInput');
+        const sendBtn = document.getElementById('reportChatSend');
+        if (input) input.disabled = !enabled;
+        if (sendBtn) sendBtn.disabled = !enabled;
+    }
+
+    async loadReportChat() {
+        const messagesEl = document.getElementById('reportChatMessages');
+        if (!messagesEl) return;
+
+        // Threads are stored per saved report
+        const reportId = this.currentResult?.savedReportId;
+        if (!reportId) {
+            this.setReportChatEnabled(false);
+            messagesEl.innerHTML = `
+                <div class="report-chat-empty">
+                    Save this report to ask follow-up questions about it.
+                    <div style="margin-top: 10px;">
+                        <button type="button" class="cc-btn cc-btn--secondary" id="reportChatSaveBtn" data-testid="button-report-chat-save">Save Report</button>
+                    </div>
+                </div>
+            `;
+            document.getElementById('reportChatSaveBtn')?.addEventListener('click', () => {
+                this.hideExplanationModal();
+                this.showSaveModal();
+            });
+            return;
+        }
+
+        this.setReportChatEnabled(true);
+        messagesEl.innerHTML = '<div class="report-chat-empty">Loading conversation...</div>';
+
+        try {
+            const response = await fetch(`/api/reports/${reportId}/chat`, {
+                headers: {
+                    ...this.getAuthHeaders()
+                }
+            });
+
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw new Error(errorData.error || 'Failed to load conversation');
+            }
+
+            const data = await response.json();
+            this.renderReportChat(data.messages || []);
+        } catch (error) {
+            console.error('Report chat load error:', error);
+            messagesEl.innerHTML = `<div class="report-chat-empty">${this.escapeHtml(error.message || 'We couldn\'t load this conversation.')}</div>`;
+        }
+    }
+
+    renderReportChat(messages) {
+        const messagesEl = document.getElementById('reportChatMessages');
+        if (!messagesEl) return;
+
+        if (messages.length === 0) {
+            messagesEl.innerHTML = '<div class="report-chat-empty">Ask anything about this roadmap - for example, "What if I pay utilization down to 10%?"</div>';
+            return;
+        }
+
+        messagesEl.innerHTML = messages.map(message => `
+            <div class="report-chat-message report-chat-message--${message.role === 'user' ? 'user' : 'assistant'}" data-testid="chat-message-${message.role}">${this.escapeHtml(message.content)}</div>
+        `).join('');
+        messagesEl.scrollTop = messagesEl.scrollHeight;
+    }
+
+    async sendReportChatMessage() {
+        const input = document.getElementById('reportChatInput');
+        const messagesEl = document.getElementById('reportChatMessages');
+        const reportId = this.currentResult?.savedReportId;
+        const message = input?.value.trim();
+        if (!input || !messagesEl || !reportId || !message || input.disabled) return;
+
+        // Show the question right away while the answer is generated
+        messagesEl.querySelector('.report-chat-empty')?.remove();
+        messagesEl.insertAdjacentHTML('beforeend', `
+            <div class="report-chat-message report-chat-message--user report-chat-pending">${this.escapeHtml(message)}</div>
+            <div class="report-chat-message report-chat-message--assistant report-chat-pending"><em>Thinking...</em></div>
+        `);
+        messagesEl.scrollTop = messagesEl.scrollHeight;
+        input.value = '';
+        this.setReportChatEnabled(false);
+
+        try {
+            const response = await fetch(`/api/reports/${reportId}/chat`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getAuthHeaders()
+                },
+                body: JSON.stringify({ message })
+            });
+
+            const data = await response.json().catch(() => ({}));
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to answer your question');
+            }
+
+            messagesEl.querySelectorAll('.report-chat-pending').forEach(el => el.remove());
+            messagesEl.insertAdjacentHTML('beforeend', (data.messages || []).map(saved => `
+                <div class="report-chat-message report-chat-message--${saved.role === 'user' ? 'user' : 'assistant'}" data-testid="chat-message-${saved.role}">${this.escapeHtml(saved.content)}</div>
+            `).join(''));
+        } catch (error) {
+            console.error('Report chat error:', error);
+            messagesEl.querySelectorAll('.report-chat-pending').forEach(el => el.remove());
+            input.value = message; // Let the user retry without retyping
+            this.showError(error.message || 'Failed to answer your question');
+        } finally {
+            this.setReportChatEnabled(true);
+            messagesEl.scrollTop = messagesEl.scrollHeight;
+            input.focus();
+        }
+    }
+
     // ========================================================
     // FORM PERSISTENCE (localStorage cc-form)
     // ========================================================
@@ -408,8 +635,10 @@ class ComplianceToolkit {
             annualRevenue: document.getElementById('annualRevenue')?.value || '',
             latePayments: document.getElementById('latePayments')?.value || '',
             derogatories: document.getElementById('derogatories')?.value || '',
+            paymentTiming: document.getElementById('paymentTiming')?.value || '',
             ownerFico: document.getElementById('ownerFico')?.value || '',
             creditHistory: document.getElementById('creditHistory')?.value || '',
+            recentInquiries: document.getElementById('recentInquiries')?.value || '',
             fundingGoal: document.getElementById('fundingGoal')?.value || '',
             targetLimit: document.getElementById('targetLimit')?.value || '',
             timeframe: document.getElementById('timeframe')?.value || ''
@@ -450,8 +679,8 @@ class ComplianceToolkit {
         const formIds = [
             'businessName', 'ein', 'entityType', 'state', 'startDate',
             'utilization', 'tradeLines', 'annualRevenue', 'latePayments',
-            'derogatories', 'ownerFico', 'creditHistory', 'fundingGoal',
-            'targetLimit', 'timeframe'
+            'derogatories', 'paymentTiming', 'ownerFico', 'creditHistory', 'recentInquiries',
+            'fundingGoal', 'targetLimit', 'timeframe'
         ];
         
         formIds.forEach(id => {
@@ -463,6 +692,317 @@ class ComplianceToolkit {
         });
     }
 
+    // ========================================================
+    // RECENT CREDIT ACTIVITY (localStorage cc-credit-activity)
+    // ========================================================
+    // Repeatable rows for new accounts and dated inquiries - the server plans card application dates from them
+    initCreditActivity() {
+        document.getElementById('addRecentAccountBtn')?.addEventListener('click', () => {
+            this.addCreditActivityRow('recentAccounts');
+            this.saveCreditActivity();
+        });
+        document.getElementById('addInquiryBtn')?.addEventListener('click', () => {
+            this.addCreditActivityRow('inquiries');
+            this.saveCreditActivity();
+        });
+
+        try {
+            const saved = JSON.parse(localStorage.getItem('cc-credit-activity') || '{}');
+            (saved.recentAccounts || []).forEach(row => this.addCreditActivityRow('recentAccounts', row));
+            (saved.inquiries || []).forEach(row => this.addCreditActivityRow('inquiries', row));
+        } catch (error) {
+            console.error('[Form] Error restoring credit activity:', error);
+        }
+    }
+
+    addCreditActivityRow(kind, values = {}) {
+        const list = document.getElementById(kind === 'recentAccounts' ? 'recentAccountsList' : 'inquiriesList');
+        if (!list) return;
+
+        const row = document.createElement('div');
+        row.className = 'form-row credit-activity-row';
+        row.style.cssText = 'align-items: center; margin-bottom: 8px;';
+        row.setAttribute('data-testid', kind === 'recentAccounts' ? 'row-recent-account' : 'row-inquiry');
+        row.innerHTML = (kind === 'recentAccounts' ? `
+            <input type="date" class="cc-input" data-field="opened" aria-label="Date opened" />
+            <input type="text" class="cc-input" data-field="issuer" placeholder="Issuer, e.g. Chase" maxlength="60" aria-label="Issuer" />
+            <select class="cc-input" data-field="type" aria-label="Where the account reports">
+                <option value="personal">On personal report</option>
+                <option value="business">Business report only</option>
+            </select>
+        ` : `
+            <input type="date" class="cc-input" data-field="date" aria-label="Inquiry date" />
+            <select class="cc-input" data-field="bureau" aria-label="Bureau">
+                <option value="">Bureau unknown</option>
+                <option value="Experian">Experian</option>
+                <option value="Equifax">Equifax</option>
+                <option value="TransUnion">TransUnion</option>
+            </select>
+            <input type="text" class="cc-input" data-field="issuer" placeholder="Lender, e.g. Amex" maxlength="60" aria-label="Lender" />
+        `) + `
+            <button type="button" class="cc-btn cc-btn--secondary" data-action="remove" style="padding: 4px 10px; min-height: 0; font-size: 12px;" aria-label="Remove row">Remove</button>
+        `;
+
+        // Set values after the markup so saved text is never parsed as HTML
+        row.querySelectorAll('[data-field]').forEach(el => {
+            if (values[el.dataset.field]) el.value = values[el.dataset.field];
+        });
+        row.addEventListener('input', () => this.saveCreditActivity());
+        row.addEventListener('change', () => this.saveCreditActivity());
+        row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+            row.remove();
+            this.saveCreditActivity();
+        });
+
+        list.appendChild(row);
+    }
+
+    readCreditActivityRows(listId) {
+        return Array.from(document.querySelectorAll(`#${listId} .credit-activity-row`)).map(row => {
+            const values = {};
+            row.querySelectorAll('[data-field]').forEach(el => { values[el.dataset.field] = el.value.trim(); });
+            return values;
+        });
+    }
+
+    saveCreditActivity() {
+        localStorage.setItem('cc-credit-activity', JSON.stringify({
+            recentAccounts: this.readCreditActivityRows('recentAccountsList'),
+            inquiries: this.readCreditActivityRows('inquiriesList')
+        }));
+    }
+
+    // Rows with a date, for the generate payload (an unknown bureau is sent as absent)
+    collectCreditActivity() {
+        return {
+            recentAccounts: this.readCreditActivityRows('recentAccountsList').filter(row => row.opened),
+            inquiries: this.readCreditActivityRows('inquiriesList')
+                .filter(row => row.date)
+                .map(({ bureau, ...row }) => bureau ? { ...row, bureau } : row)
+        };
+    }
+
+    // ========================================================
+    // ACCOUNT LEDGER (localStorage cc-ledgers, one ledger per business)
+    // ========================================================
+    // Utilization and trade lines are calculated from the ledger (shared/tradeline-ledger.ts, loaded as
+    // tradeline-ledger.js) and the typed-in fields are locked while it has accounts
+    initLedger() {
+        document.getElementById('addLedgerEntryBtn')?.addEventListener('click', () => {
+            this.addLedgerRow();
+            this.saveLedger();
+        });
+
+        // Switching to another business loads its ledger; a ledger started before the business was named moves with it
+        this.ledgerBusinessKey = this.getLedgerBusinessKey();
+        ['businessName', 'ein'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => {
+                const previousKey = this.ledgerBusinessKey;
+                const key = this.getLedgerBusinessKey();
+                if (key === previousKey) return;
+
+                const ledgers = this.loadLedgers();
+                this.ledgerBusinessKey = key;
+                if (ledgers[key] || previousKey !== 'unnamed') {
+                    this.renderLedger(ledgers[key] || []);
+                } else {
+                    delete ledgers[previousKey];
+                    localStorage.setItem('cc-ledgers', JSON.stringify(ledgers));
+                    this.saveLedger();
+                }
+            });
+        });
+
+        this.renderLedger(this.loadLedgers()[this.ledgerBusinessKey] || []);
+    }
+
+    // EIN when complete, otherwise the business name
+    getLedgerBusinessKey() {
+        const ein = (document.getElementById('ein')?.value || '').replace(/\D/g, '');
+        if (ein.length === 9) return `ein:${ein}`;
+        const name = (document.getElementById('businessName')?.value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+        return name ? `name:${name}` : 'unnamed';
+    }
+
+    loadLedgers() {
+        try {
+            return JSON.parse(localStorage.getItem('cc-ledgers') || '{}');
+        } catch (error) {
+            console.error('[Ledger] Error reading saved ledgers:', error);
+            return {};
+        }
+    }
+
+    saveLedger() {
+        const ledgers = this.loadLedgers();
+        const rows = this.readLedgerRows();
+        if (rows.length > 0) {
+            ledgers[this.ledgerBusinessKey] = rows;
+        } else {
+            delete ledgers[this.ledgerBusinessKey];
+        }
+        localStorage.setItem('cc-ledgers', JSON.stringify(ledgers));
+        this.applyLedgerSummary();
+    }
+
+    renderLedger(rows) {
+        const list = document.getElementById('ledgerList');
+        if (!list) return;
+        list.innerHTML = '';
+        rows.forEach(row => this.addLedgerRow(row));
+        this.applyLedgerSummary();
+    }
+
+    addLedgerRow(values = {}) {
+        const list = document.getElementById('ledgerList');
+        if (!list) return;
+
+        const typeLabels = window.TRADELINE_TYPE_LABELS || {};
+        const statusLabels = window.PAYMENT_STATUS_LABELS || {};
+        const bureaus = window.LEDGER_BUREAUS || [];
+
+        const row = document.createElement('div');
+        row.className = 'ledger-row';
+        row.style.cssText = 'border: 1px solid var(--line); border-radius: 8px; padding: 10px; margin-bottom: 10px;';
+        row.setAttribute('data-testid', 'row-ledger-entry');
+        row.innerHTML = `
+            <div class="form-row" style="margin-bottom: 8px;">
+                <input type="text" class="cc-input" data-field="creditor" placeholder="Creditor, e.g. Uline" maxlength="80" aria-label="Creditor" />
+                <select class="cc-input" data-field="type" aria-label="Account type">
+                    ${Object.entries(typeLabels).map(([value, label]) => `<option value="${value}">${this.escapeHtml(label)}</option>`).join('')}
+                </select>
+                <select class="cc-input" data-field="status" aria-label="Payment status">
+                    ${Object.entries(statusLabels).map(([value, label]) => `<option value="${value}">${this.escapeHtml(label)}</option>`).join('')}
+                </select>
+            </div>
+            <div class="form-row" style="margin-bottom: 8px;">
+                <input type="number" class="cc-input" data-field="limit" placeholder="Limit ($)" min="0" inputmode="numeric" aria-label="Credit limit" />
+                <input type="number" class="cc-input" data-field="balance" placeholder="Balance ($)" min="0" inputmode="numeric" aria-label="Current balance" />
+                <input type="date" class="cc-input" data-field="opened" aria-label="Date opened" />
+            </div>
+            <div class="form-row" style="margin-bottom: 8px;">
+                <input type="number" class="cc-input" data-field="apr" data-revolving placeholder="APR (%)" min="0" max="100" step="0.01" inputmode="decimal" aria-label="APR" />
+                <input type="number" class="cc-input" data-field="statementDay" data-revolving placeholder="Statement closes on day (1-31)" min="1" max="31" inputmode="numeric" aria-label="Statement closing day" />
+                <input type="number" class="cc-input" data-field="dueDay" placeholder="Payment due on day (1-31)" min="1" max="31" inputmode="numeric" aria-label="Payment due day" />
+            </div>
+            <div style="display: flex; flex-wrap: wrap; align-items: center; gap: 12px; font-size: 12px;">
+                <span style="color: var(--text-secondary);">Reports to:</span>
+                ${bureaus.map(bureau => `<label style="display: inline-flex; align-items: center; gap: 4px;"><input type="checkbox" data-bureau="${this.escapeHtml(bureau)}" />${this.escapeHtml(bureau)}</label>`).join('')}
+                <span data-role="row-utilization" style="margin-left: auto; color: var(--text-secondary);"></span>
+                <button type="button" class="cc-btn cc-btn--secondary" data-action="remove" style="padding: 4px 10px; min-height: 0; font-size: 12px;" aria-label="Remove account">Remove</button>
+            </div>
+        `;
+
+        // Set values after the markup so saved text is never parsed as HTML
+        row.querySelectorAll('[data-field]').forEach(el => {
+            const value = values[el.dataset.field];
+            if (value !== undefined && value !== null && value !== '') el.value = value;
+        });
+        row.querySelectorAll('[data-bureau]').forEach(el => {
+            el.checked = Array.isArray(values.bureaus) && values.bureaus.includes(el.dataset.bureau);
+        });
+        row.addEventListener('input', () => this.saveLedger());
+        row.addEventListener('change', () => this.saveLedger());
+        row.querySelector('[data-action="remove"]').addEventListener('click', () => {
+            row.remove();
+            this.saveLedger();
+        });
+
+        list.appendChild(row);
+    }
+
+    readLedgerRows() {
+        return Array.from(document.querySelectorAll('#ledgerList .ledger-row')).map(row => {
+            const values = {};
+            row.querySelectorAll('[data-field]').forEach(el => { values[el.dataset.field] = el.value.trim(); });
+            values.bureaus = Array.from(row.querySelectorAll('[data-bureau]:checked')).map(el => el.dataset.bureau);
+            return values;
+        });
+    }
+
+    // Valid ledger entries and their summary, or null when the ledger is empty
+    getLedgerSummary(rows) {
+        if (typeof window.parseLedger !== 'function') return null;
+        const entries = window.parseLedger(rows);
+        return entries.length > 0 ? { entries, summary: window.summarizeLedger(entries) } : null;
+    }
+
+    applyLedgerSummary() {
+        const ledger = this.getLedgerSummary(this.readLedgerRows());
+        const summaryEl = document.getElementById('ledgerSummary');
+        const utilizationInput = document.getElementById('utilization');
+        const tradeLinesInput = document.getElementById('tradeLines');
+
+        // Per-account utilization next to each revolving account
+        document.querySelectorAll('#ledgerList .ledger-row').forEach(row => {
+            const limit = parseFloat(row.querySelector('[data-field="limit"]').value);
+            const balance = parseFloat(row.querySelector('[data-field="balance"]').value) || 0;
+            const type = row.querySelector('[data-field="type"]').value;
+            const label = row.querySelector('[data-role="row-utilization"]');
+            label.textContent = (type === 'card' || type === 'revolving') && limit > 0 ? `${Math.round((balance / limit) * 100)}% used` : '';
+            row.querySelectorAll('[data-revolving]').forEach(el => { el.style.display = type === 'card' || type === 'revolving' ? '' : 'none'; });
+        });
+
+        this.updatePaydownPlan();
+
+        [utilizationInput, tradeLinesInput].forEach(input => {
+            if (!input) return;
+            input.readOnly = false;
+            input.title = '';
+        });
+
+        if (!ledger) {
+            if (summaryEl) summaryEl.style.display = 'none';
+            return;
+        }
+
+        const { summary } = ledger;
+        const lock = (input, value) => {
+            if (!input) return;
+            input.value = value;
+            input.readOnly = true;
+            input.title = 'Calculated from your account ledger';
+        };
+        lock(tradeLinesInput, summary.activeTradeLines);
+        if (summary.utilization !== null) lock(utilizationInput, summary.utilization);
+
+        if (summaryEl) {
+            summaryEl.style.display = 'block';
+            summaryEl.innerHTML = [
+                `<strong>${summary.activeTradeLines}</strong> active trade line${summary.activeTradeLines === 1 ? '' : 's'}`,
+                summary.utilization !== null
+                    ? `<strong>${summary.utilization}%</strong> utilization ($${summary.totalBalance.toLocaleString('en-US')} of $${summary.totalLimit.toLocaleString('en-US')})`
+                    : 'No revolving limits yet - utilization is entered below',
+                summary.averageAgeYears !== null ? `<strong>${summary.averageAgeYears}</strong> years average account age` : '',
+                summary.delinquentAccounts > 0 ? `<span style="color: #f44336;">${summary.delinquentAccounts} account${summary.delinquentAccounts === 1 ? '' : 's'} past due</span>` : ''
+            ].filter(Boolean).join(' • ');
+        }
+        this.saveFormData();
+    }
+
+    // Ledger entries and the average account age for the generate payload (empty when there is no ledger)
+    collectLedger() {
+        const ledger = this.getLedgerSummary(this.readLedgerRows());
+        if (!ledger) return {};
+        return {
+            ledger: ledger.entries,
+            ...(ledger.summary.averageAgeYears !== null ? { averageAccountAge: ledger.summary.averageAgeYears } : {})
+        };
+    }
+
+    // Per-account utilization for the utilization KPI tooltip
+    renderLedgerUtilization(formData) {
+        const ledger = this.getLedgerSummary(formData?.ledger);
+        const accounts = ledger?.summary.accounts.filter(account => account.utilization !== null) || [];
+        if (accounts.length === 0) return '';
+
+        return `
+            <ul style="margin: 10px 0 0 0; padding-left: 18px;" data-testid="list-account-utilization">
+                ${accounts.map(account => `<li>${this.escapeHtml(account.creditor)}: ${account.utilization}%${account.utilization > 30 ? ' - pay below 30%' : ''}</li>`).join('')}
+            </ul>
+        `;
+    }
+
     // ========================================================
     // SMOOTH SCROLLING
     // ========================================================
@@ -616,7 +1156,24 @@ class ComplianceToolkit {
     // ========================================================
     // UNIFIED HTML RENDERER (single source of truth)
     // ========================================================
-    renderStructuredHTML(payload, generated) {
+    // Pass { streaming: true } while sections are still arriving: missing sections render as "Generating..."
+    // Pass { fallbackFields: [...] } to flag sections that are default filler rather than generated content,
+    // and { partialFields: [...] } for recommendation lists that had invalid items removed
+    // Pass { generationMode: 'rules-only' } for roadmaps built by the rule engine while the AI was unavailable
+    renderStructuredHTML(payload, generated, options = {}) {
+        const received = generated || {};
+        const isPending = (key) => options.streaming && !(key in received);
+        const sectionContent = (key, value) => isPending(key)
+            ? '<em style="color: rgb(var(--text-muted-rgb));" data-testid="section-pending">Generating...</em>'
+            : this.safePlaceholder(value);
+        const fallbackFields = Array.isArray(options.fallbackFields) ? options.fallbackFields : [];
+        const partialFields = Array.isArray(options.partialFields) ? options.partialFields : [];
+        const fallbackBadge = (key) => fallbackFields.includes(key)
+            ? `<span class="cc-badge cc-badge--warn" style="margin-left: 10px; vertical-align: middle;" title="The AI response for this section was invalid, so default guidance is shown." data-testid="badge-fallback-${key}">Default content</span>`
+            : partialFields.includes(key)
+                ? `<span class="cc-badge cc-badge--warn" style="margin-left: 10px; vertical-align: middle;" title="Some items in this section were invalid and have been removed." data-testid="badge-partial-${key}">Partially repaired</span>`
+                : '';
+
         const {
             profileSummary = '',
             quickWins = '',
@@ -639,6 +1196,12 @@ class ComplianceToolkit {
                 <div><strong>Tone:</strong> ${this.safePlaceholder(payload.tone || 'Professional')}</div>
             </div>
             <hr/>
+            ${options.generationMode === 'rules-only' ? `
+                <div class="cc-card" style="padding: 14px 18px; margin-bottom: 20px; border: 1px solid rgba(255,213,74,.35);" data-testid="banner-rules-only">
+                    <span class="cc-badge cc-badge--warn" style="margin-right: 10px;">Rules-only</span>
+                    Our AI service was unavailable, so this roadmap was built from standard credit-building rules applied to your inputs. Regenerate individual sections later for more personalized guidance.
+                </div>
+            ` : ''}
         `;
 
         // Assemble final HTML with 7 Credit Commander sections in logical order
@@ -646,43 +1209,45 @@ class ComplianceToolkit {
         const html = `
             ${headerBlock}
 
-            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;">
-                <h2 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Profile Summary</h2>
-                <div class="section-content">${this.safePlaceholder(profileSummary)}</div>
+            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;" data-section="profileSummary">
+                <h2 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Profile Summary${fallbackBadge('profileSummary')}</h2>
+                <div class="section-content">${sectionContent('profileSummary', profileSummary)}</div>
             </div>
 
-            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;">
-                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Banking & Data Signals</h3>
-                <div class="section-content">${this.safePlaceholder(bankingSignals)}</div>
+            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;" data-section="bankingSignals">
+                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Banking & Data Signals${fallbackBadge('bankingSignals')}</h3>
+                <div class="section-content">${sectionContent('bankingSignals', bankingSignals)}</div>
             </div>
 
-            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;">
-                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Quick Wins (0-30 Days)</h3>
-                <div class="section-content">${this.safePlaceholder(quickWins)}</div>
+            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;" data-section="quickWins">
+                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Quick Wins (0-30 Days)${fallbackBadge('quickWins')}</h3>
+                <div class="section-content">${sectionContent('quickWins', quickWins)}</div>
             </div>
 
-            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;">
-                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Tiered Trade Lines Plan</h3>
-                <div class="section-content">${this.safePlaceholder(tradeLinesPlan)}</div>
+            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;" data-section="tradeLinesPlan">
+                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Tiered Trade Lines Plan${fallbackBadge('tradeLinesPlan')}</h3>
+                <div class="section-content">${sectionContent('tradeLinesPlan', tradeLinesPlan)}</div>
             </div>
 
-            ${this.renderVendorRecommendations(vendorRecommendations)}
+            ${this.renderVendorRecommendations(vendorRecommendations, fallbackBadge('vendorRecommendations'))}
 
-            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;">
-                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Card Strategy</h3>
-                <div class="section-content">${this.safePlaceholder(cardStrategy)}</div>
+            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;" data-section="cardStrategy">
+                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Card Strategy${fallbackBadge('cardStrategy')}</h3>
+                <div class="section-content">${sectionContent('cardStrategy', cardStrategy)}</div>
+                ${isPending('cardRecommendations') ? '' : this.renderApplicationSchedule(cardRecommendations)}
             </div>
 
-            ${this.renderCardRecommendations(cardRecommendations)}
+            ${this.renderCardRecommendations(cardRecommendations, fallbackBadge('cardRecommendations'))}
 
-            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;">
-                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">30/60/90-Day Action Plan</h3>
-                <div class="section-content">${this.safePlaceholder(actionPlan)}</div>
+            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;" data-section="actionPlan">
+                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">30/60/90-Day Action Plan${fallbackBadge('actionPlan')}</h3>
+                <div class="section-content">${sectionContent('actionPlan', actionPlan)}</div>
+                ${isPending('cardRecommendations') ? '' : this.renderScheduledApplications(cardRecommendations)}
             </div>
 
-            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;">
-                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Risk Flags & Compliance</h3>
-                <div class="section-content">${this.safePlaceholder(riskFlags)}</div>
+            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;" data-section="riskFlags">
+                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Risk Flags & Compliance${fallbackBadge('riskFlags')}</h3>
+                <div class="section-content">${sectionContent('riskFlags', riskFlags)}</div>
             </div>
         `;
 
@@ -692,7 +1257,8 @@ class ComplianceToolkit {
     // ========================================================
     // RECOMMENDATION RENDERERS
     // ========================================================
-    renderVendorRecommendations(vendors) {
+    // badge: the fallback or partial-repair badge for the section title, if any
+    renderVendorRecommendations(vendors, badge = '') {
         // Validate input is an array
         if (!Array.isArray(vendors) || vendors.length === 0) {
             console.log('[Recommendations] No valid vendor recommendations to display');
@@ -709,20 +1275,37 @@ class ComplianceToolkit {
                 </div>
                 <div style="margin-bottom: 8px;">
                     <span class="cc-badge cc-badge--info" data-testid="badge-tier">${this.escapeHtml(v.tier || 'N/A')}</span>
-                    <span class="cc-badge cc-badge--default" data-testid="badge-min-fico">Min FICO: ${v.minFico || 'N/A'}</span>
+                    ${v.netTerms ? `<span class="cc-badge cc-badge--default" data-testid="badge-net-terms">${this.escapeHtml(v.netTerms)}</span>` : ''}
+                    ${typeof v.pgRequired === 'boolean' ? `
+                        <span class="cc-badge cc-badge--default" data-testid="badge-pg">${v.pgRequired ? `PG required (FICO ${v.minFico}+)` : 'No PG'}</span>
+                    ` : `
+                        <span class="cc-badge cc-badge--default" data-testid="badge-min-fico">Min FICO: ${v.minFico || 'N/A'}</span>
+                    `}
                 </div>
                 <p style="margin: 8px 0; color: var(--text-color); font-size: 14px;">${this.escapeHtml(v.reason || '')}</p>
+                ${typeof v.minOrder === 'number' || typeof v.minTimeInBusinessMonths === 'number' ? `
+                    <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;" data-testid="vendor-terms">
+                        <strong>Minimum order:</strong> ${v.minOrder ? `$${Number(v.minOrder).toLocaleString('en-US')}` : 'None'}
+                        &nbsp;&middot;&nbsp;
+                        <strong>Time in business:</strong> ${v.minTimeInBusinessMonths ? `${v.minTimeInBusinessMonths}+ months` : 'Any'}
+                    </div>
+                ` : ''}
                 ${v.reportsBureaus && v.reportsBureaus.length > 0 ? `
                     <div style="font-size: 12px; color: var(--text-secondary);">
                         <strong>Reports to:</strong> ${v.reportsBureaus.map(b => this.escapeHtml(b)).join(', ')}
                     </div>
                 ` : ''}
+                ${Array.isArray(v.matchReasons) && v.matchReasons.length > 0 ? `
+                    <ul style="margin: 8px 0 0 0; padding-left: 18px; font-size: 12px; color: var(--text-secondary);" data-testid="vendor-match-reasons">
+                        ${v.matchReasons.map(r => `<li>${this.escapeHtml(r)}</li>`).join('')}
+                    </ul>
+                ` : ''}
             </div>
         `).join('');
 
         return `
-            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;">
-                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Recommended Vendors</h3>
+            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;" data-section="vendorRecommendations">
+                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Recommended Vendors${badge}</h3>
                 <div data-testid="vendor-recommendations">
                     ${vendorCards}
                 </div>
@@ -730,7 +1313,7 @@ class ComplianceToolkit {
         `;
     }
 
-    renderCardRecommendations(cards) {
+    renderCardRecommendations(cards, badge = '') {
         // Validate input is an array
         if (!Array.isArray(cards) || cards.length === 0) {
             console.log('[Recommendations] No valid card recommendations to display');
@@ -759,14 +1342,39 @@ class ComplianceToolkit {
                     ${c.applyOrder ? `<span class="cc-badge cc-badge--primary" data-testid="badge-apply-order">Apply Order: #${c.applyOrder}</span>` : ''}
                     <span class="cc-badge cc-badge--default" data-testid="badge-min-fico">Min FICO: ${c.minFico || 'N/A'}</span>
                     ${c.expectedLimit ? `<span class="cc-badge cc-badge--info" data-testid="badge-expected-limit">${this.escapeHtml(c.expectedLimit)}</span>` : ''}
+                    ${c.applyDate ? `<span class="cc-badge cc-badge--ok" data-testid="badge-apply-date">Apply: ${this.formatPlanDate(c.applyDate)}</span>` : c.applyDate === null ? '<span class="cc-badge cc-badge--warn" data-testid="badge-on-hold">On hold</span>' : ''}
+                    ${typeof c.reportsToPersonal === 'boolean' ? `<span class="cc-badge cc-badge--default" data-testid="badge-reports-personal">${c.reportsToPersonal ? 'Reports to personal credit' : 'Business reporting only'}</span>` : ''}
                 </div>
                 <p style="margin: 8px 0; color: var(--text-color); font-size: 14px;">${this.escapeHtml(c.reason || '')}</p>
+                ${Array.isArray(c.bureausPulled) && c.bureausPulled.length > 0 ? `
+                    <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">
+                        <strong>Pulls:</strong> ${c.bureausPulled.map(b => this.escapeHtml(b)).join(', ')}
+                    </div>
+                ` : ''}
+                ${Array.isArray(c.velocityRules) && c.velocityRules.length > 0 ? `
+                    <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;" data-testid="card-velocity-rules">
+                        <strong>Issuer rules:</strong> ${c.velocityRules.map(r => this.escapeHtml(r)).join('; ')}
+                    </div>
+                ` : ''}
+                ${Array.isArray(c.scheduleNotes) && c.scheduleNotes.length > 0 ? `
+                    <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;" data-testid="card-schedule-notes">
+                        <strong>Schedule:</strong> ${c.scheduleNotes.map(n => this.escapeHtml(n)).join('; ')}
+                    </div>
+                ` : ''}
+                ${Array.isArray(c.oddsReasons) && c.oddsReasons.length > 0 ? `
+                    <div style="font-size: 12px; color: var(--text-secondary); margin-top: 8px;">
+                        <strong>Why ${this.escapeHtml(c.approvalOdds || 'these')} odds:</strong>
+                        <ul style="margin: 4px 0 0 0; padding-left: 18px;" data-testid="card-odds-reasons">
+                            ${c.oddsReasons.map(r => `<li>${this.escapeHtml(r)}</li>`).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
             </div>
         `).join('');
 
         return `
-            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;">
-                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Recommended Business Cards</h3>
+            <div class="cc-card" style="padding: 18px; margin-bottom: 20px;" data-section="cardRecommendations">
+                <h3 class="cc-section-title" style="border-left: 2px solid rgba(255,213,74,.35); padding-left: 14px; margin: 0 0 14px 0;">Recommended Business Cards${badge}</h3>
                 <div data-testid="card-recommendations">
                     ${cardCards}
                 </div>
@@ -774,6 +1382,74 @@ class ComplianceToolkit {
         `;
     }
 
+    // ========================================================
+    // CARD APPLICATION SCHEDULE (shared/card-sequencing.ts)
+    // ========================================================
+    // "2026-11-18" -> "Nov 18, 2026" (dates are calendar days, so format in UTC)
+    formatPlanDate(isoDate) {
+        const date = new Date(`${isoDate}T00:00:00Z`);
+        return isNaN(date.getTime())
+            ? this.escapeHtml(isoDate)
+            : date.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', timeZone: 'UTC' });
+    }
+
+    // Roadmaps saved before the planner have no applyDate field - render nothing for them
+    getScheduledCards(cards) {
+        if (!Array.isArray(cards) || !cards.some(c => 'applyDate' in c)) return null;
+        return [...cards].sort((a, b) => (a.applyOrder || 99) - (b.applyOrder || 99));
+    }
+
+    renderApplicationSchedule(cards) {
+        const scheduled = this.getScheduledCards(cards);
+        if (!scheduled) return '';
+
+        return `
+            <div style="margin-top: 14px;" data-testid="card-application-schedule">
+                <h4 style="margin: 0 0 8px 0; font-size: 14px; font-weight: 600;">Application Schedule</h4>
+                <ol style="margin: 0; padding-left: 20px; font-size: 14px;">
+                    ${scheduled.map(c => `
+                        <li style="margin-bottom: 6px;" data-testid="schedule-item">
+                            <strong>${c.applyDate ? this.formatPlanDate(c.applyDate) : 'On hold'}</strong> - ${this.escapeHtml(c.name || 'Unknown Card')}
+                            <span class="cc-badge cc-badge--${this.getApprovalClass(c.approvalOdds)}" style="margin-left: 6px;">${this.escapeHtml(c.approvalOdds || 'N/A')}</span>
+                            ${Array.isArray(c.scheduleNotes) && c.scheduleNotes.length > 0 ? `<div style="font-size: 12px; color: var(--text-secondary);">${c.scheduleNotes.map(n => this.escapeHtml(n)).join('; ')}</div>` : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `;
+    }
+
+    // Scheduled applications grouped into the 30/60/90-day windows of the action plan
+    renderScheduledApplications(cards) {
+        const scheduled = this.getScheduledCards(cards);
+        if (!scheduled) return '';
+
+        const today = new Date();
+        const todayUtc = Date.UTC(today.getFullYear(), today.getMonth(), today.getDate());
+        const windows = [
+            { label: 'Next 30 days', to: 30, items: [] },
+            { label: '31-60 days', to: 60, items: [] },
+            { label: '61-90 days', to: 90, items: [] },
+            { label: 'After 90 days', to: Infinity, items: [] }
+        ];
+        scheduled.filter(c => c.applyDate).forEach(c => {
+            const days = Math.round((new Date(`${c.applyDate}T00:00:00Z`).getTime() - todayUtc) / 86400000);
+            windows.find(w => days < w.to).items.push(c);
+        });
+
+        const rows = windows.filter(w => w.items.length > 0).map(w => `
+            <li><strong>${w.label}:</strong> ${w.items.map(c => `${this.escapeHtml(c.name)} (${this.formatPlanDate(c.applyDate)})`).join(', ')}</li>
+        `).join('');
+        if (!rows) return '';
+
+        return `
+            <div style="margin-top: 14px;" data-testid="action-plan-applications">
+                <h4 style="margin: 0 0 8px 0; font-size: 14px; font-weight: 600;">Card Applications</h4>
+                <ul style="margin: 0; padding-left: 20px; font-size: 14px;">${rows}</ul>
+            </div>
+        `;
+    }
+
     getApprovalClass(odds) {
         if (!odds) return 'default';
         const lower = odds.toLowerCase();
@@ -799,74 +1475,62 @@ class ComplianceToolkit {
         });
     }
 
-    updateFundingEstimate(loanAmount) {
+    // Fundability index scored on the server (shared/fundability.ts) so the simulator, saved reports,
+    // the PDF and the roadmap prompt all use the same number. Cached on the current result.
+    async loadFundability() {
         if (!this.currentResult?.payload) return;
-        
-        const { ownerFico, utilization, tradeLines, annualRevenue, latePayments } = this.currentResult.payload;
-        
-        // Calculate qualification score (0-100)
-        let score = 0;
-        let factors = [];
-        
-        // FICO score (40 points)
-        if (ownerFico >= 720) { score += 40; factors.push('Excellent credit score'); }
-        else if (ownerFico >= 680) { score += 30; factors.push('Good credit score'); }
-        else if (ownerFico >= 640) { score += 20; factors.push('Fair credit score'); }
-        else { score += 10; factors.push('Credit score needs improvement'); }
-        
-        // Utilization (20 points)
-        if (utilization <= 10) { score += 20; factors.push('Excellent utilization'); }
-        else if (utilization <= 30) { score += 15; factors.push('Good utilization'); }
-        else if (utilization <= 50) { score += 10; factors.push('High utilization'); }
-        else { score += 5; factors.push('Very high utilization'); }
-        
-        // Trade lines (20 points)
-        if (tradeLines >= 10) { score += 20; factors.push('Strong tradeline history'); }
-        else if (tradeLines >= 5) { score += 15; factors.push('Good tradeline mix'); }
-        else if (tradeLines >= 3) { score += 10; factors.push('Building tradelines'); }
-        else { score += 5; factors.push('Limited tradelines'); }
-        
-        // Late payments (10 points)
-        if (latePayments === 0) { score += 10; factors.push('Perfect payment history'); }
-        else if (latePayments <= 2) { score += 5; factors.push('Recent late payments'); }
-        else { factors.push('Multiple late payments'); }
-        
-        // Revenue (10 points) - parse from string
-        const revenueNum = parseInt(annualRevenue?.replace(/[^0-9]/g, '') || '0');
-        if (revenueNum >= 500000) { score += 10; factors.push('Strong revenue'); }
-        else if (revenueNum >= 250000) { score += 7; factors.push('Good revenue'); }
-        else if (revenueNum >= 100000) { score += 5; factors.push('Moderate revenue'); }
-        else { score += 3; factors.push('Limited revenue'); }
-        
-        // Determine qualification level
-        let level, levelClass, estRate, estTerm, message;
-        if (score >= 75) {
-            level = 'High';
-            levelClass = 'success';
-            estRate = '6-9%';
-            estTerm = '5-7 years';
-            message = 'Strong qualification for traditional SBA or bank loans';
-        } else if (score >= 50) {
-            level = 'Medium';
-            levelClass = 'warning';
-            estRate = '10-15%';
-            estTerm = '3-5 years';
-            message = 'Likely to qualify for alternative lenders or smaller amounts';
-        } else {
-            level = 'Low';
-            levelClass = 'danger';
-            estRate = '18-30%';
-            estTerm = '1-3 years';
-            message = 'May need collateral, co-signer, or credit improvement first';
+
+        if (!this.currentResult.fundability) {
+            const resultsDiv = document.getElementById('fundingResults');
+            if (resultsDiv) resultsDiv.innerHTML = '<div style="font-size: 13px; color: var(--text-secondary);">Scoring fundability...</div>';
+
+            try {
+                const response = await fetch('/api/fundability', {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ formData: this.currentResult.payload })
+                });
+
+                if (!response.ok) {
+                    const errorData = await response.json().catch(() => ({}));
+                    throw new Error(errorData.error || 'Failed to score fundability');
+                }
+
+                this.currentResult.fundability = await response.json();
+                this.saveCurrentResult();
+            } catch (error) {
+                console.error('Error scoring fundability:', error);
+                if (resultsDiv) resultsDiv.innerHTML = '<div style="font-size: 13px; color: var(--text-secondary);">The fundability index is unavailable right now. Please try again later.</div>';
+                return;
+            }
         }
-        
+
+        const slider = document.getElementById('loanAmountSlider');
+        this.updateFundingEstimate(slider ? parseInt(slider.value) : 50000);
+    }
+
+    updateFundingEstimate(loanAmount) {
+        const fundability = this.currentResult?.fundability;
+        if (!fundability) return;
+
+        const { score, level, estRate, estTerm, message, factors, levers, modelVersion } = fundability;
+        const levelClass = level === 'High' ? 'success' : level === 'Medium' ? 'warning' : 'danger';
         const monthlyPayment = this.estimatePayment(loanAmount, parseFloat(estRate.split('-')[0])/100, parseInt(estTerm.split('-')[0])*12);
+
+        const factorRows = factors.map(factor => `
+                    <tr>
+                        <td style="padding: 4px 8px 4px 0;">${this.escapeHtml(factor.factor)}</td>
+                        <td style="padding: 4px 8px;">${this.escapeHtml(factor.value)}</td>
+                        <td style="padding: 4px 8px; white-space: nowrap;">${factor.points} / ${factor.maxPoints}</td>
+                        <td style="padding: 4px 0 4px 8px; color: var(--text-secondary);">${this.escapeHtml(factor.detail)}</td>
+                    </tr>`).join('');
+        const leverItems = levers.map(lever => `<li>${this.escapeHtml(lever.action)} <strong>(+${lever.points} pts)</strong></li>`).join('');
         
         const resultsDiv = document.getElementById('fundingResults');
         resultsDiv.innerHTML = `
             <div style="background: rgba(77,182,231,0.05); border: 1px solid rgba(77,182,231,0.15); border-radius: 8px; padding: 16px; margin-bottom: 12px;" data-testid="funding-qualification">
                 <div style="display: flex; justify-content: space-between; align-items: center; margin-bottom: 12px;">
-                    <h4 style="margin: 0; color: var(--text-color); font-size: 15px;">Qualification Likelihood</h4>
+                    <h4 style="margin: 0; color: var(--text-color); font-size: 15px;">Fundability Index: <span data-testid="text-fundability-score">${score}</span>/100</h4>
                     <span class="cc-badge cc-badge--${levelClass}" data-testid="badge-qualification">${level}</span>
                 </div>
                 <div style="font-size: 14px; color: var(--text-secondary); margin-bottom: 12px;">${message}</div>
@@ -885,9 +1549,23 @@ class ComplianceToolkit {
                     </div>
                 </div>
             </div>
-            <div style="font-size: 13px; color: var(--text-secondary); margin-top: 12px;">
-                <strong>Key Factors:</strong> ${factors.join(' • ')}
-            </div>
+            <table style="width: 100%; font-size: 13px; color: var(--text-color); border-collapse: collapse;" data-testid="table-fundability-factors">
+                <thead>
+                    <tr style="text-align: left; color: var(--text-secondary);">
+                        <th style="padding: 4px 8px 4px 0;">Factor</th>
+                        <th style="padding: 4px 8px;">Value</th>
+                        <th style="padding: 4px 8px;">Points</th>
+                        <th style="padding: 4px 0 4px 8px;">Why</th>
+                    </tr>
+                </thead>
+                <tbody>${factorRows}</tbody>
+            </table>
+            ${leverItems ? `
+            <div style="font-size: 13px; color: var(--text-secondary); margin-top: 12px;" data-testid="list-fundability-levers">
+                <strong>Biggest levers:</strong>
+                <ul style="margin: 6px 0 0; padding-left: 18px;">${leverItems}</ul>
+            </div>` : ''}
+            <div style="font-size: 11px; color: var(--text-secondary); margin-top: 8px;">Scoring model ${this.escapeHtml(modelVersion)}</div>
         `;
     }
 
@@ -899,62 +1577,245 @@ class ComplianceToolkit {
     }
 
     // ========================================================
-    // CREDIT SCORE TRACKER
+    // UTILIZATION PAYDOWN OPTIMIZER
     // ========================================================
-    generateScoreProjection() {
-        if (!this.currentResult?.payload) return;
-        
-        const { ownerFico, utilization, tradeLines, latePayments } = this.currentResult.payload;
-        
-        // Calculate projected improvements over 90 days
+    // Per-card paydown plan from the account ledger (shared/paydown-optimizer.ts, loaded as paydown-optimizer.js)
+    initPaydownOptimizer() {
+        const strategySelect = document.getElementById('paydownStrategy');
+        if (!strategySelect) return;
+
+        strategySelect.innerHTML = Object.entries(window.PAYDOWN_STRATEGIES || {})
+            .map(([value, label]) => `<option value="${value}">${this.escapeHtml(label)}</option>`).join('');
+        strategySelect.addEventListener('change', () => this.updatePaydownPlan());
+        document.getElementById('paydownCash')?.addEventListener('input', () => this.updatePaydownPlan());
+    }
+
+    updatePaydownPlan() {
+        const panel = document.getElementById('paydownOptimizer');
+        const resultsDiv = document.getElementById('paydownResults');
+        if (!panel || !resultsDiv || panel.style.display === 'none' || typeof window.optimizePaydown !== 'function') return;
+
+        const ledger = this.getLedgerSummary(this.readLedgerRows());
+        const cards = window.paydownCardsFromLedger(ledger?.entries || []);
+        const cash = parseFloat(document.getElementById('paydownCash')?.value) || 0;
+        const plan = window.optimizePaydown(cards, cash, document.getElementById('paydownStrategy')?.value || 'thresholds');
+        const notes = plan.notes.map(note => `<li>${this.escapeHtml(note)}</li>`).join('');
+
+        // The calendar dates the first paydown on each card from this plan
+        this.paydownPlan = plan;
+        this.updatePaymentCalendar();
+
+        if (cards.length === 0) {
+            resultsDiv.innerHTML = `<ul style="margin: 0; padding-left: 18px; font-size: 13px; color: var(--text-secondary);">${notes}</ul>`;
+            return;
+        }
+
+        // Score effect one statement cycle out, against reporting today's balances
+        const { ownerFico, tradeLines, latePayments } = this.currentResult?.payload || {};
         const currentScore = ownerFico || 650;
-        const milestones = [
-            { day: 0, score: currentScore, label: 'Today' },
-            { day: 30, score: this.calculateProjectedScore(currentScore, utilization, tradeLines, latePayments, 30), label: '30 Days' },
-            { day: 60, score: this.calculateProjectedScore(currentScore, utilization, tradeLines, latePayments, 60), label: '60 Days' },
-            { day: 90, score: this.calculateProjectedScore(currentScore, utilization, tradeLines, latePayments, 90), label: '90 Days' }
-        ];
-        
-        this.renderScoreChart(milestones);
+        const withPlan = this.calculateProjectedScore(currentScore, plan.overallBefore, tradeLines, latePayments, 30, plan.overallAfter);
+        const withoutPlan = this.calculateProjectedScore(currentScore, plan.overallBefore, tradeLines, latePayments, 30, plan.overallBefore);
+        const dollars = (amount) => `$${Math.round(amount).toLocaleString('en-US')}`;
+
+        resultsDiv.innerHTML = `
+            <div style="background: rgba(77,182,231,0.05); border: 1px solid rgba(77,182,231,0.15); border-radius: 8px; padding: 16px; margin-bottom: 12px;" data-testid="paydown-summary">
+                <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(140px, 1fr)); gap: 12px;">
+                    <div>
+                        <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">Reported Utilization</div>
+                        <div style="font-weight: 600; color: var(--text-color);" data-testid="text-paydown-utilization">${plan.overallBefore}% → ${plan.overallAfter}%</div>
+                    </div>
+                    <div>
+                        <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">Cash Used</div>
+                        <div style="font-weight: 600; color: var(--text-color);">${dollars(plan.cashUsed)} of ${dollars(plan.cash)}</div>
+                    </div>
+                    <div>
+                        <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">Projected Score (30 Days)</div>
+                        <div style="font-weight: 600; color: ${withPlan > withoutPlan ? '#10b981' : 'var(--text-color)'};" data-testid="text-paydown-score">${withPlan} (+${withPlan - withoutPlan} vs. no paydown)</div>
+                    </div>
+                </div>
+            </div>
+            <ol style="margin: 0 0 12px 0; padding-left: 20px; font-size: 14px;" data-testid="list-paydown-payments">
+                ${plan.payments.map(p => `
+                    <li style="margin-bottom: 6px;" data-testid="paydown-item">
+                        <strong>${p.payment > 0 ? `Pay ${dollars(p.payment)}` : 'No payment'}</strong> - ${this.escapeHtml(p.creditor)}
+                        ${p.payment > 0 && p.payBy ? `<span class="cc-badge cc-badge--ok" style="margin-left: 6px;">By ${this.formatPlanDate(p.payBy)}</span>` : ''}
+                        ${p.creditor === plan.keeper ? '<span class="cc-badge cc-badge--warn" style="margin-left: 6px;">Reports a balance</span>' : ''}
+                        <div style="font-size: 12px; color: var(--text-secondary);">
+                            ${p.utilizationBefore}% → ${p.utilizationAfter}% of ${dollars(p.limit)}${p.apr ? ` • ${p.apr}% APR` : ''}${p.statementDate ? ` • statement closes ${this.formatPlanDate(p.statementDate)}` : ''} • ${this.escapeHtml(p.reason)}
+                        </div>
+                    </li>
+                `).join('')}
+            </ol>
+            ${notes ? `<ul style="margin: 0; padding-left: 18px; font-size: 13px; color: var(--text-secondary);">${notes}</ul>` : ''}
+        `;
     }
 
-    calculateProjectedScore(current, utilization, tradeLines, latePayments, days) {
-        let projected = current;
-        
-        // Utilization impact (+10-20 points if reduced to <30%)
-        if (utilization > 30 && days >= 30) {
-            projected += Math.min(15, (utilization - 30) / 2);
-        }
-        
-        // Trade lines impact (+5-10 points per new trade line)
-        if (tradeLines < 5 && days >= 60) {
-            projected += Math.min(10, (5 - tradeLines) * 2);
+    // ========================================================
+    // PAYMENT CALENDAR
+    // ========================================================
+    // 90 days of statement-aware paydowns, early vendor payments and card applications
+    // (shared/payment-calendar.ts, loaded as payment-calendar.js)
+    initPaymentCalendar() {
+        const targetSelect = document.getElementById('paydexTarget');
+        if (!targetSelect) return;
+
+        targetSelect.innerHTML = Object.entries(window.PAYDEX_TARGETS || {})
+            .map(([value, target]) => `<option value="${value}">${this.escapeHtml(target.label)}</option>`).join('');
+        targetSelect.addEventListener('change', () => this.updatePaymentCalendar());
+        document.getElementById('downloadCalendarIcsBtn')?.addEventListener('click', () => this.downloadPaymentCalendar('ics'));
+        document.getElementById('downloadCalendarCsvBtn')?.addEventListener('click', () => this.downloadPaymentCalendar('csv'));
+    }
+
+    getPaymentCalendar() {
+        if (typeof window.buildPaymentCalendar !== 'function') return null;
+        const ledger = this.getLedgerSummary(this.readLedgerRows());
+        const cards = this.currentResult?.response?.cardRecommendations;
+        return window.buildPaymentCalendar(ledger?.entries || [], {
+            paydown: this.paydownPlan || null,
+            paydexTarget: Number(document.getElementById('paydexTarget')?.value) || 80,
+            applications: Array.isArray(cards) ? cards : []
+        });
+    }
+
+    updatePaymentCalendar() {
+        const panel = document.getElementById('paymentCalendar');
+        const resultsDiv = document.getElementById('calendarResults');
+        if (!panel || !resultsDiv || panel.style.display === 'none') return;
+
+        const calendar = this.getPaymentCalendar();
+        if (!calendar) return;
+
+        const notes = calendar.notes.length > 0
+            ? `<ul style="margin: 12px 0 0 0; padding-left: 18px; font-size: 13px; color: var(--text-secondary);">${calendar.notes.map(note => `<li>${this.escapeHtml(note)}</li>`).join('')}</ul>`
+            : '';
+        if (calendar.events.length === 0) {
+            resultsDiv.innerHTML = `<div style="font-size: 14px; color: var(--text-secondary);">No dated payments yet - add statement closing and due days to your accounts in the account ledger.</div>${notes}`;
+            return;
         }
-        
-        // Late payment resolution (+10-15 points if addressed)
-        if (latePayments > 0 && days >= 90) {
-            projected += Math.min(15, latePayments * 5);
+
+        // One column per phase of the 30/60/90-day action plan
+        const phases = [...new Set(calendar.events.map(e => e.phase))];
+        resultsDiv.innerHTML = `
+            <div style="display: grid; grid-template-columns: repeat(auto-fit, minmax(220px, 1fr)); gap: 12px;">
+                ${phases.map(phase => `
+                    <div style="background: rgba(77,182,231,0.05); border: 1px solid rgba(77,182,231,0.15); border-radius: 8px; padding: 12px;" data-testid="calendar-phase">
+                        <h4 style="margin: 0 0 8px 0; font-size: 14px; font-weight: 600;">${this.escapeHtml(phase)}</h4>
+                        <ul style="list-style: none; margin: 0; padding: 0; font-size: 13px;">
+                            ${calendar.events.filter(e => e.phase === phase).map(e => `
+                                <li style="margin-bottom: 8px;" data-testid="calendar-event">
+                                    <strong>${this.formatPlanDate(e.date)}</strong> - ${this.escapeHtml(e.account)}
+                                    <div>${this.escapeHtml(e.title)}</div>
+                                    <div style="font-size: 12px; color: var(--text-secondary);">${this.escapeHtml(e.details)}</div>
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                `).join('')}
+            </div>
+            ${notes}
+        `;
+    }
+
+    downloadPaymentCalendar(format) {
+        const calendar = this.getPaymentCalendar();
+        if (!calendar || calendar.events.length === 0) {
+            this.showError('Add statement closing and due days to your account ledger first.');
+            return;
         }
-        
-        // Natural aging improvement (+2-5 points over 90 days)
-        projected += days / 30;
-        
-        return Math.min(Math.round(projected), 850); // Cap at max score
+
+        const content = format === 'ics' ? window.calendarToIcs(calendar) : window.calendarToCsv(calendar);
+        const blob = new Blob([content], { type: format === 'ics' ? 'text/calendar;charset=utf-8;' : 'text/csv;charset=utf-8;' });
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        const businessName = this.currentResult?.payload?.businessName || 'Roadmap';
+
+        link.setAttribute('href', url);
+        link.setAttribute('download', `CreditCommander_${businessName}_PaymentCalendar_${calendar.from}.${format}`);
+        link.style.visibility = 'hidden';
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+    }
+
+    // ========================================================
+    // CREDIT SCORE TRACKER
+    // ========================================================
+    // What-if projections from the configurable model in shared/score-projection.ts (loaded as score-projection.js)
+    initScoreProjection() {
+        ['projectionMonths', 'scenarioUtilization', 'scenarioTradeLines', 'scenarioInquiries', 'scenarioResolveLates'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.generateScoreProjection());
+        });
+    }
+
+    getProjectionProfile() {
+        const { ownerFico, utilization, tradeLines, latePayments } = this.currentResult.payload;
+        return {
+            score: ownerFico || 650,
+            utilization: Number(utilization) || 0,
+            tradeLines: Number(tradeLines) || 0,
+            latePayments: Number(latePayments) || 0
+        };
+    }
+
+    generateScoreProjection() {
+        if (!this.currentResult?.payload || typeof window.projectScenarios !== 'function') return;
+
+        const profile = this.getProjectionProfile();
+        const months = Number(document.getElementById('projectionMonths')?.value) || 12;
+        const cards = this.currentResult.response?.cardRecommendations;
+        const scheduledApplications = Array.isArray(cards) ? cards.filter(c => c.applyDate).length : 0;
+        const number = (id, fallback) => {
+            const value = parseFloat(document.getElementById(id)?.value);
+            return isNaN(value) ? fallback : Math.max(0, value);
+        };
+
+        const scenarios = [
+            ...window.defaultScenarios(profile, scheduledApplications),
+            {
+                name: 'Your scenario',
+                targetUtilization: number('scenarioUtilization', 10),
+                newTradeLinesPerMonth: number('scenarioTradeLines', 1),
+                resolveLatePayments: document.getElementById('scenarioResolveLates')?.checked ?? true,
+                newInquiries: number('scenarioInquiries', 0)
+            }
+        ];
+
+        this.renderScoreChart(window.projectScenarios(profile, scenarios, months), months);
     }
 
-    renderScoreChart(milestones) {
+    // Score `days` out on the roadmap plan with balances paid down to targetUtilization (the paydown
+    // optimizer passes its planned utilization)
+    calculateProjectedScore(current, utilization, tradeLines, latePayments, days, targetUtilization = 30) {
+        if (typeof window.projectScoreAt !== 'function') return current;
+        return window.projectScoreAt(
+            { score: current, utilization: Number(utilization) || 0, tradeLines: Number(tradeLines) || 0, latePayments: Number(latePayments) || 0 },
+            { name: 'Roadmap plan', targetUtilization: Math.min(Number(utilization) || 0, targetUtilization), newTradeLinesPerMonth: 1, resolveLatePayments: true, newInquiries: 0 },
+            days / 30
+        ).score;
+    }
+
+    // One line per scenario; the last scenario is the user's own and drives the headline numbers
+    renderScoreChart(projections, months) {
         const chartContainer = document.getElementById('scoreChart');
         const scoreTracker = document.getElementById('scoreTracker');
         
-        if (!chartContainer || !scoreTracker) return;
+        if (!chartContainer || !scoreTracker || projections.length === 0) return;
         
-        const maxScore = 850;
-        const minScore = Math.min(...milestones.map(m => m.score)) - 50;
-        const range = maxScore - minScore;
+        const colors = ['#9ca3af', '#4DB6E7', '#FFD54A'];
+        const allScores = projections.flatMap(p => p.points.map(point => point.score));
+        const maxScore = Math.min(850, Math.max(...allScores) + 20);
+        const minScore = Math.max(300, Math.min(...allScores) - 20);
+        const range = Math.max(1, maxScore - minScore);
         
-        const currentScore = milestones[0].score;
-        const projectedScore = milestones[milestones.length - 1].score;
+        const primary = projections[projections.length - 1];
+        const currentScore = primary.points[0].score;
+        const projectedScore = primary.points[primary.points.length - 1].score;
         const improvement = projectedScore - currentScore;
+        const labelStep = months <= 6 ? 1 : months <= 12 ? 2 : 3;
+        const labelMonths = primary.points.map(point => point.month).filter(month => month % labelStep === 0);
+        const x = (month) => (month / months) * 100;
+        const y = (score) => 100 - ((score - minScore) / range) * 100;
         
         chartContainer.innerHTML = `
             <div style="background: rgba(77,182,231,0.05); border-radius: 8px; padding: 16px; margin-bottom: 16px;">
@@ -965,10 +1826,10 @@ class ComplianceToolkit {
                     </div>
                     <div style="text-align: center; padding: 0 20px;">
                         <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">Projected Gain</div>
-                        <div style="font-size: 20px; font-weight: 600; color: ${improvement > 0 ? '#10b981' : 'var(--text-color)'};">+${improvement}</div>
+                        <div style="font-size: 20px; font-weight: 600; color: ${improvement > 0 ? '#10b981' : 'var(--text-color)'};">${improvement >= 0 ? '+' : ''}${improvement}</div>
                     </div>
                     <div style="text-align: right;">
-                        <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">90-Day Target</div>
+                        <div style="font-size: 12px; color: var(--text-secondary); margin-bottom: 4px;">${months}-Month Target</div>
                         <div style="font-size: 24px; font-weight: 700; color: var(--accent-color);">${projectedScore}</div>
                     </div>
                 </div>
@@ -983,36 +1844,42 @@ class ComplianceToolkit {
                     
                     <!-- Chart area -->
                     <div style="position: relative; height: 100%; border-left: 1px solid rgba(77,182,231,0.2); border-bottom: 1px solid rgba(77,182,231,0.2); padding-left: 10px;">
-                        <!-- Trend line -->
-                        <svg width="100%" height="100%" style="position: absolute; left: 10px; top: 0;">
-                            <polyline
-                                points="${milestones.map((m, i) => {
-                                    const x = (i / (milestones.length - 1)) * 100;
-                                    const y = 100 - ((m.score - minScore) / range * 100);
-                                    return `${x}%,${y}%`;
-                                }).join(' ')}"
-                                fill="none"
-                                stroke="#4DB6E7"
-                                stroke-width="3"
-                                style="vector-effect: non-scaling-stroke;"
-                            />
-                            ${milestones.map((m, i) => {
-                                const x = (i / (milestones.length - 1)) * 100;
-                                const y = 100 - ((m.score - minScore) / range * 100);
-                                return `<circle cx="${x}%" cy="${y}%" r="4" fill="#4DB6E7" />`;
-                            }).join('')}
+                        <!-- Trend lines -->
+                        <svg width="100%" height="100%" viewBox="0 0 100 100" preserveAspectRatio="none" style="position: absolute; left: 10px; top: 0;">
+                            ${projections.map((p, i) => `
+                                <polyline
+                                    points="${p.points.map(point => `${x(point.month)},${y(point.score)}`).join(' ')}"
+                                    fill="none"
+                                    stroke="${colors[i % colors.length]}"
+                                    stroke-width="3"
+                                    style="vector-effect: non-scaling-stroke;"
+                                    data-testid="line-scenario-${i}"
+                                />
+                            `).join('')}
                         </svg>
                     </div>
                     
                     <!-- Horizontal axis labels -->
-                    <div style="display: flex; justify-content: space-between; margin-top: 8px; padding-left: 10px; font-size: 12px; color: var(--text-secondary);">
-                        ${milestones.map(m => `<span>${m.label}</span>`).join('')}
+                    <div style="position: relative; height: 16px; margin-top: 8px; margin-left: 10px; font-size: 12px; color: var(--text-secondary);">
+                        ${labelMonths.map(month => `<span style="position: absolute; left: ${x(month)}%; transform: translateX(-${x(month)}%);">${month === 0 ? 'Today' : `${month} Mo`}</span>`).join('')}
                     </div>
                 </div>
             </div>
             
+            <div style="display: flex; flex-wrap: wrap; gap: 16px; margin-bottom: 12px; font-size: 13px;" data-testid="legend-scenarios">
+                ${projections.map((p, i) => `
+                    <span style="display: inline-flex; align-items: center; gap: 6px;">
+                        <span style="display: inline-block; width: 14px; height: 3px; background: ${colors[i % colors.length]};"></span>
+                        ${this.escapeHtml(p.scenario.name)}: <strong>${p.points[p.points.length - 1].score}</strong> (${p.gain >= 0 ? '+' : ''}${p.gain})
+                    </span>
+                `).join('')}
+            </div>
+            
             <div style="font-size: 13px; color: var(--text-secondary);">
-                <strong>Projection Factors:</strong> Assumes reduced utilization, added trade lines, and resolution of negative items per your roadmap.
+                <strong>Your scenario at ${months} months:</strong> ${primary.factors.length > 0
+                    ? primary.factors.map(f => `${this.escapeHtml(f.factor)} ${f.points >= 0 ? '+' : ''}${f.points}`).join(' • ')
+                    : 'No change'}
+                <div style="margin-top: 4px; font-size: 12px;">Projection model ${this.escapeHtml(primary.modelVersion)} - an estimate, not a bureau score.</div>
             </div>
         `;
         
@@ -1054,7 +1921,7 @@ class ComplianceToolkit {
                 type: 'warning',
                 icon: '⚡',
                 title: 'High Credit Utilization',
-                message: `Your ${utilization}% utilization is above the recommended 30%. Pay down balances to improve your score quickly.`,
+                message: `Your ${utilization}% utilization is above the recommended 30%. ${this.currentResult.payload.ledger?.length ? 'The Paydown Optimizer below shows how much to pay on each card and when.' : 'Add your cards to the account ledger to get a per-card paydown plan.'}`,
                 testId: 'alert-utilization'
             });
         }
@@ -1152,32 +2019,48 @@ class ComplianceToolkit {
                 annualRevenue: document.getElementById('annualRevenue')?.value.trim() || '',
                 latePayments: parseInt(document.getElementById('latePayments')?.value) || 0,
                 derogatories: document.getElementById('derogatories')?.value.trim() || '',
+                paymentTiming: document.getElementById('paymentTiming')?.value || '',
                 ownerFico: parseInt(document.getElementById('ownerFico')?.value) || 0,
                 creditHistory: parseFloat(document.getElementById('creditHistory')?.value) || 0,
+                recentInquiries: parseInt(document.getElementById('recentInquiries')?.value) || 0,
+                ...this.collectCreditActivity(),
+                ...this.collectLedger(),
                 fundingGoal: document.getElementById('fundingGoal')?.value.trim() || '',
                 targetLimit: document.getElementById('targetLimit')?.value.trim() || '',
                 timeframe: document.getElementById('timeframe')?.value || ''
             };
 
-            // Call backend for structured JSON
-            const response = await fetch('/api/generate', {
-                method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ formData: payload })
+            const resultsContainer = document.getElementById('resultsContainer');
+            const noResults = document.getElementById('noResults');
+            const loadingText = document.getElementById('loadingText');
+            let sectionsReceived = 0;
+
+            // Stream sections from the backend, filling the panel as each one arrives
+            const partial = {};
+            const forceFresh = document.getElementById('forceFresh')?.checked || false;
+            const { roadmap: generated, meta } = await this.streamRoadmap(payload, { forceFresh }, (key, value) => {
+                partial[key] = value;
+                sectionsReceived++;
+
+                if (resultsContainer) {
+                    resultsContainer.innerHTML = this.renderStructuredHTML(payload, partial, { streaming: true });
+                }
+                if (noResults) {
+                    noResults.style.display = 'none';
+                }
+                if (loadingText) {
+                    loadingText.textContent = `Generating... (${sectionsReceived}/${ROADMAP_SECTION_COUNT})`;
+                }
             });
 
-            if (!response.ok) {
-                const error = await response.json();
-                throw new Error(error.error || 'We couldn\'t generate your compliance report. Please try again.');
-            }
-
-            const generated = await response.json();
-
             // Build ONE HTML using unified renderer
-            const html = this.renderStructuredHTML(payload, generated);
+            const html = this.renderStructuredHTML(payload, generated, {
+                fallbackFields: meta?.fallbackFields,
+                partialFields: meta?.partialFields,
+                generationMode: meta?.generationMode
+            });
 
             // Display in panel
-            const resultsContainer = document.getElementById('resultsContainer');
             if (resultsContainer) {
                 resultsContainer.innerHTML = html;
             }
@@ -1191,15 +2074,17 @@ class ComplianceToolkit {
                 version: '20241111', // Version tracking for cache invalidation
                 payload,
                 roadmap: generated,
+                meta: meta || {},
+                revisions: [],
                 structured: { html, text: this.stripHTML(html) },
                 createdAt: new Date().toISOString(),
                 checksum: cs
             };
 
             this.saveCurrentResult();
+            this.attachSectionControls();
 
             // Hide "no results" message
-            const noResults = document.getElementById('noResults');
             if (noResults) {
                 noResults.style.display = 'none';
             }
@@ -1219,7 +2104,16 @@ class ComplianceToolkit {
             // Smooth scroll to results
             this.scrollToResults();
 
-            this.showSuccess('Credit roadmap generated successfully!');
+            const fallbackCount = meta?.fallbackFields?.length || 0;
+            if (meta?.cached) {
+                this.showSuccess('Loaded your recent roadmap for this profile - no report credit used. Check "Force fresh generation" for a new one.');
+            } else if (meta?.generationMode === 'rules-only') {
+                this.showSuccess('Credit roadmap generated from standard rules - our AI service is temporarily unavailable.');
+            } else {
+                this.showSuccess(fallbackCount > 0
+                    ? `Credit roadmap generated - ${fallbackCount} section${fallbackCount === 1 ? '' : 's'} use default content.`
+                    : 'Credit roadmap generated successfully!');
+            }
 
             // Note: Usage counter is automatically incremented by backend
 
@@ -1239,6 +2133,185 @@ class ComplianceToolkit {
         }
     }
 
+    // Read the /api/generate/stream Server-Sent Events response
+    // Calls onSection(key, value) for each section and resolves with { roadmap, meta }
+    // options.forceFresh bypasses the server's generation cache
+    async streamRoadmap(payload, options, onSection) {
+        const response = await fetch('/api/generate/stream', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ formData: payload, forceFresh: !!options.forceFresh })
+        });
+
+        // Usage-limit and validation errors come back as plain JSON before the stream opens
+        if (!response.ok || !response.body) {
+            const error = await response.json().catch(() => ({}));
+            throw new Error(error.error || 'We couldn\'t generate your compliance report. Please try again.');
+        }
+
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // SSE frames are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const frame = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let event = 'message';
+                let data = '';
+                frame.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) event = line.slice(6).trim();
+                    else if (line.startsWith('data:')) data += line.slice(5).trim();
+                });
+                if (!data) continue;
+
+                const parsed = JSON.parse(data);
+                if (event === 'section') {
+                    onSection(parsed.key, parsed.value);
+                } else if (event === 'done') {
+                    reader.cancel().catch(() => {});
+                    return { roadmap: parsed.roadmap, meta: parsed.meta || {} };
+                } else if (event === 'error') {
+                    throw new Error(parsed.error || 'We couldn\'t generate your compliance report. Please try again.');
+                }
+            }
+        }
+
+        throw new Error('The connection closed before your roadmap finished generating. Please try again.');
+    }
+
+    // ========================================================
+    // SECTION REGENERATION
+    // ========================================================
+    // Adds a "Regenerate" control to each section card in the results panel
+    // Controls live only in the DOM, so saved HTML and PDF exports stay clean
+    attachSectionControls() {
+        const resultsContainer = document.getElementById('resultsContainer');
+        if (!resultsContainer || !this.currentResult?.roadmap || !this.currentResult?.payload) return;
+
+        resultsContainer.querySelectorAll('[data-section]').forEach(card => {
+            const title = card.querySelector('.cc-section-title');
+            if (!title || title.querySelector('.section-regenerate-btn')) return;
+
+            const section = card.dataset.section;
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'cc-btn cc-btn--secondary section-regenerate-btn';
+            button.style.cssText = 'float: right; padding: 4px 12px; min-height: 0; font-size: 12px;';
+            button.textContent = 'Regenerate';
+            button.title = 'Rewrite just this section (counts toward the section rewrite limit, not your report credits)';
+            button.setAttribute('data-testid', `button-regenerate-${section}`);
+            button.addEventListener('click', () => this.handleRegenerateSection(section, button));
+            title.appendChild(button);
+        });
+    }
+
+    async handleRegenerateSection(section, button) {
+        if (!this.currentResult?.roadmap || !this.currentResult?.payload) return;
+
+        document.querySelectorAll('.section-regenerate-btn').forEach(btn => btn.disabled = true);
+        if (button) button.textContent = 'Regenerating...';
+
+        try {
+            const response = await fetch('/api/generate/section', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    roadmap: this.currentResult.roadmap,
+                    formData: this.currentResult.payload,
+                    section
+                })
+            });
+
+            const result = await response.json();
+            if (!response.ok) {
+                throw new Error(result.error || 'We couldn\'t regenerate this section. Please try again.');
+            }
+
+            const previous = this.currentResult.roadmap[section];
+            this.currentResult.roadmap = { ...this.currentResult.roadmap, [section]: result.value };
+
+            // Keep the revision history with the report
+            const revisions = Array.isArray(this.currentResult.revisions) ? this.currentResult.revisions : [];
+            revisions.push({ section, previous, value: result.value, promptVersions: result.meta?.promptVersions || null, createdAt: new Date().toISOString() });
+            this.currentResult.revisions = revisions.slice(-MAX_SECTION_REVISIONS);
+
+            // A regenerated section is no longer default filler
+            const meta = this.currentResult.meta || {};
+            meta.fallbackFields = (meta.fallbackFields || []).filter(key => key !== section);
+            meta.partialFields = (meta.partialFields || []).filter(key => key !== section);
+            this.currentResult.meta = meta;
+
+            this.refreshResultHTML();
+            await this.syncSavedReport();
+
+            this.showSuccess('Section regenerated successfully!');
+        } catch (error) {
+            console.error('Section regeneration error:', error);
+            this.showError(error.message || 'We couldn\'t regenerate this section. Please try again.');
+        } finally {
+            document.querySelectorAll('.section-regenerate-btn').forEach(btn => {
+                btn.disabled = false;
+                btn.textContent = 'Regenerate';
+            });
+        }
+    }
+
+    // Re-render the panel from the current roadmap (single source of truth) and refresh the checksum
+    refreshResultHTML() {
+        const html = this.renderStructuredHTML(this.currentResult.payload, this.currentResult.roadmap, {
+            fallbackFields: this.currentResult.meta?.fallbackFields,
+            partialFields: this.currentResult.meta?.partialFields,
+            generationMode: this.currentResult.meta?.generationMode
+        });
+
+        const resultsContainer = document.getElementById('resultsContainer');
+        if (resultsContainer) {
+            resultsContainer.innerHTML = html;
+        }
+
+        this.currentResult.structured = { html, text: this.stripHTML(html) };
+        this.currentResult.checksum = this.checksum(html);
+        this.saveCurrentResult();
+        this.attachSectionControls();
+    }
+
+    // Push regenerated content to the saved report, if this result has been saved
+    async syncSavedReport() {
+        if (!this.currentResult?.savedReportId) return;
+
+        try {
+            const response = await fetch(`/api/reports/${this.currentResult.savedReportId}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...this.getAuthHeaders()
+                },
+                body: JSON.stringify({
+                    htmlContent: this.currentResult.structured.html,
+                    checksum: this.currentResult.checksum,
+                    metadata: JSON.stringify(this.buildReportMetadata())
+                })
+            });
+
+            if (!response.ok) {
+                const error = await response.json().catch(() => ({}));
+                throw new Error(error.error || 'Failed to update saved report');
+            }
+        } catch (error) {
+            console.error('Saved report update error:', error);
+            this.showError('Section updated, but the saved report could not be updated. Save the report again to keep this change.');
+        }
+    }
+
     // ========================================================
     // STATE PERSISTENCE
     // ========================================================
@@ -1286,6 +2359,8 @@ class ComplianceToolkit {
                     if (explainBtn && this.currentResult.roadmap) {
                         explainBtn.style.display = 'inline-block';
                     }
+
+                    this.attachSectionControls();
                 }
             }
         } catch (e) {
@@ -1387,8 +2462,19 @@ class ComplianceToolkit {
                 }),
                 fico: this.currentResult.payload?.ownerFico ?? null,
                 utilization: this.currentResult.payload?.utilization ?? null,
-                tradeLines: this.currentResult.payload?.tradeLines ?? null
+                tradeLines: this.currentResult.payload?.tradeLines ?? null,
+                businessScores: null,
+                fundability: this.currentResult.fundability || null
             };
+
+            const scores = this.getBusinessScores(this.currentResult.payload);
+            if (scores) {
+                metadata.businessScores = {
+                    paydex: window.formatScoreEstimate(scores.paydex),
+                    intelliscore: window.formatScoreEstimate(scores.intelliscore),
+                    sbss: window.formatScoreEstimate(scores.sbss)
+                };
+            }
             
             // Use existing pdf-export.js functionality
             if (window.exportAllResultsToPDF) {
@@ -1717,6 +2803,22 @@ class ComplianceToolkit {
             }
         }
 
+        // Update average account age (only known when the account ledger was used)
+        const accountAgeEl = document.getElementById('kpiAccountAge');
+        const accountAgeBar = document.getElementById('kpiAccountAgeBar');
+        if (accountAgeEl) {
+            const age = formData.averageAccountAge;
+            const status = age !== undefined && age !== null ? this.getKpiStatus('accountAge', age) : null;
+            accountAgeEl.textContent = status ? `${age} yrs` : '--';
+            accountAgeEl.className = 'kpi-value' + (status ? ' ' + status.status : '');
+            if (accountAgeBar) {
+                accountAgeBar.style.width = `${status ? status.percent : 0}%`;
+                accountAgeBar.className = 'kpi-progress-fill' + (status ? ' ' + status.status : '');
+            }
+        }
+
+        this.updateBusinessScoreKpis(formData);
+
         // Update 30/60/90 progress (simulated based on current date)
         const progressFill = document.getElementById('kpiProgressFill');
         const progressText = document.getElementById('kpiProgressText');
@@ -1836,7 +2938,16 @@ class ComplianceToolkit {
         const fundingSimulator = document.getElementById('fundingSimulator');
         if (fundingSimulator) {
             fundingSimulator.style.display = 'block';
-            this.updateFundingEstimate(50000); // Initial calculation
+            this.loadFundability();
+        }
+
+        const paymentCalendar = document.getElementById('paymentCalendar');
+        if (paymentCalendar) paymentCalendar.style.display = 'block';
+
+        const paydownOptimizer = document.getElementById('paydownOptimizer');
+        if (paydownOptimizer) {
+            paydownOptimizer.style.display = 'block';
+            this.updatePaydownPlan();
         }
     }
 
@@ -1906,6 +3017,12 @@ class ComplianceToolkit {
         // Hide funding simulator
         const fundingSimulator = document.getElementById('fundingSimulator');
         if (fundingSimulator) fundingSimulator.style.display = 'none';
+
+        const paydownOptimizer = document.getElementById('paydownOptimizer');
+        if (paydownOptimizer) paydownOptimizer.style.display = 'none';
+
+        const paymentCalendar = document.getElementById('paymentCalendar');
+        if (paymentCalendar) paymentCalendar.style.display = 'none';
         
         // Hide "Explain My Report" button
         const explainBtn = document.getElementById('explainBtn');
@@ -1937,7 +3054,10 @@ class ComplianceToolkit {
         } else {
             if (submitBtn) submitBtn.disabled = false;
             if (submitText) submitText.classList.remove('hidden');
-            if (loadingText) loadingText.classList.add('hidden');
+            if (loadingText) {
+                loadingText.classList.add('hidden');
+                loadingText.textContent = 'Generating...';
+            }
             formInputs.forEach(input => input.disabled = false);
         }
     }
@@ -2061,6 +3181,20 @@ class ComplianceToolkit {
         return parts.join(' - ') || 'Credit Roadmap';
     }
 
+    // Everything needed to restore and refine a saved report
+    buildReportMetadata() {
+        return {
+            formData: this.currentResult?.payload || {},
+            roadmap: this.currentResult?.roadmap || null,
+            generation: this.currentResult?.meta || {},
+            // Prompt template versions that produced this roadmap (null for rules-only roadmaps)
+            promptVersions: this.currentResult?.meta?.promptVersions || null,
+            revisions: this.currentResult?.revisions || [],
+            // Rescored on the server when the report is saved
+            fundability: this.currentResult?.fundability || null
+        };
+    }
+
     async saveReportToDatabase(name) {
         try {
             if (!this.currentResult) {
@@ -2095,7 +3229,7 @@ class ComplianceToolkit {
                 deadline: '',
                 htmlContent: this.currentResult.structured?.html || '',
                 checksum: this.currentResult.checksum || '',
-                metadata: JSON.stringify(this.currentResult.payload || {}),
+                metadata: JSON.stringify(this.buildReportMetadata()),
                 toolkitCode: 'creditcommander'
             };
 
@@ -2114,6 +3248,11 @@ class ComplianceToolkit {
             }
 
             const result = await response.json();
+
+            // Later section regenerations update this saved report
+            this.currentResult.savedReportId = result.id;
+            this.saveCurrentResult();
+
             this.showSuccess(`Report "${name}" saved successfully!`);
             return result;
 
@@ -2261,9 +3400,30 @@ class ComplianceToolkit {
 
             const report = await response.json();
 
+            let metadata = {};
+            try {
+                metadata = (typeof report.metadata === 'string' ? JSON.parse(report.metadata || '{}') : report.metadata) || {};
+            } catch (e) {
+                console.warn('Failed to parse metadata:', e);
+            }
+
+            // Reports saved before structured metadata stored the form data at the top level
+            const formData = metadata.formData || metadata;
+            const roadmap = metadata.roadmap || null;
+            const generation = metadata.generation || {};
+
+            // Re-render from the saved roadmap when available so section controls can be attached
+            const html = roadmap
+                ? this.renderStructuredHTML(formData, roadmap, {
+                    fallbackFields: generation.fallbackFields,
+                    partialFields: generation.partialFields,
+                    generationMode: generation.generationMode
+                })
+                : report.htmlContent;
+
             const resultsContainer = document.getElementById('resultsContainer');
-            if (resultsContainer && report.htmlContent) {
-                resultsContainer.innerHTML = report.htmlContent;
+            if (resultsContainer && html) {
+                resultsContainer.innerHTML = html;
             }
 
             const noResults = document.getElementById('noResults');
@@ -2271,30 +3431,35 @@ class ComplianceToolkit {
                 noResults.style.display = 'none';
             }
 
-            let metadata = {};
-            try {
-                metadata = JSON.parse(report.metadata || '{}');
-            } catch (e) {
-                console.warn('Failed to parse metadata:', e);
-            }
-
             this.currentResult = {
                 id: report.id,
-                payload: metadata,
+                savedReportId: report.id,
+                payload: formData,
+                roadmap,
+                meta: generation,
+                revisions: Array.isArray(metadata.revisions) ? metadata.revisions : [],
+                fundability: metadata.fundability || null,
                 structured: { 
-                    html: report.htmlContent,
-                    text: this.stripHTML(report.htmlContent)
+                    html,
+                    text: this.stripHTML(html)
                 },
                 createdAt: report.createdAt,
-                checksum: report.checksum
+                checksum: roadmap ? this.checksum(html) : report.checksum
             };
 
             this.saveCurrentResult();
+            this.attachSectionControls();
             
             // Restore KPI panel and badges from saved metadata
-            if (metadata && Object.keys(metadata).length > 0) {
-                this.updateKPIPanel(metadata);
-                this.updateSignalsBadges(metadata);
+            if (formData && Object.keys(formData).length > 0) {
+                this.updateKPIPanel(formData);
+                this.updateSignalsBadges(formData);
+            }
+
+            // Explanations need the original roadmap
+            const explainBtn = document.getElementById('explainBtn');
+            if (explainBtn && this.currentResult.roadmap) {
+                explainBtn.style.display = 'inline-block';
             }
             
             this.showSuccess(`Report "${report.name}" loaded successfully!`);
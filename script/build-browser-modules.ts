@@ -0,0 +1,88 @@
+// Generate the browser copies of shared modules the front end uses (npm run build:browser)
+// - public/business-scores.js: window.estimateBusinessScores, window.formatScoreEstimate and
+//   window.PAYMENT_TIMING_OPTIONS for the KPI panel and PDF export
+// - public/tradeline-ledger.js: window.parseLedger, window.summarizeLedger and the ledger option labels
+//   for the account ledger form
+// - public/paydown-optimizer.js: window.optimizePaydown, window.paydownCardsFromLedger and
+//   window.PAYDOWN_STRATEGIES for the utilization paydown optimizer
+// - public/payment-calendar.js: window.buildPaymentCalendar, window.calendarToIcs, window.calendarToCsv and
+//   window.PAYDEX_TARGETS for the payment calendar and its downloads
+// - public/score-projection.js: window.projectScoreAt, window.projectScenarios, window.defaultScenarios and
+//   window.MAX_PROJECTION_MONTHS for the score tracker
+// `--check` writes nothing and fails when a bundle is out of date (npm run check:generated).
+
+import fs from "fs";
+import path from "path";
+import { build } from "esbuild";
+
+const root = path.resolve(import.meta.dirname, "..");
+
+const BROWSER_MODULES: Array<{ module: string; globalName: string; exports: string[] }> = [
+  {
+    module: "business-scores",
+    globalName: "CreditCommanderScores",
+    exports: ["estimateBusinessScores", "formatScoreEstimate", "PAYMENT_TIMING_OPTIONS"],
+  },
+  {
+    module: "tradeline-ledger",
+    globalName: "CreditCommanderLedger",
+    exports: ["parseLedger", "summarizeLedger", "TRADELINE_TYPE_LABELS", "PAYMENT_STATUS_LABELS", "LEDGER_BUREAUS"],
+  },
+  {
+    module: "paydown-optimizer",
+    globalName: "CreditCommanderPaydown",
+    exports: ["optimizePaydown", "paydownCardsFromLedger", "PAYDOWN_STRATEGIES"],
+  },
+  {
+    module: "payment-calendar",
+    globalName: "CreditCommanderCalendar",
+    exports: ["buildPaymentCalendar", "calendarToIcs", "calendarToCsv", "PAYDEX_TARGETS"],
+  },
+  {
+    module: "score-projection",
+    globalName: "CreditCommanderProjection",
+    exports: ["projectScoreAt", "projectScenarios", "defaultScenarios", "MAX_PROJECTION_MONTHS"],
+  },
+];
+
+async function main() {
+  const check = process.argv.includes("--check");
+  const stale: string[] = [];
+
+  for (const { module, globalName, exports } of BROWSER_MODULES) {
+    const outfile = path.join(root, `public/${module}.js`);
+    const result = await build({
+      entryPoints: [path.join(root, `shared/${module}.ts`)],
+      bundle: true,
+      minify: true,
+      format: "iife",
+      globalName,
+      platform: "browser",
+      target: "es2019",
+      legalComments: "none",
+      banner: { js: `// GENERATED by script/build-browser-modules.ts from shared/${module}.ts - do not edit.` },
+      footer: { js: exports.map(name => `window.${name}=${globalName}.${name};`).join("") },
+      outfile,
+      write: false,
+    });
+    const code = result.outputFiles[0].text;
+
+    if (check) {
+      if (!fs.existsSync(outfile) || fs.readFileSync(outfile, "utf-8") !== code) stale.push(`public/${module}.js`);
+      continue;
+    }
+
+    fs.writeFileSync(outfile, code);
+    console.log(`[Browser] Built public/${module}.js`);
+  }
+
+  if (stale.length > 0) {
+    console.error(`[Browser] Out of date - run npm run build:browser and commit: ${stale.join(", ")}`);
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// Generate the browser copy of the filing profile loader (npm run build:profiles)
+// - public/filing-profiles.js: browser bundle exposing window.FILING_PROFILES, window.resolveFilingProfile
+//   and window.rankFilingProfiles
+// The serverless copy (api/_lib/filing-profiles.ts) comes from npm run build:serverless.
+// Importing the loader validates every pack first, so a broken pack fails the build.
+// `--check` writes nothing and fails when the bundle is out of date (npm run check:generated).
+
+import fs from "fs";
+import path from "path";
+import { build } from "esbuild";
+import { FILING_PROFILES } from "../shared/filing-profiles";
+
+const root = path.resolve(import.meta.dirname, "..");
+const source = path.join(root, "shared/filing-profiles.ts");
+
+const outfile = path.join(root, "public/filing-profiles.js");
+
+async function main() {
+  const check = process.argv.includes("--check");
+
+  const result = await build({
+    entryPoints: [source],
+    bundle: true,
+    minify: true,
+    format: "iife",
+    globalName: "CompliPilotProfiles",
+    platform: "browser",
+    target: "es2019",
+    legalComments: "none",
+    banner: { js: "// GENERATED by script/build-filing-profiles.ts from shared/filing-profiles.ts - do not edit." },
+    footer: {
+      js: [
+        "window.FILING_PROFILES=CompliPilotProfiles.FILING_PROFILES;",
+        "window.resolveFilingProfile=CompliPilotProfiles.resolveFilingProfile;",
+        "window.rankFilingProfiles=CompliPilotProfiles.rankFilingProfiles;",
+      ].join(""),
+    },
+    outfile,
+    write: false,
+  });
+  const code = result.outputFiles[0].text;
+
+  if (check) {
+    if (!fs.existsSync(outfile) || fs.readFileSync(outfile, "utf-8") !== code) {
+      console.error("[Profiles] public/filing-profiles.js is out of date - run npm run build:profiles and commit it");
+      process.exit(1);
+    }
+    return;
+  }
+
+  fs.writeFileSync(outfile, code);
+
+  console.log(`[Profiles] Built ${Object.keys(FILING_PROFILES).length} filing profiles: ${Object.keys(FILING_PROFILES).join(", ")}`);
+}
+
+main().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+// Generate the api/_lib copies of the shared and server modules the Vercel functions import (npm run build:serverless).
+// /shared/ and /server/ are not deployed with the functions, so each module is copied with its relative
+// and @shared/ imports rewritten to the .js specifiers the functions resolve (every copy sits in api/_lib).
+// `--check` writes nothing and fails when a copy is missing or out of date (npm run check:generated).
+
+import fs from "fs";
+import path from "path";
+
+const root = path.resolve(import.meta.dirname, "..");
+
+// Every module a function imports from api/_lib, plus everything those modules import
+const SERVERLESS_MODULES = [
+  "shared/prompt-templates",
+  "shared/roadmap-schema",
+  "shared/analysis-schema",
+  "shared/report-chat",
+  "shared/vendor-catalog",
+  "shared/card-catalog",
+  "shared/card-sequencing",
+  "shared/tradeline-types",
+  "shared/tradeline-ledger",
+  "shared/fundability",
+  "shared/filing-profiles",
+  "shared/us-states",
+  "server/llm",
+  "server/llm-fixtures",
+  "server/json-stream",
+  "server/generation-cache-key",
+  "server/roadmap-rules",
+];
+
+function generateServerlessModule(module: string): { outfile: string; code: string } {
+  const name = path.basename(module);
+  const code = fs.readFileSync(path.join(root, `${module}.ts`), "utf-8")
+    .replaceAll('from "../data/', 'from "../../data/')
+    .replace(/from "(?:\.\/|@shared\/)([a-z-]+)";/g, 'from "./$1.js";');
+
+  return {
+    outfile: path.join(root, `api/_lib/${name}.ts`),
+    code: `// GENERATED by script/build-serverless-modules.ts from ${module}.ts - do not edit.\n${code}`,
+  };
+}
+
+function main() {
+  const check = process.argv.includes("--check");
+  const stale: string[] = [];
+
+  for (const module of SERVERLESS_MODULES) {
+    const { outfile, code } = generateServerlessModule(module);
+    const relative = path.relative(root, outfile);
+
+    if (check) {
+      const current = fs.existsSync(outfile) ? fs.readFileSync(outfile, "utf-8") : null;
+      if (current !== code) stale.push(relative);
+      continue;
+    }
+
+    fs.writeFileSync(outfile, code);
+    console.log(`[Serverless] Generated ${relative}`);
+  }
+
+  if (stale.length > 0) {
+    console.error(`[Serverless] Out of date - run npm run build:serverless and commit: ${stale.join(", ")}`);
+    process.exit(1);
+  }
+}
+
+main();
@@ -0,0 +1,170 @@
+// Lint filing profile packs and preview a report (npm run lint:profiles)
+//   npm run lint:profiles                                     - check every pack in data/filing-profiles/
+//   npm run lint:profiles -- --preview <form-fixture.json>    - also render the report ComplianceGenerator
+//                                                               builds in the browser for that form
+// Exits with status 1 when any pack has an error; warnings are printed but do not fail.
+
+import fs from "fs";
+import path from "path";
+import vm from "vm";
+import { FILING_PROFILE_PACKS, validateFilingProfiles, resolveFilingProfile, type FilingProfile } from "../shared/filing-profiles";
+
+const root = path.resolve(import.meta.dirname, "..");
+const profileDir = path.join(root, "data/filing-profiles");
+
+const RATINGS = ["High", "Medium", "Low"];
+// Placeholder links must say so: "[Contact your state's Secretary of State office]"
+const PLACEHOLDER_LINK = /^\[[^\]]+\]$/;
+
+interface LintFinding {
+  slug: string;
+  level: "error" | "warning";
+  message: string;
+}
+
+function isHttpUrl(value: string): boolean {
+  try {
+    const url = new URL(value);
+    return url.protocol === "https:" || url.protocol === "http:";
+  } catch {
+    return false;
+  }
+}
+
+function findDuplicates(values: string[]): string[] {
+  return Array.from(new Set(values.filter((value, index) => values.indexOf(value) !== index)));
+}
+
+// Consistency rules the schema cannot express
+function lintProfile(profile: FilingProfile, file: string | undefined): LintFinding[] {
+  const findings: LintFinding[] = [];
+  const error = (message: string) => findings.push({ slug: profile.slug, level: "error", message });
+  const warning = (message: string) => findings.push({ slug: profile.slug, level: "warning", message });
+
+  if (file && path.basename(file, ".json") !== profile.slug) {
+    error(`file name ${path.basename(file)} does not match slug`);
+  }
+
+  for (const id of findDuplicates(profile.checklist.map(item => item.id))) {
+    error(`duplicate checklist id "${id}"`);
+  }
+  for (const label of findDuplicates(profile.checklist.map(item => item.label))) {
+    warning(`duplicate checklist label "${label}"`);
+  }
+  if (!profile.checklist.some(item => item.required)) {
+    warning("no checklist item is marked required");
+  }
+
+  // Milestones run in date order; anything listed before the deadline milestone must be negative
+  const offsets = profile.timeline.map(item => item.offsetDays);
+  profile.timeline.forEach((item, index) => {
+    if (index > 0 && item.offsetDays < offsets[index - 1]) {
+      error(`timeline "${item.milestone}" (${item.offsetDays}) is out of order - offsets must ascend`);
+    }
+  });
+  const deadlineIndex = offsets.indexOf(0);
+  if (deadlineIndex === -1) {
+    warning("timeline has no deadline milestone (offsetDays 0)");
+  } else {
+    profile.timeline.slice(0, deadlineIndex).filter(item => item.offsetDays > 0).forEach(item => {
+      error(`timeline "${item.milestone}" is before the deadline but has a positive offset (${item.offsetDays})`);
+    });
+  }
+
+  profile.risks.forEach(risk => {
+    if (!RATINGS.includes(risk.severity)) {
+      error(`risk "${risk.risk}" has severity "${risk.severity}" (expected ${RATINGS.join(", ")})`);
+    }
+    if (!RATINGS.includes(risk.likelihood)) {
+      error(`risk "${risk.risk}" has likelihood "${risk.likelihood}" (expected ${RATINGS.join(", ")})`);
+    }
+  });
+
+  profile.links.forEach(link => {
+    if (!isHttpUrl(link.url) && !PLACEHOLDER_LINK.test(link.url)) {
+      error(`link "${link.label}" is neither an http(s) URL nor a [bracketed placeholder]: ${link.url}`);
+    }
+  });
+
+  profile.recurrence?.rules.forEach(rule => {
+    if (rule.due.type === "fixed") {
+      // 2024 is a leap year, so Feb 29 is accepted
+      const date = new Date(Date.UTC(2024, rule.due.month - 1, rule.due.day));
+      if (date.getUTCMonth() !== rule.due.month - 1) {
+        error(`recurrence date ${rule.due.month}/${rule.due.day} does not exist`);
+      }
+    }
+  });
+  if (profile.recurrence && !profile.recurrence.rules.some(rule => !rule.entityTypes)) {
+    warning("recurrence has no default rule (one without entityTypes)");
+  }
+
+  return findings;
+}
+
+// Run public/compliance-generator.js exactly as the browser does, against the shared profiles
+async function renderPreview(fixturePath: string): Promise<string> {
+  const formData = JSON.parse(fs.readFileSync(path.resolve(fixturePath), "utf-8"));
+  const window: Record<string, unknown> = {
+    resolveFilingProfile,
+  };
+
+  const context = vm.createContext({ window, console });
+  vm.runInContext(fs.readFileSync(path.join(root, "public/compliance-generator.js"), "utf-8"), context);
+
+  const Generator = window.ComplianceGenerator as new () => { generate(formData: unknown): Promise<{ output: string; profileUsed: string; matchType: string }> };
+  const result = await new Generator().generate(formData);
+  return `Profile: ${result.profileUsed} (${result.matchType})\n\n${result.output}`;
+}
+
+async function main() {
+  const args = process.argv.slice(2);
+  const previewIndex = args.indexOf("--preview");
+  const fixture = previewIndex !== -1 ? args[previewIndex + 1] : undefined;
+  if (previewIndex !== -1 && !fixture) {
+    throw new Error("--preview needs a form fixture path");
+  }
+
+  // Packs on disk, so unregistered files are linted too
+  const files = fs.readdirSync(profileDir).filter(file => file.endsWith(".json")).sort();
+  const packs = files.map(file => ({ file, pack: JSON.parse(fs.readFileSync(path.join(profileDir, file), "utf-8")) }));
+
+  const findings: LintFinding[] = [];
+  const result = validateFilingProfiles(packs.map(({ pack }) => pack));
+  for (const issue of result.issues) {
+    const [slug, ...rest] = issue.split(": ");
+    findings.push({ slug, level: "error", message: rest.join(": ") });
+  }
+
+  const registered = new Set(FILING_PROFILE_PACKS.map(pack => (pack as { slug?: string }).slug));
+  for (const { file, pack } of packs) {
+    if (!registered.has(pack.slug)) {
+      findings.push({ slug: pack.slug || file, level: "error", message: `${file} is not registered in FILING_PROFILE_PACKS (shared/filing-profiles.ts)` });
+    }
+  }
+
+  for (const profile of Object.values(result.data || {})) {
+    findings.push(...lintProfile(profile, packs.find(({ pack }) => pack.slug === profile.slug)?.file));
+  }
+
+  for (const finding of findings) {
+    console.log(`[Profiles] ${finding.slug}: ${finding.level}: ${finding.message}`);
+  }
+
+  const errors = findings.filter(finding => finding.level === "error").length;
+  const warnings = findings.length - errors;
+  console.log(`[Profiles] ${files.length} profiles checked - ${errors} error(s), ${warnings} warning(s)`);
+
+  if (fixture) {
+    console.log("\n" + await renderPreview(fixture));
+  }
+
+  if (errors > 0) {
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(error instanceof Error ? error.message : error);
+  process.exit(1);
+});
@@ -1,5 +1,6 @@
 import { Request, Response, NextFunction } from 'express';
 import { createClient } from '@supabase/supabase-js';
+import crypto from 'crypto';
 
 // Initialize Supabase client
 const supabaseUrl = process.env.SUPABASE_URL;
@@ -82,6 +83,26 @@ export function requireAuth(req: Request, res: Response, next: NextFunction) {
   next();
 }
 
+// Helper function to require the operator key (X-Admin-Key header must match ADMIN_API_KEY)
+export function requireAdmin(req: Request, res: Response, next: NextFunction) {
+  const adminKey = process.env.ADMIN_API_KEY;
+  if (!adminKey) {
+    return res.status(503).json({
+      error: 'Admin endpoints are not configured.'
+    });
+  }
+
+  const provided = req.headers['x-admin-key'];
+  const expected = Buffer.from(adminKey);
+  const actual = Buffer.from(typeof provided === 'string' ? provided : '');
+  if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+    return res.status(401).json({
+      error: 'Admin authentication required.'
+    });
+  }
+  next();
+}
+
 // Get user ID from request (production-ready)
 export function getUserId(req: Request): string | null {
   const user = (req as any).user;
@@ -0,0 +1,188 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { boirIntakeSchema, buildBoirPackage, renderBoirCsv, validateBoirIntake } from "./boir-intake";
+
+const TODAY = new Date("2026-10-19T12:00:00Z");
+
+const ADDRESS = { street: "1 Main St", city: "Sacramento", state: "CA", postalCode: "95814", country: "US" };
+
+function person(firstName: string, overrides: Record<string, unknown> = {}) {
+  return {
+    firstName,
+    lastName: "Rivera",
+    dateOfBirth: "1985-04-12",
+    address: ADDRESS,
+    identification: { type: "state_drivers_license", number: "D1234567", issuingState: "CA" },
+    ...overrides,
+  };
+}
+
+function intake(overrides: Record<string, unknown> = {}) {
+  return boirIntakeSchema.parse({
+    company: {
+      legalName: "Acme LLC",
+      taxId: "12-3456789",
+      formationDate: "2025-03-01",
+      formationJurisdiction: "CA",
+      address: ADDRESS,
+    },
+    beneficialOwners: [person("Alex", { ownershipPercent: 60, controlBasis: ["senior_officer"] })],
+    companyApplicants: [person("Jordan", { addressType: "business" })],
+    ...overrides,
+  });
+}
+
+function messages(result: ReturnType<typeof validateBoirIntake>, severity: "error" | "warning") {
+  return result.issues.filter(issue => issue.severity === severity).map(issue => `${issue.path}: ${issue.message}`);
+}
+
+test("a complete intake is ready and completes every checklist item", () => {
+  const result = validateBoirIntake(intake(), TODAY);
+
+  assert.equal(result.status, "ready");
+  assert.equal(result.completeness, 100);
+  assert.deepEqual(result.issues, []);
+  assert.deepEqual(result.completedChecklistItems, ["entity_info", "beneficial_owners", "identification_docs", "company_applicant", "ownership_structure"]);
+  assert.equal(result.qualifyingOwners, 1);
+  assert.equal(result.applicantsRequired, true);
+});
+
+test("an empty draft parses and lists what is missing", () => {
+  const result = validateBoirIntake(boirIntakeSchema.parse({}), TODAY);
+
+  assert.equal(result.status, "incomplete");
+  assert.equal(result.completeness, 11);
+  assert.ok(messages(result, "error").includes("company.legalName: Legal name is required"));
+  assert.ok(messages(result, "error").includes("beneficialOwners: At least one beneficial owner is required"));
+  assert.deepEqual(result.completedChecklistItems, []);
+});
+
+test("field formats are checked", () => {
+  const result = validateBoirIntake(intake({
+    company: { legalName: "Acme LLC", taxId: "123456", formationDate: "03/01/2025", formationJurisdiction: "CA", address: { ...ADDRESS, postalCode: "9581" } },
+  }), TODAY);
+
+  assert.deepEqual(messages(result, "error"), [
+    "company.taxId: EIN must be 9 digits (XX-XXXXXXX)",
+    "company.formationDate: Formation date must be YYYY-MM-DD",
+    "company.address.postalCode: ZIP code must be 5 digits (or ZIP+4)",
+  ]);
+  assert.equal(result.checklist.entity_info, "incomplete");
+});
+
+test("owners under 25% without control are left out of the filing", () => {
+  const data = intake({
+    beneficialOwners: [
+      person("Alex", { ownershipPercent: 80, controlBasis: ["senior_officer"] }),
+      person("Sam", { ownershipPercent: 20 }),
+    ],
+  });
+  const validation = validateBoirIntake(data, TODAY);
+  const pkg = buildBoirPackage(data, validation, TODAY);
+
+  assert.equal(validation.status, "ready");
+  assert.equal(validation.qualifyingOwners, 1);
+  assert.match(messages(validation, "warning")[0], /^beneficialOwners\[1\]: Owns less than 25%/);
+  assert.deepEqual(pkg.beneficialOwners.map(owner => owner.firstName), ["Alex"]);
+});
+
+test("someone must have substantial control and ownership cannot pass 100%", () => {
+  const result = validateBoirIntake(intake({
+    beneficialOwners: [person("Alex", { ownershipPercent: 60 }), person("Sam", { ownershipPercent: 50 })],
+  }), TODAY);
+
+  assert.equal(result.status, "incomplete");
+  assert.ok(messages(result, "error").some(message => message.startsWith("beneficialOwners: Every reporting company has at least one individual with substantial control")));
+  assert.ok(messages(result, "error").includes("beneficialOwners: Ownership percentages add up to 110% (more than 100%)"));
+  assert.equal(result.checklist.beneficial_owners, "incomplete");
+  assert.equal(result.checklist.ownership_structure, "incomplete");
+});
+
+test("duplicate owners and implausible or minor birth dates are flagged", () => {
+  const result = validateBoirIntake(intake({
+    beneficialOwners: [
+      person("Alex", { ownershipPercent: 40, controlBasis: ["senior_officer"] }),
+      person("Alex", { ownershipPercent: 40 }),
+      person("Kid", { ownershipPercent: 10, controlBasis: ["important_decisions"], dateOfBirth: "2012-01-01" }),
+      person("Old", { controlBasis: ["other_substantial_control"], dateOfBirth: "1890-01-01" }),
+    ],
+  }), TODAY);
+
+  assert.ok(messages(result, "error").includes("beneficialOwners[1]: Duplicate beneficial owner (same name and date of birth)"));
+  assert.ok(messages(result, "warning").some(message => message.startsWith("beneficialOwners[2].dateOfBirth: Owner is a minor")));
+  assert.ok(messages(result, "error").includes("beneficialOwners[3].dateOfBirth: Date of birth is not plausible"));
+});
+
+test("ID documents need the issuing state or country for their type", () => {
+  const result = validateBoirIntake(intake({
+    beneficialOwners: [person("Alex", {
+      ownershipPercent: 100,
+      controlBasis: ["senior_officer"],
+      identification: { type: "foreign_passport", number: "X1234567" },
+    })],
+  }), TODAY);
+
+  assert.deepEqual(messages(result, "error"), ["beneficialOwners[0].identification.issuingCountry: Issuing country is required"]);
+  assert.equal(result.checklist.identification_docs, "incomplete");
+});
+
+test("companies formed before 2024 do not report company applicants", () => {
+  const company = { legalName: "Acme LLC", taxId: "12-3456789", formationDate: "2019-06-01", formationJurisdiction: "CA", address: ADDRESS };
+  const data = intake({ company });
+  const validation = validateBoirIntake(data, TODAY);
+
+  assert.equal(validation.status, "ready");
+  assert.equal(validation.applicantsRequired, false);
+  assert.equal(validation.checklist.company_applicant, "not_applicable");
+  assert.match(messages(validation, "warning")[0], /^companyApplicants: Companies formed before 2024/);
+  assert.deepEqual(buildBoirPackage(data, validation, TODAY).companyApplicants, []);
+});
+
+test("companies formed from 2024 need one or two applicants", () => {
+  assert.ok(messages(validateBoirIntake(intake({ companyApplicants: [] }), TODAY), "error")
+    .includes("companyApplicants: Companies formed on or after January 1, 2024 must report at least one company applicant"));
+  assert.ok(messages(validateBoirIntake(intake({ companyApplicants: [person("A"), person("B"), person("C")] }), TODAY), "error")
+    .includes("companyApplicants: At most 2 company applicants can be reported"));
+});
+
+test("exempt companies report no owners or applicants", () => {
+  const company = {
+    legalName: "Acme LLC", taxId: "12-3456789", formationDate: "2010-06-01", formationJurisdiction: "CA", address: ADDRESS,
+    exemption: "large_operating_company", fullTimeEmployees: 25, usGrossReceipts: 6_000_000, hasUsOffice: true,
+  };
+  const data = intake({ company });
+  const validation = validateBoirIntake(data, TODAY);
+  const pkg = buildBoirPackage(data, validation, TODAY);
+
+  assert.equal(validation.status, "exempt");
+  assert.deepEqual(validation.completedChecklistItems, ["entity_info"]);
+  assert.equal(validation.checklist.beneficial_owners, "not_applicable");
+  assert.match(messages(validation, "warning")[0], /do not report beneficial owners or company applicants/);
+  assert.equal(pkg.company.exemptionLabel, "Large operating company");
+  assert.deepEqual(pkg.beneficialOwners, []);
+  assert.deepEqual(pkg.companyApplicants, []);
+});
+
+test("exemptions that do not meet their test are rejected", () => {
+  const base = { legalName: "Acme LLC", taxId: "12-3456789", formationJurisdiction: "CA", address: ADDRESS };
+
+  const large = validateBoirIntake(intake({ company: { ...base, formationDate: "2025-03-01", exemption: "large_operating_company", fullTimeEmployees: 20, usGrossReceipts: 6_000_000, hasUsOffice: true } }), TODAY);
+  assert.equal(large.status, "incomplete");
+  assert.match(messages(large, "error")[0], /^company\.exemption: Large operating company exemption requires more than 20/);
+
+  const inactive = validateBoirIntake(intake({ company: { ...base, formationDate: "2021-01-01", exemption: "inactive_entity" } }), TODAY);
+  assert.ok(messages(inactive, "error").includes("company.exemption: Inactive entity exemption only applies to entities in existence on or before January 1, 2020"));
+});
+
+test("renderBoirCsv writes one formula-safe row per person in the filing", () => {
+  const data = intake({
+    beneficialOwners: [person("=HYPERLINK(\"http://x\")", { ownershipPercent: 100, controlBasis: ["senior_officer", "important_decisions"] })],
+  });
+  const csv = renderBoirCsv(buildBoirPackage(data, validateBoirIntake(data, TODAY), TODAY));
+  const rows = csv.trim().split(/\r?\n/);
+
+  assert.equal(rows.length, 3);
+  assert.ok(rows[0].startsWith("role,last_name,first_name,"));
+  assert.ok(rows[1].includes(`,"'=HYPERLINK(""http://x"")",`));
+  assert.ok(rows[1].endsWith(",100,senior_officer; important_decisions"));
+});
@@ -0,0 +1,446 @@
+// BOIR (Beneficial Ownership Information Report) intake
+// Collects reporting company, beneficial owner and company applicant data, checks it against the
+// Corporate Transparency Act rules (25% ownership / substantial control, company applicants for
+// companies formed from 2024, reporting-company exemptions) and builds a filing-ready package.
+// The completeness score and checklist status map onto the `boir` filing profile checklist ids.
+
+import { z } from "zod";
+import { csvCell } from "@shared/export-formats";
+
+export const ID_DOCUMENT_TYPES = ["us_passport", "state_drivers_license", "state_id", "foreign_passport"] as const;
+
+// Substantial control tests (31 CFR 1010.380(d)(1))
+export const CONTROL_BASES = {
+  senior_officer: "Serves as a senior officer",
+  appointment_authority: "Can appoint or remove a senior officer or a majority of the board",
+  important_decisions: "Directs, determines or substantially influences important decisions",
+  other_substantial_control: "Any other form of substantial control",
+} as const;
+
+// The 23 reporting-company exemptions
+export const BOIR_EXEMPTIONS = {
+  securities_reporting_issuer: "Securities reporting issuer",
+  governmental_authority: "Governmental authority",
+  bank: "Bank",
+  credit_union: "Credit union",
+  depository_holding_company: "Depository institution holding company",
+  money_services_business: "Money services business",
+  broker_dealer: "Broker or dealer in securities",
+  securities_exchange: "Securities exchange or clearing agency",
+  other_exchange_act_entity: "Other Exchange Act registered entity",
+  investment_company: "Investment company or investment adviser",
+  venture_capital_adviser: "Venture capital fund adviser",
+  insurance_company: "Insurance company",
+  insurance_producer: "State-licensed insurance producer",
+  commodity_exchange_act_entity: "Commodity Exchange Act registered entity",
+  accounting_firm: "Accounting firm",
+  public_utility: "Public utility",
+  financial_market_utility: "Financial market utility",
+  pooled_investment_vehicle: "Pooled investment vehicle",
+  tax_exempt_entity: "Tax-exempt entity",
+  tax_exempt_assisting_entity: "Entity assisting a tax-exempt entity",
+  large_operating_company: "Large operating company",
+  exempt_entity_subsidiary: "Subsidiary of certain exempt entities",
+  inactive_entity: "Inactive entity",
+} as const;
+
+type ControlBasis = keyof typeof CONTROL_BASES;
+type BoirExemption = keyof typeof BOIR_EXEMPTIONS;
+
+const OWNERSHIP_THRESHOLD = 25;
+const MAX_COMPANY_APPLICANTS = 2;
+// Companies created on or after this date must report company applicants
+const APPLICANT_REQUIRED_FROM = "2024-01-01";
+// Large operating company test
+const LARGE_COMPANY_MIN_EMPLOYEES = 20;
+const LARGE_COMPANY_MIN_RECEIPTS = 5_000_000;
+// Inactive entities must have existed on or before this date
+const INACTIVE_ENTITY_FORMED_BY = "2020-01-01";
+
+// Intake is deliberately lenient (drafts can be saved half-filled); the rules below decide readiness
+const field = z.string().trim().max(200).optional().default("");
+
+const addressSchema = z.object({
+  street: field,
+  city: field,
+  state: field,
+  postalCode: field,
+  country: z.string().trim().max(100).optional().default("US"),
+}).optional().default({});
+
+const personSchema = z.object({
+  firstName: field,
+  middleName: field,
+  lastName: field,
+  suffix: field,
+  dateOfBirth: field,
+  address: addressSchema,
+  identification: z.object({
+    type: z.enum(ID_DOCUMENT_TYPES).or(z.literal("")).optional().default(""),
+    number: field,
+    issuingState: field,
+    issuingCountry: field,
+  }).optional().default({}),
+});
+
+export const boirIntakeSchema = z.object({
+  company: z.object({
+    legalName: field,
+    alternateNames: z.array(z.string().trim().max(200)).max(10).optional().default([]),
+    taxIdType: z.enum(["EIN", "SSN_ITIN", "FOREIGN"]).optional().default("EIN"),
+    taxId: field,
+    formationDate: field,
+    formationJurisdiction: field,
+    address: addressSchema,
+    exemption: z.enum(Object.keys(BOIR_EXEMPTIONS) as [BoirExemption, ...BoirExemption[]]).optional(),
+    // Only needed when claiming the large operating company exemption
+    fullTimeEmployees: z.coerce.number().int().min(0).optional(),
+    usGrossReceipts: z.coerce.number().min(0).optional(),
+    hasUsOffice: z.boolean().optional(),
+  }).optional().default({}),
+  beneficialOwners: z.array(personSchema.extend({
+    ownershipPercent: z.coerce.number().min(0).max(100).optional(),
+    controlBasis: z.array(z.enum(Object.keys(CONTROL_BASES) as [ControlBasis, ...ControlBasis[]])).optional().default([]),
+  })).max(50).optional().default([]),
+  companyApplicants: z.array(personSchema.extend({
+    // Applicants who form companies as a business (e.g. formation services) report a business address
+    addressType: z.enum(["residential", "business"]).optional().default("residential"),
+  })).max(5).optional().default([]),
+});
+
+export type BoirIntake = z.infer<typeof boirIntakeSchema>;
+type BoirPerson = z.infer<typeof personSchema>;
+type BeneficialOwner = BoirIntake["beneficialOwners"][number];
+
+export interface BoirIssue {
+  path: string;
+  severity: "error" | "warning";
+  message: string;
+}
+
+export type BoirChecklistStatus = "complete" | "incomplete" | "not_applicable";
+
+export interface BoirValidationResult {
+  status: "ready" | "incomplete" | "exempt";
+  completeness: number;
+  issues: BoirIssue[];
+  // Keyed by `boir` filing profile checklist id
+  checklist: Record<"entity_info" | "beneficial_owners" | "identification_docs" | "company_applicant" | "ownership_structure", BoirChecklistStatus>;
+  // Checklist ids that are complete - pass as formData.requirements to POST /api/compliance/generate
+  completedChecklistItems: string[];
+  qualifyingOwners: number;
+  applicantsRequired: boolean;
+}
+
+// ============================================================================
+// FIELD CHECKS
+// ============================================================================
+
+function isIsoDate(value: string): boolean {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(value)) return false;
+  const date = new Date(`${value}T00:00:00Z`);
+  return !isNaN(date.getTime()) && date.toISOString().slice(0, 10) === value;
+}
+
+function ageOn(dateOfBirth: string, today: Date): number {
+  const dob = new Date(`${dateOfBirth}T00:00:00Z`);
+  let age = today.getUTCFullYear() - dob.getUTCFullYear();
+  const beforeBirthday = today.getUTCMonth() < dob.getUTCMonth() ||
+    (today.getUTCMonth() === dob.getUTCMonth() && today.getUTCDate() < dob.getUTCDate());
+  return beforeBirthday ? age - 1 : age;
+}
+
+const isUs = (country: string) => ["us", "usa", "united states", "united states of america"].includes(country.trim().toLowerCase());
+
+// Tracks required fields so completeness is filled / required across the whole intake
+class FieldTally {
+  filled = 0;
+  required = 0;
+
+  check(issues: BoirIssue[], path: string, value: string | undefined, label: string): boolean {
+    this.required++;
+    if (value && value.trim()) {
+      this.filled++;
+      return true;
+    }
+    issues.push({ path, severity: "error", message: `${label} is required` });
+    return false;
+  }
+}
+
+function validateAddress(issues: BoirIssue[], tally: FieldTally, path: string, address: BoirPerson["address"]): void {
+  tally.check(issues, `${path}.street`, address.street, "Street address");
+  tally.check(issues, `${path}.city`, address.city, "City");
+  tally.check(issues, `${path}.country`, address.country, "Country");
+
+  if (isUs(address.country)) {
+    tally.check(issues, `${path}.state`, address.state, "State");
+    if (tally.check(issues, `${path}.postalCode`, address.postalCode, "ZIP code") && !/^\d{5}(-\d{4})?$/.test(address.postalCode)) {
+      issues.push({ path: `${path}.postalCode`, severity: "error", message: "ZIP code must be 5 digits (or ZIP+4)" });
+    }
+  }
+}
+
+// Personal fields and ID document; returns whether the identification section is complete
+function validatePerson(issues: BoirIssue[], tally: FieldTally, path: string, person: BoirPerson, today: Date): boolean {
+  tally.check(issues, `${path}.firstName`, person.firstName, "First name");
+  tally.check(issues, `${path}.lastName`, person.lastName, "Last name");
+
+  if (tally.check(issues, `${path}.dateOfBirth`, person.dateOfBirth, "Date of birth")) {
+    if (!isIsoDate(person.dateOfBirth)) {
+      issues.push({ path: `${path}.dateOfBirth`, severity: "error", message: "Date of birth must be YYYY-MM-DD" });
+    } else {
+      const age = ageOn(person.dateOfBirth, today);
+      if (age < 0 || age > 120) {
+        issues.push({ path: `${path}.dateOfBirth`, severity: "error", message: "Date of birth is not plausible" });
+      } else if (age < 18) {
+        issues.push({ path: `${path}.dateOfBirth`, severity: "warning", message: "Owner is a minor - you may report a parent or legal guardian's information instead" });
+      }
+    }
+  }
+
+  const id = person.identification;
+  const before = issues.length;
+  tally.check(issues, `${path}.identification.type`, id.type, "ID document type");
+  tally.check(issues, `${path}.identification.number`, id.number, "ID document number");
+  if (id.type === "state_drivers_license" || id.type === "state_id") {
+    tally.check(issues, `${path}.identification.issuingState`, id.issuingState, "Issuing state");
+  } else if (id.type === "foreign_passport") {
+    tally.check(issues, `${path}.identification.issuingCountry`, id.issuingCountry, "Issuing country");
+  }
+  return issues.length === before;
+}
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+export function validateBoirIntake(intake: BoirIntake, today = new Date()): BoirValidationResult {
+  const issues: BoirIssue[] = [];
+  const tally = new FieldTally();
+  const { company } = intake;
+
+  // Reporting company
+  const companyIssueStart = issues.length;
+  tally.check(issues, "company.legalName", company.legalName, "Legal name");
+  if (tally.check(issues, "company.taxId", company.taxId, "Tax ID") && company.taxIdType === "EIN" && !/^\d{2}-?\d{7}$/.test(company.taxId)) {
+    issues.push({ path: "company.taxId", severity: "error", message: "EIN must be 9 digits (XX-XXXXXXX)" });
+  }
+  tally.check(issues, "company.formationJurisdiction", company.formationJurisdiction, "Formation jurisdiction");
+  const hasFormationDate = tally.check(issues, "company.formationDate", company.formationDate, "Formation date");
+  if (hasFormationDate && !isIsoDate(company.formationDate)) {
+    issues.push({ path: "company.formationDate", severity: "error", message: "Formation date must be YYYY-MM-DD" });
+  }
+  validateAddress(issues, tally, "company.address", company.address);
+  const entityComplete = issues.length === companyIssueStart;
+
+  // Exemptions - an exempt company files nothing, so owners and applicants are not required
+  if (company.exemption) {
+    let exemptionValid = true;
+
+    if (company.exemption === "large_operating_company") {
+      const meetsTest = (company.fullTimeEmployees ?? 0) > LARGE_COMPANY_MIN_EMPLOYEES &&
+        (company.usGrossReceipts ?? 0) > LARGE_COMPANY_MIN_RECEIPTS &&
+        company.hasUsOffice === true;
+      if (!meetsTest) {
+        exemptionValid = false;
+        issues.push({
+          path: "company.exemption",
+          severity: "error",
+          message: `Large operating company exemption requires more than ${LARGE_COMPANY_MIN_EMPLOYEES} full-time US employees, more than $5,000,000 in US gross receipts on last year's return, and a physical US office`,
+        });
+      }
+    }
+
+    if (company.exemption === "inactive_entity" && isIsoDate(company.formationDate) && company.formationDate > INACTIVE_ENTITY_FORMED_BY) {
+      exemptionValid = false;
+      issues.push({ path: "company.exemption", severity: "error", message: "Inactive entity exemption only applies to entities in existence on or before January 1, 2020" });
+    }
+
+    if (exemptionValid) {
+      if (intake.beneficialOwners.length > 0 || intake.companyApplicants.length > 0) {
+        issues.push({ path: "company.exemption", severity: "warning", message: `Exempt companies (${BOIR_EXEMPTIONS[company.exemption]}) do not report beneficial owners or company applicants` });
+      }
+
+      const hasErrors = issues.some(issue => issue.severity === "error");
+      return {
+        status: hasErrors ? "incomplete" : "exempt",
+        completeness: tally.required ? Math.round((tally.filled / tally.required) * 100) : 0,
+        issues,
+        checklist: {
+          entity_info: entityComplete ? "complete" : "incomplete",
+          beneficial_owners: "not_applicable",
+          identification_docs: "not_applicable",
+          company_applicant: "not_applicable",
+          ownership_structure: "not_applicable",
+        },
+        completedChecklistItems: entityComplete ? ["entity_info"] : [],
+        qualifyingOwners: 0,
+        applicantsRequired: false,
+      };
+    }
+  }
+
+  // Beneficial owners: 25%+ ownership or substantial control
+  const qualifying: BeneficialOwner[] = [];
+  let ownersComplete = true;
+  let ownerIdsComplete = true;
+  let totalOwnership = 0;
+  let ownershipRecorded = true;
+  const seen = new Set<string>();
+
+  intake.beneficialOwners.forEach((owner, index) => {
+    const path = `beneficialOwners[${index}]`;
+    const ownership = owner.ownershipPercent ?? 0;
+    totalOwnership += ownership;
+    if (owner.ownershipPercent === undefined && owner.controlBasis.length === 0) {
+      ownershipRecorded = false;
+    }
+
+    if (ownership < OWNERSHIP_THRESHOLD && owner.controlBasis.length === 0) {
+      issues.push({
+        path,
+        severity: "warning",
+        message: `Owns less than ${OWNERSHIP_THRESHOLD}% with no substantial control - not a beneficial owner and will be left out of the filing`,
+      });
+      return;
+    }
+    qualifying.push(owner);
+
+    const key = `${owner.firstName}|${owner.lastName}|${owner.dateOfBirth}`.toLowerCase();
+    if (owner.firstName && owner.lastName && seen.has(key)) {
+      issues.push({ path, severity: "error", message: "Duplicate beneficial owner (same name and date of birth)" });
+    }
+    seen.add(key);
+
+    const before = issues.length;
+    const idComplete = validatePerson(issues, tally, path, owner, today);
+    validateAddress(issues, tally, `${path}.address`, owner.address);
+    ownerIdsComplete = ownerIdsComplete && idComplete;
+    ownersComplete = ownersComplete && issues.slice(before).every(issue => issue.severity !== "error");
+  });
+
+  if (qualifying.length === 0) {
+    ownersComplete = false;
+    ownerIdsComplete = false;
+    issues.push({ path: "beneficialOwners", severity: "error", message: "At least one beneficial owner is required" });
+  } else if (!qualifying.some(owner => owner.controlBasis.length > 0)) {
+    ownersComplete = false;
+    issues.push({
+      path: "beneficialOwners",
+      severity: "error",
+      message: "Every reporting company has at least one individual with substantial control (e.g. a senior officer) - mark their control basis",
+    });
+  }
+
+  if (totalOwnership > 100) {
+    issues.push({ path: "beneficialOwners", severity: "error", message: `Ownership percentages add up to ${totalOwnership}% (more than 100%)` });
+  }
+
+  // Company applicants: required (1-2) for companies created on or after January 1, 2024
+  const applicantsRequired = !hasFormationDate || !isIsoDate(company.formationDate) || company.formationDate >= APPLICANT_REQUIRED_FROM;
+  let applicantsComplete = true;
+
+  if (applicantsRequired) {
+    if (intake.companyApplicants.length === 0) {
+      applicantsComplete = false;
+      issues.push({ path: "companyApplicants", severity: "error", message: "Companies formed on or after January 1, 2024 must report at least one company applicant" });
+    } else if (intake.companyApplicants.length > MAX_COMPANY_APPLICANTS) {
+      applicantsComplete = false;
+      issues.push({ path: "companyApplicants", severity: "error", message: `At most ${MAX_COMPANY_APPLICANTS} company applicants can be reported` });
+    }
+
+    intake.companyApplicants.slice(0, MAX_COMPANY_APPLICANTS).forEach((applicant, index) => {
+      const path = `companyApplicants[${index}]`;
+      const before = issues.length;
+      validatePerson(issues, tally, path, applicant, today);
+      validateAddress(issues, tally, `${path}.address`, applicant.address);
+      applicantsComplete = applicantsComplete && issues.slice(before).every(issue => issue.severity !== "error");
+    });
+  } else if (intake.companyApplicants.length > 0) {
+    issues.push({ path: "companyApplicants", severity: "warning", message: "Companies formed before 2024 do not report company applicants - they will be left out of the filing" });
+  }
+
+  const checklist: BoirValidationResult["checklist"] = {
+    entity_info: entityComplete ? "complete" : "incomplete",
+    beneficial_owners: ownersComplete ? "complete" : "incomplete",
+    identification_docs: ownerIdsComplete ? "complete" : "incomplete",
+    company_applicant: applicantsRequired ? (applicantsComplete ? "complete" : "incomplete") : "not_applicable",
+    ownership_structure: qualifying.length > 0 && ownershipRecorded && totalOwnership <= 100 ? "complete" : "incomplete",
+  };
+
+  const hasErrors = issues.some(issue => issue.severity === "error");
+  return {
+    status: hasErrors ? "incomplete" : "ready",
+    completeness: tally.required ? Math.round((tally.filled / tally.required) * 100) : 0,
+    issues,
+    checklist,
+    completedChecklistItems: Object.entries(checklist).filter(([, status]) => status === "complete").map(([id]) => id),
+    qualifyingOwners: qualifying.length,
+    applicantsRequired,
+  };
+}
+
+// ============================================================================
+// FILING PACKAGE
+// ============================================================================
+
+export interface BoirPackage {
+  reportType: "initial";
+  generatedAt: string;
+  company: BoirIntake["company"] & { exemptionLabel?: string };
+  beneficialOwners: BoirIntake["beneficialOwners"];
+  companyApplicants: BoirIntake["companyApplicants"];
+}
+
+// Only the people that belong in the filing: qualifying owners, and applicants when required
+export function buildBoirPackage(intake: BoirIntake, validation: BoirValidationResult, now = new Date()): BoirPackage {
+  const exempt = validation.status === "exempt";
+
+  return {
+    reportType: "initial",
+    generatedAt: now.toISOString(),
+    company: {
+      ...intake.company,
+      ...(exempt && intake.company.exemption ? { exemptionLabel: BOIR_EXEMPTIONS[intake.company.exemption] } : {}),
+    },
+    beneficialOwners: exempt ? [] : intake.beneficialOwners.filter(owner =>
+      (owner.ownershipPercent ?? 0) >= OWNERSHIP_THRESHOLD || owner.controlBasis.length > 0
+    ),
+    companyApplicants: exempt || !validation.applicantsRequired ? [] : intake.companyApplicants.slice(0, MAX_COMPANY_APPLICANTS),
+  };
+}
+
+const CSV_COLUMNS = [
+  "role", "last_name", "first_name", "middle_name", "suffix", "date_of_birth",
+  "street", "city", "state", "postal_code", "country",
+  "id_type", "id_number", "id_jurisdiction", "ownership_percent", "control_basis",
+];
+
+// One row per person in the filing (beneficial owners, then company applicants)
+export function renderBoirCsv(pkg: BoirPackage): string {
+  const row = (role: string, person: BoirPerson, ownership?: number, control: string[] = []) => [
+    role,
+    person.lastName,
+    person.firstName,
+    person.middleName,
+    person.suffix,
+    person.dateOfBirth,
+    person.address.street,
+    person.address.city,
+    person.address.state,
+    person.address.postalCode,
+    person.address.country,
+    person.identification.type,
+    person.identification.number,
+    person.identification.issuingState || person.identification.issuingCountry,
+    ownership,
+    control.join("; "),
+  ].map(csvCell).join(",");
+
+  return [
+    CSV_COLUMNS.join(","),
+    ...pkg.beneficialOwners.map(owner => row("beneficial_owner", owner, owner.ownershipPercent, owner.controlBasis)),
+    ...pkg.companyApplicants.map(applicant => row("company_applicant", applicant)),
+  ].join("\r\n") + "\r\n";
+}
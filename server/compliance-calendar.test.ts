@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildComplianceCalendar, calendarRequestSchema, findUnknownStates, renderCalendarIcs } from "./compliance-calendar";
+
+const TODAY = new Date("2026-10-19T12:00:00Z");
+
+function calendar(query: Record<string, unknown>) {
+  return buildComplianceCalendar(calendarRequestSchema.parse(query), TODAY);
+}
+
+function dueDates(query: Record<string, unknown>, slug: string) {
+  return calendar(query).occurrences.filter(occurrence => occurrence.slug === slug).map(occurrence => [occurrence.dueDate, occurrence.frequency]);
+}
+
+test("a new California LLC gets its initial Statement of Information 90 days after formation", () => {
+  const { occurrences } = calendar({ entityType: "LLC", formationDate: "2026-03-10", states: "CA", from: "2026-03-10", years: 5 });
+  const statements = occurrences.filter(occurrence => occurrence.slug === "annual_report_ca");
+
+  assert.deepEqual(statements.map(occurrence => [occurrence.title, occurrence.dueDate]), [
+    ["California Statement of Information (initial)", "2026-06-08"],
+    ["Annual Report (California)", "2028-03-31"],
+    ["Annual Report (California)", "2030-03-31"],
+  ]);
+  assert.equal(statements[0].frequency, "once");
+  assert.equal(statements[0].profileName, "Annual Report (California)");
+});
+
+test("California corporations file the Statement of Information every year", () => {
+  assert.deepEqual(dueDates({ entityType: "S Corp", formationDate: "2026-03-10", states: "California", from: "2026-03-10", years: 3 }, "annual_report_ca"), [
+    ["2026-06-08", "once"],
+    ["2027-03-31", "annual"],
+    ["2028-03-31", "annual"],
+  ]);
+});
+
+test("one-time filings already past are not scheduled", () => {
+  assert.deepEqual(dueDates({ entityType: "LLC", formationDate: "2024-03-10", states: "CA", from: "2026-01-01", years: 3 }, "annual_report_ca"), [
+    ["2026-03-31", "biennial"],
+    ["2028-03-31", "biennial"],
+  ]);
+});
+
+test("entity-specific rules win over the default rule", () => {
+  const query = { formationDate: "2025-08-01", states: "DE", from: "2026-01-01", years: 2 };
+
+  assert.deepEqual(dueDates({ ...query, entityType: "LLC" }, "annual_report_de"), [["2026-06-01", "annual"], ["2027-06-01", "annual"]]);
+  assert.deepEqual(dueDates({ ...query, entityType: "Corporation" }, "annual_report_de"), [["2026-03-01", "annual"], ["2027-03-01", "annual"]]);
+});
+
+test("each state gets its best profile and federal filings appear once", () => {
+  const { states, occurrences } = calendar({ entityType: "LLC", formationDate: "2026-10-01", states: "CA,TX,ca", years: 3 });
+  const slugs = new Set(occurrences.map(occurrence => `${occurrence.slug}:${occurrence.state}`));
+
+  assert.deepEqual(states, ["CA", "TX"]);
+  assert.ok(slugs.has("annual_report_ca:CA"));
+  assert.ok(slugs.has("annual_report_generic:TX"));
+  assert.ok(!slugs.has("annual_report_generic:CA"));
+  assert.deepEqual(occurrences.filter(occurrence => occurrence.slug === "boir").map(occurrence => [occurrence.dueDate, occurrence.state]), [["2026-10-31", null]]);
+});
+
+test("opt-in profiles are only scheduled when included, from their own anchor date", () => {
+  const query = { entityType: "LLC", formationDate: "2020-02-29", states: "TX", from: "2026-01-01", years: 2 };
+
+  assert.deepEqual(dueDates(query, "sam_registration"), []);
+  // A Feb 29 anchor lands on Feb 28 in other years
+  assert.deepEqual(dueDates({ ...query, include: "sam_registration", anchors: { sam_registration: "2024-02-29" } }, "sam_registration"), [
+    ["2026-02-28", "annual"],
+    ["2027-02-28", "annual"],
+  ]);
+});
+
+test("milestones are dated from the due date and occurrences are sorted", () => {
+  const { occurrences } = calendar({ entityType: "LLC", formationDate: "2026-03-10", states: "CA", from: "2026-03-10", years: 3 });
+  const initial = occurrences.find(occurrence => occurrence.dueDate === "2026-06-08")!;
+
+  assert.equal(initial.id, "annual_report_ca-ca-2026-06-08");
+  assert.equal(initial.milestones[initial.milestones.length - 1].date, "2026-06-08");
+  assert.ok(initial.milestones[0].date < initial.dueDate);
+  assert.deepEqual(occurrences.map(occurrence => occurrence.dueDate), occurrences.map(occurrence => occurrence.dueDate).sort());
+});
+
+test("calendarRequestSchema rejects impossible dates and out-of-range years", () => {
+  assert.equal(calendarRequestSchema.safeParse({ entityType: "LLC", formationDate: "2026-02-30", states: "CA" }).success, false);
+  assert.equal(calendarRequestSchema.safeParse({ entityType: "LLC", formationDate: "2026-02-28", states: "" }).success, false);
+  assert.equal(calendarRequestSchema.safeParse({ entityType: "LLC", formationDate: "2026-02-28", states: "CA", years: "11" }).success, false);
+  assert.equal(calendarRequestSchema.parse({ entityType: "LLC", formationDate: "2026-02-28", states: ["CA", " "] }).years, 3);
+});
+
+test("findUnknownStates lists inputs that are not US states", () => {
+  assert.deepEqual(findUnknownStates(["CA", "Texas", "Ontario"]), ["Ontario"]);
+});
+
+test("renderCalendarIcs titles events by rule and folds long lines", () => {
+  const ics = renderCalendarIcs(calendar({ entityType: "LLC", formationDate: "2026-03-10", states: "CA", from: "2026-03-10", years: 3 }), TODAY);
+
+  assert.ok(ics.includes("SUMMARY:California Statement of Information (initial) - CA due\r\n"));
+  assert.ok(ics.includes("UID:annual_report_ca-ca-2026-06-08@complipilot\r\nDTSTAMP:20261019T120000Z\r\nDTSTART;VALUE=DATE:20260608\r\nDTEND;VALUE=DATE:20260609"));
+  ics.split("\r\n").forEach(line => assert.ok(Buffer.byteLength(line, "utf8") <= 75, line));
+});
@@ -0,0 +1,274 @@
+// CompliPilot compliance calendar
+// Expands every filing profile that applies to a business (entity type, formation date, states) into
+// dated occurrences over the next N years, using each profile's `recurrence` rules. Served as JSON and
+// as an iCalendar feed by GET /api/compliance/calendar.
+
+import { z } from "zod";
+import { FILING_PROFILES, entityTypeMatches, rankFilingProfiles, type FilingProfile } from "@shared/filing-profiles";
+import { findUsState, type UsState } from "@shared/us-states";
+import { escapeIcsText, foldIcsLine } from "@shared/export-formats";
+
+const MAX_CALENDAR_YEARS = 10;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const isoDate = z.string().trim().regex(/^\d{4}-\d{2}-\d{2}$/, "Use YYYY-MM-DD")
+  .refine(value => formatIsoDate(parseIsoDate(value)) === value, { message: "Invalid date" });
+
+// Query strings arrive as "CA,DE" or repeated params
+const stringList = z.preprocess(
+  value => (typeof value === "string" ? value.split(",") : value),
+  z.array(z.string().trim()).transform(values => values.filter(Boolean))
+);
+
+export const calendarRequestSchema = z.object({
+  entityType: z.string().trim().min(1).max(100),
+  formationDate: isoDate,
+  states: stringList.pipe(z.array(z.string()).min(1).max(51)),
+  years: z.coerce.number().int().min(1).max(MAX_CALENDAR_YEARS).optional().default(3),
+  // Opt-in profiles to schedule (e.g. sam_registration, dbe_mbe_certification)
+  include: stringList.optional().default([]),
+  // Anchor dates per profile slug (e.g. SAM.gov activation date); defaults to the formation date
+  anchors: z.record(isoDate).optional().default({}),
+  from: isoDate.optional(),
+});
+
+export type CalendarRequest = z.infer<typeof calendarRequestSchema>;
+
+export interface CalendarOccurrence {
+  id: string;
+  slug: string;
+  profileName: string;
+  // Calendar title: the rule's name (e.g. an initial filing), otherwise the profile name
+  title: string;
+  filingType: string;
+  state: string | null;
+  dueDate: string;
+  frequency: string;
+  notes: string;
+  milestones: Array<{ milestone: string; owner: string; date: string }>;
+}
+
+export interface ComplianceCalendar {
+  entityType: string;
+  formationDate: string;
+  states: string[];
+  from: string;
+  to: string;
+  occurrences: CalendarOccurrence[];
+}
+
+type RecurrenceRule = NonNullable<FilingProfile["recurrence"]>["rules"][number];
+
+// ============================================================================
+// DATE HELPERS (UTC calendar dates, no time zone drift)
+// ============================================================================
+
+function parseIsoDate(value: string): Date {
+  const [year, month, day] = value.split("-").map(Number);
+  return new Date(Date.UTC(year, month - 1, day));
+}
+
+function formatIsoDate(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date: Date, days: number): Date {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysInMonth(year: number, monthIndex: number): number {
+  return new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate();
+}
+
+// Clamp the day so Feb 29 anchors land on Feb 28 in non-leap years
+function makeDate(year: number, monthIndex: number, day: number): Date {
+  return new Date(Date.UTC(year, monthIndex, Math.min(day, daysInMonth(year, monthIndex))));
+}
+
+// ============================================================================
+// EXPANSION
+// ============================================================================
+
+// Dates a rule falls due in [from, to), relative to the anchor date
+function expandRule(rule: RecurrenceRule, anchor: Date, from: Date, to: Date): Date[] {
+  const dates: Date[] = [];
+  const due = rule.due;
+
+  const resolve = (year: number): Date => {
+    if (due.type === "fixed") {
+      return makeDate(year, due.month - 1, due.day);
+    }
+    let date = addDays(makeDate(year, anchor.getUTCMonth(), anchor.getUTCDate()), due.offsetDays);
+    if (due.endOfMonth) {
+      date = makeDate(date.getUTCFullYear(), date.getUTCMonth(), 31);
+    }
+    return date;
+  };
+
+  if (rule.frequency === "once") {
+    const date = resolve(anchor.getUTCFullYear());
+    if (date >= from && date < to) dates.push(date);
+    return dates;
+  }
+
+  // The first cycle falls in the year after the anchor (e.g. Delaware's first annual report is due the March after formation)
+  const step = rule.frequency === "biennial" ? 2 : 1;
+  for (let year = anchor.getUTCFullYear() + step; year <= to.getUTCFullYear(); year += step) {
+    const date = resolve(year);
+    if (date >= from && date < to) dates.push(date);
+  }
+
+  return dates;
+}
+
+// First rule naming the entity type, otherwise the default rule (no entityTypes) - chosen separately for
+// one-time and recurring rules, so an initial filing (e.g. California's first Statement of Information) is
+// scheduled alongside the recurring one
+function selectRules(profile: FilingProfile, entityType: string): RecurrenceRule[] {
+  const rules = profile.recurrence?.rules || [];
+  const pick = (candidates: RecurrenceRule[]) =>
+    candidates.find(rule => rule.entityTypes && entityTypeMatches(entityType, rule.entityTypes)) ||
+    candidates.find(rule => !rule.entityTypes);
+
+  return [
+    pick(rules.filter(rule => rule.frequency === "once")),
+    pick(rules.filter(rule => rule.frequency !== "once")),
+  ].filter((rule): rule is RecurrenceRule => !!rule);
+}
+
+// Best state-level profile per filing type for this state (state-specific beats generic)
+function resolveStateProfiles(state: UsState, entityType: string): FilingProfile[] {
+  const filingTypes = new Set(
+    Object.values(FILING_PROFILES)
+      .filter(profile => profile.recurrence?.level === "state")
+      .map(profile => profile.scope.filingTypes[0])
+  );
+
+  const profiles: FilingProfile[] = [];
+  for (const filingType of Array.from(filingTypes)) {
+    const best = rankFilingProfiles(filingType, state.code, entityType).find(candidate =>
+      candidate.profile.recurrence?.level === "state" &&
+      candidate.profile.scope.filingTypes.includes(filingType) &&
+      entityTypeMatches(entityType, candidate.profile.scope.entityTypes)
+    );
+    if (best) profiles.push(best.profile);
+  }
+  return profiles;
+}
+
+export function buildComplianceCalendar(request: CalendarRequest, today = new Date()): ComplianceCalendar {
+  const from = request.from
+    ? parseIsoDate(request.from)
+    : new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+  const to = makeDate(from.getUTCFullYear() + request.years, from.getUTCMonth(), from.getUTCDate());
+  const formation = parseIsoDate(request.formationDate);
+
+  const states = request.states
+    .map(input => findUsState(input))
+    .filter((state): state is UsState => !!state)
+    .filter((state, index, all) => all.findIndex(other => other.code === state.code) === index);
+
+  const scheduled: Array<{ profile: FilingProfile; state: UsState | null }> = [];
+  for (const state of states) {
+    for (const profile of resolveStateProfiles(state, request.entityType)) {
+      scheduled.push({ profile, state });
+    }
+  }
+  for (const profile of Object.values(FILING_PROFILES)) {
+    const recurrence = profile.recurrence;
+    if (recurrence?.level !== "federal") continue;
+    if (recurrence.optIn && !request.include.includes(profile.slug)) continue;
+    if (!entityTypeMatches(request.entityType, profile.scope.entityTypes)) continue;
+    scheduled.push({ profile, state: null });
+  }
+
+  const occurrences: CalendarOccurrence[] = [];
+  for (const { profile, state } of scheduled) {
+    const anchor = request.anchors[profile.slug] ? parseIsoDate(request.anchors[profile.slug]) : formation;
+    for (const rule of selectRules(profile, request.entityType)) {
+      for (const date of expandRule(rule, anchor, from, to)) {
+        const dueDate = formatIsoDate(date);
+        occurrences.push({
+          id: `${profile.slug}-${state ? state.code.toLowerCase() : "us"}-${dueDate}`,
+          slug: profile.slug,
+          profileName: profile.name,
+          title: rule.name || profile.name,
+          filingType: profile.scope.filingTypes[0],
+          state: state ? state.code : null,
+          dueDate,
+          frequency: rule.frequency,
+          notes: profile.recurrence?.notes || "",
+          milestones: profile.timeline.map(item => ({
+            milestone: item.milestone,
+            owner: item.owner,
+            date: formatIsoDate(addDays(date, item.offsetDays)),
+          })),
+        });
+      }
+    }
+  }
+
+  occurrences.sort((a, b) => a.dueDate.localeCompare(b.dueDate) || a.id.localeCompare(b.id));
+
+  return {
+    entityType: request.entityType,
+    formationDate: request.formationDate,
+    states: states.map(state => state.code),
+    from: formatIsoDate(from),
+    to: formatIsoDate(to),
+    occurrences,
+  };
+}
+
+// States in the request that are not a US state or DC (reported back as a 400)
+export function findUnknownStates(states: string[]): string[] {
+  return states.filter(state => !findUsState(state));
+}
+
+// ============================================================================
+// ICALENDAR (RFC 5545)
+// ============================================================================
+
+const compactDate = (isoDateValue: string) => isoDateValue.replace(/-/g, "");
+
+export function renderCalendarIcs(calendar: ComplianceCalendar, now = new Date()): string {
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//YourBizGuru//CompliPilot Compliance Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    "X-WR-CALNAME:CompliPilot Compliance Calendar",
+  ];
+
+  for (const occurrence of calendar.occurrences) {
+    const title = `${occurrence.title}${occurrence.state ? ` - ${occurrence.state}` : ""}`;
+    const description = [
+      occurrence.notes,
+      "",
+      "Milestones:",
+      ...occurrence.milestones.map(item => `${item.date} - ${item.milestone} (${item.owner})`),
+    ].join("\n").trim();
+
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${occurrence.id}@complipilot`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${compactDate(occurrence.dueDate)}`,
+      `DTEND;VALUE=DATE:${compactDate(formatIsoDate(addDays(parseIsoDate(occurrence.dueDate), 1)))}`,
+      `SUMMARY:${escapeIcsText(`${title} due`)}`,
+      `DESCRIPTION:${escapeIcsText(description)}`,
+      "TRANSP:TRANSPARENT",
+      "BEGIN:VALARM",
+      "ACTION:DISPLAY",
+      "TRIGGER:-P30D",
+      `DESCRIPTION:${escapeIcsText(`${title} due in 30 days`)}`,
+      "END:VALARM",
+      "END:VEVENT",
+    );
+  }
+
+  lines.push("END:VCALENDAR");
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
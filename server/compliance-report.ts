@@ -0,0 +1,267 @@
+// CompliPilot compliance report builder (server side)
+// Mirrors ComplianceGenerator.generate in public/compliance-generator.js so reports built by
+// POST /api/compliance/generate have the same section structure as the ones built in the browser.
+
+import { createHash } from "crypto";
+import { z } from "zod";
+import type { FilingProfile } from "@shared/filing-profiles";
+
+export const complianceFormSchema = z.object({
+  entityName: z.string().trim().max(200).optional().default(""),
+  entityType: z.string().trim().min(1).max(100),
+  jurisdiction: z.string().trim().min(1).max(100),
+  filingType: z.string().trim().min(1).max(100),
+  deadline: z.string().trim().optional().default("")
+    .refine(value => !value || !isNaN(new Date(value).getTime()), { message: "Invalid deadline date" }),
+  requirements: z.array(z.string().max(200)).max(50).optional().default([]),
+  risks: z.string().max(1000).optional().default(""),
+  mitigation: z.string().max(1000).optional().default(""),
+});
+
+export type ComplianceFormData = z.infer<typeof complianceFormSchema>;
+
+export interface ComplianceTimelineItem {
+  milestone: string;
+  owner: string;
+  due: string;
+  notes: string;
+}
+
+export interface ComplianceSections {
+  executiveSummary: string;
+  requirementsChecklist: Array<{ checkbox: string; label: string; description: string; category: string }>;
+  timeline: ComplianceTimelineItem[];
+  riskMatrix: Array<{ risk: string; severity: string; likelihood: string; mitigation: string }>;
+  recommendations: Array<{ number: number; action: string; detail: string }>;
+  references: { links: FilingProfile["links"]; disclaimer: string };
+}
+
+const DISCLAIMER = "This report is for informational purposes only and does not constitute legal, tax, or financial advice. Consult with licensed professionals for guidance specific to your situation.";
+
+// Deadlines are date-only strings, which parse as UTC midnight - read them back in UTC
+function formatDate(date: Date): string {
+  if (isNaN(date.getTime())) {
+    return "[Date pending]";
+  }
+
+  const months = ["Jan", "Feb", "Mar", "Apr", "May", "Jun", "Jul", "Aug", "Sep", "Oct", "Nov", "Dec"];
+  return `${months[date.getUTCMonth()]} ${date.getUTCDate()}, ${date.getUTCFullYear()}`;
+}
+
+export function buildExecutiveSummary(formData: ComplianceFormData): string {
+  const entityDisplay = formData.entityName
+    ? `${formData.entityName} (${formData.entityType})`
+    : formData.entityType;
+  const deadlineDisplay = formData.deadline ? formatDate(new Date(formData.deadline)) : "[Deadline pending]";
+
+  const para1 = `This compliance report addresses the ${formData.filingType} requirement for ${entityDisplay}, operating in ${formData.jurisdiction}. This filing ensures your business maintains good standing with regulatory authorities and preserves liability protections, operational privileges, and legal status.`;
+
+  const para2 = `Your filing deadline is ${deadlineDisplay}. Late submission may result in penalties, loss of good standing, or administrative dissolution. This report provides a structured roadmap including required documents, key milestones, risk mitigation strategies, and actionable next steps to ensure timely and compliant submission.`;
+
+  return `${para1}\n\n${para2}`;
+}
+
+function buildChecklist(formData: ComplianceFormData, profile: FilingProfile) {
+  const userSelected = formData.requirements;
+
+  return profile.checklist.map(item => {
+    const isSelected = userSelected.some(selected =>
+      selected === item.id ||
+      selected === item.label ||
+      selected.toLowerCase().includes(item.label.toLowerCase().substring(0, 10))
+    );
+    const isSuggested = !isSelected && profile.suggestedItems.includes(item.id);
+
+    return {
+      checkbox: isSelected ? "✓" : "□",
+      label: item.label + (item.required ? " *" : "") + (isSuggested ? " (Suggested by CompliPilot)" : ""),
+      description: item.description,
+      category: item.category,
+    };
+  });
+}
+
+function buildRiskMatrix(formData: ComplianceFormData, profile: FilingProfile) {
+  const risks: ComplianceSections["riskMatrix"] = [];
+
+  // User-provided risk first
+  if (formData.risks.trim()) {
+    risks.push({
+      risk: formData.risks.substring(0, 100),
+      severity: "Medium",
+      likelihood: "Medium",
+      mitigation: formData.mitigation || "Review with compliance advisor",
+    });
+  }
+
+  for (const risk of profile.risks) {
+    risks.push({ risk: risk.risk, severity: risk.severity, likelihood: risk.likelihood, mitigation: risk.mitigation });
+  }
+
+  if (risks.length === 0) {
+    risks.push({ risk: "[Pending Input]", severity: "[Pending Input]", likelihood: "[Pending Input]", mitigation: "[Pending Input]" });
+  }
+
+  return risks;
+}
+
+function buildRecommendations(formData: ComplianceFormData, profile: FilingProfile) {
+  const portal = formData.jurisdiction && profile.links.length > 0
+    ? {
+        action: "Set up portal access",
+        detail: `Create account at ${profile.links[0].label} if not already registered. Confirm login credentials and payment methods are current.`,
+      }
+    : {
+        action: "Identify filing portal",
+        detail: "Research official state/federal portal for online filing. Create account and verify accepted payment methods.",
+      };
+
+  return [
+    {
+      action: "Create compliance calendar",
+      detail: `Add all timeline milestones to your calendar with email/SMS reminders. Set first reminder ${formData.deadline ? '30 days before deadline' : 'immediately upon setting deadline'}.`,
+    },
+    {
+      action: "Assign ownership and accountability",
+      detail: "Designate a responsible party for each checklist item and timeline milestone. For external tasks (CPA, attorney), confirm availability now.",
+    },
+    portal,
+    {
+      action: "Pre-review all documents",
+      detail: "Conduct internal review of all checklist items 14 days before deadline. Verify accuracy, completeness, and consistency across documents.",
+    },
+    {
+      action: "Confirm acceptance and retain proof",
+      detail: "After submission, save confirmation number, receipt, and filed documents. Verify processing within 5-7 business days and follow up if no acknowledgment received.",
+    },
+  ].map((rec, index) => ({ number: index + 1, ...rec }));
+}
+
+// Milestones dated from the deadline (offsetDays are relative to it)
+function buildTimeline(formData: ComplianceFormData, profile: FilingProfile): ComplianceTimelineItem[] {
+  if (!formData.deadline) {
+    return [{
+      milestone: "[Timeline unavailable]",
+      owner: "[Pending]",
+      due: "[Deadline required]",
+      notes: "Please provide filing deadline to generate timeline",
+    }];
+  }
+
+  const deadlineDate = new Date(formData.deadline);
+  return profile.timeline.map(item => {
+    const dueDate = new Date(deadlineDate);
+    dueDate.setUTCDate(dueDate.getUTCDate() + item.offsetDays);
+
+    return {
+      milestone: item.milestone,
+      owner: item.owner,
+      due: formatDate(dueDate),
+      notes: item.notes,
+    };
+  });
+}
+
+export function buildComplianceSections(formData: ComplianceFormData, profile: FilingProfile): ComplianceSections {
+  return {
+    executiveSummary: buildExecutiveSummary(formData),
+    requirementsChecklist: buildChecklist(formData, profile),
+    timeline: buildTimeline(formData, profile),
+    riskMatrix: buildRiskMatrix(formData, profile),
+    recommendations: buildRecommendations(formData, profile),
+    references: { links: profile.links, disclaimer: DISCLAIMER },
+  };
+}
+
+// Same markdown layout as ComplianceGenerator.formatOutput
+export function formatComplianceMarkdown(sections: ComplianceSections): string {
+  let markdown = "# Executive Compliance Summary\n\n";
+  markdown += sections.executiveSummary + "\n\n---\n\n";
+
+  markdown += "## Filing Requirements Checklist\n\n";
+  let currentCategory = "";
+  for (const item of sections.requirementsChecklist) {
+    if (item.category && item.category !== currentCategory) {
+      if (currentCategory) markdown += "\n";
+      markdown += `**${item.category}:**\n`;
+      currentCategory = item.category;
+    }
+    markdown += `${item.checkbox} **${item.label}**\n   ${item.description}\n\n`;
+  }
+  markdown += "---\n\n";
+
+  markdown += "## Compliance Timeline\n\n| Milestone | Owner | Due Date | Notes |\n|-----------|-------|----------|-------|\n";
+  for (const item of sections.timeline) {
+    markdown += `| ${item.milestone} | ${item.owner} | ${item.due} | ${item.notes} |\n`;
+  }
+  markdown += "\n---\n\n";
+
+  markdown += "## Risk Matrix\n\n| Risk | Severity | Likelihood | Mitigation |\n|------|----------|------------|------------|\n";
+  for (const risk of sections.riskMatrix) {
+    markdown += `| ${risk.risk} | ${risk.severity} | ${risk.likelihood} | ${risk.mitigation} |\n`;
+  }
+  markdown += "\n---\n\n";
+
+  markdown += "## Strategic Recommendations\n\n";
+  for (const rec of sections.recommendations) {
+    markdown += `${rec.number}. **${rec.action}**\n   ${rec.detail}\n\n`;
+  }
+  markdown += "---\n\n";
+
+  markdown += "## Official References\n\n";
+  if (sections.references.links.length > 0) {
+    for (const link of sections.references.links) {
+      markdown += `- **${link.label}**: [${link.url}](${link.url})\n  ${link.description}\n\n`;
+    }
+  } else {
+    markdown += "*Contact your state or federal agency for official filing portals.*\n\n";
+  }
+  markdown += `**Disclaimer:** ${sections.references.disclaimer}\n`;
+
+  return markdown;
+}
+
+function escapeHtml(value: string): string {
+  return value
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+// HTML version for saved reports (stored in complianceReports.htmlContent)
+export function renderComplianceHtml(sections: ComplianceSections): string {
+  const cell = (value: string) => `<td>${escapeHtml(value)}</td>`;
+
+  const checklist = sections.requirementsChecklist
+    .map(item => `<li>${escapeHtml(item.checkbox)} <strong>${escapeHtml(item.label)}</strong> - ${escapeHtml(item.description)} <em>(${escapeHtml(item.category)})</em></li>`)
+    .join("");
+  const timeline = sections.timeline
+    .map(item => `<tr>${cell(item.milestone)}${cell(item.owner)}${cell(item.due)}${cell(item.notes)}</tr>`)
+    .join("");
+  const risks = sections.riskMatrix
+    .map(risk => `<tr>${cell(risk.risk)}${cell(risk.severity)}${cell(risk.likelihood)}${cell(risk.mitigation)}</tr>`)
+    .join("");
+  const recommendations = sections.recommendations
+    .map(rec => `<li><strong>${escapeHtml(rec.action)}</strong> - ${escapeHtml(rec.detail)}</li>`)
+    .join("");
+  const links = sections.references.links
+    .map(link => `<li><strong>${escapeHtml(link.label)}</strong>: ${escapeHtml(link.url)} - ${escapeHtml(link.description)}</li>`)
+    .join("");
+
+  return [
+    `<h1>Executive Compliance Summary</h1>`,
+    ...sections.executiveSummary.split(/\n\s*\n/).map(paragraph => `<p>${escapeHtml(paragraph.trim())}</p>`),
+    `<h2>Filing Requirements Checklist</h2><ul>${checklist}</ul>`,
+    `<h2>Compliance Timeline</h2><table><thead><tr><th>Milestone</th><th>Owner</th><th>Due Date</th><th>Notes</th></tr></thead><tbody>${timeline}</tbody></table>`,
+    `<h2>Risk Matrix</h2><table><thead><tr><th>Risk</th><th>Severity</th><th>Likelihood</th><th>Mitigation</th></tr></thead><tbody>${risks}</tbody></table>`,
+    `<h2>Strategic Recommendations</h2><ol>${recommendations}</ol>`,
+    `<h2>Official References</h2>${links ? `<ul>${links}</ul>` : "<p>Contact your state or federal agency for official filing portals.</p>"}`,
+    `<p><strong>Disclaimer:</strong> ${escapeHtml(sections.references.disclaimer)}</p>`,
+  ].join("\n");
+}
+
+// Content checksum stored alongside saved reports
+export function complianceChecksum(html: string): string {
+  return createHash("sha256").update(html).digest("hex").slice(0, 16);
+}
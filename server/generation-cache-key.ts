@@ -0,0 +1,57 @@
+// Generation cache key
+// Cache entries are keyed by a content hash of the normalized form data, prompt version and model.
+// GENERATION_CACHE_TTL_MINUTES sets how long entries are reused (default 60, 0 disables the cache).
+// Copied to api/_lib by script/build-serverless-modules.ts so both runtimes compute the same keys.
+
+import crypto from "crypto";
+import { parseCreditActivity } from "@shared/card-sequencing";
+import { parseLedger } from "@shared/tradeline-ledger";
+
+const DEFAULT_CACHE_TTL_MINUTES = 60;
+
+// Form fields that affect the roadmap - anything else in formData is ignored for the key
+const CACHE_KEY_FIELDS = [
+  "businessName", "ein", "entityType", "state", "startDate", "utilization", "tradeLines",
+  "annualRevenue", "latePayments", "derogatories", "ownerFico", "creditHistory", "recentInquiries",
+  "fundingGoal", "targetLimit", "timeframe",
+] as const;
+
+const NUMERIC_FIELDS = new Set(["utilization", "tradeLines", "latePayments", "ownerFico", "creditHistory", "recentInquiries"]);
+
+export function getGenerationCacheTtlMinutes(env: NodeJS.ProcessEnv = process.env): number {
+  const raw = env.GENERATION_CACHE_TTL_MINUTES;
+  if (raw === undefined || raw.trim() === "") return DEFAULT_CACHE_TTL_MINUTES;
+
+  const minutes = Number(raw);
+  return Number.isFinite(minutes) && minutes > 0 ? minutes : 0;
+}
+
+// Whitespace differences and "650" vs 650 should not produce different keys
+function normalizeFormData(formData: any): Record<string, string | number> {
+  const normalized: Record<string, string | number> = {};
+
+  // Recent accounts and inquiries drive the card schedule; rows the planner would drop do not change the key
+  const creditActivity = parseCreditActivity(formData);
+  normalized.recentAccounts = JSON.stringify(creditActivity.recentAccounts);
+  normalized.inquiries = JSON.stringify(creditActivity.inquiries);
+  // The account ledger is listed in the prompt (utilization and trade lines are already derived from it)
+  normalized.ledger = JSON.stringify(parseLedger(formData?.ledger));
+
+  for (const field of CACHE_KEY_FIELDS) {
+    const value = formData?.[field];
+
+    if (NUMERIC_FIELDS.has(field) && value !== "" && value !== null && value !== undefined && Number.isFinite(Number(value))) {
+      normalized[field] = Number(value);
+    } else {
+      normalized[field] = String(value ?? "").trim().replace(/\s+/g, " ");
+    }
+  }
+
+  return normalized;
+}
+
+export function buildGenerationCacheKey(formData: any, promptVersion: string, model: string): string {
+  // Fixed field order keeps the serialization stable
+  const payload = JSON.stringify({ promptVersion, model, formData: normalizeFormData(formData) });
+  return crypto.createHash("sha256").update(payload).digest("hex");
+}
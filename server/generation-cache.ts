@@ -0,0 +1,74 @@
+// Generation cache
+// Roadmaps are stored under a content hash of the normalized form data, prompt version and model,
+// so resubmitting the same profile returns the stored roadmap instead of paying for a new generation.
+// The key and TTL live in generation-cache-key.ts, which the Vercel functions share.
+
+import { db } from "./db";
+import { generationCache } from "@shared/schema";
+import { eq, sql } from "drizzle-orm";
+import type { CreditRoadmap } from "@shared/roadmap-schema";
+
+export interface CachedGeneration {
+  roadmap: CreditRoadmap;
+  meta: Record<string, unknown>;
+  createdAt: Date;
+}
+
+// Returns the cached roadmap if one was stored within the TTL window (fails open on DB errors)
+export async function getCachedGeneration(cacheKey: string, ttlMinutes: number): Promise<CachedGeneration | null> {
+  if (ttlMinutes <= 0) return null;
+
+  try {
+    const [entry] = await db
+      .select()
+      .from(generationCache)
+      .where(eq(generationCache.cacheKey, cacheKey))
+      .limit(1);
+
+    if (!entry) return null;
+
+    const ageMs = Date.now() - new Date(entry.createdAt).getTime();
+    if (ageMs > ttlMinutes * 60 * 1000) return null;
+
+    await db
+      .update(generationCache)
+      .set({ hitCount: sql`${generationCache.hitCount} + 1` })
+      .where(eq(generationCache.id, entry.id));
+
+    return {
+      roadmap: entry.roadmap as CreditRoadmap,
+      meta: (entry.meta as Record<string, unknown>) || {},
+      createdAt: entry.createdAt,
+    };
+  } catch (error) {
+    console.error('[Cache] Error reading generation cache:', error);
+    return null;
+  }
+}
+
+// Store (or refresh) a generated roadmap under its cache key
+export async function storeGeneration(entry: {
+  cacheKey: string;
+  tool: string;
+  promptVersion: string;
+  model: string;
+  roadmap: CreditRoadmap;
+  meta: Record<string, unknown>;
+}): Promise<void> {
+  try {
+    await db
+      .insert(generationCache)
+      .values(entry)
+      .onConflictDoUpdate({
+        target: generationCache.cacheKey,
+        set: {
+          roadmap: entry.roadmap,
+          meta: entry.meta,
+          hitCount: 0,
+          createdAt: new Date(),
+        },
+      });
+  } catch (error) {
+    console.error('[Cache] Error writing generation cache:', error);
+  }
+}
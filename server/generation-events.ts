@@ -0,0 +1,129 @@
+// Generation event accounting
+// Every AI call is recorded in generation_events with its token usage, latency and estimated cost,
+// so spend can be broken down by day, tool and user (see GET /api/admin/costs).
+
+import { db } from "./db";
+import { generationEvents, type InsertGenerationEvent } from "@shared/schema";
+import { and, desc, gte, lt, sql } from "drizzle-orm";
+import { estimateLlmCostUsd, type LlmProvider, type LlmRequest, type LlmResponse, type LlmUsage } from "./llm";
+
+export interface GenerationEventContext {
+  tool: string;
+  endpoint: string;
+  userId: string | null;
+  ipAddress: string;
+}
+
+// Store one event (fails open - accounting must never break generation)
+export async function recordGenerationEvent(event: InsertGenerationEvent): Promise<void> {
+  try {
+    await db.insert(generationEvents).values(event);
+  } catch (error) {
+    console.error('[Costs] Error recording generation event:', error);
+  }
+}
+
+// Wrap a provider so each complete/stream call records a generation event for this request
+export function trackLlmUsage(provider: LlmProvider, context: GenerationEventContext): LlmProvider {
+  const record = (request: LlmRequest, startedAt: number, usage: LlmUsage | undefined, success: boolean, model = provider.model) => {
+    const tokens = usage || { promptTokens: 0, completionTokens: 0 };
+    void recordGenerationEvent({
+      ...context,
+      task: request.task,
+      provider: provider.name,
+      model,
+      promptTokens: tokens.promptTokens,
+      completionTokens: tokens.completionTokens,
+      latencyMs: Date.now() - startedAt,
+      estimatedCostUsd: estimateLlmCostUsd(model, tokens),
+      success,
+    });
+  };
+
+  return {
+    name: provider.name,
+    model: provider.model,
+
+    async complete(request: LlmRequest): Promise<LlmResponse> {
+      const startedAt = Date.now();
+      try {
+        const response = await provider.complete(request);
+        record(request, startedAt, response.usage, true, response.model);
+        return response;
+      } catch (error) {
+        record(request, startedAt, undefined, false);
+        throw error;
+      }
+    },
+
+    async *stream(request: LlmRequest): AsyncIterable<string> {
+      const startedAt = Date.now();
+      let usage: LlmUsage | undefined;
+      let success = false;
+
+      try {
+        yield* provider.stream({
+          ...request,
+          onUsage: (reported) => {
+            usage = reported;
+            request.onUsage?.(reported);
+          },
+        });
+        success = true;
+      } finally {
+        // Also runs when the consumer stops early (client disconnect) - tokens were still spent
+        record(request, startedAt, usage, success);
+      }
+    },
+  };
+}
+
+export interface CostSummaryRow {
+  key: string;
+  events: number;
+  promptTokens: number;
+  completionTokens: number;
+  estimatedCostUsd: number;
+}
+
+export interface CostSummary {
+  from: string;
+  to: string;
+  totals: Omit<CostSummaryRow, 'key'>;
+  byDay: CostSummaryRow[];
+  byTool: CostSummaryRow[];
+  byUser: CostSummaryRow[];
+}
+
+// Aggregate events in [from, to) by day, tool and user (user falls back to IP for anonymous calls)
+export async function getCostSummary(from: Date, to: Date, userLimit = 50): Promise<CostSummary> {
+  const inRange = and(gte(generationEvents.createdAt, from), lt(generationEvents.createdAt, to));
+
+  const aggregates = {
+    events: sql<number>`count(*)::int`,
+    promptTokens: sql<number>`coalesce(sum(${generationEvents.promptTokens}), 0)::int`,
+    completionTokens: sql<number>`coalesce(sum(${generationEvents.completionTokens}), 0)::int`,
+    estimatedCostUsd: sql<number>`coalesce(sum(${generationEvents.estimatedCostUsd}), 0)::float8`,
+  };
+
+  const dayKey = sql<string>`to_char(date_trunc('day', ${generationEvents.createdAt}), 'YYYY-MM-DD')`;
+  const userKey = sql<string>`coalesce(${generationEvents.userId}, 'ip:' || ${generationEvents.ipAddress})`;
+
+  const [[totals], byDay, byTool, byUser] = await Promise.all([
+    db.select(aggregates).from(generationEvents).where(inRange),
+    db.select({ key: dayKey, ...aggregates }).from(generationEvents).where(inRange).groupBy(dayKey).orderBy(dayKey),
+    db.select({ key: generationEvents.tool, ...aggregates }).from(generationEvents).where(inRange)
+      .groupBy(generationEvents.tool).orderBy(desc(aggregates.estimatedCostUsd)),
+    db.select({ key: userKey, ...aggregates }).from(generationEvents).where(inRange)
+      .groupBy(userKey).orderBy(desc(aggregates.estimatedCostUsd)).limit(userLimit),
+  ]);
+
+  return {
+    from: from.toISOString(),
+    to: to.toISOString(),
+    totals,
+    byDay,
+    byTool,
+    byUser,
+  };
+}
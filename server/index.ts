@@ -46,7 +46,7 @@ app.use(cors({
       callback(new Error('Not allowed by CORS'));
     }
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
   allowedHeaders: ['Content-Type', 'Authorization', 'X-Owner-Id'],
   credentials: true,
 }));
@@ -171,9 +171,12 @@ app.use((req, res, next) => {
     log(`Environment: ${process.env.NODE_ENV || 'development'}`);
     log(`CORS: ${isProduction ? 'Production (locked)' : 'Development (permissive)'}`);
     
-    // Log API key detection (masked)
+    // Log API key detection (masked) - only the default OpenAI provider needs OPENAI_API_KEY
+    const llmProvider = process.env.LLM_PROVIDER || 'openai';
     const apiKey = process.env.OPENAI_API_KEY;
-    if (apiKey) {
+    if (llmProvider !== 'openai') {
+      log(`LLM provider: ${llmProvider}${process.env.LLM_MODEL ? ` (${process.env.LLM_MODEL})` : ''}`);
+    } else if (apiKey) {
       const masked = `${apiKey.substring(0, 4)}****${apiKey.substring(apiKey.length - 4)}`;
       log(`OPENAI key detected: ${masked}`);
     } else {
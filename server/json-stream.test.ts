@@ -0,0 +1,65 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { JsonObjectStreamParser } from "./json-stream";
+import { createLlmProvider } from "./llm";
+import { LLM_FIXTURES } from "./llm-fixtures";
+
+// Feed `text` in chunks of `size` characters and collect the fields in the order they complete
+function parseInChunks(text: string, size: number) {
+  const parser = new JsonObjectStreamParser();
+  const keys: string[] = [];
+  for (let i = 0; i < text.length; i += size) {
+    keys.push(...parser.push(text.slice(i, i + size)).map(field => field.key));
+  }
+  return { keys, fields: parser.finish() };
+}
+
+test("each top-level field is emitted as soon as its value is complete", () => {
+  const parser = new JsonObjectStreamParser();
+
+  assert.deepEqual(parser.push('{"quickWins": "Pay down'), []);
+  assert.deepEqual(parser.push(' balances", "score": 7'), [{ key: "quickWins", value: "Pay down balances" }]);
+  assert.deepEqual(parser.push("12}"), [{ key: "score", value: 712 }]);
+  assert.deepEqual(parser.finish(), { quickWins: "Pay down balances", score: 712 });
+});
+
+test("nested values and structural characters inside strings do not end a field", () => {
+  const text = JSON.stringify({
+    notes: 'Commas, "quotes", {braces} and [brackets]\\ stay in the string',
+    vendorRecommendations: [{ name: "Uline", reportsBureaus: ["Dun & Bradstreet", "Experian"] }, { name: "Quill" }],
+    nested: { depth: { two: [1, [2, 3]] } },
+  }, null, 2);
+
+  for (const size of [1, 3, 64, text.length]) {
+    const { keys, fields } = parseInChunks(text, size);
+    assert.deepEqual(keys, ["notes", "vendorRecommendations", "nested"], `chunk size ${size}`);
+    assert.deepEqual(fields, JSON.parse(text), `chunk size ${size}`);
+  }
+});
+
+test("a malformed field is skipped and the rest of the object still parses", (t) => {
+  t.mock.method(console, "warn", () => {});
+  const { keys, fields } = parseInChunks('{"quickWins": "ok", "broken": tru, "riskFlags": "still here"}', 5);
+
+  assert.deepEqual(keys, ["quickWins", "riskFlags"]);
+  assert.deepEqual(fields, { quickWins: "ok", riskFlags: "still here" });
+});
+
+test("an unfinished stream returns only the fields that completed", () => {
+  const { fields } = parseInChunks('{"quickWins": "done", "riskFlags": "cut o', 4);
+
+  assert.deepEqual(fields, { quickWins: "done" });
+});
+
+test("the fixture provider's roadmap stream parses back into every fixture section", async () => {
+  const llm = createLlmProvider({ provider: "fixture" });
+  const parser = new JsonObjectStreamParser();
+  const keys: string[] = [];
+
+  for await (const chunk of llm.stream({ task: "roadmap", messages: [{ role: "user", content: "Build the roadmap" }], json: true })) {
+    keys.push(...parser.push(chunk).map(field => field.key));
+  }
+
+  assert.deepEqual(keys, Object.keys(LLM_FIXTURES.roadmap as object));
+  assert.deepEqual(parser.finish(), LLM_FIXTURES.roadmap);
+});
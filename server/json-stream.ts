@@ -0,0 +1,78 @@
+// Incremental parser for a streamed top-level JSON object
+// Emits each top-level field as soon as its value is complete, so callers can
+// forward roadmap sections to the browser while the model is still writing.
+
+export interface StreamedField {
+  key: string;
+  value: unknown;
+}
+
+export class JsonObjectStreamParser {
+  private buffer = "";
+  private position = 0;
+  private depth = 0;
+  private inString = false;
+  private escaped = false;
+  private memberStart = -1;
+  private fields: Record<string, unknown> = {};
+
+  // Feed the next chunk of model output; returns any fields completed by it
+  push(chunk: string): StreamedField[] {
+    this.buffer += chunk;
+    const completed: StreamedField[] = [];
+
+    for (; this.position < this.buffer.length; this.position++) {
+      const char = this.buffer[this.position];
+
+      if (this.inString) {
+        if (this.escaped) {
+          this.escaped = false;
+        } else if (char === "\\") {
+          this.escaped = true;
+        } else if (char === '"') {
+          this.inString = false;
+        }
+        continue;
+      }
+
+      if (char === '"') {
+        this.inString = true;
+      } else if (char === "{" || char === "[") {
+        this.depth++;
+        if (this.depth === 1) {
+          this.memberStart = this.position + 1;
+        }
+      } else if (char === "}" || char === "]") {
+        if (this.depth === 1) {
+          this.completeMember(this.position, completed);
+        }
+        this.depth--;
+      } else if (char === "," && this.depth === 1) {
+        this.completeMember(this.position, completed);
+        this.memberStart = this.position + 1;
+      }
+    }
+
+    return completed;
+  }
+
+  // All fields parsed so far (the full object once the stream has ended)
+  finish(): Record<string, unknown> {
+    return { ...this.fields };
+  }
+
+  private completeMember(end: number, completed: StreamedField[]) {
+    const member = this.buffer.slice(this.memberStart, end).trim();
+    if (!member) return;
+
+    try {
+      const parsed = JSON.parse(`{${member}}`);
+      for (const [key, value] of Object.entries(parsed)) {
+        this.fields[key] = value;
+        completed.push({ key, value });
+      }
+    } catch (error) {
+      console.warn('[Stream] Skipping malformed field in streamed JSON:', member.slice(0, 80));
+    }
+  }
+}
@@ -0,0 +1,111 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { createLlmProvider, estimateLlmCostUsd, isProviderUnavailableError, readLlmConfig, type LlmUsage } from "./llm";
+import { LLM_FIXTURES } from "./llm-fixtures";
+import { validateAnalysis } from "@shared/analysis-schema";
+
+const MESSAGES = [{ role: "user" as const, content: "x".repeat(400) }];
+
+test("readLlmConfig defaults to OpenAI and trims its settings", () => {
+  assert.deepEqual(readLlmConfig({ OPENAI_API_KEY: " sk-abc\n123 " }), {
+    provider: "openai",
+    model: undefined,
+    baseURL: undefined,
+    apiKey: "sk-abc123",
+    fixtureDir: undefined,
+  });
+  assert.deepEqual(readLlmConfig({ LLM_PROVIDER: " Fixture ", LLM_MODEL: " canned ", LLM_FIXTURE_DIR: "fixtures/llm" }), {
+    provider: "fixture",
+    model: "canned",
+    baseURL: undefined,
+    apiKey: undefined,
+    fixtureDir: "fixtures/llm",
+  });
+  assert.throws(() => readLlmConfig({ LLM_PROVIDER: "anthropic" }), /Unknown LLM_PROVIDER "anthropic"/);
+});
+
+test("createLlmProvider checks the settings each provider needs", () => {
+  assert.throws(() => createLlmProvider({ provider: "openai" }), /OPENAI_API_KEY is required/);
+  assert.throws(() => createLlmProvider({ provider: "openai-compatible", model: "llama3" }), /LLM_BASE_URL is required/);
+  assert.throws(() => createLlmProvider({ provider: "openai-compatible", baseURL: "http://localhost:11434/v1" }), /LLM_MODEL is required/);
+  assert.equal(createLlmProvider({ provider: "openai-compatible", baseURL: "http://localhost:11434/v1", model: "llama3" }).model, "llama3");
+});
+
+test("the fixture provider answers JSON tasks with their fixture and estimates usage", async () => {
+  const llm = createLlmProvider({ provider: "fixture" });
+  let reported: LlmUsage | undefined;
+  const response = await llm.complete({ task: "analyze", messages: MESSAGES, json: true, onUsage: usage => { reported = usage; } });
+
+  assert.equal(llm.name, "fixture");
+  assert.equal(response.model, "fixture");
+  assert.deepEqual(JSON.parse(response.content), LLM_FIXTURES.analyze);
+  assert.equal(validateAnalysis(JSON.parse(response.content)).success, true);
+  assert.deepEqual(response.usage, { promptTokens: 100, completionTokens: Math.ceil(response.content.length / 4) });
+  assert.deepEqual(reported, response.usage);
+});
+
+test("the fixture provider answers plain-text tasks as text", async () => {
+  const response = await createLlmProvider({ provider: "fixture" }).complete({ task: "chat", messages: MESSAGES });
+
+  assert.equal(response.content, LLM_FIXTURES.chat);
+});
+
+test("the fixture provider streams the same content in 64-character chunks", async () => {
+  const llm = createLlmProvider({ provider: "fixture", model: "canned" });
+  const chunks: string[] = [];
+  let reported: LlmUsage | undefined;
+  for await (const chunk of llm.stream({ task: "explain", messages: MESSAGES, onUsage: usage => { reported = usage; } })) {
+    chunks.push(chunk);
+  }
+  const { content, usage } = await llm.complete({ task: "explain", messages: MESSAGES });
+
+  assert.equal(llm.model, "canned");
+  assert.equal(chunks.join(""), content);
+  assert.ok(chunks.slice(0, -1).every(chunk => chunk.length === 64));
+  assert.deepEqual(reported, usage);
+});
+
+test("the fixture provider stops streaming once the request is aborted", async () => {
+  const controller = new AbortController();
+  const stream = createLlmProvider({ provider: "fixture" }).stream({ task: "roadmap", messages: MESSAGES, signal: controller.signal });
+
+  await assert.rejects(async () => {
+    for await (const _chunk of stream) {
+      controller.abort();
+    }
+  }, /Request was aborted/);
+});
+
+test("LLM_FIXTURE_DIR overrides the built-in fixtures per task", async (t) => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "llm-fixtures-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  fs.writeFileSync(path.join(dir, "chat.json"), "Custom answer");
+
+  const llm = createLlmProvider({ provider: "fixture", fixtureDir: dir });
+
+  assert.equal((await llm.complete({ task: "chat", messages: MESSAGES })).content, "Custom answer");
+  assert.deepEqual(JSON.parse((await llm.complete({ task: "roadmap", messages: MESSAGES })).content), LLM_FIXTURES.roadmap);
+});
+
+test("estimateLlmCostUsd prices by model prefix, with overrides for unlisted models", () => {
+  const usage = { promptTokens: 1_000_000, completionTokens: 100_000 };
+
+  assert.equal(estimateLlmCostUsd("gpt-4o-mini-2024-07-18", usage, {}), 0.15 + 0.06);
+  assert.equal(estimateLlmCostUsd("GPT-4o", usage, {}), 2.5 + 1);
+  assert.equal(estimateLlmCostUsd("fixture", usage, {}), 0);
+  assert.equal(estimateLlmCostUsd("llama3", usage, {}), 0);
+  assert.equal(estimateLlmCostUsd("llama3", usage, { LLM_PRICE_INPUT_PER_1M: "0.5", LLM_PRICE_OUTPUT_PER_1M: "1.5" }), 0.5 + 0.15);
+  // Both overrides are needed
+  assert.equal(estimateLlmCostUsd("llama3", usage, { LLM_PRICE_INPUT_PER_1M: "0.5" }), 0);
+});
+
+test("isProviderUnavailableError separates outages from rejected requests", () => {
+  assert.equal(isProviderUnavailableError({ code: "insufficient_quota", status: 429 }), true);
+  assert.equal(isProviderUnavailableError({ status: 503 }), true);
+  assert.equal(isProviderUnavailableError({ status: 400 }), false);
+  assert.equal(isProviderUnavailableError(new Error("Request was aborted.")), false);
+  assert.equal(isProviderUnavailableError(undefined), false);
+});
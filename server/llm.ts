@@ -0,0 +1,253 @@
+// LLM Provider Layer
+// Routes talk to a provider interface instead of the OpenAI SDK directly, so the
+// backing model can be swapped by config:
+//   LLM_PROVIDER=openai             (default) OpenAI API, needs OPENAI_API_KEY
+//   LLM_PROVIDER=openai-compatible  Any OpenAI-compatible endpoint (Ollama, vLLM, LM Studio), needs LLM_BASE_URL
+//   LLM_PROVIDER=fixture            Deterministic canned responses - no network, no key
+// LLM_MODEL overrides the model name; LLM_API_KEY is sent to openai-compatible endpoints.
+
+import OpenAI from "openai";
+import fs from "fs";
+import path from "path";
+import { LLM_FIXTURES } from "./llm-fixtures";
+
+// What the completion is for - lets the fixture provider pick a matching response
+export type LlmTask = "roadmap" | "explain" | "chat" | "analyze" | "compliance";
+
+export interface LlmMessage {
+  role: "system" | "user" | "assistant";
+  content: string;
+}
+
+export interface LlmUsage {
+  promptTokens: number;
+  completionTokens: number;
+}
+
+export interface LlmRequest {
+  task: LlmTask;
+  messages: LlmMessage[];
+  maxTokens?: number;
+  json?: boolean; // Ask the model for a JSON object response
+  signal?: AbortSignal;
+  onUsage?: (usage: LlmUsage) => void; // Called once token counts are known (at the end of a stream)
+}
+
+export interface LlmResponse {
+  content: string;
+  model: string;
+  usage?: LlmUsage;
+}
+
+export interface LlmProvider {
+  readonly name: string;
+  readonly model: string;
+  complete(request: LlmRequest): Promise<LlmResponse>;
+  // Yields content deltas as they arrive
+  stream(request: LlmRequest): AsyncIterable<string>;
+}
+
+export type LlmProviderName = "openai" | "openai-compatible" | "fixture";
+
+export interface LlmConfig {
+  provider: LlmProviderName;
+  model?: string;
+  baseURL?: string;
+  apiKey?: string;
+  fixtureDir?: string;
+}
+
+const DEFAULT_OPENAI_MODEL = "gpt-4o";
+const FIXTURE_MODEL = "fixture";
+
+// Read provider configuration from environment variables
+export function readLlmConfig(env: NodeJS.ProcessEnv = process.env): LlmConfig {
+  const provider = (env.LLM_PROVIDER || "openai").toLowerCase().trim();
+
+  if (provider !== "openai" && provider !== "openai-compatible" && provider !== "fixture") {
+    throw new Error(`Unknown LLM_PROVIDER "${provider}". Use openai, openai-compatible or fixture.`);
+  }
+
+  // Clean keys - remove all whitespace and newlines
+  const rawKey = provider === "openai" ? env.OPENAI_API_KEY : env.LLM_API_KEY;
+
+  return {
+    provider,
+    model: env.LLM_MODEL?.trim() || undefined,
+    baseURL: env.LLM_BASE_URL?.trim() || undefined,
+    apiKey: rawKey ? rawKey.replace(/\s+/g, "").trim() : undefined,
+    fixtureDir: env.LLM_FIXTURE_DIR?.trim() || undefined,
+  };
+}
+
+// Adapter for the OpenAI chat completions API (also used for OpenAI-compatible servers)
+class OpenAIChatProvider implements LlmProvider {
+  private client: OpenAI;
+
+  constructor(readonly name: string, readonly model: string, options: { apiKey: string; baseURL?: string }) {
+    this.client = new OpenAI(options);
+  }
+
+  async complete(request: LlmRequest): Promise<LlmResponse> {
+    const completion = await this.client.chat.completions.create({
+      model: this.model,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      ...(request.json && { response_format: { type: "json_object" as const } }),
+    }, { signal: request.signal });
+
+    const usage = completion.usage
+      ? { promptTokens: completion.usage.prompt_tokens, completionTokens: completion.usage.completion_tokens }
+      : undefined;
+    if (usage) request.onUsage?.(usage);
+
+    return {
+      content: completion.choices[0]?.message?.content || "",
+      model: completion.model || this.model,
+      usage,
+    };
+  }
+
+  async *stream(request: LlmRequest): AsyncIterable<string> {
+    const stream = await this.client.chat.completions.create({
+      model: this.model,
+      messages: request.messages,
+      max_tokens: request.maxTokens,
+      stream: true,
+      stream_options: { include_usage: true }, // Final chunk carries token usage
+      ...(request.json && { response_format: { type: "json_object" as const } }),
+    }, { signal: request.signal });
+
+    for await (const chunk of stream) {
+      if (chunk.usage) {
+        request.onUsage?.({ promptTokens: chunk.usage.prompt_tokens, completionTokens: chunk.usage.completion_tokens });
+      }
+
+      const delta = chunk.choices[0]?.delta?.content;
+      if (delta) yield delta;
+    }
+  }
+}
+
+// Deterministic provider backed by canned responses per task
+// Responses come from LLM_FIXTURE_DIR/<task>.json when present, otherwise the built-in fixtures
+class FixtureProvider implements LlmProvider {
+  readonly name = "fixture";
+
+  constructor(readonly model: string, private fixtureDir?: string) {}
+
+  private load(task: LlmTask): string {
+    if (this.fixtureDir) {
+      const file = path.resolve(this.fixtureDir, `${task}.json`);
+      if (fs.existsSync(file)) {
+        return fs.readFileSync(file, "utf-8");
+      }
+    }
+
+    const fixture = LLM_FIXTURES[task];
+    if (!fixture) {
+      throw new Error(`No LLM fixture for task "${task}"`);
+    }
+    // Plain-text tasks (chat) are stored as strings, JSON tasks as objects
+    return typeof fixture === "string" ? fixture : JSON.stringify(fixture, null, 2);
+  }
+
+  // Rough token counts (~4 characters per token) so usage accounting can be exercised offline
+  private estimateUsage(request: LlmRequest, content: string): LlmUsage {
+    const promptChars = request.messages.reduce((total, message) => total + message.content.length, 0);
+    return { promptTokens: Math.ceil(promptChars / 4), completionTokens: Math.ceil(content.length / 4) };
+  }
+
+  async complete(request: LlmRequest): Promise<LlmResponse> {
+    const content = this.load(request.task);
+    const usage = this.estimateUsage(request, content);
+    request.onUsage?.(usage);
+    return { content, model: this.model, usage };
+  }
+
+  async *stream(request: LlmRequest): AsyncIterable<string> {
+    const content = this.load(request.task);
+
+    // Fixed-size chunks so streaming output is reproducible
+    for (let i = 0; i < content.length; i += 64) {
+      if (request.signal?.aborted) {
+        throw new Error("Request was aborted.");
+      }
+      yield content.slice(i, i + 64);
+    }
+
+    request.onUsage?.(this.estimateUsage(request, content));
+  }
+}
+
+// USD per 1M tokens, matched by model name prefix (more specific prefixes first). Override with LLM_PRICE_INPUT_PER_1M /
+// LLM_PRICE_OUTPUT_PER_1M for models not listed here, e.g. self-hosted ones.
+const MODEL_PRICING: Array<{ prefix: string; input: number; output: number }> = [
+  { prefix: "gpt-4o-mini", input: 0.15, output: 0.6 },
+  { prefix: "gpt-4o", input: 2.5, output: 10 },
+  { prefix: "gpt-4.1-mini", input: 0.4, output: 1.6 },
+  { prefix: "gpt-4.1", input: 2, output: 8 },
+  { prefix: "gpt-4-turbo", input: 10, output: 30 },
+  { prefix: "gpt-3.5-turbo", input: 0.5, output: 1.5 },
+  { prefix: FIXTURE_MODEL, input: 0, output: 0 },
+];
+
+// Estimated dollar cost of a call; unknown models cost 0 unless a price override is configured
+export function estimateLlmCostUsd(model: string, usage: LlmUsage, env: NodeJS.ProcessEnv = process.env): number {
+  const inputOverride = Number(env.LLM_PRICE_INPUT_PER_1M);
+  const outputOverride = Number(env.LLM_PRICE_OUTPUT_PER_1M);
+
+  let input = 0;
+  let output = 0;
+  if (env.LLM_PRICE_INPUT_PER_1M && Number.isFinite(inputOverride) && env.LLM_PRICE_OUTPUT_PER_1M && Number.isFinite(outputOverride)) {
+    input = inputOverride;
+    output = outputOverride;
+  } else {
+    const normalized = model.toLowerCase();
+    const price = MODEL_PRICING.find(entry => normalized.startsWith(entry.prefix));
+    if (price) {
+      input = price.input;
+      output = price.output;
+    }
+  }
+
+  return (usage.promptTokens * input + usage.completionTokens * output) / 1_000_000;
+}
+
+// True when the provider itself is unavailable (quota exhausted, 5xx, unreachable) rather than
+// rejecting this particular request - callers can fall back to non-AI output
+export function isProviderUnavailableError(error: any): boolean {
+  if (!error) return false;
+  if (error.code === "insufficient_quota") return true;
+  if (typeof error.status === "number" && error.status >= 500) return true;
+  return error instanceof OpenAI.APIConnectionError; // Includes connection timeouts
+}
+
+export function createLlmProvider(config: LlmConfig = readLlmConfig()): LlmProvider {
+  switch (config.provider) {
+    case "openai":
+      if (!config.apiKey) {
+        throw new Error("OPENAI_API_KEY is required");
+      }
+      return new OpenAIChatProvider("openai", config.model || DEFAULT_OPENAI_MODEL, {
+        apiKey: config.apiKey,
+        ...(config.baseURL && { baseURL: config.baseURL }),
+      });
+
+    case "openai-compatible":
+      if (!config.baseURL) {
+        throw new Error("LLM_BASE_URL is required for the openai-compatible provider");
+      }
+      if (!config.model) {
+        throw new Error("LLM_MODEL is required for the openai-compatible provider");
+      }
+      // Local servers usually ignore the key, but the SDK requires one
+      return new OpenAIChatProvider("openai-compatible", config.model, {
+        apiKey: config.apiKey || "not-needed",
+        baseURL: config.baseURL,
+      });
+
+    case "fixture":
+      return new FixtureProvider(config.model || FIXTURE_MODEL, config.fixtureDir);
+  }
+}
@@ -0,0 +1,101 @@
+// Prompt version resolution
+// Templates live in shared/prompt-templates.ts. The version used for each prompt is the operator pin
+// from prompt_pins when one exists, otherwise the registry's defaultVersion - so a version can be
+// pinned or rolled back via /api/admin/prompts without a code deploy.
+
+import { db } from "./db";
+import { promptPins, type PromptPin } from "@shared/schema";
+import { eq } from "drizzle-orm";
+import { PROMPT_NAMES, PROMPT_REGISTRY, hasPromptVersion, isPromptName, type PromptName } from "@shared/prompt-templates";
+
+// Pins are re-read at most this often, so a change reaches every server instance within 30 seconds
+const PIN_CACHE_TTL_MS = 30 * 1000;
+
+let pinCache: { loadedAt: number; pins: Map<string, PromptPin> } | null = null;
+
+async function loadPins(): Promise<Map<string, PromptPin>> {
+  if (pinCache && Date.now() - pinCache.loadedAt < PIN_CACHE_TTL_MS) {
+    return pinCache.pins;
+  }
+
+  try {
+    const rows = await db.select().from(promptPins);
+    pinCache = { loadedAt: Date.now(), pins: new Map(rows.map(row => [row.name, row])) };
+  } catch (error) {
+    // Fail open to the registry defaults (keep the last known pins if we have them)
+    console.error('[Prompts] Error loading prompt pins:', error);
+    if (!pinCache) return new Map();
+  }
+
+  return pinCache!.pins;
+}
+
+// Versions to use for these prompts, e.g. { "credit-system": "v1", "credit-roadmap": "v2" }
+export async function resolvePromptVersions<N extends PromptName>(names: N[]): Promise<Record<N, string>> {
+  const pins = await loadPins();
+  const versions = {} as Record<N, string>;
+
+  for (const name of names) {
+    const pinned = pins.get(name)?.version;
+    if (pinned && !hasPromptVersion(name, pinned)) {
+      console.warn(`[Prompts] Ignoring pin ${name}@${pinned} - version is not registered`);
+    }
+    versions[name] = pinned && hasPromptVersion(name, pinned) ? pinned : PROMPT_REGISTRY[name].defaultVersion;
+  }
+
+  return versions;
+}
+
+export interface PromptStatus {
+  name: PromptName;
+  defaultVersion: string;
+  activeVersion: string;
+  pinned: { version: string; note: string | null; pinnedAt: Date } | null;
+  versions: Array<{ version: string; description: string }>;
+}
+
+export async function listPrompts(): Promise<PromptStatus[]> {
+  pinCache = null; // Always show the current pins
+  const pins = await loadPins();
+  const active = await resolvePromptVersions(PROMPT_NAMES);
+
+  return PROMPT_NAMES.map(name => {
+    const pin = pins.get(name);
+    return {
+      name,
+      defaultVersion: PROMPT_REGISTRY[name].defaultVersion,
+      activeVersion: active[name],
+      pinned: pin ? { version: pin.version, note: pin.note, pinnedAt: pin.pinnedAt } : null,
+      versions: Object.values(PROMPT_REGISTRY[name].versions).map(({ version, description }) => ({ version, description })),
+    };
+  });
+}
+
+// Pin (or roll back to) a registered version; returns an error message or null
+export async function pinPromptVersion(name: string, version: string, note?: string): Promise<string | null> {
+  if (!isPromptName(name)) {
+    return `Unknown prompt. Use one of: ${PROMPT_NAMES.join(', ')}.`;
+  }
+  if (!hasPromptVersion(name, version)) {
+    return `Unknown version for ${name}. Registered: ${Object.keys(PROMPT_REGISTRY[name].versions).join(', ')}.`;
+  }
+
+  await db
+    .insert(promptPins)
+    .values({ name, version, note: note || null })
+    .onConflictDoUpdate({
+      target: promptPins.name,
+      set: { version, note: note || null, pinnedAt: new Date() },
+    });
+
+  pinCache = null;
+  console.log(`[Prompts] Pinned ${name}@${version}`);
+  return null;
+}
+
+// Remove a pin so the prompt follows the registry default again
+export async function unpinPrompt(name: PromptName): Promise<void> {
+  await db.delete(promptPins).where(eq(promptPins.name, name));
+  pinCache = null;
+  console.log(`[Prompts] Unpinned ${name}`);
+}
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildRuleBasedRoadmap, recommendCards, type CreditProfileInput } from "./roadmap-rules";
+import { validateRoadmap } from "@shared/roadmap-schema";
+
+const NOW = new Date("2026-10-19T12:00:00Z");
+
+const PROFILE: CreditProfileInput = {
+  businessName: "Acme Supply",
+  entityType: "LLC",
+  state: "California",
+  startDate: "2021-06-01",
+  utilization: 12,
+  tradeLines: 6,
+  annualRevenue: "$600,000",
+  latePayments: 0,
+  ownerFico: 760,
+  creditHistory: 8,
+  recentInquiries: 0,
+  fundingGoal: "Working capital",
+  targetLimit: "$50,000",
+  timeframe: "12 months",
+};
+
+test("the rule-based roadmap passes the same validation as an AI roadmap", () => {
+  for (const profile of [PROFILE, { ...PROFILE, ownerFico: 540, utilization: 85, tradeLines: 0, latePayments: 3, derogatories: "Collection" }]) {
+    const result = validateRoadmap(buildRuleBasedRoadmap(profile, NOW));
+    assert.equal(result.success, true, result.issues.join("\n"));
+  }
+});
+
+test("scheduled applications appear in the card strategy and action plan", () => {
+  const roadmap = buildRuleBasedRoadmap(PROFILE, NOW);
+
+  assert.match(roadmap.cardStrategy, /^Application schedule: 1\. Chase Ink Business Unlimited on Oct 19, 2026 \(high approval odds\)/);
+  assert.match(roadmap.actionPlan, /^30 days: .*apply for Chase Ink Business Unlimited on Oct 19, 2026\./);
+  assert.equal(roadmap.cardRecommendations[0].applyDate, "2026-10-19");
+});
+
+test("high utilization delays the first application by a statement cycle", () => {
+  const [first] = recommendCards({ ...PROFILE, utilization: 45 }, NOW);
+
+  assert.equal(first.applyDate, "2026-11-18");
+});
+
+test("when every card is held for inquiries, the plan says so instead of naming a FICO target", () => {
+  const roadmap = buildRuleBasedRoadmap({ ...PROFILE, ownerFico: 800, recentInquiries: 10 }, NOW);
+  const first = roadmap.cardRecommendations[0];
+
+  assert.ok(roadmap.cardRecommendations.every(card => card.applyDate === null));
+  assert.ok(roadmap.cardStrategy.startsWith(`Hold off on card applications for now. ${first.name} is on hold: 10 hard inquiries in 6 months - `));
+  assert.ok(!roadmap.cardStrategy.includes("owner score reaches"));
+  assert.match(roadmap.actionPlan, /re-check the owner score before any card applications/);
+  assert.match(roadmap.riskFlags, /10 hard inquiries in the last 6 months/);
+});
+
+test("when every card is held for a low score, the plan names the score gap", () => {
+  const roadmap = buildRuleBasedRoadmap({ ...PROFILE, ownerFico: 540, creditHistory: 1 }, NOW);
+
+  assert.match(roadmap.cardStrategy, /is on hold: owner FICO 540 is below the typical 580 minimum/);
+  assert.match(roadmap.riskFlags, /An owner FICO of 540 limits most card approvals/);
+});
+
+test("quick wins and risk flags follow the profile", () => {
+  const clean = buildRuleBasedRoadmap(PROFILE, NOW);
+  assert.match(clean.riskFlags, /^No major red flags/);
+
+  const stressed = buildRuleBasedRoadmap({ ...PROFILE, utilization: 65, latePayments: 1, tradeLines: 1 }, NOW);
+  assert.match(stressed.quickWins, /^1\. Pay revolving balances down from 65% to under 30%/);
+  assert.match(stressed.quickWins, /Bring the 1 late account current/);
+  assert.match(stressed.quickWins, /currently 1\./);
+  assert.match(stressed.riskFlags, /1 late payment in the last 90 days/);
+});
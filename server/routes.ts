@@ -3,13 +3,64 @@ import { createServer, type Server } from "http";
 import { storage } from "./storage";
 import express from "express";
 import path from "path";
-import OpenAI from "openai";
+import { createLlmProvider, isProviderUnavailableError, type LlmMessage, type LlmProvider } from "./llm";
+import { buildRuleBasedRoadmap, recommendCards, recommendVendors, type CreditProfileInput } from "./roadmap-rules";
+import { VENDOR_CATALOG_VERSION } from "@shared/vendor-catalog";
+import { CARD_CATALOG_VERSION } from "@shared/card-catalog";
+import { countRecentInquiries, parseCreditActivity } from "@shared/card-sequencing";
+import { describeLedger, parseLedger, withLedgerMetrics } from "@shared/tradeline-ledger";
+import { fundabilityInputSchema, scoreFormData, scoreFundability } from "@shared/fundability";
 import sanitizeHtml from "sanitize-html";
-import { resolveProfile, type FilingProfile } from "@shared/filing-profiles";
+import { rankFilingProfiles, resolveFilingProfile } from "@shared/filing-profiles";
 import { db } from "./db";
-import { complianceReports, insertComplianceReportSchema, type ComplianceReport, usageTracking } from "@shared/schema";
+import { complianceReports, insertComplianceReportSchema, updateComplianceReportSchema, type ComplianceReport, usageTracking, reportMessages, insertReportMessageSchema } from "@shared/schema";
 import { eq, desc, or, and, sql } from "drizzle-orm";
-import { getUserId, hasAccess, requireAuth } from "./auth";
+import { getUserId, hasAccess, requireAuth, requireAdmin } from "./auth";
+import { JsonObjectStreamParser } from "./json-stream";
+import { getCachedGeneration, storeGeneration } from "./generation-cache";
+import { buildGenerationCacheKey, getGenerationCacheTtlMinutes } from "./generation-cache-key";
+import { getCostSummary, trackLlmUsage } from "./generation-events";
+import { listPrompts, pinPromptVersion, resolvePromptVersions, unpinPrompt } from "./prompt-registry";
+import { formatPromptVersions, isPromptName, renderPrompt } from "@shared/prompt-templates";
+import {
+  CREDIT_ROADMAP_SECTIONS,
+  validateRoadmap,
+  validateRoadmapSection,
+  applyRoadmapDefaults,
+  buildRoadmapRepairPrompt,
+  buildSectionRegenerationPrompt,
+  parseJsonObject,
+  type CreditRoadmap,
+  type CreditRoadmapSection,
+} from "@shared/roadmap-schema";
+import { analyzerFormSchema, buildAnalysisRepairPrompt, validateAnalysis } from "@shared/analysis-schema";
+import { CHAT_HISTORY_LIMIT, MAX_CHAT_MESSAGES_PER_REPORT, buildReportChatSystemPrompt } from "@shared/report-chat";
+import { buildComplianceSections, complianceChecksum, complianceFormSchema, formatComplianceMarkdown, renderComplianceHtml } from "./compliance-report";
+import { buildComplianceCalendar, calendarRequestSchema, findUnknownStates, renderCalendarIcs } from "./compliance-calendar";
+import { boirIntakeSchema, buildBoirPackage, renderBoirCsv, validateBoirIntake } from "./boir-intake";
+
+// How many targeted repair prompts to send when the roadmap fails schema validation
+const MAX_ROADMAP_REPAIR_ATTEMPTS = 2;
+
+// How a roadmap was produced: by the AI provider, or by the rule engine when the AI was unavailable
+type GenerationMode = 'ai' | 'rules-only';
+
+// Prompts used for roadmap generation (versions resolved per request - see server/prompt-registry.ts)
+const ROADMAP_PROMPTS = ['credit-system', 'credit-roadmap'] as const;
+type RoadmapPromptVersions = Record<typeof ROADMAP_PROMPTS[number], string>;
+
+// Catalogs behind the deterministic recommendation sections (recorded in roadmap meta and the cache key)
+const CATALOG_VERSIONS = { vendorCatalogVersion: VENDOR_CATALOG_VERSION, cardCatalogVersion: CARD_CATALOG_VERSION };
+
+// Usage bucket for the Elev8 Analyzer (separate from the tool-selectable credit roadmap buckets)
+const ANALYZER_TOOL = 'elev8';
+
+// Usage bucket for AI-enriched compliance reports
+const COMPLIANCE_TOOL = 'complipilot';
+
+// Usage bucket for single-section roadmap rewrites, so regenerating never spends a report credit
+const SECTION_TOOL = 'creditcommander-sections';
+const SECTION_LIMIT_MESSAGE = "You have reached your 30-section rewrite limit for the Credit Commander soft launch. Please upgrade to continue.";
 
 // Get anonymous user ID from browser-provided client ID
 function getAnonymousUserId(req: Request): string {
@@ -195,144 +246,236 @@ export async function registerRoutes(app: Express): Promise<Server> {
     }
   });
   
-  // Initialize OpenAI client
-  const rawApiKey = process.env.OPENAI_API_KEY;
-  if (!rawApiKey) {
-    throw new Error("OPENAI_API_KEY is required");
+  // Initialize LLM provider (OpenAI by default - see server/llm.ts for LLM_PROVIDER options)
+  const llm = createLlmProvider();
+  console.log(`[LLM] Using provider "${llm.name}" with model "${llm.model}"`);
+
+  // Helper: Provider for one request that records token usage and cost for each AI call (generation_events)
+  function getTrackedLlm(req: Request, tool: string, endpoint: string): LlmProvider {
+    let userId = getUserId(req);
+    if (!userId && req.headers['x-client-id']) {
+      userId = getAnonymousUserId(req);
+    }
+
+    return trackLlmUsage(llm, { tool, endpoint, userId, ipAddress: getClientIp(req) });
   }
-  
-  // Clean the API key - remove all whitespace and newlines
-  const apiKey = rawApiKey.replace(/\s+/g, '').trim();
-  
-  
-  const openai = new OpenAI({
-    apiKey: apiKey,
-  });
 
-  // Credit Commander business credit system prompt template
-  const getCreditCommanderSystemPrompt = () => {
-    return `You are Credit Commander, an expert business credit advisor with AI-powered capabilities.
-
-Your role is to generate personalized, actionable credit-building roadmaps that help businesses establish and improve their business credit profiles.
-
-CRITICAL FORMATTING RULES:
-1. ALWAYS structure your response with these exact 7 sections using markdown headings:
-   # Profile Summary
-   ## Quick Wins (0-30 Days)
-   ## Tiered Trade Lines Plan
-   ## Card Strategy
-   ## Banking & Data Signals
-   ## 30/60/90-Day Action Plan
-   ## Risk Flags & Compliance
-
-2. Format each section as follows:
-   - Profile Summary: Write 2-3 paragraphs (200-250 words) analyzing the business's current credit position, strengths, and improvement opportunities
-   - Quick Wins: Write 1-2 paragraphs listing immediate actions they can take within 30 days to boost credit signals
-   - Tiered Trade Lines Plan: Write 2-3 paragraphs explaining starter, net-30, and revolving tradelines with specific vendor recommendations
-   - Card Strategy: Write 2-3 paragraphs detailing which business cards to target based on their profile, in what order, with utilization tips
-   - Banking & Data Signals: Write 1-2 paragraphs on banking relationships, revenue verification, and D&B/Experian profile optimization
-   - 30/60/90-Day Action Plan: Write a clear timeline with specific milestones for each phase
-   - Risk Flags & Compliance: Write 1-2 paragraphs identifying any red flags (late payments, derogatories, utilization) and compliance issues
-
-3. PLACEHOLDER HANDLING:
-   - If information is missing, insert clean placeholders like [Pending Input] or [AWAITING DATA]
-   - NEVER leave blank sections or break structure
-   - Provide general guidance even with incomplete data
-
-4. WRITING STYLE:
-   - Use clear, direct business language
-   - Be specific and actionable - avoid generic advice
-   - Ground recommendations in the provided credit data
-   - Focus on practical steps the business owner can implement
-   - Maintain professional advisory tone throughout
-   - Include specific dollar amounts, percentages, and timelines
-
-5. CREDIT-SPECIFIC GUIDANCE:
-   - Reference actual FICO scores, utilization percentages, and trade line counts from the input
-   - Suggest specific vendors (Uline, Quill, Grainger, etc.) for trade lines
-   - Recommend specific business cards based on profile (Amex Blue, Chase Ink, etc.)
-   - Provide realistic timeframes based on current credit age and history
-   
-REMEMBER: Your roadmap should be data-driven yet actionable, helping business owners build credit systematically and compliantly.`;
-  };
-
-  // Elev8 Analyzer diagnostic system prompt template (SCAFFOLD)
-  const getDiagnosticSystemPrompt = () => {
-    return `You are Elev8 Analyzer, an expert business diagnostic assistant powered by Credit Commander.
-
-Your role is to generate professional strategic analysis reports that help businesses identify opportunities, address challenges, and elevate their operations.
-
-CRITICAL FORMATTING RULES:
-1. ALWAYS structure your response with these exact 4 sections using markdown headings:
-   # Executive Summary
-   ## SWOT Analysis
-   ## Risk & Opportunity Matrix
-   ## Strategic Recommendations
-
-2. Format each section as follows:
-   - Executive Summary: Write 2-3 clear, insightful paragraphs (150-200 words) analyzing the business profile
-   - SWOT Analysis: Create a markdown table with 4 columns: Strengths | Weaknesses | Opportunities | Threats
-   - Risk & Opportunity Matrix: Create a markdown table with 3 columns: Factor | Impact Level | Action Priority
-   - Strategic Recommendations: Use numbered list (1., 2., 3., etc.) with specific, actionable items
-
-3. PLACEHOLDER HANDLING:
-   - If business information is missing, insert clean placeholders like [Pending Input] or [AWAITING DATA]
-   - NEVER leave blank sections or break table structure
-   - For incomplete matrices, include at least one placeholder row
-
-4. WRITING STYLE:
-   - Use clear business language, avoid unnecessary jargon
-   - Be strategic and forward-looking
-   - Ground insights in the provided business data
-   - Focus on actionable intelligence
-   - Maintain professional consultant tone throughout
-
-5. TABLE FORMATTING:
-   - Always use proper markdown table syntax with | separators
-   - Include header row with column names
-   - Include separator row with dashes
-   - Add at least 3-4 data rows per table (use placeholders if needed)
-   
-REMEMBER: Your analysis should be data-driven yet strategic, helping business owners make informed decisions.`;
-  };
-
-  // Helper: Compute timeline dates from deadline with validation
-  function computeTimelineDates(timeline: any[], deadline: string | null) {
-    if (!deadline) {
-      return timeline.map(item => ({
-        milestone: item.milestone,
-        owner: item.owner,
-        dueDate: `T${item.offsetDays}`,
-        notes: item.notes
-      }));
+  // Helper: Validate credit roadmap form data (returns an error message or null)
+  function validateCreditFormData(formData: any): string | null {
+    if (!formData) {
+      return "Form data is required.";
     }
-    
-    // Validate deadline format
-    const deadlineDate = new Date(deadline);
-    if (isNaN(deadlineDate.getTime())) {
-      console.warn(`Invalid deadline format: ${deadline}, falling back to relative dates`);
-      return timeline.map(item => ({
-        milestone: item.milestone,
-        owner: item.owner,
-        dueDate: `T${item.offsetDays}`,
-        notes: item.notes
-      }));
+
+    const {
+      businessName, ein, entityType, state, startDate, utilization, tradeLines,
+      annualRevenue, latePayments, ownerFico, creditHistory, fundingGoal, targetLimit, timeframe
+    } = formData;
+
+    if (!businessName || !ein || !entityType || !state || !startDate || 
+        utilization === undefined || tradeLines === undefined || !annualRevenue || 
+        latePayments === undefined || ownerFico === undefined || 
+        creditHistory === undefined || !fundingGoal || !targetLimit || !timeframe) {
+      return "All required fields must be completed.";
     }
-    
-    return timeline.map(item => {
-      const dueDate = new Date(deadlineDate);
-      dueDate.setDate(dueDate.getDate() + item.offsetDays);
-      
-      const month = String(dueDate.getMonth() + 1).padStart(2, '0');
-      const day = String(dueDate.getDate()).padStart(2, '0');
-      const year = dueDate.getFullYear();
-      
-      return {
-        milestone: item.milestone,
-        owner: item.owner,
-        dueDate: `${month}/${day}/${year}`,
-        notes: item.notes
-      };
+
+    return null;
+  }
+
+  // Helper: Resolve the prompt versions for a roadmap generation (operator pin or registry default)
+  function resolveRoadmapPrompts(): Promise<RoadmapPromptVersions> {
+    return resolvePromptVersions([...ROADMAP_PROMPTS]);
+  }
+
+  // Helper: Numeric credit inputs from the form (the form posts numbers as strings), plus the
+  // recent accounts and dated inquiries the card application planner works from
+  function toCreditProfileInput(formData: any): CreditProfileInput {
+    const creditActivity = parseCreditActivity(formData);
+    return {
+      ...formData,
+      utilization: Number(formData.utilization) || 0,
+      tradeLines: Number(formData.tradeLines) || 0,
+      latePayments: Number(formData.latePayments) || 0,
+      ownerFico: Number(formData.ownerFico) || 0,
+      creditHistory: Number(formData.creditHistory) || 0,
+      recentInquiries: countRecentInquiries(creditActivity, Number(formData.recentInquiries) || 0),
+      creditActivity,
+    };
+  }
+
+  // Helper: Vendor and card recommendations from the catalogs - never written by the model
+  function buildCatalogRecommendations(formData: any) {
+    const profile = toCreditProfileInput(formData);
+    return {
+      vendorRecommendations: recommendVendors(profile),
+      cardRecommendations: recommendCards(profile),
+    };
+  }
+
+  // Helper: Credit roadmap prompt with the catalog vendor and card picks the model writes around
+  function renderRoadmapPrompt(formData: any, prompts: RoadmapPromptVersions): string {
+    const { vendorRecommendations, cardRecommendations } = buildCatalogRecommendations(formData);
+    return renderPrompt('credit-roadmap', prompts['credit-roadmap'], {
+      ...formData,
+      // "Not provided" only when the owner left both the count and the inquiry list empty
+      recentInquiries: (formData.recentInquiries === undefined || formData.recentInquiries === '') && !formData.inquiries?.length
+        ? formData.recentInquiries
+        : toCreditProfileInput(formData).recentInquiries,
+      vendorPicks: vendorRecommendations,
+      cardPicks: cardRecommendations,
+      ledger: describeLedger(parseLedger(formData.ledger)),
+      fundability: scoreFormData(formData) ?? undefined,
+    });
+  }
+
+  // Helper: System + user messages for a roadmap generation
+  function buildRoadmapMessages(formData: any, prompts: RoadmapPromptVersions): LlmMessage[] {
+    return [
+      {
+        role: "system",
+        content: renderPrompt('credit-system', prompts['credit-system'], {})
+      },
+      {
+        role: "user",
+        content: renderRoadmapPrompt(formData, prompts),
+      },
+    ];
+  }
+
+  // Helper: Validate the raw AI roadmap against the shared schema, sending bounded repair prompts for invalid sections
+  async function repairRoadmap(
+    ai: LlmProvider,
+    formData: any,
+    prompts: RoadmapPromptVersions,
+    raw: Record<string, unknown> | null,
+    signal?: AbortSignal
+  ): Promise<{ raw: Record<string, unknown>; repairAttempts: number }> {
+    let current = raw || {};
+    let validation = raw
+      ? validateRoadmap(current)
+      : { success: false, issues: ['Response was not valid JSON'], invalidSections: [...CREDIT_ROADMAP_SECTIONS] };
+    let repairAttempts = 0;
+
+    while (!validation.success && repairAttempts < MAX_ROADMAP_REPAIR_ATTEMPTS) {
+      repairAttempts++;
+      const sections = validation.invalidSections.length > 0 ? validation.invalidSections : [...CREDIT_ROADMAP_SECTIONS];
+      console.log(`[Express] Roadmap failed validation (repair ${repairAttempts}/${MAX_ROADMAP_REPAIR_ATTEMPTS}): ${validation.issues.slice(0, 5).join('; ')}`);
+
+      try {
+        const repair = await ai.complete({
+          task: "roadmap",
+          messages: [
+            ...buildRoadmapMessages(formData, prompts),
+            { role: "assistant", content: JSON.stringify(current) },
+            { role: "user", content: buildRoadmapRepairPrompt(validation.issues, sections) },
+          ],
+          json: true,
+          maxTokens: 3000,
+          signal,
+        });
+
+        // Only accept the sections we asked to be fixed
+        const patch = parseJsonObject(repair.content) || {};
+        for (const key of sections) {
+          if (key in patch) current = { ...current, [key]: patch[key] };
+        }
+      } catch (error: any) {
+        if (signal?.aborted) throw error;
+        console.error('[Express] Roadmap repair request failed - using defaults for invalid sections:', error.message);
+        break;
+      }
+
+      validation = validateRoadmap(current);
+    }
+
+    return { raw: current, repairAttempts };
+  }
+
+  // Helper: Defaults for sections the AI could not produce, so the roadmap structure never breaks
+  function getRoadmapDefaults(formData: any): CreditRoadmap {
+    const { businessName, timeframe } = formData;
+
+    return {
+      profileSummary: `Credit roadmap for ${businessName}.`,
+      quickWins: 'Focus on reducing utilization and adding trade lines.',
+      tradeLinesPlan: 'Build trade lines with starter vendors.',
+      vendorRecommendations: [],
+      cardStrategy: 'Apply for business cards based on your profile.',
+      cardRecommendations: [],
+      bankingSignals: 'Optimize banking relationships and data signals.',
+      actionPlan: `Complete credit roadmap within ${timeframe}.`,
+      riskFlags: 'Address any late payments and derogatories.'
+    };
+  }
+
+  // Helper: Validate, repair and default-fill a raw AI roadmap
+  // Vendor and card recommendations always come from the catalogs, replacing anything the model returned
+  // meta.fallbackFields lists the sections that are default filler rather than generated content, and
+  // meta.partialFields the recommendation lists that had invalid items dropped
+  async function finalizeRoadmap(ai: LlmProvider, formData: any, prompts: RoadmapPromptVersions, raw: Record<string, unknown> | null, signal?: AbortSignal) {
+    const recommendations = buildCatalogRecommendations(formData);
+    const repaired = await repairRoadmap(ai, formData, prompts, raw && { ...raw, ...recommendations }, signal);
+    const { roadmap, fallbackFields, partialFields } = applyRoadmapDefaults({ ...repaired.raw, ...recommendations }, getRoadmapDefaults(formData));
+
+    if (fallbackFields.length > 0) {
+      console.log(`[Express] Roadmap sections using defaults: ${fallbackFields.join(', ')}`);
+    }
+    if (partialFields.length > 0) {
+      console.log(`[Express] Roadmap sections with invalid items dropped: ${partialFields.join(', ')}`);
+    }
+
+    return {
+      roadmap,
+      meta: { generationMode: 'ai' as GenerationMode, fallbackFields, partialFields, repairAttempts: repaired.repairAttempts, promptVersions: prompts as RoadmapPromptVersions | null, ...CATALOG_VERSIONS },
+    };
+  }
+
+  // Helper: Deterministic roadmap from the rule engine, used when the AI provider is unavailable
+  function buildRulesOnlyRoadmap(formData: any) {
+    const roadmap = buildRuleBasedRoadmap(toCreditProfileInput(formData));
+
+    return {
+      roadmap,
+      meta: { generationMode: 'rules-only' as GenerationMode, fallbackFields: [] as CreditRoadmapSection[], partialFields: [] as CreditRoadmapSection[], repairAttempts: 0, promptVersions: null as RoadmapPromptVersions | null, ...CATALOG_VERSIONS },
+    };
+  }
+
+  // Helper: Map provider errors (OpenAI-style codes/statuses) to a client-safe status and message
+  function getGenerationErrorResponse(error: any): { status: number; error: string } {
+    if (error.code === "insufficient_quota") {
+      return { status: 503, error: "Service temporarily unavailable. Please try again later." };
+    }
+
+    if (error.status === 429) {
+      return { status: 429, error: "Too many requests. Please wait a moment and try again." };
+    }
+
+    if (error.status === 401) {
+      return { status: 401, error: "Authentication failed. Please check API configuration." };
+    }
+
+    return { status: 500, error: "An unexpected error occurred. Please try again." };
+  }
+
+  // Helper: Look up a cached roadmap for this form data (skipped when forceFresh is set)
+  // A catalog update changes the key, so roadmaps never show stale vendor or card terms
+  async function lookupCachedRoadmap(formData: any, prompts: RoadmapPromptVersions, forceFresh: boolean) {
+    const cacheKey = buildGenerationCacheKey(formData, `${formatPromptVersions(prompts)},${formatPromptVersions(CATALOG_VERSIONS)}`, llm.model);
+    const cached = forceFresh ? null : await getCachedGeneration(cacheKey, getGenerationCacheTtlMinutes());
+    return { cacheKey, cached };
+  }
+
+  // Helper: Cache a finished roadmap - only complete AI output, never rules-only or default-filled results
+  async function cacheRoadmap(cacheKey: string, tool: string, prompts: RoadmapPromptVersions, result: { roadmap: CreditRoadmap; meta: { generationMode: GenerationMode; fallbackFields: CreditRoadmapSection[]; partialFields: CreditRoadmapSection[]; repairAttempts: number } }) {
+    if (getGenerationCacheTtlMinutes() <= 0) return;
+    if (result.meta.generationMode !== 'ai' || result.meta.fallbackFields.length > 0 || result.meta.partialFields.length > 0) return;
+
+    await storeGeneration({
+      cacheKey,
+      tool,
+      promptVersion: formatPromptVersions(prompts),
+      model: llm.model,
+      roadmap: result.roadmap,
+      meta: result.meta,
     });
   }
 
@@ -341,6 +484,25 @@ REMEMBER: Your analysis should be data-driven yet strategic, helping business ow
     // Normalize and validate tool parameter (prevent usage cap bypass)
     const tool = normalizeTool(req.body.tool);
     const toolName = tool === 'creditcommander' ? 'Credit Commander' : 'CompliPilot';
+    const { forceFresh } = req.body;
+    // Utilization and trade lines come from the account ledger when one is submitted
+    const formData = withLedgerMetrics(req.body.formData);
+
+    // Input validation
+    const validationError = validateCreditFormData(formData);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+      });
+    }
+
+    // Repeat submissions inside the cache window get the stored roadmap and use no report credit
+    const prompts = await resolveRoadmapPrompts();
+    const { cacheKey, cached } = await lookupCachedRoadmap(formData, prompts, forceFresh === true);
+    if (cached) {
+      console.log(`[Express] /api/generate - Returning cached roadmap for: ${formData.businessName}`);
+      return res.json({ ...cached.roadmap, meta: { ...cached.meta, cached: true, cachedAt: cached.createdAt } });
+    }
     
     // Check 30-report usage limit BEFORE generation (soft launch protection)
     const usageCheck = await checkUsageLimit(req, tool);
@@ -354,198 +516,336 @@ REMEMBER: Your analysis should be data-driven yet strategic, helping business ow
         tool
       });
     }
-
-    const { formData } = req.body;
     
     try {
       console.log(`[Express] /api/generate - Starting report generation (usage: ${usageCheck.count}/30)`);
+
+      console.log(`Generating credit roadmap for: ${formData.businessName} (${formData.entityType}) - Target: ${formData.targetLimit}`);
+
+      const ai = getTrackedLlm(req, tool, '/api/generate');
+      let result;
+      try {
+        const completion = await ai.complete({
+          task: "roadmap",
+          messages: buildRoadmapMessages(formData, prompts),
+          json: true,
+          maxTokens: 3000,
+        });
+
+        result = await finalizeRoadmap(ai, formData, prompts, parseJsonObject(completion.content));
+      } catch (error: any) {
+        if (!isProviderUnavailableError(error)) throw error;
+
+        // Quota exhausted or provider down - still deliver a complete roadmap from the rule engine
+        console.warn(`[Express] /api/generate - AI unavailable (${error.code || error.status || error.message}), using rule-based roadmap`);
+        result = buildRulesOnlyRoadmap(formData);
+      }
+
+      const { roadmap, meta } = result;
+
+      console.log(`Credit roadmap generated successfully (${meta.generationMode})`);
+
+      // Increment usage counter AFTER successful generation (atomic operation with limit enforcement)
+      const incrementResult = await incrementUsage(req, tool);
       
-      // Input validation
-      if (!formData) {
-        return res.status(400).json({
-          error: "Form data is required.",
-        });
-      }
-
-      const {
-        businessName,
-        ein,
-        entityType,
-        state,
-        startDate,
-        utilization,
-        tradeLines,
-        annualRevenue,
-        latePayments,
-        derogatories,
-        ownerFico,
-        creditHistory,
-        fundingGoal,
-        targetLimit,
-        timeframe
-      } = formData;
-
-      // Validate required fields
-      if (!businessName || !ein || !entityType || !state || !startDate || 
-          utilization === undefined || tradeLines === undefined || !annualRevenue || 
-          latePayments === undefined || ownerFico === undefined || 
-          creditHistory === undefined || !fundingGoal || !targetLimit || !timeframe) {
-        return res.status(400).json({
-          error: "All required fields must be completed.",
+      // If increment failed due to limit (race condition), reject the request
+      if (!incrementResult.success && incrementResult.limitReached) {
+        console.log(`[Express] /api/generate - Request completed but limit reached during increment for ${tool}: ${incrementResult.count}/30`);
+        return res.status(429).json({
+          error: `You have reached your 30-report limit for the ${toolName} soft launch. Please upgrade to continue.`,
+          limitReached: true,
+          count: incrementResult.count,
+          limit: 30,
+          tool
         });
       }
 
-      console.log(`Generating credit roadmap for: ${businessName} (${entityType}) - Target: ${targetLimit}`);
+      await cacheRoadmap(cacheKey, tool, prompts, result);
 
-      // Build credit commander prompt with all user inputs
-      const creditRoadmapPrompt = `You are a business credit expert specializing in actionable credit-building strategies.
+      res.json({ ...roadmap, meta });
+    } catch (error: any) {
+      console.error("Error in /api/generate:", error);
 
-Generate a comprehensive credit roadmap for:
-- Business Name: ${businessName}
-- EIN: ${ein}
-- Entity Type: ${entityType}
-- State: ${state}
-- Business Age: Started ${startDate}
+      const { status, error: message } = getGenerationErrorResponse(error);
+      res.status(status).json({
+        error: message,
+      });
+    }
+  });
 
-CURRENT CREDIT PROFILE:
-- Credit Utilization: ${utilization}%
-- Trade Lines: ${tradeLines}
-- Annual Revenue: ${annualRevenue}
-- Late Payments (90d): ${latePayments}
-- Derogatories/Collections: ${derogatories || 'None reported'}
+  // Streaming variant of /api/generate - emits each roadmap section as a Server-Sent Event
+  // Events: "section" ({ key, value }) as sections complete, then "done" ({ roadmap, meta }) or "error" ({ error })
+  app.post("/api/generate/stream", async (req, res) => {
+    // Normalize and validate tool parameter (prevent usage cap bypass)
+    const tool = normalizeTool(req.body.tool);
+    const toolName = tool === 'creditcommander' ? 'Credit Commander' : 'CompliPilot';
 
-OWNER PROFILE:
-- Owner FICO Score: ${ownerFico}
-- Credit History: ${creditHistory} years
+    // Usage and validation errors are returned as plain JSON before the stream opens
+    const { forceFresh } = req.body;
+    const formData = withLedgerMetrics(req.body.formData);
+    const validationError = validateCreditFormData(formData);
+    if (validationError) {
+      return res.status(400).json({
+        error: validationError,
+      });
+    }
 
-GOALS:
-- Funding Goal: ${fundingGoal}
-- Target Credit Limit: ${targetLimit}
-- Timeframe: ${timeframe}
+    const prompts = await resolveRoadmapPrompts();
+    const { cacheKey, cached } = await lookupCachedRoadmap(formData, prompts, forceFresh === true);
 
-Generate a JSON object with these fields:
-{
-  "profileSummary": "Write 2-3 paragraphs (200-250 words) analyzing this business's current credit position. Reference actual numbers (${utilization}% utilization, ${tradeLines} trade lines, FICO ${ownerFico}). Identify key strengths and improvement opportunities.",
-  
-  "quickWins": "Write 1-2 paragraphs listing 3-5 immediate actions they can take within 30 days to boost credit signals. Be specific and actionable (e.g., 'Reduce utilization from ${utilization}% to under 30%', 'Add 2 starter trade lines with Uline and Quill').",
-  
-  "tradeLinesPlan": "Write 2-3 paragraphs explaining a tiered approach: (1) Starter vendors (Uline, Quill, Grainger), (2) Net-30 accounts (Home Depot Business, Office Depot), (3) Revolving tradelines. Provide specific vendor names and qualification requirements based on their ${creditHistory} year history.",
-  
-  "vendorRecommendations": [
-    {
-      "name": "Vendor name (e.g., 'Uline')",
-      "tier": "Starter|Net-30|Revolving",
-      "minFico": minimum FICO score required (number),
-      "reportsBureaus": ["Dun & Bradstreet", "Experian", etc.],
-      "reason": "Why this vendor is recommended for their specific profile (1 sentence)",
-      "approvalOdds": "High|Medium|Low based on their FICO ${ownerFico} and ${tradeLines} tradelines"
-    }
-  ],
-  
-  "cardStrategy": "Write 2-3 paragraphs detailing which business cards to apply for based on FICO ${ownerFico} and ${tradeLines} tradelines. Suggest specific cards (e.g., Amex Blue Business, Chase Ink, Capital One Spark) in order, with timing and utilization strategies to reach ${targetLimit}.",
-  
-  "cardRecommendations": [
-    {
-      "name": "Card name (e.g., 'American Express Blue Business Cash')",
-      "issuer": "Amex|Chase|Capital One|etc.",
-      "minFico": minimum FICO score required (number),
-      "expectedLimit": "Estimated starting limit based on their profile (e.g., '$5,000-$10,000')",
-      "reason": "Why this card is recommended for their specific profile (1 sentence)",
-      "approvalOdds": "High|Medium|Low based on their FICO ${ownerFico}, ${tradeLines} tradelines, and ${creditHistory} year history",
-      "applyOrder": sequence number (1, 2, 3) for when to apply
-    }
-  ],
-  
-  "bankingSignals": "Write 1-2 paragraphs on optimizing banking relationships for credit building. Cover business checking with ${annualRevenue} revenue deposits, D&B registration and DUNS number, Experian profile setup, and revenue verification.",
-  
-  "actionPlan": "Write a clear 30/60/90-day timeline with specific milestones for the ${timeframe} timeframe. Include: 30 days (immediate actions), 60 days (trade line maturation), 90 days (card applications and limit increases). Be concrete with dates and deliverables.",
-  
-  "riskFlags": "Write 1-2 paragraphs identifying red flags from the profile: ${latePayments > 0 ? latePayments + ' late payments (address immediately)' : 'no late payments (good)'}, ${utilization > 30 ? utilization + '% utilization (reduce below 30%)' : 'healthy utilization'}, ${derogatories ? 'derogatories present: ' + derogatories + ' (dispute if incorrect)' : 'no derogatories'}. Include compliance guidance on credit reporting and FCRA rights."
-}
+    // Cache hits use no report credit, so they skip the usage check
+    const usageCheck = cached ? null : await checkUsageLimit(req, tool);
+    if (usageCheck && !usageCheck.allowed) {
+      console.log(`[Express] /api/generate/stream - Request blocked: usage limit reached for ${tool} (${usageCheck.count}/30)`);
+      return res.status(429).json({
+        error: `You have reached your 30-report limit for the ${toolName} soft launch. Please upgrade to continue.`,
+        limitReached: true,
+        count: usageCheck.count,
+        limit: 30,
+        tool
+      });
+    }
 
-IMPORTANT: 
-- Reference actual data points from the profile throughout
-- Provide specific vendor names, card products, and dollar amounts
-- Be direct and actionable - this is a working roadmap
-- Consider the ${timeframe} timeframe in your recommendations
-- Ground all advice in the provided credit metrics
-- Return ONLY valid JSON, no explanations`;
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache, no-transform');
+    res.setHeader('Connection', 'keep-alive');
+    res.setHeader('X-Accel-Buffering', 'no'); // Disable proxy buffering so events arrive immediately
+    res.flushHeaders();
+
+    const sendEvent = (event: string, data: unknown) => {
+      res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+    };
+
+    // Cache hit - replay the stored roadmap as events, without counting usage
+    if (cached) {
+      console.log(`[Express] /api/generate/stream - Returning cached roadmap for: ${formData.businessName}`);
+      for (const key of CREDIT_ROADMAP_SECTIONS) {
+        sendEvent('section', { key, value: cached.roadmap[key] });
+      }
+      sendEvent('done', { roadmap: cached.roadmap, meta: { ...cached.meta, cached: true, cachedAt: cached.createdAt } });
+      return res.end();
+    }
 
-      const completion = await openai.chat.completions.create({
-        model: "gpt-4o",
-        messages: [
-          {
-            role: "system",
-            content: getCreditCommanderSystemPrompt()
-          },
-          {
-            role: "user",
-            content: creditRoadmapPrompt,
-          },
-        ],
-        response_format: { type: "json_object" },
-        max_tokens: 3000,
-      });
-
-      const aiResponse = JSON.parse(completion.choices[0].message.content || '{}');
-
-      const response = {
-        profileSummary: aiResponse.profileSummary || `Credit roadmap for ${businessName}.`,
-        quickWins: aiResponse.quickWins || 'Focus on reducing utilization and adding trade lines.',
-        tradeLinesPlan: aiResponse.tradeLinesPlan || 'Build trade lines with starter vendors.',
-        vendorRecommendations: aiResponse.vendorRecommendations || [],
-        cardStrategy: aiResponse.cardStrategy || 'Apply for business cards based on your profile.',
-        cardRecommendations: aiResponse.cardRecommendations || [],
-        bankingSignals: aiResponse.bankingSignals || 'Optimize banking relationships and data signals.',
-        actionPlan: aiResponse.actionPlan || `Complete credit roadmap within ${timeframe}.`,
-        riskFlags: aiResponse.riskFlags || 'Address any late payments and derogatories.'
-      };
+    // Stop generating (and never count usage) if the client goes away mid-stream
+    const abortController = new AbortController();
+    let clientClosed = false;
+    res.on('close', () => {
+      if (!res.writableEnded) {
+        clientClosed = true;
+        abortController.abort();
+      }
+    });
+
+    try {
+      console.log(`[Express] /api/generate/stream - Streaming credit roadmap for: ${formData.businessName} (usage: ${usageCheck?.count}/30)`);
 
-      console.log("Credit roadmap generated successfully");
+      const ai = getTrackedLlm(req, tool, '/api/generate/stream');
+      const emitted = new Map<string, string>();
+      let result;
 
-      // Increment usage counter AFTER successful generation (atomic operation with limit enforcement)
+      try {
+        const stream = ai.stream({
+          task: "roadmap",
+          messages: buildRoadmapMessages(formData, prompts),
+          json: true,
+          maxTokens: 3000,
+          signal: abortController.signal,
+        });
+
+        const parser = new JsonObjectStreamParser();
+
+        for await (const delta of stream) {
+          for (const field of parser.push(delta)) {
+            if (!CREDIT_ROADMAP_SECTIONS.includes(field.key as CreditRoadmapSection)) continue;
+            emitted.set(field.key, JSON.stringify(field.value));
+            sendEvent('section', { key: field.key, value: field.value });
+          }
+        }
+
+        if (clientClosed) return;
+
+        result = await finalizeRoadmap(ai, formData, prompts, parser.finish(), abortController.signal);
+      } catch (error: any) {
+        if (clientClosed || !isProviderUnavailableError(error)) throw error;
+
+        // Quota exhausted or provider down (even mid-stream) - replace everything with the rule engine's roadmap
+        console.warn(`[Express] /api/generate/stream - AI unavailable (${error.code || error.status || error.message}), using rule-based roadmap`);
+        result = buildRulesOnlyRoadmap(formData);
+      }
+
+      // Re-send any section whose final value differs from what was streamed (repaired, defaulted or rules-only)
+      const { roadmap, meta } = result;
+      for (const key of CREDIT_ROADMAP_SECTIONS) {
+        if (emitted.get(key) !== JSON.stringify(roadmap[key])) {
+          sendEvent('section', { key, value: roadmap[key] });
+        }
+      }
+
+      // Count usage only once the full roadmap has been delivered
       const incrementResult = await incrementUsage(req, tool);
-      
-      // If increment failed due to limit (race condition), reject the request
       if (!incrementResult.success && incrementResult.limitReached) {
-        console.log(`[Express] /api/generate - Request completed but limit reached during increment for ${tool}: ${incrementResult.count}/30`);
-        return res.status(429).json({
+        console.log(`[Express] /api/generate/stream - Stream completed but limit reached during increment for ${tool}: ${incrementResult.count}/30`);
+        sendEvent('error', {
           error: `You have reached your 30-report limit for the ${toolName} soft launch. Please upgrade to continue.`,
           limitReached: true,
           count: incrementResult.count,
           limit: 30,
           tool
         });
+        return res.end();
       }
 
-      res.json(response);
+      await cacheRoadmap(cacheKey, tool, prompts, result);
+
+      console.log("Credit roadmap streamed successfully");
+      sendEvent('done', { roadmap, meta });
+      res.end();
     } catch (error: any) {
-      console.error("Error in /api/generate:", error);
+      if (clientClosed) {
+        console.log('[Express] /api/generate/stream - Client disconnected, generation aborted');
+        return;
+      }
 
-      // Handle specific OpenAI errors
-      if (error.code === "insufficient_quota") {
-        return res.status(503).json({
-          error: "Service temporarily unavailable. Please try again later.",
+      console.error("Error in /api/generate/stream:", error);
+      const { error: message } = getGenerationErrorResponse(error);
+      sendEvent('error', { error: message });
+      res.end();
+    }
+  });
+
+  // API endpoint for regenerating a single roadmap section (capped in its own SECTION_TOOL usage bucket)
+  app.post("/api/generate/section", async (req, res) => {
+    const { roadmap, section, instructions } = req.body;
+    const formData = withLedgerMetrics(req.body.formData);
+
+    try {
+      console.log(`[Express] /api/generate/section - Regenerating section: ${section}`);
+
+      // Input validation
+      if (!roadmap || typeof roadmap !== 'object' || Array.isArray(roadmap)) {
+        return res.status(400).json({
+          error: "The existing roadmap is required.",
         });
       }
 
-      if (error.status === 429) {
+      if (!CREDIT_ROADMAP_SECTIONS.includes(section)) {
+        return res.status(400).json({
+          error: `Unknown section. Use one of: ${CREDIT_ROADMAP_SECTIONS.join(', ')}.`,
+        });
+      }
+
+      const validationError = validateCreditFormData(formData);
+      if (validationError) {
+        return res.status(400).json({
+          error: validationError,
+        });
+      }
+
+      // Vendor and card picks are deterministic - re-run the catalog matchers rather than asking the model
+      if (section === 'vendorRecommendations' || section === 'cardRecommendations') {
+        return res.json({
+          success: true,
+          section,
+          value: buildCatalogRecommendations(formData)[section as 'vendorRecommendations' | 'cardRecommendations'],
+          meta: { repairAttempts: 0, promptVersions: null, ...CATALOG_VERSIONS },
+        });
+      }
+
+      // Check the 30-rewrite section limit BEFORE calling the model (catalog sections above are free)
+      const usageCheck = await checkUsageLimit(req, SECTION_TOOL);
+      if (!usageCheck.allowed) {
+        console.log(`[Express] /api/generate/section - Request blocked: usage limit reached for ${SECTION_TOOL} (${usageCheck.count}/30)`);
         return res.status(429).json({
-          error: "Too many requests. Please wait a moment and try again.",
+          error: SECTION_LIMIT_MESSAGE,
+          limitReached: true,
+          count: usageCheck.count,
+          limit: 30,
+          tool: SECTION_TOOL
         });
       }
 
-      if (error.status === 401) {
-        return res.status(401).json({
-          error: "Authentication failed. Please check API configuration.",
+      const prompts = await resolveRoadmapPrompts();
+      const messages: LlmMessage[] = [
+        {
+          role: "system",
+          content: renderPrompt('credit-system', prompts['credit-system'], {})
+        },
+        {
+          role: "user",
+          content: buildSectionRegenerationPrompt(renderRoadmapPrompt(formData, prompts), roadmap, section, typeof instructions === 'string' ? instructions.slice(0, 500) : undefined),
+        },
+      ];
+
+      const ai = getTrackedLlm(req, normalizeTool(req.body.tool), '/api/generate/section');
+      let completion = await ai.complete({ task: "roadmap", messages, json: true, maxTokens: 1500 });
+      let validation = validateRoadmapSection(section, parseJsonObject(completion.content)?.[section]);
+      let repairAttempts = 0;
+
+      while (!validation.success && repairAttempts < MAX_ROADMAP_REPAIR_ATTEMPTS) {
+        repairAttempts++;
+        console.log(`[Express] /api/generate/section - Section failed validation (repair ${repairAttempts}/${MAX_ROADMAP_REPAIR_ATTEMPTS}): ${validation.issues.slice(0, 5).join('; ')}`);
+
+        completion = await ai.complete({
+          task: "roadmap",
+          messages: [
+            ...messages,
+            { role: "assistant", content: completion.content },
+            { role: "user", content: buildRoadmapRepairPrompt(validation.issues, [section]) },
+          ],
+          json: true,
+          maxTokens: 1500,
         });
+        validation = validateRoadmapSection(section, parseJsonObject(completion.content)?.[section]);
       }
 
-      // Generic error response
-      res.status(500).json({
-        error: "An unexpected error occurred. Please try again.",
+      // Keep the existing section rather than replacing it with filler
+      if (!validation.success) {
+        return res.status(502).json({
+          error: "We couldn't regenerate this section. Please try again.",
+        });
+      }
+
+      const incrementResult = await incrementUsage(req, SECTION_TOOL);
+      if (!incrementResult.success && incrementResult.limitReached) {
+        console.log(`[Express] /api/generate/section - Request completed but limit reached during increment: ${incrementResult.count}/30`);
+        return res.status(429).json({
+          error: SECTION_LIMIT_MESSAGE,
+          limitReached: true,
+          count: incrementResult.count,
+          limit: 30,
+          tool: SECTION_TOOL
+        });
+      }
+
+      console.log(`[Express] /api/generate/section - Section regenerated successfully: ${section}`);
+
+      res.json({
+        success: true,
+        section,
+        value: validation.data,
+        meta: { repairAttempts, promptVersions: prompts },
+      });
+    } catch (error: any) {
+      console.error("Error in /api/generate/section:", error);
+
+      const { status, error: message } = getGenerationErrorResponse(error);
+      res.status(status).json({
+        error: message,
+      });
+    }
+  });
+
+  // Fundability index for a credit profile (shared/fundability.ts) - the same score the roadmap prompt and saved reports use
+  app.post("/api/fundability", (req, res) => {
+    const parsed = fundabilityInputSchema.safeParse(withLedgerMetrics(req.body?.formData));
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid credit profile.",
+        details: parsed.error.issues.map(issue => `${issue.path.join(".")}: ${issue.message}`),
       });
     }
+
+    res.json(scoreFundability(parsed.data));
   });
 
   // API endpoint for explaining credit roadmap (unlimited per report, no usage cap)
@@ -562,68 +862,32 @@ IMPORTANT:
         });
       }
 
-      const { businessName, utilization, tradeLines, ownerFico, fundingGoal, targetLimit, timeframe } = formData;
-
-      // Sanitize user inputs for prompt (prevent JSON breaking)
-      const sanitizeForPrompt = (str: any) => {
-        if (typeof str !== 'string') return String(str || '');
-        return str.replace(/["\n\r]/g, ' ').trim();
-      };
-
-      // Build targeted explanation prompt
-      const explanationPrompt = `You are a business credit advisor translating technical credit reports into clear, actionable guidance for business owners.
-
-Given this credit roadmap for ${sanitizeForPrompt(businessName)}:
-- Current Utilization: ${utilization}%
-- Trade Lines: ${tradeLines}
-- Owner FICO: ${ownerFico}
-- Funding Goal: ${sanitizeForPrompt(fundingGoal)}
-- Target Limit: ${sanitizeForPrompt(targetLimit)}
-- Timeframe: ${sanitizeForPrompt(timeframe)}
-
-Full Roadmap Data:
-${JSON.stringify(roadmap, null, 2)}
-
-Generate a plain-English explanation as a JSON object with these fields:
-{
-  "keyTakeaways": "Write 2-3 sentences summarizing the most important insights from this roadmap. What does this business need to know RIGHT NOW?",
-  
-  "priorityActions": "List the top 3 immediate actions they should take this month. Be ultra-specific (e.g., 'Pay down your credit cards to reduce utilization from ${utilization}% to below 30%').",
-  
-  "timeline": "Explain their ${timeframe} timeline in simple terms. What happens in the first 30 days? Next 60 days? By 90 days?",
-  
-  "bottomLine": "Write 1-2 sentences answering: 'Can I reach my ${targetLimit} goal?' Be honest and direct."
-}
-
-IMPORTANT:
-- Use everyday language, not credit jargon
-- Be encouraging but honest
-- Reference their actual numbers
-- Make it feel like advice from a trusted advisor, not a robot`;
+      const prompts = await resolvePromptVersions(['explain-system', 'explain']);
 
-      const completion = await openai.chat.completions.create({
-        model: "gpt-4o",
+      const completion = await getTrackedLlm(req, normalizeTool(req.body.tool), '/api/explain').complete({
+        task: "explain",
         messages: [
           {
             role: "system",
-            content: "You are a business credit advisor who explains complex credit strategies in simple, friendly language. Focus on clarity and actionability."
+            content: renderPrompt('explain-system', prompts['explain-system'], {})
           },
           {
             role: "user",
-            content: explanationPrompt,
+            content: renderPrompt('explain', prompts.explain, { ...formData, roadmap }),
           },
         ],
-        response_format: { type: "json_object" },
-        max_tokens: 1000,
+        json: true,
+        maxTokens: 1000,
       });
 
-      const explanation = JSON.parse(completion.choices[0].message.content || "{}");
+      const explanation = JSON.parse(completion.content || "{}");
 
       console.log('[Express] /api/explain - Explanation generated successfully');
 
       res.json({
         success: true,
-        explanation
+        explanation,
+        meta: { promptVersions: prompts }
       });
 
     } catch (error: any) {
@@ -649,6 +913,344 @@ IMPORTANT:
     }
   });
 
+  // API endpoint for the Elev8 Analyzer business diagnostic (own 30-report usage bucket)
+  app.post("/api/analyze", async (req, res) => {
+    const parsed = analyzerFormSchema.safeParse(req.body?.formData);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Business name, industry, revenue range and employee count are required.",
+      });
+    }
+    const formData = parsed.data;
+
+    // Check 30-report usage limit BEFORE generation (soft launch protection)
+    const usageCheck = await checkUsageLimit(req, ANALYZER_TOOL);
+    if (!usageCheck.allowed) {
+      console.log(`[Express] /api/analyze - Request blocked: usage limit reached for ${ANALYZER_TOOL} (${usageCheck.count}/30)`);
+      return res.status(429).json({
+        error: "You have reached your 30-report limit for the Elev8 Analyzer soft launch. Please upgrade to continue.",
+        limitReached: true,
+        count: usageCheck.count,
+        limit: 30,
+        tool: ANALYZER_TOOL
+      });
+    }
+
+    try {
+      console.log(`[Express] /api/analyze - Analyzing ${formData.businessName} (${formData.industry}) (usage: ${usageCheck.count}/30)`);
+
+      const prompts = await resolvePromptVersions(['diagnostic-system', 'diagnostic-analysis']);
+      const messages: LlmMessage[] = [
+        {
+          role: "system",
+          content: renderPrompt('diagnostic-system', prompts['diagnostic-system'], {})
+        },
+        {
+          role: "user",
+          content: renderPrompt('diagnostic-analysis', prompts['diagnostic-analysis'], formData),
+        },
+      ];
+
+      const ai = getTrackedLlm(req, ANALYZER_TOOL, '/api/analyze');
+      let completion = await ai.complete({ task: "analyze", messages, json: true, maxTokens: 2000 });
+      let validation = validateAnalysis(parseJsonObject(completion.content));
+      let repairAttempts = 0;
+
+      while (!validation.success && repairAttempts < MAX_ROADMAP_REPAIR_ATTEMPTS) {
+        repairAttempts++;
+        console.log(`[Express] /api/analyze - Analysis failed validation (repair ${repairAttempts}/${MAX_ROADMAP_REPAIR_ATTEMPTS}): ${validation.issues.slice(0, 5).join('; ')}`);
+
+        completion = await ai.complete({
+          task: "analyze",
+          messages: [
+            ...messages,
+            { role: "assistant", content: completion.content },
+            { role: "user", content: buildAnalysisRepairPrompt(validation.issues) },
+          ],
+          json: true,
+          maxTokens: 2000,
+        });
+        validation = validateAnalysis(parseJsonObject(completion.content));
+      }
+
+      if (!validation.success) {
+        return res.status(502).json({
+          error: "We couldn't complete this analysis. Please try again.",
+        });
+      }
+
+      // Increment usage counter AFTER successful generation (atomic operation with limit enforcement)
+      const incrementResult = await incrementUsage(req, ANALYZER_TOOL);
+      if (!incrementResult.success && incrementResult.limitReached) {
+        console.log(`[Express] /api/analyze - Request completed but limit reached during increment: ${incrementResult.count}/30`);
+        return res.status(429).json({
+          error: "You have reached your 30-report limit for the Elev8 Analyzer soft launch. Please upgrade to continue.",
+          limitReached: true,
+          count: incrementResult.count,
+          limit: 30,
+          tool: ANALYZER_TOOL
+        });
+      }
+
+      console.log('[Express] /api/analyze - Analysis generated successfully');
+
+      res.json({
+        success: true,
+        analysis: validation.data,
+        meta: { repairAttempts, promptVersions: prompts },
+      });
+    } catch (error: any) {
+      console.error("Error in /api/analyze:", error);
+
+      const { status, error: message } = getGenerationErrorResponse(error);
+      res.status(status).json({
+        error: message,
+      });
+    }
+  });
+
+  // Rank filing profiles for a filing type / jurisdiction / entity type, with the reasons for each match
+  app.get("/api/compliance/profiles/resolve", (req, res) => {
+    const filingType = typeof req.query.filingType === 'string' ? req.query.filingType : '';
+    const jurisdiction = typeof req.query.jurisdiction === 'string' ? req.query.jurisdiction : '';
+    const entityType = typeof req.query.entityType === 'string' ? req.query.entityType : '';
+
+    if (!filingType.trim()) {
+      return res.status(400).json({ error: "filingType is required" });
+    }
+
+    const candidates = rankFilingProfiles(filingType, jurisdiction, entityType).map(candidate => ({
+      slug: candidate.profile.slug,
+      name: candidate.profile.name,
+      score: candidate.score,
+      isGeneric: candidate.isGeneric,
+      matchType: candidate.matchType,
+      reasons: candidate.reasons,
+    }));
+
+    res.json({ candidates });
+  });
+
+  // Multi-year compliance calendar for a business, as JSON or an iCalendar feed
+  // (/api/compliance/calendar.ics or ?format=ics - subscribable from Google/Outlook/Apple calendars)
+  app.get(["/api/compliance/calendar", "/api/compliance/calendar.ics"], (req, res) => {
+    const parsed = calendarRequestSchema.safeParse(req.query);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "entityType, formationDate (YYYY-MM-DD) and at least one state are required.",
+        details: parsed.error.issues.map(issue => `${issue.path.join(".")}: ${issue.message}`),
+      });
+    }
+
+    const unknownStates = findUnknownStates(parsed.data.states);
+    if (unknownStates.length > 0) {
+      return res.status(400).json({ error: `Unknown state: ${unknownStates.join(", ")}` });
+    }
+
+    const calendar = buildComplianceCalendar(parsed.data);
+
+    if (req.path.endsWith(".ics") || req.query.format === "ics") {
+      res.setHeader("Content-Type", "text/calendar; charset=utf-8");
+      res.setHeader("Content-Disposition", 'inline; filename="compliance-calendar.ics"');
+      return res.send(renderCalendarIcs(calendar));
+    }
+
+    res.json(calendar);
+  });
+
+  // BOIR intake: validate beneficial owner / company applicant data and score completeness
+  // (checklist statuses use the `boir` filing profile checklist ids)
+  app.post("/api/compliance/boir/validate", (req, res) => {
+    const parsed = boirIntakeSchema.safeParse(req.body?.intake);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid BOIR intake.",
+        details: parsed.error.issues.map(issue => `${issue.path.join(".")}: ${issue.message}`),
+      });
+    }
+
+    res.json(validateBoirIntake(parsed.data));
+  });
+
+  // BOIR filing package (JSON, or CSV with format: "csv") - only once the intake passes validation
+  app.post("/api/compliance/boir/package", (req, res) => {
+    const parsed = boirIntakeSchema.safeParse(req.body?.intake);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Invalid BOIR intake.",
+        details: parsed.error.issues.map(issue => `${issue.path.join(".")}: ${issue.message}`),
+      });
+    }
+
+    const validation = validateBoirIntake(parsed.data);
+    if (validation.status === "incomplete") {
+      return res.status(422).json({
+        error: "BOIR intake is incomplete. Resolve the listed issues before building the filing package.",
+        validation,
+      });
+    }
+
+    const pkg = buildBoirPackage(parsed.data, validation);
+
+    if (req.body?.format === "csv") {
+      res.setHeader("Content-Type", "text/csv; charset=utf-8");
+      res.setHeader("Content-Disposition", 'attachment; filename="boir-package.csv"');
+      return res.send(renderBoirCsv(pkg));
+    }
+
+    res.json({ package: pkg, validation });
+  });
+
+  // Build a CompliPilot compliance report server-side (same sections as ComplianceGenerator.generate).
+  // Optional: enrich=true asks the AI for the executive summary; save={ name } stores the report.
+  app.post("/api/compliance/generate", async (req, res) => {
+    const parsed = complianceFormSchema.safeParse(req.body?.formData);
+    if (!parsed.success) {
+      return res.status(400).json({
+        error: "Entity type, jurisdiction and filing type are required, and the deadline must be a valid date.",
+      });
+    }
+    const formData = parsed.data;
+    const enrich = req.body?.enrich === true;
+    const saveName = typeof req.body?.save?.name === 'string' ? req.body.save.name.trim() : '';
+
+    let userId: string | null = null;
+    if (saveName) {
+      try {
+        userId = getAnonymousUserId(req);
+      } catch (error: any) {
+        return res.status(400).json({ error: 'X-Client-Id header is required' });
+      }
+    }
+
+    const profileMatch = resolveFilingProfile(formData.filingType, formData.jurisdiction, formData.entityType);
+    if (!profileMatch) {
+      return res.status(404).json({
+        error: `No filing profile matches "${formData.filingType}" in ${formData.jurisdiction}.`,
+      });
+    }
+
+    try {
+      const { profile, isGeneric, matchType, reasons } = profileMatch;
+      const meta: {
+        enriched: boolean;
+        promptVersions: Record<string, string> | null;
+        profileReasons: string[];
+        boir?: { status: string; completeness: number };
+        reportId?: string;
+      } = {
+        enriched: false,
+        promptVersions: null,
+        profileReasons: reasons,
+      };
+
+      // A BOIR intake checks off the BOIR checklist items it completes
+      if (profile.slug === 'boir' && req.body?.boirIntake) {
+        const intake = boirIntakeSchema.safeParse(req.body.boirIntake);
+        if (intake.success) {
+          const validation = validateBoirIntake(intake.data);
+          formData.requirements = Array.from(new Set([...formData.requirements, ...validation.completedChecklistItems]));
+          meta.boir = { status: validation.status, completeness: validation.completeness };
+        }
+      }
+
+      const sections = buildComplianceSections(formData, profile);
+
+      if (enrich) {
+        const usageCheck = await checkUsageLimit(req, COMPLIANCE_TOOL);
+        if (!usageCheck.allowed) {
+          console.log(`[Express] /api/compliance/generate - Enrichment skipped: usage limit reached for ${COMPLIANCE_TOOL} (${usageCheck.count}/30)`);
+          return res.status(429).json({
+            error: "You have reached your 30-report limit for the CompliPilot soft launch. Please upgrade to continue.",
+            limitReached: true,
+            count: usageCheck.count,
+            limit: 30,
+            tool: COMPLIANCE_TOOL
+          });
+        }
+
+        // Enrichment fails open - the deterministic summary is always a valid report
+        try {
+          const prompts = await resolvePromptVersions(['compliance-summary']);
+          const ai = getTrackedLlm(req, COMPLIANCE_TOOL, '/api/compliance/generate');
+          const completion = await ai.complete({
+            task: "compliance",
+            messages: [{
+              role: "user",
+              content: renderPrompt('compliance-summary', prompts['compliance-summary'], {
+                ...formData,
+                profileName: profile.name,
+                requiredItems: profile.checklist.filter(item => item.required).map(item => item.label),
+              }),
+            }],
+            maxTokens: 500,
+          });
+
+          const summary = completion.content.trim();
+          if (summary) {
+            // Another request may have used the last report since the check - keep the deterministic summary then
+            const incrementResult = await incrementUsage(req, COMPLIANCE_TOOL);
+            if (!incrementResult.success && incrementResult.limitReached) {
+              console.log(`[Express] /api/compliance/generate - Enrichment discarded: limit reached during increment for ${COMPLIANCE_TOOL}: ${incrementResult.count}/30`);
+            } else {
+              sections.executiveSummary = summary;
+              meta.enriched = true;
+              meta.promptVersions = prompts;
+            }
+          }
+        } catch (error) {
+          console.error('[Express] /api/compliance/generate - Enrichment failed, using deterministic summary:', error);
+        }
+      }
+
+      const output = formatComplianceMarkdown(sections);
+
+      if (saveName && userId) {
+        const htmlContent = sanitizeHtmlContent(renderComplianceHtml(sections));
+        const [savedReport] = await db
+          .insert(complianceReports)
+          .values({
+            name: saveName.slice(0, 200),
+            entityName: formData.entityName,
+            entityType: formData.entityType,
+            jurisdiction: formData.jurisdiction,
+            filingType: formData.filingType,
+            deadline: formData.deadline || null,
+            htmlContent,
+            checksum: complianceChecksum(htmlContent),
+            metadata: {
+              formData,
+              profileUsed: profile.slug,
+              isGeneric,
+              sections,
+              generation: meta,
+            },
+            toolkitCode: COMPLIANCE_TOOL,
+            userId,
+            ownerId: '',
+          })
+          .returning({ id: complianceReports.id });
+        meta.reportId = savedReport.id;
+      }
+
+      console.log(`[Express] /api/compliance/generate - Built ${profile.slug} report (enriched: ${meta.enriched}${meta.reportId ? `, saved ${meta.reportId}` : ''})`);
+
+      res.json({
+        output,
+        profileUsed: profile.name,
+        isGeneric,
+        matchType,
+        sections,
+        meta,
+      });
+    } catch (error: any) {
+      console.error("Error in /api/compliance/generate:", error);
+      res.status(500).json({
+        error: "Failed to build compliance report. Please try again.",
+      });
+    }
+  });
+
   // Save a compliance report (uses browser client ID)
   app.post("/api/reports/save", async (req, res) => {
     try {
@@ -669,6 +1271,7 @@ IMPORTANT:
       const sanitizedData = {
         ...reportData,
         htmlContent: sanitizeHtmlContent(reportData.htmlContent),
+        metadata: withReportFundability(reportData.metadata),
         userId: userId, // Force ownership to authenticated user
         ownerId: '', // Clear legacy ownerId field
       };
@@ -811,6 +1414,71 @@ IMPORTANT:
     }
   });
 
+  // Update a saved report's content (with ownership validation) - uses browser client ID
+  app.patch("/api/reports/:id", async (req, res) => {
+    try {
+      // Get anonymous user ID from browser client ID
+      let userId;
+      try {
+        userId = getAnonymousUserId(req);
+      } catch (error: any) {
+        if (error.message === 'X-Client-Id header is required') {
+          return res.status(400).json({ error: 'X-Client-Id header is required' });
+        }
+        throw error;
+      }
+
+      const { id } = req.params;
+      const updates = updateComplianceReportSchema.parse(req.body);
+
+      // Sanitize HTML content before saving
+      if (updates.htmlContent !== undefined) {
+        updates.htmlContent = sanitizeHtmlContent(updates.htmlContent);
+      }
+      if (updates.metadata !== undefined) {
+        updates.metadata = withReportFundability(updates.metadata);
+      }
+
+      if (Object.keys(updates).length === 0) {
+        return res.status(400).json({
+          error: "No report fields to update.",
+        });
+      }
+
+      // Update only if owned by the authenticated user
+      const [updatedReport] = await db
+        .update(complianceReports)
+        .set(updates)
+        .where(and(
+          eq(complianceReports.id, id),
+          eq(complianceReports.userId, userId) // Enforce ownership
+        ))
+        .returning();
+
+      if (!updatedReport) {
+        return res.status(404).json({
+          error: "Report not found or access denied.",
+        });
+      }
+
+      res.json(updatedReport);
+    } catch (error: any) {
+      console.error("Error updating report:", error);
+      
+      // Production-safe error response
+      if (process.env.NODE_ENV === 'production') {
+        res.status(400).json({
+          error: "Failed to update report. Please try again.",
+        });
+      } else {
+        res.status(400).json({
+          error: "Failed to update report. Please check your input.",
+          details: error.message,
+        });
+      }
+    }
+  });
+
   // Delete a specific report by ID (with ownership validation) - uses browser client ID
   app.delete("/api/reports/:id", async (req, res) => {
     try {
@@ -860,6 +1528,179 @@ IMPORTANT:
     }
   });
 
+  // Helper: Report metadata with the fundability index scored on the server from its form data, so a
+  // saved report carries the same score as /api/fundability (metadata may arrive as a JSON string)
+  function withReportFundability<T>(metadata: T): T {
+    let parsed: any = metadata;
+    if (typeof metadata === 'string') {
+      try {
+        parsed = JSON.parse(metadata);
+      } catch {
+        return metadata;
+      }
+    }
+    if (!parsed || typeof parsed !== 'object' || !parsed.formData) return metadata;
+
+    const withScore = { ...parsed, fundability: scoreFormData(withLedgerMetrics(parsed.formData)) };
+    return (typeof metadata === 'string' ? JSON.stringify(withScore) : withScore) as T;
+  }
+
+  // Helper: Load a report only if owned by the requesting user
+  async function getOwnedReport(id: string, userId: string): Promise<ComplianceReport | undefined> {
+    const [report] = await db
+      .select()
+      .from(complianceReports)
+      .where(and(
+        eq(complianceReports.id, id),
+        eq(complianceReports.userId, userId) // Enforce ownership
+      ));
+    return report;
+  }
+
+  // Get the follow-up chat thread for a saved report - uses browser client ID
+  app.get("/api/reports/:id/chat", async (req, res) => {
+    try {
+      // Get anonymous user ID from browser client ID
+      let userId;
+      try {
+        userId = getAnonymousUserId(req);
+      } catch (error: any) {
+        if (error.message === 'X-Client-Id header is required') {
+          return res.status(400).json({ error: 'X-Client-Id header is required' });
+        }
+        throw error;
+      }
+
+      const report = await getOwnedReport(req.params.id, userId);
+      if (!report) {
+        return res.status(404).json({
+          error: "Report not found.",
+        });
+      }
+
+      const messages = await db
+        .select()
+        .from(reportMessages)
+        .where(eq(reportMessages.reportId, report.id))
+        .orderBy(reportMessages.createdAt);
+
+      res.json({ messages });
+    } catch (error: any) {
+      console.error("Error retrieving report chat:", error);
+      
+      // Production-safe error response
+      if (process.env.NODE_ENV === 'production') {
+        res.status(500).json({
+          error: "Failed to retrieve chat. Please try again.",
+        });
+      } else {
+        res.status(500).json({
+          error: "Failed to retrieve chat.",
+          details: error.message,
+        });
+      }
+    }
+  });
+
+  // Ask a follow-up question about a saved report (grounded in its roadmap and form data, no usage cap)
+  app.post("/api/reports/:id/chat", async (req, res) => {
+    try {
+      // Get anonymous user ID from browser client ID
+      let userId;
+      try {
+        userId = getAnonymousUserId(req);
+      } catch (error: any) {
+        if (error.message === 'X-Client-Id header is required') {
+          return res.status(400).json({ error: 'X-Client-Id header is required' });
+        }
+        throw error;
+      }
+
+      const report = await getOwnedReport(req.params.id, userId);
+      if (!report) {
+        return res.status(404).json({
+          error: "Report not found.",
+        });
+      }
+
+      const parsed = insertReportMessageSchema.safeParse({
+        reportId: report.id,
+        userId,
+        role: 'user',
+        content: req.body?.message,
+      });
+      if (!parsed.success) {
+        return res.status(400).json({
+          error: "Please enter a question (up to 4,000 characters).",
+        });
+      }
+
+      const [{ count }] = await db
+        .select({ count: sql<number>`count(*)::int` })
+        .from(reportMessages)
+        .where(eq(reportMessages.reportId, report.id));
+
+      if (count >= MAX_CHAT_MESSAGES_PER_REPORT) {
+        return res.status(429).json({
+          error: "This report's chat has reached its message limit. Generate a new roadmap to keep asking questions.",
+        });
+      }
+
+      // Most recent messages, oldest first
+      const history = (await db
+        .select()
+        .from(reportMessages)
+        .where(eq(reportMessages.reportId, report.id))
+        .orderBy(desc(reportMessages.createdAt))
+        .limit(CHAT_HISTORY_LIMIT)).reverse();
+
+      console.log(`[Express] /api/reports/:id/chat - Answering follow-up for report ${report.id} (${count} prior messages)`);
+
+      const completion = await getTrackedLlm(req, normalizeTool(report.toolkitCode), '/api/reports/:id/chat').complete({
+        task: "chat",
+        messages: [
+          { role: "system", content: buildReportChatSystemPrompt(report) },
+          ...history.map(message => ({
+            role: message.role === 'assistant' ? 'assistant' as const : 'user' as const,
+            content: message.content,
+          })),
+          { role: "user", content: parsed.data.content },
+        ],
+        maxTokens: 600,
+      });
+
+      const answer = completion.content.trim();
+      if (!answer) {
+        return res.status(502).json({
+          error: "We couldn't answer that question. Please try again.",
+        });
+      }
+
+      // Store the question and answer together so the thread never has an unanswered question
+      // Explicit timestamps keep the pair ordered (both rows would otherwise share the same now())
+      const askedAt = new Date();
+      const saved = await db
+        .insert(reportMessages)
+        .values([
+          { ...parsed.data, createdAt: askedAt },
+          { reportId: report.id, userId, role: 'assistant', content: answer, createdAt: new Date(askedAt.getTime() + 1) },
+        ])
+        .returning();
+
+      res.json({
+        success: true,
+        messages: saved,
+      });
+    } catch (error: any) {
+      console.error("Error in /api/reports/:id/chat:", error);
+
+      const { status, error: message } = getGenerationErrorResponse(error);
+      res.status(status).json({
+        error: message,
+      });
+    }
+  });
+
   // Stub endpoint for merging guest owner to authenticated user (future feature)
   app.post("/api/merge-owner", async (req, res) => {
     try {
@@ -877,6 +1718,88 @@ IMPORTANT:
     }
   });
 
+  // Admin: AI spend by day, tool and user (requires X-Admin-Key)
+  // Query: from / to (dates, default the last 30 days; "to" is exclusive)
+  app.get("/api/admin/costs", requireAdmin, async (req, res) => {
+    try {
+      const to = req.query.to ? new Date(String(req.query.to)) : new Date();
+      const from = req.query.from
+        ? new Date(String(req.query.from))
+        : new Date(to.getTime() - 30 * 24 * 60 * 60 * 1000);
+
+      if (isNaN(from.getTime()) || isNaN(to.getTime()) || from >= to) {
+        return res.status(400).json({
+          error: "Invalid date range. Use ISO dates with from before to.",
+        });
+      }
+
+      const summary = await getCostSummary(from, to);
+      res.json(summary);
+    } catch (error: any) {
+      console.error("Error in /api/admin/costs:", error);
+      res.status(500).json({
+        error: "Failed to load cost summary.",
+      });
+    }
+  });
+
+  // Admin: Registered prompt templates with their default, pinned and active versions
+  app.get("/api/admin/prompts", requireAdmin, async (req, res) => {
+    try {
+      res.json({ prompts: await listPrompts() });
+    } catch (error: any) {
+      console.error("Error in /api/admin/prompts:", error);
+      res.status(500).json({
+        error: "Failed to load prompts.",
+      });
+    }
+  });
+
+  // Admin: Pin a prompt to a registered version (also how a version is rolled back)
+  app.put("/api/admin/prompts/:name/pin", requireAdmin, async (req, res) => {
+    try {
+      const { version, note } = req.body || {};
+      if (typeof version !== 'string' || !version.trim()) {
+        return res.status(400).json({
+          error: "A version is required.",
+        });
+      }
+
+      const pinError = await pinPromptVersion(req.params.name, version.trim(), typeof note === 'string' ? note.slice(0, 500) : undefined);
+      if (pinError) {
+        return res.status(400).json({
+          error: pinError,
+        });
+      }
+
+      res.json({ success: true, prompts: await listPrompts() });
+    } catch (error: any) {
+      console.error("Error pinning prompt:", error);
+      res.status(500).json({
+        error: "Failed to pin prompt version.",
+      });
+    }
+  });
+
+  // Admin: Remove a pin so the prompt follows the registry default again
+  app.delete("/api/admin/prompts/:name/pin", requireAdmin, async (req, res) => {
+    try {
+      if (!isPromptName(req.params.name)) {
+        return res.status(404).json({
+          error: "Prompt not found.",
+        });
+      }
+
+      await unpinPrompt(req.params.name);
+      res.json({ success: true, prompts: await listPrompts() });
+    } catch (error: any) {
+      console.error("Error unpinning prompt:", error);
+      res.status(500).json({
+        error: "Failed to remove prompt pin.",
+      });
+    }
+  });
+
   const httpServer = createServer(app);
 
   return httpServer;
@@ -0,0 +1,63 @@
+// Elev8 Analyzer schema
+// Validates the business diagnostic returned by POST /api/analyze: executive summary,
+// SWOT, risk & opportunity matrix and prioritized recommendations.
+
+import { z } from "zod";
+
+export const analyzerFormSchema = z.object({
+  businessName: z.string().trim().min(1).max(200),
+  industry: z.string().trim().min(1).max(100),
+  revenueRange: z.string().trim().min(1).max(50),
+  creditProfile: z.string().trim().max(50).optional().default(""),
+  employees: z.string().trim().min(1).max(50),
+  challenges: z.string().trim().max(2000).optional().default(""),
+  goals: z.string().trim().max(2000).optional().default(""),
+});
+
+const levelSchema = z.enum(["High", "Medium", "Low"]);
+const swotItems = z.array(z.string().trim().min(1)).min(1).max(8);
+
+export const businessAnalysisSchema = z.object({
+  executiveSummary: z.string().trim().min(1),
+  swot: z.object({
+    strengths: swotItems,
+    weaknesses: swotItems,
+    opportunities: swotItems,
+    threats: swotItems,
+  }),
+  riskOpportunityMatrix: z.array(z.object({
+    factor: z.string().trim().min(1),
+    type: z.enum(["Risk", "Opportunity"]),
+    impact: levelSchema,
+    priority: levelSchema,
+    action: z.string().trim().min(1),
+  })).min(1).max(12),
+  recommendations: z.array(z.object({
+    title: z.string().trim().min(1),
+    detail: z.string().trim().min(1),
+    timeframe: z.string().trim().min(1),
+  })).min(1).max(10),
+});
+
+export type AnalyzerFormData = z.infer<typeof analyzerFormSchema>;
+export type BusinessAnalysis = z.infer<typeof businessAnalysisSchema>;
+
+export function validateAnalysis(raw: unknown): { success: boolean; data?: BusinessAnalysis; issues: string[] } {
+  const result = businessAnalysisSchema.safeParse(raw);
+  if (result.success) {
+    return { success: true, data: result.data, issues: [] };
+  }
+
+  return {
+    success: false,
+    issues: result.error.issues.map(issue => `${issue.path.join(".") || "(root)"}: ${issue.message}`),
+  };
+}
+
+// Follow-up asking the model to resend the whole analysis with the validation problems fixed
+export function buildAnalysisRepairPrompt(issues: string[]): string {
+  return `Your previous response did not match the required format. These problems were found:
+${issues.slice(0, 20).map(issue => `- ${issue}`).join("\n")}
+
+Return the complete JSON object again with these problems fixed.`;
+}
@@ -0,0 +1,213 @@
+// Business credit score estimators
+// Rough, transparent estimates of the scores lenders pull on the business: D&B Paydex (payment timing),
+// Experian Intelliscore Plus (utilization, tradelines, derogatories) and a FICO SBSS range (owner and
+// business factors combined). The bureaus do not publish their models, so each estimate lists the inputs
+// it used and what each one contributed - they are a guide to what moves the score, not a bureau pull.
+// Bundled for the browser as public/business-scores.js (npm run build:browser) for the KPI panel and PDF.
+
+import { getBusinessAgeMonths } from "./vendor-catalog";
+import { formatDollars, parseDollarAmount } from "./card-catalog";
+
+export type ScoreStatus = "healthy" | "warning" | "danger";
+
+// How the business usually pays its vendors, from the form's payment timing select
+export const PAYMENT_TIMING_OPTIONS = {
+  early30: { label: "About 30 days early", paydex: 100 },
+  early20: { label: "About 20 days early", paydex: 90 },
+  onTime: { label: "On the due date", paydex: 80 },
+  late15: { label: "About 15 days late", paydex: 70 },
+  late30: { label: "About 30 days late", paydex: 50 },
+  late60: { label: "60+ days late", paydex: 40 },
+} as const;
+
+export type PaymentTiming = keyof typeof PAYMENT_TIMING_OPTIONS;
+
+export interface BusinessScoreInputs {
+  paymentTiming?: string;
+  latePayments: number;
+  tradeLines: number;
+  utilization: number;
+  derogatories?: string;
+  ownerFico: number;
+  startDate?: string;
+  annualRevenue?: string | number;
+}
+
+export interface ScoreFactor {
+  input: string;
+  value: string;
+  // What the input did to the estimate, e.g. "+30 of 40 points"
+  effect: string;
+}
+
+export interface BusinessScoreEstimate {
+  // null when the bureau would not have enough data to score the business yet
+  score: number | null;
+  range?: [number, number];
+  scale: string;
+  rating: string;
+  status: ScoreStatus;
+  target: string;
+  factors: ScoreFactor[];
+}
+
+export interface BusinessScoreEstimates {
+  paydex: BusinessScoreEstimate;
+  intelliscore: BusinessScoreEstimate;
+  sbss: BusinessScoreEstimate;
+}
+
+// SBA 7(a) small loans prescreen on SBSS; 165 is the current minimum
+export const SBSS_SBA_MINIMUM = 165;
+
+function clamp(value: number, min: number, max: number): number {
+  return Math.max(min, Math.min(max, Math.round(value)));
+}
+
+function points(earned: number, max: number): string {
+  return `${earned >= 0 ? "+" : ""}${Math.round(earned)} of ${max} points`;
+}
+
+// "None", "n/a" and blank mean a clean record
+export function hasDerogatories(derogatories: string | undefined): boolean {
+  const text = String(derogatories || "").trim();
+  return text !== "" && !/^(none|no|n\/?a|0|nothing|clean)\.?$/i.test(text);
+}
+
+function isPaymentTiming(value: string | undefined): value is PaymentTiming {
+  return !!value && Object.prototype.hasOwnProperty.call(PAYMENT_TIMING_OPTIONS, value);
+}
+
+// Paydex (1-100): dollar-weighted payment timing across reported vendor accounts. 80 means paying on the
+// due date, higher means paying early. D&B needs about three reported payment experiences to score a file.
+export function estimatePaydex(inputs: BusinessScoreInputs): BusinessScoreEstimate {
+  const tradeLines = Number(inputs.tradeLines) || 0;
+  const latePayments = Number(inputs.latePayments) || 0;
+  const timing = isPaymentTiming(inputs.paymentTiming) ? PAYMENT_TIMING_OPTIONS[inputs.paymentTiming] : null;
+  const factors: ScoreFactor[] = [];
+
+  factors.push(timing
+    ? { input: "Payment timing", value: timing.label, effect: `Starts the estimate at ${timing.paydex}` }
+    : { input: "Payment timing", value: "Not provided", effect: "Assumes on-time payment (80)" });
+
+  const base = timing ? timing.paydex : 80;
+  const latePenalty = Math.min(30, latePayments * 8);
+  factors.push({
+    input: "Late payments (90 days)",
+    value: String(latePayments),
+    effect: latePenalty > 0 ? `-${latePenalty} points` : "No effect",
+  });
+
+  factors.push({
+    input: "Trade lines",
+    value: String(tradeLines),
+    effect: tradeLines >= 3 ? "Enough reported payments to score" : "D&B usually needs 3 reported payments before it scores a business",
+  });
+
+  if (tradeLines < 3) {
+    return { score: null, scale: "1-100", rating: "Not yet scored", status: "danger", target: "80+ (pay on or before the due date)", factors };
+  }
+
+  const score = clamp(base - latePenalty, 1, 100);
+  return {
+    score,
+    scale: "1-100",
+    rating: score >= 80 ? "Low risk" : score >= 50 ? "Moderate risk" : "High risk",
+    status: score >= 80 ? "healthy" : score >= 70 ? "warning" : "danger",
+    target: "80+ (pay on or before the due date)",
+    factors,
+  };
+}
+
+// Intelliscore Plus (1-100): Experian's business risk score. Estimated from utilization (40 points),
+// trade lines (30) and derogatory public records or collections (30).
+export function estimateIntelliscore(inputs: BusinessScoreInputs): BusinessScoreEstimate {
+  const tradeLines = Number(inputs.tradeLines) || 0;
+  const utilization = Number(inputs.utilization) || 0;
+  const derogatory = hasDerogatories(inputs.derogatories);
+
+  const utilizationPoints = utilization <= 10 ? 40 : utilization <= 30 ? 32 : utilization <= 50 ? 20 : utilization <= 75 ? 10 : 0;
+  const tradeLinePoints = tradeLines >= 5 ? 30 : tradeLines >= 3 ? 20 : tradeLines >= 1 ? 10 : 0;
+  const derogatoryPoints = derogatory ? 0 : 30;
+
+  const factors: ScoreFactor[] = [
+    { input: "Credit utilization", value: `${utilization}%`, effect: points(utilizationPoints, 40) },
+    { input: "Trade lines", value: String(tradeLines), effect: points(tradeLinePoints, 30) },
+    { input: "Derogatories / collections", value: derogatory ? String(inputs.derogatories).trim() : "None", effect: points(derogatoryPoints, 30) },
+  ];
+
+  if (tradeLines === 0) {
+    return { score: null, scale: "1-100", rating: "No Experian business file yet", status: "danger", target: "76+ (low risk)", factors };
+  }
+
+  const score = clamp(utilizationPoints + tradeLinePoints + derogatoryPoints, 1, 100);
+  return {
+    score,
+    scale: "1-100",
+    rating: score >= 76 ? "Low risk" : score >= 51 ? "Low-medium risk" : score >= 26 ? "Medium risk" : score >= 11 ? "High-medium risk" : "High risk",
+    status: score >= 76 ? "healthy" : score >= 51 ? "warning" : "danger",
+    target: "76+ (low risk)",
+    factors,
+  };
+}
+
+// FICO SBSS (0-300): blends the owner's personal credit with business bureau data, time in business and
+// revenue. Estimated as owner FICO (120 points), business scores (60), time in business (40),
+// revenue (40) and utilization (40), less late payments and derogatories. Shown as a +/-12 point range.
+export function estimateSbss(inputs: BusinessScoreInputs, now: Date = new Date()): BusinessScoreEstimate {
+  const ownerFico = Number(inputs.ownerFico) || 0;
+  const utilization = Number(inputs.utilization) || 0;
+  const latePayments = Number(inputs.latePayments) || 0;
+  const ageMonths = inputs.startDate ? getBusinessAgeMonths(inputs.startDate, now) : 0;
+  const revenue = parseDollarAmount(inputs.annualRevenue);
+
+  const ficoPoints = ownerFico > 300 ? Math.min(120, ((ownerFico - 300) / 550) * 120) : 0;
+
+  const businessScores = [estimatePaydex(inputs).score, estimateIntelliscore(inputs).score].filter((score): score is number => score !== null);
+  const businessPoints = businessScores.length > 0 ? (businessScores.reduce((sum, score) => sum + score, 0) / businessScores.length) * 0.6 : 0;
+
+  const agePoints = Math.min(1, ageMonths / 36) * 40;
+  const revenuePoints = revenue >= 1_000_000 ? 40 : revenue >= 500_000 ? 32 : revenue >= 250_000 ? 24 : revenue >= 100_000 ? 16 : revenue > 0 ? 8 : 0;
+  const utilizationPoints = utilization <= 10 ? 40 : utilization <= 30 ? 30 : utilization <= 50 ? 15 : 0;
+  const latePenalty = Math.min(40, latePayments * 10);
+  const derogatoryPenalty = hasDerogatories(inputs.derogatories) ? 30 : 0;
+
+  const factors: ScoreFactor[] = [
+    { input: "Owner FICO", value: ownerFico ? String(ownerFico) : "Not provided", effect: points(ficoPoints, 120) },
+    { input: "Business scores (Paydex, Intelliscore)", value: businessScores.length > 0 ? businessScores.join(" / ") : "Not yet scored", effect: points(businessPoints, 60) },
+    { input: "Time in business", value: ageMonths > 0 ? `${ageMonths} months` : "Under a month or not provided", effect: points(agePoints, 40) },
+    { input: "Annual revenue", value: revenue > 0 ? formatDollars(revenue) : "Not provided", effect: points(revenuePoints, 40) },
+    { input: "Credit utilization", value: `${utilization}%`, effect: points(utilizationPoints, 40) },
+  ];
+  if (latePenalty > 0) factors.push({ input: "Late payments (90 days)", value: String(latePayments), effect: `-${latePenalty} points` });
+  if (derogatoryPenalty > 0) factors.push({ input: "Derogatories / collections", value: String(inputs.derogatories).trim(), effect: `-${derogatoryPenalty} points` });
+
+  const score = clamp(ficoPoints + businessPoints + agePoints + revenuePoints + utilizationPoints - latePenalty - derogatoryPenalty, 0, 300);
+  const range: [number, number] = [clamp(score - 12, 0, 300), clamp(score + 12, 0, 300)];
+
+  return {
+    score,
+    range,
+    scale: "0-300",
+    rating: range[0] >= SBSS_SBA_MINIMUM
+      ? "Clears the SBA 7(a) prescreen"
+      : range[1] >= SBSS_SBA_MINIMUM ? "Near the SBA 7(a) prescreen" : "Below the SBA 7(a) prescreen",
+    status: range[0] >= SBSS_SBA_MINIMUM ? "healthy" : range[1] >= SBSS_SBA_MINIMUM ? "warning" : "danger",
+    target: `${SBSS_SBA_MINIMUM}+ (SBA 7(a) small loan minimum)`,
+    factors,
+  };
+}
+
+export function estimateBusinessScores(inputs: BusinessScoreInputs, now: Date = new Date()): BusinessScoreEstimates {
+  return {
+    paydex: estimatePaydex(inputs),
+    intelliscore: estimateIntelliscore(inputs),
+    sbss: estimateSbss(inputs, now),
+  };
+}
+
+// "80", "170-194" or "N/A" (not scored yet), for compact displays like the KPI panel and PDF header
+export function formatScoreEstimate(estimate: BusinessScoreEstimate): string {
+  if (estimate.score === null) return "N/A";
+  return estimate.range ? `${estimate.range[0]}-${estimate.range[1]}` : String(estimate.score);
+}
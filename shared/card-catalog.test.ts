@@ -0,0 +1,71 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { formatDollars, getFicoBand, matchCards, parseDollarAmount, type CardMatchProfile } from "./card-catalog";
+
+const STRONG: CardMatchProfile = { ownerFico: 760, tradeLines: 6, creditHistory: 8, latePayments: 0, utilization: 5, annualRevenue: "$600,000" };
+
+test("parseDollarAmount reads free-form amounts", () => {
+  assert.equal(parseDollarAmount("$500,000"), 500_000);
+  assert.equal(parseDollarAmount("250k"), 250_000);
+  assert.equal(parseDollarAmount("1.2M"), 1_200_000);
+  assert.equal(parseDollarAmount("$100K-$250K"), 100_000);
+  assert.equal(parseDollarAmount(42_000), 42_000);
+  assert.equal(parseDollarAmount("not sure"), 0);
+  assert.equal(parseDollarAmount(undefined), 0);
+});
+
+test("formatDollars rounds to whole dollars with separators", () => {
+  assert.equal(formatDollars(1500.6), "$1,501");
+});
+
+test("getFicoBand uses the standard score bands", () => {
+  assert.deepEqual([800, 740, 739, 670, 669, 580, 579].map(getFicoBand), ["excellent", "excellent", "good", "good", "fair", "fair", "poor"]);
+});
+
+test("matchCards rates a strong profile High and explains why", () => {
+  const cards = matchCards(STRONG);
+
+  assert.equal(cards.length, 3);
+  assert.ok(cards.every(card => card.approvalOdds === "High"));
+  assert.deepEqual(cards.map(card => card.applyOrder), [1, 2, 3]);
+  // Established profiles lead with the higher-limit cards
+  assert.equal(cards[0].name, "U.S. Bank Triple Cash Rewards");
+  assert.ok(cards.every(card => card.oddsConcerns.length === 0));
+  assert.ok(cards[0].oddsReasons.some(reason => reason.includes("well above the typical 700 minimum")));
+});
+
+test("matchCards scales expected limits by score band and revenue", () => {
+  const [card] = matchCards({ ...STRONG, ownerFico: 620, creditHistory: 1, annualRevenue: "50k" }, 1);
+
+  assert.equal(card.name, "Capital One Spark Classic");
+  // Fair band (0.75) and revenue under $100k (0.75) on the $500-$2,000 base
+  assert.equal(card.expectedLimit, "$281-$1,125");
+});
+
+test("too many inquiries make every card Low even with an excellent score", () => {
+  const cards = matchCards({ ...STRONG, ownerFico: 800, recentInquiries: 10 }, 6);
+
+  assert.ok(cards.every(card => card.approvalOdds === "Low"));
+  assert.ok(cards.every(card => card.oddsConcerns.some(concern => concern.startsWith("10 hard inquiries in 6 months"))));
+  assert.ok(cards.every(card => !card.oddsConcerns.some(concern => concern.includes("FICO"))));
+});
+
+test("soft concerns lower the odds a step each, three make them Low", () => {
+  const medium = matchCards({ ...STRONG, latePayments: 1 }, 1)[0];
+  assert.equal(medium.approvalOdds, "Medium");
+  assert.deepEqual(medium.oddsConcerns, ["1 recent late payment will weigh on the review"]);
+
+  const low = matchCards({ ...STRONG, latePayments: 2, utilization: 45, tradeLines: 0, recentInquiries: 0 }, 6)
+    .find(card => card.name === "Chase Ink Business Unlimited")!;
+  assert.equal(low.approvalOdds, "Low");
+  assert.equal(low.oddsConcerns.length, 3);
+});
+
+test("unmet revenue guidelines are concerns on the cards that underwrite on revenue", () => {
+  const cards = matchCards({ ...STRONG, annualRevenue: "20k" }, 6);
+  const boa = cards.find(card => card.issuer === "Bank of America")!;
+
+  assert.equal(boa.approvalOdds, "Low");
+  assert.deepEqual(boa.oddsConcerns, ["Revenue of $20,000 is under the $50,000 Bank of America usually expects"]);
+  assert.equal(cards[cards.length - 1], boa);
+});
@@ -0,0 +1,115 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CARD_CATALOG, matchCards, type CardMatchProfile } from "./card-catalog";
+import { countRecentInquiries, parseCreditActivity, planCardApplications, type CreditActivity } from "./card-sequencing";
+
+const TODAY = new Date("2026-10-19T15:30:00Z");
+const STRONG: CardMatchProfile = { ownerFico: 760, tradeLines: 6, creditHistory: 8, latePayments: 0, utilization: 5, annualRevenue: "$600,000" };
+const NO_ACTIVITY: CreditActivity = { recentAccounts: [], inquiries: [] };
+
+function daysBetween(a: string, b: string): number {
+  return Math.round((Date.parse(`${b}T00:00:00Z`) - Date.parse(`${a}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+function plan(activity: CreditActivity, cards = matchCards(STRONG, 5), options = {}) {
+  return planCardApplications(cards, CARD_CATALOG, activity, { today: TODAY, ...options });
+}
+
+test("parseCreditActivity keeps valid rows and fills defaults", () => {
+  const activity = parseCreditActivity({
+    recentAccounts: [{ opened: "2026-01-15", issuer: "Chase" }, { opened: "January" }, { issuer: "Amex" }],
+    inquiries: [{ date: "2026-09-01", bureau: "Experian" }, { date: "2026-09-02", bureau: "Innovis" }],
+  });
+
+  assert.deepEqual(activity.recentAccounts, [{ opened: "2026-01-15", issuer: "Chase", type: "personal" }]);
+  assert.deepEqual(activity.inquiries, [{ date: "2026-09-01", bureau: "Experian", issuer: "" }]);
+  assert.deepEqual(parseCreditActivity(null), NO_ACTIVITY);
+});
+
+test("countRecentInquiries uses the dated inquiries or the reported count, whichever is higher", () => {
+  const activity = parseCreditActivity({ inquiries: [{ date: "2026-09-01" }, { date: "2026-06-01" }, { date: "2026-01-01" }] });
+
+  assert.equal(countRecentInquiries(activity, 0, TODAY), 2);
+  assert.equal(countRecentInquiries(activity, 5, TODAY), 5);
+});
+
+test("applications are spaced 60 days apart on the same bureau and renumbered by date", () => {
+  const { cards, from } = plan(NO_ACTIVITY);
+
+  assert.equal(from, "2026-10-19");
+  // Chase 5/24 cards go first so cards that report to personal credit cannot push them over
+  assert.equal(cards[0].name, "Chase Ink Business Unlimited");
+  assert.equal(cards[0].applyDate, "2026-10-19");
+  assert.deepEqual(cards[0].scheduleNotes, ["No velocity or inquiry conflicts"]);
+  assert.deepEqual(cards.map(card => card.applyOrder), [1, 2, 3, 4, 5]);
+
+  const dates = cards.map(card => card.applyDate!);
+  assert.deepEqual(dates, [...dates].sort());
+  // Every catalog card pulls Experian
+  for (let i = 1; i < dates.length; i++) {
+    assert.ok(daysBetween(dates[i - 1], dates[i]) >= 60, `${dates[i - 1]} -> ${dates[i]}`);
+  }
+  assert.match(cards[1].scheduleNotes[0], /^Scheduled after waiting for: 60-day spacing between Experian pulls/);
+});
+
+test("a recent pull on the same bureau delays the first application", () => {
+  const activity = parseCreditActivity({ inquiries: [{ date: "2026-10-01", bureau: "Experian" }] });
+  const { cards } = plan(activity);
+
+  assert.equal(cards[0].applyDate, "2026-11-30");
+});
+
+test("Chase waits until the owner is under 5/24", () => {
+  const activity = parseCreditActivity({
+    recentAccounts: ["2025-01-10", "2025-03-01", "2025-06-01", "2025-09-01", "2026-02-01"].map(opened => ({ opened, issuer: "Citi" })),
+  });
+  const chase = plan(activity).cards.find(card => card.issuer === "Chase")!;
+
+  // The oldest account leaves the 24-month window on 2027-01-10
+  assert.equal(chase.applyDate, "2027-01-10");
+  assert.match(chase.scheduleNotes[0], /Chase 5\/24 rule \(5 new personal accounts in 24 months\)/);
+});
+
+test("business accounts do not count toward 5/24", () => {
+  const activity = parseCreditActivity({
+    recentAccounts: ["2025-01-10", "2025-03-01", "2025-06-01", "2025-09-01", "2026-02-01"].map(opened => ({ opened, issuer: "Citi", type: "business" })),
+  });
+
+  assert.equal(plan(activity).cards.find(card => card.issuer === "Chase")!.applyDate, "2026-10-19");
+});
+
+test("issuer aliases count toward the same issuer's limits", () => {
+  const activity = parseCreditActivity({
+    recentAccounts: [{ opened: "2026-09-01", issuer: "AMEX", type: "business" }, { opened: "2026-10-01", issuer: "American Express", type: "business" }],
+  });
+  const amex = plan(activity, matchCards(STRONG, 6).filter(card => card.issuer === "Amex")).cards[0];
+
+  // Two Amex cards in 90 days - the next one waits until the first is 90 days old
+  assert.equal(amex.applyDate, "2026-11-30");
+  assert.match(amex.scheduleNotes[0], /Amex limit of 2 new cards per 90 days/);
+});
+
+test("self-reported inquiries without dates are assumed to be from today", () => {
+  const chase = plan(NO_ACTIVITY, matchCards(STRONG, 5), { reportedInquiries: 4 }).cards.find(card => card.issuer === "Chase")!;
+
+  assert.equal(chase.applyDate, "2027-04-17");
+  assert.match(chase.scheduleNotes[0], /Chase inquiry tolerance \(4 hard inquiries in 6 months, 3 max\)/);
+});
+
+test("a start delay moves every application back", () => {
+  const { from, cards } = plan(NO_ACTIVITY, matchCards(STRONG, 5), { startDelayDays: 30 });
+
+  assert.equal(from, "2026-11-18");
+  assert.equal(cards[0].applyDate, "2026-11-18");
+});
+
+test("low-odds cards are held and listed after the scheduled ones", () => {
+  const cards = matchCards({ ...STRONG, annualRevenue: "20k" }, 6);
+  const planned = plan(NO_ACTIVITY, cards).cards;
+  const held = planned[planned.length - 1];
+
+  assert.equal(held.issuer, "Bank of America");
+  assert.equal(held.applyDate, null);
+  assert.match(held.scheduleNotes[0], /^On hold - approval odds are low today/);
+  assert.ok(planned.slice(0, -1).every(card => card.applyDate));
+});
@@ -0,0 +1,267 @@
+// Card application sequencing planner
+// Turns the catalog card picks into a dated application schedule from the owner's recent personal
+// accounts and inquiries, respecting issuer velocity rules (Chase 5/24, Amex and Capital One limits,
+// Bank of America 2/3/4), issuer inquiry tolerance and spacing between pulls on the same bureau.
+
+import { z } from "zod";
+import type { CardCatalogEntry, CardMatch } from "./card-catalog";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// How far ahead the planner looks for a date that satisfies every rule
+const PLAN_HORIZON_DAYS = 730;
+// Minimum gap between any two applications, and between pulls on the same bureau
+const MIN_DAYS_BETWEEN_APPLICATIONS = 30;
+const MIN_DAYS_SAME_BUREAU = 60;
+const INQUIRY_WINDOW_DAYS = 180;
+const PERSONAL_ACCOUNT_WINDOW_DAYS = 730;
+
+export const CREDIT_BUREAUS = ["Experian", "Equifax", "TransUnion"] as const;
+
+const isoDate = z.string().trim().regex(/^\d{4}-\d{2}-\d{2}$/)
+  .refine(value => !isNaN(Date.parse(`${value}T00:00:00Z`)));
+
+const recentAccountSchema = z.object({
+  opened: isoDate,
+  issuer: z.string().trim().max(60).optional().default(""),
+  // "personal" accounts appear on the owner's personal report and count toward Chase 5/24
+  type: z.enum(["personal", "business"]).optional().default("personal"),
+});
+
+const inquirySchema = z.object({
+  date: isoDate,
+  bureau: z.enum(CREDIT_BUREAUS).optional(),
+  issuer: z.string().trim().max(60).optional().default(""),
+});
+
+export type RecentAccount = z.infer<typeof recentAccountSchema>;
+export type CreditInquiry = z.infer<typeof inquirySchema>;
+
+export interface CreditActivity {
+  recentAccounts: RecentAccount[];
+  inquiries: CreditInquiry[];
+}
+
+export interface ScheduledCard extends CardMatch {
+  // YYYY-MM-DD, or null when the card is on hold
+  applyDate: string | null;
+  scheduleNotes: string[];
+}
+
+export interface ApplicationPlan {
+  from: string;
+  personalAccounts24Months: number;
+  inquiries6Months: number;
+  cards: ScheduledCard[];
+}
+
+interface PlannedPull {
+  date: Date;
+  issuer: string;
+  bureaus: string[];
+  reportsToPersonal: boolean;
+}
+
+// Keep every valid row and drop the rest - the form sends partially filled rows
+function parseRows<T>(schema: z.ZodType<T, z.ZodTypeDef, unknown>, rows: unknown): T[] {
+  if (!Array.isArray(rows)) return [];
+  return rows.slice(0, 50).flatMap(row => {
+    const parsed = schema.safeParse(row);
+    return parsed.success ? [parsed.data] : [];
+  });
+}
+
+export function parseCreditActivity(formData: { recentAccounts?: unknown; inquiries?: unknown } | null | undefined): CreditActivity {
+  return {
+    recentAccounts: parseRows(recentAccountSchema, formData?.recentAccounts),
+    inquiries: parseRows(inquirySchema, formData?.inquiries),
+  };
+}
+
+// "American Express", "AMEX" and "amex" are the same issuer
+const ISSUER_ALIASES: Record<string, string> = {
+  americanexpress: "amex",
+  capone: "capitalone",
+  bofa: "bankofamerica",
+  boa: "bankofamerica",
+  jpmorganchase: "chase",
+  chasebank: "chase",
+  usbancorp: "usbank",
+};
+
+function normalizeIssuer(issuer: string): string {
+  const key = issuer.toLowerCase().replace(/[^a-z]/g, "");
+  return ISSUER_ALIASES[key] || key;
+}
+
+function parseIsoDate(value: string): Date {
+  return new Date(`${value}T00:00:00Z`);
+}
+
+function formatIsoDate(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date: Date, days: number): Date {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function daysBetween(a: Date, b: Date): number {
+  return Math.round((b.getTime() - a.getTime()) / DAY_MS);
+}
+
+// Within the `days` before `date` (inclusive of the date itself)
+function inWindow(eventDate: Date, date: Date, days: number): boolean {
+  const age = daysBetween(eventDate, date);
+  return age >= 0 && age < days;
+}
+
+// Hard inquiries in the 6 months before `today`: dated inquiries, or the self-reported count when it is higher
+export function countRecentInquiries(activity: CreditActivity, reportedCount: number, today: Date = new Date()): number {
+  const dated = activity.inquiries.filter(inquiry => inWindow(parseIsoDate(inquiry.date), today, INQUIRY_WINDOW_DAYS)).length;
+  return Math.max(dated, reportedCount || 0);
+}
+
+// Reasons an application on `date` would break a rule (empty when the date works)
+function findBlockers(
+  card: CardMatch,
+  entry: CardCatalogEntry | undefined,
+  date: Date,
+  history: { accounts: Array<{ date: Date; issuer: string; personal: boolean }>; inquiries: Array<{ date: Date; bureau?: string }> },
+  planned: PlannedPull[]
+): string[] {
+  const blockers: string[] = [];
+  const issuer = normalizeIssuer(card.issuer);
+  const velocity = entry?.velocity || {};
+
+  if (velocity.maxPersonalAccounts24Months !== undefined) {
+    const personal = history.accounts.filter(account => account.personal && inWindow(account.date, date, PERSONAL_ACCOUNT_WINDOW_DAYS)).length +
+      planned.filter(pull => pull.reportsToPersonal && inWindow(pull.date, date, PERSONAL_ACCOUNT_WINDOW_DAYS)).length;
+    if (personal > velocity.maxPersonalAccounts24Months) {
+      blockers.push(`${card.issuer} ${velocity.maxPersonalAccounts24Months + 1}/24 rule (${personal} new personal accounts in 24 months)`);
+    }
+  }
+
+  for (const window of velocity.issuerWindows || []) {
+    const sameIssuer = history.accounts.filter(account => account.issuer === issuer && inWindow(account.date, date, window.days)).length +
+      planned.filter(pull => pull.issuer === issuer && inWindow(pull.date, date, window.days)).length;
+    if (sameIssuer >= window.count) {
+      blockers.push(`${card.issuer} limit of ${window.count} new card${window.count === 1 ? "" : "s"} per ${window.days} days`);
+    }
+  }
+
+  if (entry) {
+    const inquiries = history.inquiries.filter(inquiry => inWindow(inquiry.date, date, INQUIRY_WINDOW_DAYS)).length +
+      planned.filter(pull => inWindow(pull.date, date, INQUIRY_WINDOW_DAYS)).length;
+    if (inquiries > entry.maxRecentInquiries) {
+      blockers.push(`${card.issuer} inquiry tolerance (${inquiries} hard inquiries in 6 months, ${entry.maxRecentInquiries} max)`);
+    }
+  }
+
+  for (const bureau of card.bureausPulled) {
+    const clustered = history.inquiries.some(inquiry => inquiry.bureau === bureau && Math.abs(daysBetween(inquiry.date, date)) < MIN_DAYS_SAME_BUREAU) ||
+      planned.some(pull => pull.bureaus.includes(bureau) && Math.abs(daysBetween(pull.date, date)) < MIN_DAYS_SAME_BUREAU);
+    if (clustered) {
+      blockers.push(`${MIN_DAYS_SAME_BUREAU}-day spacing between ${bureau} pulls`);
+    }
+  }
+
+  if (planned.some(pull => Math.abs(daysBetween(pull.date, date)) < MIN_DAYS_BETWEEN_APPLICATIONS)) {
+    blockers.push(`${MIN_DAYS_BETWEEN_APPLICATIONS}-day spacing between applications`);
+  }
+
+  return blockers;
+}
+
+export interface PlanOptions {
+  today?: Date;
+  // Self-reported hard inquiries in the last 6 months; any not listed with a date are assumed to be from today
+  reportedInquiries?: number;
+  // Delay the first application (e.g. one statement cycle so lower balances report first)
+  startDelayDays?: number;
+}
+
+// Schedule the catalog picks: low-odds cards are held, the rest get the earliest date that satisfies every
+// rule, then the schedule is renumbered by date. Cards limited by 5/24 go first so cards that report to
+// personal credit cannot push them over the limit.
+export function planCardApplications(
+  cards: CardMatch[],
+  catalog: CardCatalogEntry[],
+  activity: CreditActivity,
+  options: PlanOptions = {}
+): ApplicationPlan {
+  const now = options.today || new Date();
+  const today = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const from = addDays(today, options.startDelayDays || 0);
+
+  const history = {
+    accounts: activity.recentAccounts.map(account => ({
+      date: parseIsoDate(account.opened),
+      issuer: normalizeIssuer(account.issuer),
+      personal: account.type === "personal",
+    })),
+    inquiries: activity.inquiries.map(inquiry => ({ date: parseIsoDate(inquiry.date), bureau: inquiry.bureau as string | undefined })),
+  };
+  const datedInquiries = history.inquiries.filter(inquiry => inWindow(inquiry.date, today, INQUIRY_WINDOW_DAYS)).length;
+  for (let i = datedInquiries; i < (options.reportedInquiries || 0); i++) {
+    history.inquiries.push({ date: today, bureau: undefined });
+  }
+
+  const findEntry = (card: CardMatch) => catalog.find(entry => entry.product === card.name);
+  const order = [...cards].sort((a, b) =>
+    Number(findEntry(b)?.velocity.maxPersonalAccounts24Months !== undefined) - Number(findEntry(a)?.velocity.maxPersonalAccounts24Months !== undefined) ||
+    a.applyOrder - b.applyOrder);
+
+  const planned: PlannedPull[] = [];
+  const scheduled: ScheduledCard[] = [];
+
+  for (const card of order) {
+    if (card.approvalOdds === "Low") {
+      scheduled.push({ ...card, applyDate: null, scheduleNotes: ["On hold - approval odds are low today. Improve the profile and re-run the plan before applying."] });
+      continue;
+    }
+
+    const entry = findEntry(card);
+    const waitedFor = new Set<string>();
+    let date: Date | null = null;
+    for (let offset = 0; offset <= PLAN_HORIZON_DAYS; offset++) {
+      const candidate = addDays(from, offset);
+      const blockers = findBlockers(card, entry, candidate, history, planned);
+      if (blockers.length === 0) {
+        date = candidate;
+        break;
+      }
+      blockers.forEach(blocker => waitedFor.add(blocker));
+    }
+
+    if (!date) {
+      scheduled.push({ ...card, applyDate: null, scheduleNotes: [`On hold - no date in the next 24 months satisfies: ${Array.from(waitedFor).join("; ")}`] });
+      continue;
+    }
+
+    planned.push({
+      date,
+      issuer: normalizeIssuer(card.issuer),
+      bureaus: card.bureausPulled,
+      reportsToPersonal: card.reportsToPersonal,
+    });
+    scheduled.push({
+      ...card,
+      applyDate: formatIsoDate(date),
+      scheduleNotes: waitedFor.size > 0
+        ? [`Scheduled after waiting for: ${Array.from(waitedFor).join("; ")}`]
+        : ["No velocity or inquiry conflicts"],
+    });
+  }
+
+  scheduled.sort((a, b) =>
+    a.applyDate && b.applyDate ? a.applyDate.localeCompare(b.applyDate) || a.applyOrder - b.applyOrder
+      : a.applyDate ? -1 : b.applyDate ? 1 : a.applyOrder - b.applyOrder);
+
+  return {
+    from: formatIsoDate(from),
+    personalAccounts24Months: history.accounts.filter(account => account.personal && inWindow(account.date, today, PERSONAL_ACCOUNT_WINDOW_DAYS)).length,
+    inquiries6Months: history.inquiries.filter(inquiry => inWindow(inquiry.date, today, INQUIRY_WINDOW_DAYS)).length,
+    cards: scheduled.map((card, index) => ({ ...card, applyOrder: index + 1 })),
+  };
+}
@@ -0,0 +1,60 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { csvCell, escapeIcsText, foldIcsLine } from "./export-formats";
+
+test("csvCell quotes commas, quotes and line breaks", () => {
+  assert.equal(csvCell("Uline"), "Uline");
+  assert.equal(csvCell("Acme, Inc."), '"Acme, Inc."');
+  assert.equal(csvCell('The "Best" Vendor'), '"The ""Best"" Vendor"');
+  assert.equal(csvCell("line one\nline two"), '"line one\nline two"');
+});
+
+test("csvCell writes blanks for null and undefined and keeps numbers", () => {
+  assert.equal(csvCell(undefined), "");
+  assert.equal(csvCell(null), "");
+  assert.equal(csvCell(1250), "1250");
+});
+
+test("csvCell neutralizes values a spreadsheet would run as a formula", () => {
+  assert.equal(csvCell("=HYPERLINK(\"http://x\")"), `"'=HYPERLINK(""http://x"")"`);
+  assert.equal(csvCell("+1 555 0100"), "'+1 555 0100");
+  assert.equal(csvCell("-250"), "'-250");
+  assert.equal(csvCell("@SUM(A1)"), "'@SUM(A1)");
+  assert.equal(csvCell("Net 30 - Quill"), "Net 30 - Quill");
+});
+
+test("escapeIcsText escapes the characters RFC 5545 reserves", () => {
+  assert.equal(escapeIcsText("a\\b;c,d\r\ne\nf"), "a\\\\b\\;c\\,d\\ne\\nf");
+});
+
+function octets(value: string): number {
+  return Buffer.byteLength(value, "utf8");
+}
+
+test("foldIcsLine leaves lines of 75 octets alone", () => {
+  const line = `SUMMARY:${"x".repeat(67)}`;
+  assert.equal(octets(line), 75);
+  assert.equal(foldIcsLine(line), line);
+});
+
+test("foldIcsLine folds on octets, not UTF-16 units", () => {
+  const line = `DESCRIPTION:${"é".repeat(60)}`;
+  const parts = foldIcsLine(line).split("\r\n");
+
+  assert.ok(parts.length > 1);
+  parts.forEach(part => assert.ok(octets(part) <= 75, `${octets(part)} octets: ${part}`));
+  assert.equal(parts.map((part, index) => index === 0 ? part : part.slice(1)).join(""), line);
+  parts.slice(1).forEach(part => assert.ok(part.startsWith(" ")));
+});
+
+test("foldIcsLine never splits a surrogate pair", () => {
+  const line = `SUMMARY:${"💳".repeat(40)}`;
+  const parts = foldIcsLine(line).split("\r\n ");
+
+  parts.forEach((part, index) => {
+    assert.ok(octets(part) <= (index === 0 ? 75 : 74));
+    assert.ok(!/[\uD800-\uDBFF]$/.test(part), "part ends in a lone high surrogate");
+    assert.ok(!/^[\uDC00-\uDFFF]/.test(part), "part starts with a lone low surrogate");
+  });
+  assert.equal(parts.join(""), line);
+});
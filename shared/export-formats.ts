@@ -0,0 +1,43 @@
+// Export formats
+// CSV cells and iCalendar (RFC 5545) text lines for the downloads the app produces - the BOIR filing
+// package, the compliance calendar and the payment calendar. No Node APIs, so the browser bundles can use it.
+
+// Quote a CSV cell when needed, and neutralize values a spreadsheet would run as a formula
+export function csvCell(value: string | number | undefined | null): string {
+  let text = value === undefined || value === null ? "" : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Escape the characters RFC 5545 TEXT values reserve
+export function escapeIcsText(value: string): string {
+  return value
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+function utf8Length(codePoint: number): number {
+  return codePoint <= 0x7f ? 1 : codePoint <= 0x7ff ? 2 : codePoint <= 0xffff ? 3 : 4;
+}
+
+// Lines longer than 75 octets are folded with CRLF + space, never inside a character
+export function foldIcsLine(line: string): string {
+  const parts: string[] = [];
+  let current = "";
+  let octets = 0;
+  for (const char of line) {
+    const length = utf8Length(char.codePointAt(0)!);
+    // Continuation lines start with the folding space, leaving 74 octets of content
+    if (octets + length > (parts.length === 0 ? 75 : 74)) {
+      parts.push(current);
+      current = "";
+      octets = 0;
+    }
+    current += char;
+    octets += length;
+  }
+  parts.push(current);
+  return parts.join("\r\n ");
+}
@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  FILING_PROFILES,
+  FILING_PROFILE_PACKS,
+  entityTypeMatches,
+  loadFilingProfiles,
+  rankFilingProfiles,
+  resolveFilingProfile,
+  resolveProfile,
+  validateFilingProfiles,
+} from "./filing-profiles";
+
+test("every bundled pack validates", () => {
+  const result = validateFilingProfiles(FILING_PROFILE_PACKS);
+
+  assert.equal(result.success, true, result.issues.join("\n"));
+  assert.equal(Object.keys(FILING_PROFILES).length, FILING_PROFILE_PACKS.length);
+});
+
+test("validateFilingProfiles reports duplicate slugs and dangling suggestedItems", () => {
+  const pack = FILING_PROFILES.annual_report_ca;
+  const result = validateFilingProfiles([pack, pack, { ...pack, slug: "broken", suggestedItems: ["missing"] }]);
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.issues, [
+    "annual_report_ca: duplicate slug",
+    'broken: suggestedItems references unknown checklist id "missing"',
+  ]);
+});
+
+test("validateFilingProfiles rejects unknown fields and bad recurrence rules", () => {
+  const pack = FILING_PROFILES.annual_report_ca;
+  const result = validateFilingProfiles([
+    { ...pack, slug: "typo", notes: "unknown field" },
+    { ...pack, slug: "bad_rule", recurrence: { ...pack.recurrence, rules: [{ frequency: "monthly", due: { type: "anchor" } }] } },
+  ]);
+
+  assert.equal(result.success, false);
+  assert.ok(result.issues.some(issue => issue.startsWith("typo: (root): Unrecognized key")));
+  assert.ok(result.issues.some(issue => issue.startsWith("bad_rule: recurrence.rules.0.frequency: ")));
+});
+
+test("loadFilingProfiles throws with every issue listed", () => {
+  const pack = FILING_PROFILES.annual_report_ca;
+
+  assert.throws(
+    () => loadFilingProfiles([pack, pack]),
+    { message: "Invalid filing profiles:\n  - annual_report_ca: duplicate slug" }
+  );
+});
+
+test("a state-specific profile outranks the generic one", () => {
+  const [best, next] = rankFilingProfiles("Annual Report", "California", "LLC");
+
+  assert.equal(best.profile.slug, "annual_report_ca");
+  assert.equal(best.matchType, "specific");
+  assert.equal(best.score, 60 + 30 + 15);
+  assert.deepEqual(best.reasons, ['filing type matches "Annual Report"', "covers California (CA)", "entity type LLC is covered"]);
+  assert.equal(next.profile.slug, "annual_report_generic");
+  assert.equal(next.score, 60 + 10 + 15);
+});
+
+test("states are matched by name or abbreviation, falling back to the generic profile", () => {
+  assert.equal(resolveProfile("annual report", "ca", "LLC")?.slug, "annual_report_ca");
+  assert.equal(resolveProfile("Annual Report", "DE", "Corporation")?.slug, "annual_report_de");
+
+  const generic = resolveFilingProfile("Annual Report", "Texas", "LLC")!;
+  assert.equal(generic.profile.slug, "annual_report_generic");
+  assert.equal(generic.isGeneric, true);
+  assert.equal(generic.reasons[1], "applies in any jurisdiction, including Texas (TX)");
+});
+
+test("partial filing types match on their significant words", () => {
+  const [best] = rankFilingProfiles("SAM", "", "LLC");
+
+  assert.equal(best.profile.slug, "sam_registration");
+  assert.equal(best.score, 45 + 10 + 15);
+  assert.equal(rankFilingProfiles("BOIR filing", "Texas", "LLC")[0].profile.slug, "boir");
+});
+
+test("an unknown entity type still matches, without the entity points", () => {
+  const [best] = rankFilingProfiles("Annual Report", "CA", "Cooperative");
+
+  assert.equal(best.profile.slug, "annual_report_ca");
+  assert.equal(best.score, 90);
+  assert.equal(best.reasons[2], 'entity type "Cooperative" is not listed for this profile');
+});
+
+test("no filing type or an unrelated one matches nothing", () => {
+  assert.deepEqual(rankFilingProfiles("", "CA", "LLC"), []);
+  assert.deepEqual(rankFilingProfiles("Liquor License", "CA", "LLC"), []);
+  assert.equal(resolveProfile("Liquor License", "CA", "LLC"), null);
+});
+
+test("entityTypeMatches understands aliases and corporation subtypes", () => {
+  assert.equal(entityTypeMatches("limited liability company", ["LLC"]), true);
+  assert.equal(entityTypeMatches("S Corp", ["Corporation"]), true);
+  assert.equal(entityTypeMatches("C-Corporation", ["LLC", "Corporation"]), true);
+  assert.equal(entityTypeMatches("Corporation", ["S-Corporation"]), false);
+  assert.equal(entityTypeMatches("Sole Prop", ["LLC"]), false);
+  assert.equal(entityTypeMatches("Cooperative", ["Cooperative"]), false);
+});
@@ -0,0 +1,73 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { FUNDABILITY_MODEL_VERSION, scoreFormData, scoreFundability } from "./fundability";
+
+test("an empty form scores 0 with every factor marked Not provided", () => {
+  const result = scoreFormData({})!;
+
+  assert.equal(result.score, 0);
+  assert.equal(result.level, "Low");
+  assert.ok(result.factors.every(factor => factor.value === "Not provided" && factor.points === 0));
+  assert.equal(result.modelVersion, FUNDABILITY_MODEL_VERSION);
+});
+
+test("blank strings are missing inputs, not zeros in the best band", () => {
+  const result = scoreFormData({ ownerFico: "", utilization: "", tradeLines: "", latePayments: "", annualRevenue: "" })!;
+
+  assert.equal(result.score, 0);
+  const utilization = result.factors.find(factor => factor.factor === "Credit utilization")!;
+  assert.equal(utilization.value, "Not provided");
+  assert.notEqual(utilization.detail, "Excellent utilization");
+});
+
+test("a FICO or revenue of 0 counts as left blank", () => {
+  const result = scoreFundability({ ownerFico: 0, annualRevenue: "$0", utilization: 0, latePayments: 0 });
+  const byFactor = Object.fromEntries(result.factors.map(factor => [factor.factor, factor]));
+
+  assert.equal(byFactor["Owner FICO"].value, "Not provided");
+  assert.equal(byFactor["Annual revenue"].value, "Not provided");
+  // A real 0% utilization and no late payments are the best bands
+  assert.equal(byFactor["Credit utilization"].points, 20);
+  assert.equal(byFactor["Late payments (90 days)"].points, 10);
+});
+
+test("missing factors become levers worth their lowest band", () => {
+  const result = scoreFundability({ ownerFico: 760, utilization: 5, tradeLines: 12, latePayments: 0 });
+
+  assert.equal(result.score, 90);
+  assert.deepEqual(result.levers, [{ factor: "Annual revenue", action: "Add annual revenue to the profile", points: 3 }]);
+});
+
+test("a late-payment count left blank is not a lever (its lowest band is worth 0)", () => {
+  const result = scoreFundability({ ownerFico: 760, utilization: 5, tradeLines: 12, annualRevenue: "1.2M" });
+
+  assert.equal(result.factors.find(factor => factor.factor === "Late payments (90 days)")!.value, "Not provided");
+  assert.ok(!result.levers.some(lever => lever.factor === "Late payments (90 days)"));
+});
+
+test("a strong profile scores 100 and has no levers", () => {
+  const result = scoreFundability({ ownerFico: 760, utilization: 5, tradeLines: 12, latePayments: 0, annualRevenue: "$750,000" });
+
+  assert.equal(result.score, 100);
+  assert.equal(result.level, "High");
+  assert.deepEqual(result.levers, []);
+  assert.equal(result.factors.find(factor => factor.factor === "Annual revenue")!.value, "$750,000");
+});
+
+test("levers move each factor one band up, biggest first, top three", () => {
+  const result = scoreFundability({ ownerFico: 650, utilization: 45, tradeLines: 4, latePayments: 1, annualRevenue: "120k" });
+
+  assert.equal(result.score, 20 + 10 + 10 + 5 + 5);
+  assert.equal(result.level, "Medium");
+  assert.deepEqual(result.levers.map(lever => [lever.factor, lever.points]), [
+    ["Owner FICO", 10],
+    ["Credit utilization", 5],
+    ["Trade lines", 5],
+  ]);
+});
+
+test("scoreFormData returns null for anything but a form-data object", () => {
+  assert.equal(scoreFormData(null), null);
+  assert.equal(scoreFormData("760"), null);
+  assert.equal(scoreFormData({ ownerFico: 900 }), null);
+});
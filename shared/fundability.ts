@@ -0,0 +1,191 @@
+// Fundability index
+// A 0-100 score for how ready the business is to qualify for funding, computed on the server so every
+// report, the PDF and the roadmap prompt use the same number. Each factor reports what it contributed and
+// the levers list what moving each factor to its next band would add. Bump FUNDABILITY_MODEL_VERSION
+// whenever the bands or points change - saved reports record the version that scored them.
+// A factor the owner left blank scores 0 points as "Not provided" rather than landing in any band.
+
+import { z } from "zod";
+import { formatDollars, parseDollarAmount } from "./card-catalog";
+
+export const FUNDABILITY_MODEL_VERSION = "fundability-2";
+
+// Blank inputs arrive as "" - treat them as missing
+const optionalNumber = (max: number) => z.preprocess(
+  value => value === "" || value === null ? undefined : value,
+  z.coerce.number().min(0).max(max).optional()
+);
+
+export const fundabilityInputSchema = z.object({
+  ownerFico: optionalNumber(850),
+  utilization: optionalNumber(100),
+  tradeLines: optionalNumber(1000),
+  latePayments: optionalNumber(1000),
+  annualRevenue: z.union([z.string(), z.number()]).optional(),
+});
+
+export type FundabilityInput = z.infer<typeof fundabilityInputSchema>;
+
+export type FundabilityLevel = "High" | "Medium" | "Low";
+
+export interface FundabilityFactor {
+  factor: string;
+  value: string;
+  points: number;
+  maxPoints: number;
+  detail: string;
+}
+
+export interface FundabilityLever {
+  factor: string;
+  action: string;
+  // Points the index would gain
+  points: number;
+}
+
+export interface FundabilityResult {
+  score: number;
+  level: FundabilityLevel;
+  // Typical terms at this level
+  estRate: string;
+  estTerm: string;
+  message: string;
+  factors: FundabilityFactor[];
+  // Biggest improvements first
+  levers: FundabilityLever[];
+  modelVersion: string;
+}
+
+// Each factor's bands, best first: the first band whose test passes sets the points
+interface Band {
+  test: (value: number) => boolean;
+  points: number;
+  detail: string;
+  // What it takes to reach this band, for the levers
+  action: string;
+}
+
+const FACTORS: Array<{ key: keyof FundabilityInput; label: string; maxPoints: number; format: (value: number) => string; provideAction: string; bands: Band[] }> = [
+  {
+    key: "ownerFico",
+    label: "Owner FICO",
+    maxPoints: 40,
+    format: value => String(value),
+    provideAction: "Add the owner FICO to the profile",
+    bands: [
+      { test: v => v >= 720, points: 40, detail: "Excellent credit score", action: "Raise the owner FICO to 720+" },
+      { test: v => v >= 680, points: 30, detail: "Good credit score", action: "Raise the owner FICO to 680+" },
+      { test: v => v >= 640, points: 20, detail: "Fair credit score", action: "Raise the owner FICO to 640+" },
+      { test: () => true, points: 10, detail: "Credit score needs improvement", action: "" },
+    ],
+  },
+  {
+    key: "utilization",
+    label: "Credit utilization",
+    maxPoints: 20,
+    format: value => `${value}%`,
+    provideAction: "Add credit utilization (or the account ledger) to the profile",
+    bands: [
+      { test: v => v <= 10, points: 20, detail: "Excellent utilization", action: "Pay revolving balances down to 10% or less" },
+      { test: v => v <= 30, points: 15, detail: "Good utilization", action: "Pay revolving balances down to 30% or less" },
+      { test: v => v <= 50, points: 10, detail: "High utilization", action: "Pay revolving balances down to 50% or less" },
+      { test: () => true, points: 5, detail: "Very high utilization", action: "" },
+    ],
+  },
+  {
+    key: "tradeLines",
+    label: "Trade lines",
+    maxPoints: 20,
+    format: value => String(value),
+    provideAction: "Add the number of reporting trade lines to the profile",
+    bands: [
+      { test: v => v >= 10, points: 20, detail: "Strong tradeline history", action: "Build to 10+ reporting trade lines" },
+      { test: v => v >= 5, points: 15, detail: "Good tradeline mix", action: "Build to 5+ reporting trade lines" },
+      { test: v => v >= 3, points: 10, detail: "Building tradelines", action: "Build to 3+ reporting trade lines" },
+      { test: () => true, points: 5, detail: "Limited tradelines", action: "" },
+    ],
+  },
+  {
+    key: "latePayments",
+    label: "Late payments (90 days)",
+    maxPoints: 10,
+    format: value => String(value),
+    provideAction: "Add the number of recent late payments to the profile",
+    bands: [
+      { test: v => v === 0, points: 10, detail: "Perfect payment history", action: "Bring every account current with no new late payments" },
+      { test: v => v <= 2, points: 5, detail: "Recent late payments", action: "Get down to 2 or fewer recent late payments" },
+      { test: () => true, points: 0, detail: "Multiple late payments", action: "" },
+    ],
+  },
+  {
+    key: "annualRevenue",
+    label: "Annual revenue",
+    maxPoints: 10,
+    format: formatDollars,
+    provideAction: "Add annual revenue to the profile",
+    bands: [
+      { test: v => v >= 500_000, points: 10, detail: "Strong revenue", action: "Grow documented revenue to $500,000+" },
+      { test: v => v >= 250_000, points: 7, detail: "Good revenue", action: "Grow documented revenue to $250,000+" },
+      { test: v => v >= 100_000, points: 5, detail: "Moderate revenue", action: "Grow documented revenue to $100,000+" },
+      { test: () => true, points: 3, detail: "Limited revenue", action: "" },
+    ],
+  },
+];
+
+const LEVELS: Array<{ min: number; level: FundabilityLevel; estRate: string; estTerm: string; message: string }> = [
+  { min: 75, level: "High", estRate: "6-9%", estTerm: "5-7 years", message: "Strong qualification for traditional SBA or bank loans" },
+  { min: 50, level: "Medium", estRate: "10-15%", estTerm: "3-5 years", message: "Likely to qualify for alternative lenders or smaller amounts" },
+  { min: 0, level: "Low", estRate: "18-30%", estTerm: "1-3 years", message: "May need collateral, co-signer, or credit improvement first" },
+];
+
+// The factor's value, or undefined when it was left blank (a FICO or revenue of 0 is treated as blank)
+function factorValue(input: FundabilityInput, key: keyof FundabilityInput): number | undefined {
+  if (key === "annualRevenue") return parseDollarAmount(input.annualRevenue) || undefined;
+  if (key === "ownerFico") return input.ownerFico || undefined;
+  return input[key];
+}
+
+export function scoreFundability(input: FundabilityInput): FundabilityResult {
+  const factors: FundabilityFactor[] = [];
+  const levers: FundabilityLever[] = [];
+
+  for (const { key, label, maxPoints, format, provideAction, bands } of FACTORS) {
+    const value = factorValue(input, key);
+    if (value === undefined) {
+      factors.push({ factor: label, value: "Not provided", points: 0, maxPoints, detail: "Left blank on the profile" });
+      // Providing it earns at least the lowest band's points
+      const worst = bands[bands.length - 1];
+      if (worst.points > 0) levers.push({ factor: label, action: provideAction, points: worst.points });
+      continue;
+    }
+
+    const index = bands.findIndex(band => band.test(value));
+    const band = bands[index];
+    factors.push({ factor: label, value: format(value), points: band.points, maxPoints, detail: band.detail });
+
+    if (index > 0) {
+      const next = bands[index - 1];
+      levers.push({ factor: label, action: next.action, points: next.points - band.points });
+    }
+  }
+
+  const score = factors.reduce((sum, factor) => sum + factor.points, 0);
+  const { level, estRate, estTerm, message } = LEVELS.find(entry => score >= entry.min)!;
+
+  return {
+    score,
+    level,
+    estRate,
+    estTerm,
+    message,
+    factors,
+    levers: levers.sort((a, b) => b.points - a.points).slice(0, 3),
+    modelVersion: FUNDABILITY_MODEL_VERSION,
+  };
+}
+
+// Score the form data of a generate request or saved report; null when it is not a form-data object
+export function scoreFormData(formData: unknown): FundabilityResult | null {
+  const parsed = fundabilityInputSchema.safeParse(formData);
+  return parsed.success ? scoreFundability(parsed.data) : null;
+}
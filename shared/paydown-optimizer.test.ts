@@ -0,0 +1,117 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseLedger } from "./tradeline-ledger";
+import {
+  balanceUnder,
+  dateInMonth,
+  nextStatementDates,
+  optimizePaydown,
+  paydownCardsFromLedger,
+  type PaydownCard,
+} from "./paydown-optimizer";
+
+const TODAY = new Date("2026-10-19T12:00:00Z");
+
+test("balanceUnder is the highest whole-dollar balance strictly under the threshold", () => {
+  assert.equal(balanceUnder(1000, 30), 299);
+  assert.equal(balanceUnder(1001, 30), 300);
+  assert.equal(balanceUnder(5, 10), 0);
+});
+
+test("dateInMonth uses the last day of short months", () => {
+  assert.equal(dateInMonth(2026, 3, 31).toISOString().slice(0, 10), "2026-04-30");
+  assert.equal(dateInMonth(2026, 1, 30).toISOString().slice(0, 10), "2026-02-28");
+  assert.equal(dateInMonth(2026, 12, 15).toISOString().slice(0, 10), "2027-01-15");
+});
+
+test("nextStatementDates pays three days before the next statement that can still be paid ahead of", () => {
+  assert.deepEqual(nextStatementDates(25, TODAY), { statementDate: "2026-10-25", payBy: "2026-10-22" });
+  // The 21st is too close - pay ahead of November's statement instead
+  assert.deepEqual(nextStatementDates(21, TODAY), { statementDate: "2026-11-21", payBy: "2026-11-18" });
+  assert.deepEqual(nextStatementDates(22, TODAY), { statementDate: "2026-10-22", payBy: "2026-10-19" });
+  assert.equal(nextStatementDates(undefined, TODAY), null);
+});
+
+test("paydownCardsFromLedger keeps only open revolving accounts with a limit", () => {
+  const cards = paydownCardsFromLedger(parseLedger([
+    { creditor: "Chase Ink", type: "card", limit: 5000, balance: 2000, apr: 22, statementDay: 5 },
+    { creditor: "No limit", type: "card", balance: 300 },
+    { creditor: "Closed", type: "card", limit: 2000, balance: 0, status: "closed" },
+    { creditor: "Uline", type: "net30", limit: 1000, balance: 500 },
+  ]));
+
+  assert.deepEqual(cards, [{ creditor: "Chase Ink", limit: 5000, balance: 2000, apr: 22, statementDay: 5 }]);
+});
+
+test("thresholds strategy spends cash on the cheapest threshold crossings first", () => {
+  const cards: PaydownCard[] = [
+    { creditor: "A", limit: 1000, balance: 320, apr: 20, statementDay: 25 },
+    { creditor: "B", limit: 10000, balance: 3500, apr: 25, statementDay: 25 },
+  ];
+  const plan = optimizePaydown(cards, 100, "thresholds", TODAY);
+
+  // $21 takes A under 30%, the rest goes to the higher APR
+  assert.equal(plan.payments[0].payment, 21);
+  assert.equal(plan.payments[0].newBalance, 299);
+  assert.match(plan.payments[0].reason, /under 30%/);
+  assert.equal(plan.payments[1].payment, 79);
+  assert.match(plan.payments[1].reason, /25% APR/);
+  assert.equal(plan.cashUsed, 100);
+  assert.equal(plan.cashLeft, 0);
+  assert.equal(plan.payments[0].payBy, "2026-10-22");
+});
+
+test("thresholds strategy reports leftover cash once every balance is paid", () => {
+  const plan = optimizePaydown([{ creditor: "A", limit: 1000, balance: 50 }], 500, "thresholds", TODAY);
+
+  assert.equal(plan.cashUsed, 50);
+  assert.equal(plan.cashLeft, 450);
+  assert.equal(plan.overallAfter, 0);
+  assert.ok(plan.notes.some(note => note.includes("$450 is left over")));
+  assert.ok(plan.notes.some(note => note.includes("statement closing day")));
+});
+
+test("azeo zeroes every card but the highest limit one, which keeps a small balance", () => {
+  const cards: PaydownCard[] = [
+    { creditor: "Small", limit: 1000, balance: 200 },
+    { creditor: "Keeper", limit: 10000, balance: 2000 },
+    { creditor: "Mid", limit: 3000, balance: 600 },
+  ];
+  const plan = optimizePaydown(cards, 5000, "azeo", TODAY);
+
+  assert.equal(plan.keeper, "Keeper");
+  assert.equal(plan.payments[0].newBalance, 0);
+  assert.equal(plan.payments[2].newBalance, 0);
+  assert.equal(plan.payments[1].newBalance, balanceUnder(10000, 10));
+  assert.match(plan.payments[1].reason, /under 10%/);
+});
+
+test("azeo with too little cash zeroes the smallest balances and puts the rest on the largest", () => {
+  const cards: PaydownCard[] = [
+    { creditor: "Keeper", limit: 10000, balance: 500 },
+    { creditor: "Small", limit: 1000, balance: 100 },
+    { creditor: "Large", limit: 3000, balance: 900 },
+  ];
+  const plan = optimizePaydown(cards, 300, "azeo", TODAY);
+
+  assert.equal(plan.payments[1].payment, 100);
+  assert.equal(plan.payments[2].payment, 200);
+  assert.equal(plan.payments[2].reason, "partial paydown");
+  assert.equal(plan.payments[0].payment, 0);
+  assert.equal(plan.cashLeft, 0);
+});
+
+test("azeo warns when the keeper would report no balance", () => {
+  const plan = optimizePaydown([{ creditor: "Keeper", limit: 5000, balance: 0 }, { creditor: "Other", limit: 1000, balance: 100 }], 100, "azeo", TODAY);
+
+  assert.ok(plan.notes.some(note => note.startsWith("Keeper has no balance")));
+});
+
+test("optimizePaydown without cards asks for the ledger and ignores bad cash input", () => {
+  const plan = optimizePaydown([], Number.NaN, "thresholds", TODAY);
+
+  assert.equal(plan.cash, 0);
+  assert.deepEqual(plan.payments, []);
+  assert.equal(plan.keeper, null);
+  assert.match(plan.notes[0], /account ledger/);
+});
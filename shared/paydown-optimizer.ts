@@ -0,0 +1,260 @@
+// Utilization paydown optimizer
+// Splits the cash available for paydowns across the revolving accounts in the ledger so the balances that
+// get reported are as low as possible: overall utilization drops by the same amount wherever a dollar goes,
+// so the plan spends it where it also moves a card under a per-card threshold (90/50/30/10%), or zeroes
+// every card but one ("all zero except one"). Payments are dated a few days before each statement closes.
+// Bundled for the browser as public/paydown-optimizer.js (npm run build:browser) for the optimizer panel.
+
+import { REVOLVING_TYPES } from "./tradeline-types";
+import type { Tradeline } from "./tradeline-ledger";
+
+export const PAYDOWN_STRATEGIES = {
+  thresholds: "Get each card under 30% and 10%",
+  azeo: "All zero except one",
+} as const;
+
+export type PaydownStrategy = keyof typeof PAYDOWN_STRATEGIES;
+
+// Per-card utilization levels scoring models bucket on, highest first
+export const UTILIZATION_THRESHOLDS = [90, 50, 30, 10] as const;
+
+// Pay this many days before the statement closes so the payment posts before the balance is reported
+export const PAY_BEFORE_STATEMENT_DAYS = 3;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export interface PaydownCard {
+  creditor: string;
+  limit: number;
+  balance: number;
+  apr?: number;
+  statementDay?: number;
+}
+
+export interface PaydownPayment extends PaydownCard {
+  payment: number;
+  newBalance: number;
+  // Percent, one decimal (rounded down)
+  utilizationBefore: number;
+  utilizationAfter: number;
+  // YYYY-MM-DD, null when the statement day is unknown
+  statementDate: string | null;
+  payBy: string | null;
+  reason: string;
+}
+
+export interface PaydownPlan {
+  strategy: PaydownStrategy;
+  cash: number;
+  cashUsed: number;
+  cashLeft: number;
+  totalLimit: number;
+  totalBalance: number;
+  // Percent, one decimal (rounded down)
+  overallBefore: number;
+  overallAfter: number;
+  // Creditor of the card left reporting a balance (azeo only)
+  keeper: string | null;
+  payments: PaydownPayment[];
+  notes: string[];
+}
+
+// Open revolving accounts with a limit - the only ones that count toward utilization
+export function paydownCardsFromLedger(entries: Tradeline[]): PaydownCard[] {
+  return entries
+    .filter(entry => entry.status !== "closed" && REVOLVING_TYPES.includes(entry.type) && (entry.limit || 0) > 0)
+    .map(entry => ({
+      creditor: entry.creditor,
+      limit: entry.limit!,
+      balance: entry.balance,
+      apr: entry.apr,
+      statementDay: entry.statementDay,
+    }));
+}
+
+// Rounded down so a balance just under a threshold never displays as the threshold itself
+function percent(balance: number, limit: number): number {
+  return limit > 0 ? Math.floor((balance / limit) * 1000) / 10 : 0;
+}
+
+// Highest whole-dollar balance that reports strictly under `threshold` percent
+export function balanceUnder(limit: number, threshold: number): number {
+  return Math.max(0, Math.ceil((limit * threshold) / 100) - 1);
+}
+
+function formatIsoDate(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
+
+// `day` of the month, or the last day for short months (a statement that closes on the 31st closes on the 30th in April)
+export function dateInMonth(year: number, month: number, day: number): Date {
+  const lastDay = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+  return new Date(Date.UTC(year, month, Math.min(day, lastDay)));
+}
+
+// The next statement that can still be paid ahead of, and the date to pay by
+export function nextStatementDates(statementDay: number | undefined, today: Date = new Date()): { statementDate: string; payBy: string } | null {
+  if (!statementDay) return null;
+  const start = new Date(Date.UTC(today.getUTCFullYear(), today.getUTCMonth(), today.getUTCDate()));
+
+  for (let offset = 0; offset < 3; offset++) {
+    const close = dateInMonth(start.getUTCFullYear(), start.getUTCMonth() + offset, statementDay);
+    const payBy = new Date(close.getTime() - PAY_BEFORE_STATEMENT_DAYS * DAY_MS);
+    if (payBy.getTime() >= start.getTime()) {
+      return { statementDate: formatIsoDate(close), payBy: formatIsoDate(payBy) };
+    }
+  }
+  return null;
+}
+
+function formatDollars(amount: number): string {
+  return `$${Math.round(amount).toLocaleString("en-US")}`;
+}
+
+// Cheapest threshold crossings first (higher APR breaks ties), so the cash moves as many cards as possible
+// under a bucket; whatever is left goes to the highest APR balances, which lowers utilization just the same
+function planThresholds(cards: PaydownCard[], cash: number, payments: number[], reasons: string[][]): number {
+  let remaining = cash;
+
+  for (;;) {
+    let best: { index: number; cost: number; threshold: number } | null = null;
+    for (let index = 0; index < cards.length; index++) {
+      const card = cards[index];
+      const balance = card.balance - payments[index];
+      const threshold = UTILIZATION_THRESHOLDS.find(level => balance > balanceUnder(card.limit, level));
+      if (threshold === undefined) continue;
+      const cost = balance - balanceUnder(card.limit, threshold);
+      if (cost > remaining) continue;
+      if (!best || cost < best.cost || (cost === best.cost && (card.apr || 0) > (cards[best.index].apr || 0))) {
+        best = { index, cost, threshold };
+      }
+    }
+    if (!best) break;
+
+    const { index, cost, threshold } = best;
+    payments[index] += cost;
+    remaining -= cost;
+    reasons[index].push(`under ${threshold}%`);
+  }
+
+  const byApr = cards.map((_, index) => index).sort((a, b) => (cards[b].apr || 0) - (cards[a].apr || 0));
+  for (const index of byApr) {
+    if (remaining <= 0) break;
+    const extra = Math.min(remaining, cards[index].balance - payments[index]);
+    if (extra <= 0) continue;
+    payments[index] += extra;
+    remaining -= extra;
+    reasons[index].push(cards[index].apr ? `extra toward the ${cards[index].apr}% APR` : "extra paydown");
+  }
+
+  return remaining;
+}
+
+// Every card but the highest limit one reports $0 (smallest balances first, so partial cash zeroes the
+// most cards), then the keeper comes down under 10% - it should still report a small balance
+function planAzeo(cards: PaydownCard[], cash: number, payments: number[], reasons: string[][], keeper: number): number {
+  let remaining = cash;
+
+  const others = cards.map((_, index) => index).filter(index => index !== keeper && cards[index].balance > 0)
+    .sort((a, b) => cards[a].balance - cards[b].balance || (cards[b].apr || 0) - (cards[a].apr || 0));
+  for (const index of others) {
+    if (cards[index].balance > remaining) continue;
+    payments[index] = cards[index].balance;
+    remaining -= cards[index].balance;
+    reasons[index].push("pay to $0");
+  }
+
+  const keeperCard = cards[keeper];
+  const target = Math.max(1, balanceUnder(keeperCard.limit, 10));
+  const cost = Math.min(remaining, Math.max(0, keeperCard.balance - target));
+  if (cost > 0) {
+    payments[keeper] = cost;
+    remaining -= cost;
+    reasons[keeper].push(keeperCard.balance - cost <= target ? "keep a small balance under 10%" : "partial paydown, keep reporting a balance");
+  }
+
+  // Cash that could not zero a whole card still lowers utilization on the largest remaining balance
+  const unpaid = others.filter(index => payments[index] === 0);
+  if (remaining > 0 && unpaid.length > 0) {
+    const index = unpaid[unpaid.length - 1];
+    const extra = Math.min(remaining, cards[index].balance);
+    payments[index] = extra;
+    remaining -= extra;
+    reasons[index].push("partial paydown");
+  }
+
+  return remaining;
+}
+
+export function optimizePaydown(
+  cards: PaydownCard[],
+  cash: number,
+  strategy: PaydownStrategy = "thresholds",
+  today: Date = new Date()
+): PaydownPlan {
+  const available = Math.max(0, Math.floor(Number(cash) || 0));
+  const totalLimit = cards.reduce((sum, card) => sum + card.limit, 0);
+  const totalBalance = cards.reduce((sum, card) => sum + card.balance, 0);
+  const payments = cards.map(() => 0);
+  const reasons: string[][] = cards.map(() => []);
+  const notes: string[] = [];
+
+  const keeper = strategy === "azeo" && cards.length > 0
+    ? cards.reduce((best, card, index) => card.limit > cards[best].limit ? index : best, 0)
+    : -1;
+
+  const remaining = cards.length === 0 ? available
+    : strategy === "azeo" ? planAzeo(cards, available, payments, reasons, keeper)
+    : planThresholds(cards, available, payments, reasons);
+
+  const planned: PaydownPayment[] = cards.map((card, index) => {
+    const newBalance = card.balance - payments[index];
+    const dates = nextStatementDates(card.statementDay, today);
+    return {
+      ...card,
+      payment: payments[index],
+      newBalance,
+      utilizationBefore: percent(card.balance, card.limit),
+      utilizationAfter: percent(newBalance, card.limit),
+      statementDate: dates?.statementDate ?? null,
+      payBy: dates?.payBy ?? null,
+      reason: reasons[index].length > 0 ? reasons[index].join(", ") : index === keeper ? "keeper - leave its balance reporting" : "no payment",
+    };
+  });
+
+  const totalAfter = planned.reduce((sum, payment) => sum + payment.newBalance, 0);
+  const overallAfter = percent(totalAfter, totalLimit);
+
+  if (cards.length === 0) {
+    notes.push("Add your credit cards and revolving lines to the account ledger with their limits and balances to get a per-card plan.");
+  } else {
+    if (planned.some(payment => payment.payment > 0 && !payment.payBy)) {
+      notes.push("Add the statement closing day to each card to get a pay-by date - paying after the statement closes does not change what is reported this month.");
+    }
+    if (overallAfter >= 30) {
+      notes.push(`Overall utilization stays at ${overallAfter}%. Getting under 30% takes ${formatDollars(totalAfter - balanceUnder(totalLimit, 30))} more.`);
+    } else if (overallAfter >= 10) {
+      notes.push(`Overall utilization is under 30%. Under 10% takes ${formatDollars(totalAfter - balanceUnder(totalLimit, 10))} more.`);
+    }
+    if (strategy === "azeo" && keeper >= 0 && planned[keeper].newBalance === 0) {
+      notes.push(`${cards[keeper].creditor} has no balance - put a small charge on it before the statement closes so one card reports a balance.`);
+    }
+    if (remaining > 0) {
+      notes.push(`${formatDollars(remaining)} is left over - every reported balance is already at the plan's target.`);
+    }
+  }
+
+  return {
+    strategy,
+    cash: available,
+    cashUsed: available - remaining,
+    cashLeft: remaining,
+    totalLimit,
+    totalBalance,
+    overallBefore: percent(totalBalance, totalLimit),
+    overallAfter,
+    keeper: keeper >= 0 ? cards[keeper].creditor : null,
+    payments: planned,
+    notes,
+  };
+}
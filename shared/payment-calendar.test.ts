@@ -0,0 +1,109 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseLedger } from "./tradeline-ledger";
+import { optimizePaydown, paydownCardsFromLedger } from "./paydown-optimizer";
+import { buildPaymentCalendar, calendarToCsv, calendarToIcs } from "./payment-calendar";
+
+const TODAY = new Date("2026-10-19T12:00:00Z");
+
+const LEDGER = parseLedger([
+  { creditor: "Chase Ink", type: "card", limit: 5000, balance: 2000, statementDay: 25, dueDay: 15 },
+  { creditor: "Uline", type: "net30", balance: 800, dueDay: 20 },
+  { creditor: "SBA loan", type: "loan", balance: 40000 },
+  { creditor: "Old card", type: "card", limit: 1000, balance: 0, status: "closed", statementDay: 1, dueDay: 1 },
+]);
+
+test("buildPaymentCalendar covers the next 90 days", () => {
+  const calendar = buildPaymentCalendar(LEDGER, { today: TODAY });
+
+  assert.equal(calendar.from, "2026-10-19");
+  assert.equal(calendar.to, "2027-01-16");
+  assert.equal(calendar.paydexTarget, 80);
+  assert.ok(calendar.events.every(event => event.date >= calendar.from && event.date <= calendar.to));
+  assert.ok(!calendar.events.some(event => event.account === "Old card"));
+});
+
+test("card paydowns land before each statement closes; the first one brings the balance under 10%", () => {
+  const paydowns = buildPaymentCalendar(LEDGER, { today: TODAY }).events.filter(event => event.kind === "paydown");
+
+  assert.deepEqual(paydowns.map(event => event.date), ["2026-10-22", "2026-11-22", "2026-12-22"]);
+  assert.equal(paydowns[0].amount, 1501);
+  assert.equal(paydowns[1].amount, null);
+  assert.match(paydowns[0].details, /Statement closes 2026-10-25/);
+});
+
+test("card payments before the calendar starts are skipped", () => {
+  const payments = buildPaymentCalendar(LEDGER, { today: TODAY }).events.filter(event => event.kind === "card-payment");
+
+  assert.deepEqual(payments.map(event => event.date), ["2026-11-13", "2026-12-13", "2027-01-13"]);
+});
+
+test("vendor invoices are paid early for the Paydex target, or today when it is too late to be early", () => {
+  const vendor = buildPaymentCalendar(LEDGER, { today: TODAY, paydexTarget: 90 }).events.filter(event => event.kind === "vendor-payment");
+
+  assert.deepEqual(vendor.map(event => event.date), ["2026-10-19", "2026-10-31", "2026-11-30", "2026-12-31"]);
+  assert.equal(vendor[0].title, "Pay the $800 invoice now");
+  assert.equal(vendor[0].amount, 800);
+  assert.equal(vendor[1].title, "Pay this month's invoice early");
+  assert.match(vendor[1].details, /Paydex at 90\+/);
+});
+
+test("events are grouped into the roadmap's 30/60/90-day phases", () => {
+  const events = buildPaymentCalendar(LEDGER, { today: TODAY }).events;
+
+  assert.equal(events.find(event => event.date === "2026-10-22")!.phase, "0-30 days");
+  assert.equal(events.find(event => event.date === "2026-11-22")!.phase, "30-60 days");
+  assert.equal(events.find(event => event.date === "2027-01-13")!.phase, "60-90 days");
+});
+
+test("the optimizer's plan sets the first paydown", () => {
+  const paydown = optimizePaydown(paydownCardsFromLedger(LEDGER), 300, "thresholds", TODAY);
+  const [first] = buildPaymentCalendar(LEDGER, { today: TODAY, paydown }).events.filter(event => event.kind === "paydown");
+
+  assert.equal(first.amount, 300);
+  assert.match(first.details, /Leave no more than \$1,700/);
+});
+
+test("accounts without due days, and late accounts, get notes", () => {
+  const calendar = buildPaymentCalendar(parseLedger([
+    ...LEDGER,
+    { creditor: "Quill", type: "net30", dueDay: 10, status: "late30" },
+  ]), { today: TODAY });
+
+  assert.ok(calendar.notes.some(note => note.startsWith("Quill is 30 days late")));
+  assert.ok(calendar.notes.some(note => note.includes("to SBA loan in the account ledger to put it on the calendar")));
+});
+
+test("only card applications inside the calendar are added", () => {
+  const calendar = buildPaymentCalendar([], {
+    today: TODAY,
+    applications: [
+      { name: "Amex Blue Business Cash", applyDate: "2026-11-02" },
+      { name: "Held card", applyDate: null },
+      { name: "Later card", applyDate: "2027-03-01" },
+    ],
+  });
+
+  assert.deepEqual(calendar.events.map(event => [event.account, event.kind]), [["Amex Blue Business Cash", "card-application"]]);
+});
+
+test("calendarToIcs writes folded all-day events", () => {
+  const calendar = buildPaymentCalendar(LEDGER, { today: TODAY });
+  const ics = calendarToIcs(calendar, TODAY);
+
+  assert.ok(ics.startsWith("BEGIN:VCALENDAR\r\n"));
+  assert.ok(ics.endsWith("END:VCALENDAR\r\n"));
+  assert.equal(ics.match(/BEGIN:VEVENT/g)!.length, calendar.events.length);
+  assert.ok(ics.includes("DTSTART;VALUE=DATE:20261022\r\nDTEND;VALUE=DATE:20261023"));
+  ics.split("\r\n").forEach(line => assert.ok(Buffer.byteLength(line, "utf8") <= 75));
+});
+
+test("calendarToCsv neutralizes formulas in creditor names", () => {
+  const csv = calendarToCsv(buildPaymentCalendar(parseLedger([
+    { creditor: "=cmd|' /C calc'!A0", type: "net30", balance: 100, dueDay: 28 },
+  ]), { today: TODAY }));
+  const [header, row] = csv.split("\n");
+
+  assert.equal(header, "Date,Timeline,Account,Action,Amount,Details");
+  assert.ok(row.startsWith("2026-10-23,0-30 days,'=cmd|' /C calc'!A0,"));
+});
@@ -0,0 +1,240 @@
+// Payment calendar
+// Dates every payment in the next 90 days from the ledger's statement closing and due days: card paydowns
+// land before the statement closes (the statement balance is what the bureaus see, not the balance on the
+// due date), vendor invoices are paid early enough to report a Paydex of 80 or better, and scheduled card
+// applications are added so the calendar follows the roadmap's 30/60/90-day action plan.
+// Bundled for the browser as public/payment-calendar.js (npm run build:browser) for the calendar panel
+// and its ICS and CSV downloads.
+
+import { PAY_BEFORE_STATEMENT_DAYS, balanceUnder, dateInMonth, type PaydownPlan } from "./paydown-optimizer";
+import { PAYMENT_STATUS_LABELS, REVOLVING_TYPES } from "./tradeline-types";
+import type { Tradeline } from "./tradeline-ledger";
+import { csvCell, escapeIcsText, foldIcsLine } from "./export-formats";
+
+// Paydex is dollar-weighted payment timing: 80 is on the due date, 90 about 20 days early, 100 about 30.
+// The 80 target still pays a few days early so the payment posts by the due date.
+export const PAYDEX_TARGETS = {
+  80: { daysEarly: 5, label: "Paydex 80 - pay just before the due date" },
+  90: { daysEarly: 20, label: "Paydex 90 - pay about 20 days early" },
+  100: { daysEarly: 30, label: "Paydex 100 - pay about 30 days early" },
+} as const;
+
+export type PaydexTarget = keyof typeof PAYDEX_TARGETS;
+
+// Same labels as the Timeline column of the roadmap CSV export
+export const CALENDAR_PHASES = ["0-30 days", "30-60 days", "60-90 days"] as const;
+
+export type CalendarPhase = typeof CALENDAR_PHASES[number];
+
+export type CalendarEventKind = "paydown" | "card-payment" | "vendor-payment" | "loan-payment" | "card-application";
+
+export interface CalendarEvent {
+  // YYYY-MM-DD
+  date: string;
+  phase: CalendarPhase;
+  kind: CalendarEventKind;
+  account: string;
+  title: string;
+  // Dollars, null when the amount depends on new charges or invoices
+  amount: number | null;
+  details: string;
+}
+
+export interface PaymentCalendar {
+  from: string;
+  to: string;
+  paydexTarget: PaydexTarget;
+  events: CalendarEvent[];
+  notes: string[];
+}
+
+export interface CalendarOptions {
+  today?: Date;
+  // The optimizer's plan sets the first paydown on each card; later months keep the same reported balance
+  paydown?: PaydownPlan | null;
+  paydexTarget?: PaydexTarget;
+  // Card picks from the roadmap (applyDate from shared/card-sequencing.ts)
+  applications?: Array<{ name: string; applyDate?: string | null }>;
+}
+
+const HORIZON_DAYS = 90;
+// Card and loan payments are made this many days before the due date so they post in time
+const PAYMENT_POSTING_DAYS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function formatIsoDate(date: Date): string {
+  return date.toISOString().slice(0, 10);
+}
+
+function addDays(date: Date, days: number): Date {
+  return new Date(date.getTime() + days * DAY_MS);
+}
+
+function formatDollars(amount: number): string {
+  return `$${Math.round(amount).toLocaleString("en-US")}`;
+}
+
+// Every occurrence of a monthly `day`, moved `leadDays` earlier, that falls inside the calendar. With
+// `catchUp`, a payment whose lead time has already started but is not yet due is moved to today.
+function monthlyDates(day: number, leadDays: number, from: Date, to: Date, catchUp = false): Array<{ date: Date; anchor: Date }> {
+  const dates: Array<{ date: Date; anchor: Date }> = [];
+  for (let offset = 0; offset <= Math.ceil(HORIZON_DAYS / 28) + 1; offset++) {
+    const anchor = dateInMonth(from.getUTCFullYear(), from.getUTCMonth() + offset, day);
+    let date = addDays(anchor, -leadDays);
+    if (catchUp && date.getTime() < from.getTime() && anchor.getTime() >= from.getTime()) date = from;
+    if (date.getTime() >= from.getTime() && date.getTime() < to.getTime()) dates.push({ date, anchor });
+  }
+  return dates;
+}
+
+export function buildPaymentCalendar(entries: Tradeline[], options: CalendarOptions = {}): PaymentCalendar {
+  const now = options.today || new Date();
+  const from = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  const to = addDays(from, HORIZON_DAYS);
+  const paydexTarget = options.paydexTarget && PAYDEX_TARGETS[options.paydexTarget] ? options.paydexTarget : 80;
+  const { daysEarly } = PAYDEX_TARGETS[paydexTarget];
+
+  const events: Array<Omit<CalendarEvent, "phase">> = [];
+  const notes: string[] = [];
+  const undated: string[] = [];
+
+  for (const entry of entries) {
+    if (entry.status === "closed") continue;
+    if (entry.status !== "current") {
+      notes.push(`${entry.creditor} is ${PAYMENT_STATUS_LABELS[entry.status].toLowerCase()} - bring it current first; on-time payments only help once the account is current.`);
+    }
+
+    if (REVOLVING_TYPES.includes(entry.type)) {
+      const limit = entry.limit || 0;
+      const planned = options.paydown?.payments.find(payment => payment.creditor === entry.creditor);
+      // Reported balance to hold each month: the optimizer's target, otherwise under 10% of the limit
+      const target = planned ? planned.newBalance : limit > 0 ? Math.min(entry.balance, balanceUnder(limit, 10)) : null;
+
+      if (entry.statementDay) {
+        monthlyDates(entry.statementDay, PAY_BEFORE_STATEMENT_DAYS, from, to).forEach(({ date, anchor }, index) => {
+          const firstPayment = index === 0 ? (planned ? planned.payment : Math.max(0, entry.balance - (target ?? entry.balance))) : 0;
+          events.push({
+            date: formatIsoDate(date),
+            kind: "paydown",
+            account: entry.creditor,
+            title: firstPayment > 0 ? `Pay ${formatDollars(firstPayment)} before the statement closes` : "Pay new charges down before the statement closes",
+            amount: firstPayment > 0 ? Math.round(firstPayment) : null,
+            details: `Statement closes ${formatIsoDate(anchor)}.${target !== null && limit > 0 ? ` Leave no more than ${formatDollars(target)} (${Math.floor((target / limit) * 1000) / 10}% of the limit) to report.` : ""}`,
+          });
+        });
+      }
+      if (entry.dueDay) {
+        monthlyDates(entry.dueDay, PAYMENT_POSTING_DAYS, from, to, true).forEach(({ date, anchor }) => {
+          events.push({
+            date: formatIsoDate(date),
+            kind: "card-payment",
+            account: entry.creditor,
+            title: "Pay the statement balance",
+            amount: null,
+            details: `Due ${formatIsoDate(anchor)}. Pay the full statement balance to avoid interest and a late payment.`,
+          });
+        });
+      }
+      if (!entry.statementDay || !entry.dueDay) undated.push(entry.creditor);
+      continue;
+    }
+
+    if (!entry.dueDay) {
+      undated.push(entry.creditor);
+      continue;
+    }
+
+    if (entry.type === "net30") {
+      monthlyDates(entry.dueDay, daysEarly, from, to, true).forEach(({ date, anchor }, index) => {
+        const early = anchor.getTime() - date.getTime() >= daysEarly * DAY_MS;
+        const invoice = index === 0 && entry.balance > 0 ? `the ${formatDollars(entry.balance)} invoice` : "this month's invoice";
+        events.push({
+          date: formatIsoDate(date),
+          kind: "vendor-payment",
+          account: entry.creditor,
+          title: `Pay ${invoice} ${early ? "early" : "now"}`,
+          amount: index === 0 && entry.balance > 0 ? Math.round(entry.balance) : null,
+          details: early
+            ? `Due ${formatIsoDate(anchor)}. Paying ${daysEarly} days early keeps the Paydex at ${paydexTarget}+.`
+            : `Due ${formatIsoDate(anchor)} - too soon to pay ${daysEarly} days early this time (on time still reports as Paydex 80).`,
+        });
+      });
+    } else {
+      monthlyDates(entry.dueDay, PAYMENT_POSTING_DAYS, from, to, true).forEach(({ date, anchor }) => {
+        events.push({
+          date: formatIsoDate(date),
+          kind: "loan-payment",
+          account: entry.creditor,
+          title: "Make the loan payment",
+          amount: null,
+          details: `Due ${formatIsoDate(anchor)}.`,
+        });
+      });
+    }
+  }
+
+  for (const application of options.applications || []) {
+    if (!application.applyDate) continue;
+    const date = new Date(`${application.applyDate}T00:00:00Z`);
+    if (isNaN(date.getTime()) || date.getTime() < from.getTime() || date.getTime() >= to.getTime()) continue;
+    events.push({
+      date: application.applyDate,
+      kind: "card-application",
+      account: application.name,
+      title: "Apply for this card",
+      amount: null,
+      details: "Scheduled in the card application plan. Apply after the paydowns above have reported.",
+    });
+  }
+
+  if (undated.length > 0) {
+    notes.push(`Add the due day (and the statement closing day for cards and revolving lines) to ${undated.join(", ")} in the account ledger to put ${undated.length === 1 ? "it" : "them"} on the calendar.`);
+  }
+
+  return {
+    from: formatIsoDate(from),
+    to: formatIsoDate(addDays(to, -1)),
+    paydexTarget,
+    events: events
+      .sort((a, b) => a.date.localeCompare(b.date) || a.account.localeCompare(b.account))
+      .map(event => {
+        const day = Math.round((Date.parse(`${event.date}T00:00:00Z`) - from.getTime()) / DAY_MS);
+        return { ...event, phase: CALENDAR_PHASES[Math.min(CALENDAR_PHASES.length - 1, Math.floor(day / 30))] };
+      }),
+    notes,
+  };
+}
+
+// All-day events, one per calendar entry
+export function calendarToIcs(calendar: PaymentCalendar, now: Date = new Date()): string {
+  const stamp = now.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Credit Commander//Payment Calendar//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    ...calendar.events.flatMap((event, index) => [
+      "BEGIN:VEVENT",
+      `UID:${event.date.replace(/-/g, "")}-${index}-${event.kind}@creditcommander`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;VALUE=DATE:${event.date.replace(/-/g, "")}`,
+      `DTEND;VALUE=DATE:${formatIsoDate(addDays(new Date(`${event.date}T00:00:00Z`), 1)).replace(/-/g, "")}`,
+      `SUMMARY:${escapeIcsText(`${event.account}: ${event.title}`)}`,
+      `DESCRIPTION:${escapeIcsText(`${event.details} (${event.phase} of the action plan)`)}`,
+      "END:VEVENT",
+    ]),
+    "END:VCALENDAR",
+  ];
+  return lines.map(foldIcsLine).join("\r\n") + "\r\n";
+}
+
+// Timeline uses the roadmap CSV's 30/60/90 labels so the two exports sort together
+export function calendarToCsv(calendar: PaymentCalendar): string {
+  const rows = [
+    ["Date", "Timeline", "Account", "Action", "Amount", "Details"],
+    ...calendar.events.map(event => [event.date, event.phase, event.account, event.title, event.amount ?? "", event.details]),
+  ];
+  return rows.map(row => row.map(csvCell).join(",")).join("\n");
+}
@@ -0,0 +1,57 @@
+// Report chat
+// Limits and the grounding prompt for follow-up questions about one saved report,
+// shared by the Express route and the Vercel function for /api/reports/:id/chat.
+
+import sanitizeHtml from "sanitize-html";
+
+// Prior messages sent to the model, and total messages per report thread
+export const CHAT_HISTORY_LIMIT = 20;
+export const MAX_CHAT_MESSAGES_PER_REPORT = 200;
+
+export interface ChatReport {
+  metadata: unknown;
+  htmlContent: string;
+}
+
+// Read the form data and roadmap stored with a saved report
+// Older reports stored the form data at the top level of metadata and no roadmap
+export function getReportContext(report: ChatReport): { formData: Record<string, unknown>; roadmap: Record<string, unknown> | null } {
+  let metadata: any = report.metadata || {};
+  if (typeof metadata === "string") {
+    try {
+      metadata = JSON.parse(metadata);
+    } catch {
+      metadata = {};
+    }
+  }
+
+  return {
+    formData: metadata.formData || metadata,
+    roadmap: metadata.roadmap || null,
+  };
+}
+
+// System prompt that grounds chat answers in one saved report
+export function buildReportChatSystemPrompt(report: ChatReport): string {
+  const { formData, roadmap } = getReportContext(report);
+
+  // Fall back to the report text when the structured roadmap wasn't saved
+  const roadmapContext = roadmap
+    ? JSON.stringify(roadmap, null, 2)
+    : sanitizeHtml(report.htmlContent, { allowedTags: [], allowedAttributes: {} }).replace(/\s+/g, " ").trim().slice(0, 12000);
+
+  return `You are Credit Commander, a business credit advisor answering follow-up questions about one saved credit roadmap.
+
+BUSINESS PROFILE (form data):
+${JSON.stringify(formData, null, 2)}
+
+SAVED ROADMAP:
+${roadmapContext}
+
+RULES:
+- Ground every answer in the profile and roadmap above; reference their actual numbers, vendors and cards
+- If the roadmap does not contain the answer (e.g. which bureaus a vendor reports to), say so plainly instead of guessing
+- For "what if" questions, explain the likely direction and size of the effect and which roadmap steps change
+- Keep answers short (under 200 words), in plain English, with no markdown headings
+- This is educational guidance, not legal or financial advice`;
+}
@@ -0,0 +1,158 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CREDIT_ROADMAP_SECTIONS,
+  applyRoadmapDefaults,
+  buildRoadmapRepairPrompt,
+  buildSectionRegenerationPrompt,
+  parseJsonObject,
+  validateRoadmap,
+  validateRoadmapSection,
+  type CreditRoadmap,
+} from "./roadmap-schema";
+
+const VENDOR = {
+  name: "Uline",
+  tier: "Starter",
+  minFico: 0,
+  reportsBureaus: ["Dun & Bradstreet"],
+  reason: "Approves most businesses with an EIN",
+  approvalOdds: "High",
+};
+
+const CARD = {
+  name: "Capital One Spark Classic",
+  issuer: "Capital One",
+  minFico: 580,
+  expectedLimit: "$500-$2,000",
+  reason: "Designed for fair credit",
+  approvalOdds: "Medium",
+  applyOrder: 1,
+};
+
+function roadmap(overrides: Record<string, unknown> = {}): Record<string, unknown> {
+  return {
+    profileSummary: "Summary",
+    quickWins: "Wins",
+    tradeLinesPlan: "Tradelines",
+    vendorRecommendations: [VENDOR],
+    cardStrategy: "Cards",
+    cardRecommendations: [CARD],
+    bankingSignals: "Banking",
+    actionPlan: "Plan",
+    riskFlags: "Risks",
+    ...overrides,
+  };
+}
+
+const DEFAULTS = roadmap({
+  profileSummary: "Default summary",
+  vendorRecommendations: [{ ...VENDOR, name: "Default vendor" }],
+  cardRecommendations: [{ ...CARD, name: "Default card" }],
+}) as CreditRoadmap;
+
+test("validateRoadmap accepts a complete roadmap and fills defaults", () => {
+  const result = validateRoadmap(roadmap({ vendorRecommendations: [{ ...VENDOR, reportsBureaus: undefined }] }));
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.data!.vendorRecommendations[0].reportsBureaus, []);
+  assert.deepEqual(result.issues, []);
+});
+
+test("validateRoadmap names the invalid sections and item paths", () => {
+  const result = validateRoadmap(roadmap({
+    quickWins: "   ",
+    vendorRecommendations: [VENDOR, { ...VENDOR, minFico: "680" }],
+    riskFlags: undefined,
+  }));
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.invalidSections, ["quickWins", "vendorRecommendations", "riskFlags"]);
+  assert.ok(result.issues.some(issue => issue.startsWith("vendorRecommendations[1].minFico: ")));
+});
+
+test("validateRoadmap reports a non-object reply at the root", () => {
+  const result = validateRoadmap("not a roadmap");
+
+  assert.equal(result.success, false);
+  assert.deepEqual(result.invalidSections, []);
+  assert.match(result.issues[0], /^\(root\): /);
+});
+
+test("validateRoadmapSection prefixes issues with the section", () => {
+  assert.equal(validateRoadmapSection("cardStrategy", "Apply in order").success, true);
+
+  const result = validateRoadmapSection("cardRecommendations", [{ ...CARD, applyOrder: 0 }]);
+  assert.equal(result.success, false);
+  assert.match(result.issues[0], /^cardRecommendations\[0\]\.applyOrder: /);
+});
+
+test("applyRoadmapDefaults keeps valid sections and replaces the rest", () => {
+  const { roadmap: repaired, fallbackFields, partialFields } = applyRoadmapDefaults(
+    roadmap({ profileSummary: "", cardRecommendations: "none" }),
+    DEFAULTS
+  );
+
+  assert.equal(repaired.profileSummary, "Default summary");
+  assert.equal(repaired.quickWins, "Wins");
+  assert.equal(repaired.cardRecommendations[0].name, "Default card");
+  assert.deepEqual(fallbackFields, ["profileSummary", "cardRecommendations"]);
+  assert.deepEqual(partialFields, []);
+});
+
+test("applyRoadmapDefaults records recommendation lists that lost invalid items", () => {
+  const { roadmap: repaired, fallbackFields, partialFields } = applyRoadmapDefaults(
+    roadmap({ vendorRecommendations: [VENDOR, { ...VENDOR, tier: "Platinum" }, { name: "Quill" }] }),
+    DEFAULTS
+  );
+
+  assert.deepEqual(repaired.vendorRecommendations.map(vendor => vendor.name), ["Uline"]);
+  assert.deepEqual(partialFields, ["vendorRecommendations"]);
+  assert.deepEqual(fallbackFields, []);
+});
+
+test("applyRoadmapDefaults falls back when every item is invalid", () => {
+  const { roadmap: repaired, fallbackFields, partialFields } = applyRoadmapDefaults(
+    roadmap({ cardRecommendations: [{ ...CARD, approvalOdds: "Certain" }] }),
+    DEFAULTS
+  );
+
+  assert.equal(repaired.cardRecommendations[0].name, "Default card");
+  assert.deepEqual(fallbackFields, ["cardRecommendations"]);
+  assert.deepEqual(partialFields, []);
+});
+
+test("applyRoadmapDefaults replaces everything for a reply that is not an object", () => {
+  const { roadmap: repaired, fallbackFields } = applyRoadmapDefaults(null, DEFAULTS);
+
+  assert.deepEqual(repaired, DEFAULTS);
+  assert.deepEqual(fallbackFields, CREDIT_ROADMAP_SECTIONS);
+});
+
+test("parseJsonObject only returns JSON objects", () => {
+  assert.deepEqual(parseJsonObject('{"quickWins":"Pay down"}'), { quickWins: "Pay down" });
+  assert.equal(parseJsonObject("[1, 2]"), null);
+  assert.equal(parseJsonObject("null"), null);
+  assert.equal(parseJsonObject("Here is your roadmap: {"), null);
+});
+
+test("buildRoadmapRepairPrompt lists at most 20 issues and the sections to return", () => {
+  const issues = Array.from({ length: 25 }, (_, index) => `issue ${index}`);
+  const prompt = buildRoadmapRepairPrompt(issues, ["quickWins", "riskFlags"]);
+
+  assert.ok(prompt.includes("- issue 19"));
+  assert.ok(!prompt.includes("- issue 20"));
+  assert.ok(prompt.includes("ONLY these corrected fields: quickWins, riskFlags."));
+});
+
+test("buildSectionRegenerationPrompt sends the other sections as context", () => {
+  const prompt = buildSectionRegenerationPrompt("ROADMAP PROMPT", roadmap({ extra: "ignored", quickWins: "Current wins" }), "quickWins", "Focus on vendors");
+  const context = JSON.parse(prompt.slice(prompt.indexOf("{"), prompt.indexOf('\n}\n') + 2));
+
+  assert.ok(prompt.startsWith("ROADMAP PROMPT\n"));
+  assert.equal(context.quickWins, undefined);
+  assert.equal(context.extra, undefined);
+  assert.equal(context.riskFlags, "Risks");
+  assert.ok(prompt.includes('The current "quickWins" section is:\n"Current wins"'));
+  assert.ok(prompt.includes("Additional instructions from the advisor: Focus on vendors"));
+});
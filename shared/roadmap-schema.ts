@@ -0,0 +1,201 @@
+// Credit Commander roadmap schema
+// Validates the AI roadmap response and fills invalid sections with defaults,
+// recording which sections fell back so advisors know when content is filler.
+
+import { z } from "zod";
+
+export const approvalOddsSchema = z.enum(["High", "Medium", "Low"]);
+
+export const vendorRecommendationSchema = z.object({
+  name: z.string().min(1),
+  tier: z.enum(["Starter", "Net-30", "Revolving"]),
+  minFico: z.number().int().min(0).max(850),
+  reportsBureaus: z.array(z.string()).default([]),
+  reason: z.string().min(1),
+  approvalOdds: approvalOddsSchema,
+  // Catalog terms (shared/vendor-catalog.ts); absent on roadmaps saved before the catalog existed
+  minTimeInBusinessMonths: z.number().int().min(0).optional(),
+  pgRequired: z.boolean().optional(),
+  netTerms: z.string().optional(),
+  minOrder: z.number().min(0).optional(),
+  matchReasons: z.array(z.string()).optional(),
+});
+
+export const cardRecommendationSchema = z.object({
+  name: z.string().min(1),
+  issuer: z.string().min(1),
+  minFico: z.number().int().min(0).max(850),
+  expectedLimit: z.string().min(1),
+  reason: z.string().min(1),
+  approvalOdds: approvalOddsSchema,
+  applyOrder: z.number().int().min(1),
+  // Catalog facts and odds reasons (shared/card-catalog.ts); absent on roadmaps saved before the catalog existed
+  bureausPulled: z.array(z.string()).optional(),
+  reportsToPersonal: z.boolean().optional(),
+  velocityRules: z.array(z.string()).optional(),
+  oddsReasons: z.array(z.string()).optional(),
+  oddsConcerns: z.array(z.string()).optional(),
+  // Application planner (shared/card-sequencing.ts) - null applyDate means the card is on hold
+  applyDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/).nullable().optional(),
+  scheduleNotes: z.array(z.string()).optional(),
+});
+
+const sectionText = z.string().trim().min(1);
+
+export const creditRoadmapSchema = z.object({
+  profileSummary: sectionText,
+  quickWins: sectionText,
+  tradeLinesPlan: sectionText,
+  vendorRecommendations: z.array(vendorRecommendationSchema).min(1),
+  cardStrategy: sectionText,
+  cardRecommendations: z.array(cardRecommendationSchema).min(1),
+  bankingSignals: sectionText,
+  actionPlan: sectionText,
+  riskFlags: sectionText,
+});
+
+export type VendorRecommendation = z.infer<typeof vendorRecommendationSchema>;
+export type CardRecommendation = z.infer<typeof cardRecommendationSchema>;
+export type CreditRoadmap = z.infer<typeof creditRoadmapSchema>;
+export type CreditRoadmapSection = keyof CreditRoadmap;
+
+// Top-level sections, in the order the model is asked to write them
+export const CREDIT_ROADMAP_SECTIONS = Object.keys(creditRoadmapSchema.shape) as CreditRoadmapSection[];
+
+export interface RoadmapValidationResult {
+  success: boolean;
+  data?: CreditRoadmap;
+  // Human-readable problems, e.g. "vendorRecommendations[1].minFico: Expected number, received string"
+  issues: string[];
+  // Top-level sections with at least one problem
+  invalidSections: CreditRoadmapSection[];
+}
+
+function formatIssuePath(path: (string | number)[]): string {
+  return path.reduce<string>((acc, part) =>
+    typeof part === "number" ? `${acc}[${part}]` : acc ? `${acc}.${part}` : part, "");
+}
+
+export function validateRoadmap(raw: unknown): RoadmapValidationResult {
+  const result = creditRoadmapSchema.safeParse(raw);
+  if (result.success) {
+    return { success: true, data: result.data, issues: [], invalidSections: [] };
+  }
+
+  const issues = result.error.issues.map(issue =>
+    `${formatIssuePath(issue.path) || "(root)"}: ${issue.message}`
+  );
+  const invalidSections = Array.from(new Set(
+    result.error.issues
+      .map(issue => issue.path[0])
+      .filter((key): key is CreditRoadmapSection => CREDIT_ROADMAP_SECTIONS.includes(key as CreditRoadmapSection))
+  ));
+
+  return { success: false, issues, invalidSections };
+}
+
+// Validate a single section, e.g. one returned by a section regeneration
+export function validateRoadmapSection(
+  section: CreditRoadmapSection,
+  value: unknown
+): { success: boolean; data?: unknown; issues: string[] } {
+  const result = creditRoadmapSchema.shape[section].safeParse(value);
+  if (result.success) {
+    return { success: true, data: result.data, issues: [] };
+  }
+
+  return {
+    success: false,
+    issues: result.error.issues.map(issue => `${formatIssuePath([section, ...issue.path])}: ${issue.message}`),
+  };
+}
+
+// Keep every valid section (and every valid recommendation), replace the rest with defaults.
+// fallbackFields lists the sections replaced by defaults, partialFields the recommendation lists that
+// kept some items but had invalid ones dropped.
+export function applyRoadmapDefaults(
+  raw: unknown,
+  defaults: CreditRoadmap
+): { roadmap: CreditRoadmap; fallbackFields: CreditRoadmapSection[]; partialFields: CreditRoadmapSection[] } {
+  const source = (raw && typeof raw === "object" ? raw : {}) as Record<string, unknown>;
+  const roadmap = { ...defaults } as Record<CreditRoadmapSection, unknown>;
+  const fallbackFields: CreditRoadmapSection[] = [];
+  const partialFields: CreditRoadmapSection[] = [];
+
+  for (const key of CREDIT_ROADMAP_SECTIONS) {
+    const value = source[key];
+
+    if (key === "vendorRecommendations" || key === "cardRecommendations") {
+      const itemSchema = key === "vendorRecommendations" ? vendorRecommendationSchema : cardRecommendationSchema;
+      const items = Array.isArray(value)
+        ? value.flatMap(item => {
+            const parsed = itemSchema.safeParse(item);
+            return parsed.success ? [parsed.data] : [];
+          })
+        : [];
+
+      if (items.length > 0) {
+        roadmap[key] = items;
+        if (items.length < (value as unknown[]).length) partialFields.push(key);
+      } else {
+        fallbackFields.push(key);
+      }
+      continue;
+    }
+
+    const parsed = creditRoadmapSchema.shape[key].safeParse(value);
+    if (parsed.success) {
+      roadmap[key] = parsed.data;
+    } else {
+      fallbackFields.push(key);
+    }
+  }
+
+  return { roadmap: roadmap as CreditRoadmap, fallbackFields, partialFields };
+}
+
+// The model's JSON reply as an object, or null when it is not a JSON object
+export function parseJsonObject(content: string): Record<string, unknown> | null {
+  try {
+    const parsed = JSON.parse(content);
+    return parsed && typeof parsed === "object" && !Array.isArray(parsed) ? parsed : null;
+  } catch {
+    return null;
+  }
+}
+
+// Targeted follow-up asking the model to fix only the sections that failed validation
+export function buildRoadmapRepairPrompt(issues: string[], sections: CreditRoadmapSection[]): string {
+  return `Your previous response did not match the required roadmap format. These problems were found:
+${issues.slice(0, 20).map(issue => `- ${issue}`).join("\n")}
+
+Return a JSON object containing ONLY these corrected fields: ${sections.join(", ")}.
+
+Format rules:
+- Text sections must be non-empty strings
+- Return ONLY valid JSON, no explanations`;
+}
+
+// Prompt for rewriting one section: the full roadmap prompt, then the other sections as context
+export function buildSectionRegenerationPrompt(
+  roadmapPrompt: string,
+  roadmap: Record<string, unknown>,
+  section: CreditRoadmapSection,
+  instructions?: string
+): string {
+  const context = Object.fromEntries(
+    Object.entries(roadmap).filter(([key]) => key !== section && CREDIT_ROADMAP_SECTIONS.includes(key as CreditRoadmapSection))
+  );
+
+  return `${roadmapPrompt}
+
+The roadmap has already been generated. Here are the other sections for context:
+${JSON.stringify(context, null, 2)}
+
+The current "${section}" section is:
+${JSON.stringify(roadmap[section] ?? null, null, 2)}
+
+Rewrite ONLY the "${section}" section. Make it stronger and more specific to this business, stay consistent with the other sections, and do not repeat their content.${instructions ? `\n\nAdditional instructions from the advisor: ${instructions}` : ""}
+
+Return a JSON object with a single "${section}" field in the same format described above.`;
+}
@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  MAX_PROJECTION_MONTHS,
+  SCORE_PROJECTION_MODEL,
+  defaultScenarios,
+  projectScenarios,
+  projectScoreAt,
+  type ProjectionProfile,
+  type ProjectionScenario,
+} from "./score-projection";
+
+const PROFILE: ProjectionProfile = { score: 650, utilization: 60, tradeLines: 2, latePayments: 2 };
+
+const HOLD: ProjectionScenario = { name: "Hold", targetUtilization: 60, newTradeLinesPerMonth: 0, resolveLatePayments: false, newInquiries: 0 };
+
+test("month 0 is today's score", () => {
+  const [current, plan] = defaultScenarios(PROFILE, 2);
+
+  assert.deepEqual(projectScoreAt(PROFILE, current, 0), { score: 650, factors: [] });
+  assert.deepEqual(projectScoreAt(PROFILE, plan, 0), { score: 650, factors: [] });
+});
+
+test("current habits only gain from account aging", () => {
+  const { score, factors } = projectScoreAt(PROFILE, HOLD, 6);
+
+  assert.equal(score, 656);
+  assert.deepEqual(factors, [{ factor: "Account aging", points: 6 }]);
+});
+
+test("paying utilization down earns the high band, capped, then the low band", () => {
+  const { factors } = projectScoreAt({ ...PROFILE, utilization: 90 }, { ...HOLD, targetUtilization: 5 }, 1);
+
+  assert.deepEqual(factors[0], { factor: "Utilization 90% → 5%", points: 20 });
+});
+
+test("paydowns only count after the next statement reports", () => {
+  const scenario = { ...HOLD, targetUtilization: 30 };
+
+  assert.equal(projectScoreAt(PROFILE, scenario, 0.5).factors.some(factor => factor.factor.startsWith("Utilization")), false);
+  assert.equal(projectScoreAt(PROFILE, scenario, 1).factors[0].points, 15);
+});
+
+test("running balances up costs what paying them down would have earned", () => {
+  const { factors } = projectScoreAt({ ...PROFILE, utilization: 10 }, { ...HOLD, targetUtilization: 30 }, 1);
+
+  assert.deepEqual(factors[0], { factor: "Utilization 10% → 30%", points: -5 });
+});
+
+test("new tradelines report after a lag and stop counting at the target", () => {
+  const scenario = { ...HOLD, newTradeLinesPerMonth: 1 };
+
+  assert.equal(projectScoreAt(PROFILE, scenario, 1).factors.some(factor => factor.factor.includes("tradeline")), false);
+  assert.deepEqual(projectScoreAt(PROFILE, scenario, 2).factors[0], { factor: "1 new tradeline reporting", points: 2 });
+  assert.deepEqual(projectScoreAt(PROFILE, scenario, 12).factors[0], { factor: "3 new tradelines reporting", points: 6 });
+});
+
+test("new inquiries cost points that recover over a year", () => {
+  const scenario = { ...HOLD, newInquiries: 2 };
+
+  assert.deepEqual(projectScoreAt(PROFILE, scenario, 6).factors[0], { factor: "2 new hard inquiries", points: -5 });
+  assert.equal(projectScoreAt(PROFILE, scenario, SCORE_PROJECTION_MODEL.inquiries.recoveryMonths).factors.some(factor => factor.factor.includes("inquir")), false);
+});
+
+test("resolved late payments count after they show current", () => {
+  const scenario = { ...HOLD, resolveLatePayments: true };
+
+  assert.equal(projectScoreAt(PROFILE, scenario, 2).factors.some(factor => factor.factor.includes("late")), false);
+  assert.deepEqual(projectScoreAt(PROFILE, scenario, 3).factors[0], { factor: "2 late payments resolved", points: 10 });
+});
+
+test("projected scores stay within the score range", () => {
+  const plan = { ...HOLD, targetUtilization: 0, newTradeLinesPerMonth: 2, resolveLatePayments: true };
+
+  assert.equal(projectScoreAt({ ...PROFILE, score: 845 }, plan, 24).score, 850);
+  assert.equal(projectScoreAt({ ...PROFILE, score: 300, utilization: 0 }, { ...HOLD, targetUtilization: 100 }, 1).score, 300);
+});
+
+test("projectScenarios clamps the horizon and reports the gain at the last month", () => {
+  const [current, plan] = projectScenarios(PROFILE, defaultScenarios(PROFILE, 1), 100);
+
+  assert.equal(current.points.length, MAX_PROJECTION_MONTHS + 1);
+  assert.equal(current.gain, 12);
+  assert.ok(plan.gain > current.gain);
+  assert.equal(plan.modelVersion, SCORE_PROJECTION_MODEL.version);
+  assert.equal(projectScenarios(PROFILE, [HOLD], Number.NaN)[0].points.length, 4);
+});
+
+test("the roadmap scenario caps utilization at 30% and adds one inquiry per scheduled application", () => {
+  const [current, plan] = defaultScenarios({ ...PROFILE, utilization: 20 }, 3);
+
+  assert.equal(current.targetUtilization, 20);
+  assert.equal(plan.targetUtilization, 20);
+  assert.equal(defaultScenarios(PROFILE)[1].targetUtilization, 30);
+  assert.equal(plan.newInquiries, 3);
+});
@@ -0,0 +1,184 @@
+// Credit score projection model
+// Projects the owner's score month by month under a what-if scenario: a target utilization, new tradelines
+// per month, resolving late payments and new hard inquiries. The factor weights are configuration
+// (SCORE_PROJECTION_MODEL) rather than code, so they can be tuned without touching the math, and every
+// projection lists what each factor contributed.
+// Bundled for the browser as public/score-projection.js (npm run build:browser) for the score tracker.
+
+export interface ScoreProjectionModel {
+  version: string;
+  minScore: number;
+  maxScore: number;
+  utilization: {
+    // Paying down from above `highBand` (30%) earns `highBandPoints` per percent, up to `highBandMax`;
+    // continuing from `highBand` toward `lowBand` (10%) earns `lowBandPoints` per percent, up to `lowBandMax`
+    highBand: number;
+    highBandPoints: number;
+    highBandMax: number;
+    lowBand: number;
+    lowBandPoints: number;
+    lowBandMax: number;
+    // Lower balances show up on the next statement
+    lagMonths: number;
+  };
+  tradeLines: {
+    // New tradelines count up to this many in total
+    target: number;
+    pointsEach: number;
+    max: number;
+    // Months from opening an account until it reports
+    lagMonths: number;
+  };
+  latePayments: {
+    pointsEach: number;
+    max: number;
+    // Months for a resolved account to show current on the report
+    lagMonths: number;
+  };
+  inquiries: {
+    pointsEach: number;
+    max: number;
+    // Inquiries stop affecting the score after a year
+    recoveryMonths: number;
+  };
+  aging: {
+    pointsPerMonth: number;
+    max: number;
+  };
+}
+
+export const SCORE_PROJECTION_MODEL: ScoreProjectionModel = {
+  version: "2026.10",
+  minScore: 300,
+  maxScore: 850,
+  utilization: { highBand: 30, highBandPoints: 0.5, highBandMax: 15, lowBand: 10, lowBandPoints: 0.25, lowBandMax: 5, lagMonths: 1 },
+  tradeLines: { target: 5, pointsEach: 2, max: 10, lagMonths: 2 },
+  latePayments: { pointsEach: 5, max: 15, lagMonths: 3 },
+  inquiries: { pointsEach: 5, max: 20, recoveryMonths: 12 },
+  aging: { pointsPerMonth: 1, max: 12 },
+};
+
+export const MAX_PROJECTION_MONTHS = 24;
+
+export interface ProjectionProfile {
+  score: number;
+  utilization: number;
+  tradeLines: number;
+  latePayments: number;
+}
+
+export interface ProjectionScenario {
+  name: string;
+  // Percent the balances are paid down (or run up) to
+  targetUtilization: number;
+  newTradeLinesPerMonth: number;
+  resolveLatePayments: boolean;
+  // Hard inquiries from applications made now
+  newInquiries: number;
+}
+
+export interface ProjectionFactor {
+  factor: string;
+  points: number;
+}
+
+export interface ScenarioProjection {
+  scenario: ProjectionScenario;
+  // One point per month, month 0 is today
+  points: Array<{ month: number; score: number }>;
+  gain: number;
+  // Contributions at the last month
+  factors: ProjectionFactor[];
+  modelVersion: string;
+}
+
+function round1(value: number): number {
+  return Math.round(value * 10) / 10;
+}
+
+// Points for moving utilization down from `from` to `to` (both percent)
+function paydownPoints(from: number, to: number, model: ScoreProjectionModel): number {
+  const { highBand, highBandPoints, highBandMax, lowBand, lowBandPoints, lowBandMax } = model.utilization;
+  const high = from > highBand ? Math.min(highBandMax, (from - Math.max(to, highBand)) * highBandPoints) : 0;
+  const low = to < highBand ? Math.min(lowBandMax, Math.max(0, Math.min(from, highBand) - Math.max(to, lowBand)) * lowBandPoints) : 0;
+  return high + low;
+}
+
+// Score `month` months out (fractions allowed, e.g. 30 days = 1) and what each factor contributed
+export function projectScoreAt(
+  profile: ProjectionProfile,
+  scenario: ProjectionScenario,
+  month: number,
+  model: ScoreProjectionModel = SCORE_PROJECTION_MODEL
+): { score: number; factors: ProjectionFactor[] } {
+  const utilization = Number(profile.utilization) || 0;
+  const tradeLines = Number(profile.tradeLines) || 0;
+  const latePayments = Number(profile.latePayments) || 0;
+  const target = Math.max(0, Number(scenario.targetUtilization) || 0);
+  const factors: ProjectionFactor[] = [];
+
+  if (month >= model.utilization.lagMonths && target !== utilization) {
+    // Running balances up costs what paying them down would have earned
+    const points = target < utilization ? paydownPoints(utilization, target, model) : -paydownPoints(target, utilization, model);
+    factors.push({ factor: `Utilization ${utilization}% → ${target}%`, points });
+  }
+
+  const perMonth = Math.max(0, Number(scenario.newTradeLinesPerMonth) || 0);
+  const reported = Math.floor(perMonth * Math.max(0, month - model.tradeLines.lagMonths + 1) + 1e-9);
+  const counted = Math.min(reported, Math.max(0, model.tradeLines.target - tradeLines));
+  if (counted > 0) {
+    factors.push({ factor: `${counted} new tradeline${counted === 1 ? "" : "s"} reporting`, points: Math.min(model.tradeLines.max, counted * model.tradeLines.pointsEach) });
+  }
+
+  if (scenario.resolveLatePayments && latePayments > 0 && month >= model.latePayments.lagMonths) {
+    factors.push({ factor: `${latePayments} late payment${latePayments === 1 ? "" : "s"} resolved`, points: Math.min(model.latePayments.max, latePayments * model.latePayments.pointsEach) });
+  }
+
+  const inquiries = Math.max(0, Number(scenario.newInquiries) || 0);
+  if (inquiries > 0 && month > 0) {
+    const remaining = Math.max(0, 1 - month / model.inquiries.recoveryMonths);
+    if (remaining > 0) {
+      factors.push({ factor: `${inquiries} new hard inquir${inquiries === 1 ? "y" : "ies"}`, points: -Math.min(model.inquiries.max, inquiries * model.inquiries.pointsEach) * remaining });
+    }
+  }
+
+  if (month > 0) {
+    factors.push({ factor: "Account aging", points: Math.min(model.aging.max, month * model.aging.pointsPerMonth) });
+  }
+
+  const total = factors.reduce((sum, factor) => sum + factor.points, 0);
+  return {
+    score: Math.max(model.minScore, Math.min(model.maxScore, Math.round(profile.score + total))),
+    factors: factors.map(factor => ({ ...factor, points: round1(factor.points) })),
+  };
+}
+
+export function projectScenarios(
+  profile: ProjectionProfile,
+  scenarios: ProjectionScenario[],
+  months: number,
+  model: ScoreProjectionModel = SCORE_PROJECTION_MODEL
+): ScenarioProjection[] {
+  const horizon = Math.max(1, Math.min(MAX_PROJECTION_MONTHS, Math.round(Number(months) || 3)));
+
+  return scenarios.map(scenario => {
+    const points = Array.from({ length: horizon + 1 }, (_, month) => ({ month, score: projectScoreAt(profile, scenario, month, model).score }));
+    return {
+      scenario,
+      points,
+      gain: points[points.length - 1].score - points[0].score,
+      factors: projectScoreAt(profile, scenario, horizon, model).factors,
+      modelVersion: model.version,
+    };
+  });
+}
+
+// Keeping things as they are, and following the roadmap (utilization under 30%, a tradeline a month,
+// late payments resolved, one inquiry per scheduled card application)
+export function defaultScenarios(profile: ProjectionProfile, scheduledApplications = 0): ProjectionScenario[] {
+  const utilization = Number(profile.utilization) || 0;
+  return [
+    { name: "Current habits", targetUtilization: utilization, newTradeLinesPerMonth: 0, resolveLatePayments: false, newInquiries: 0 },
+    { name: "Roadmap plan", targetUtilization: Math.min(utilization, 30), newTradeLinesPerMonth: 1, resolveLatePayments: true, newInquiries: scheduledApplications },
+  ];
+}
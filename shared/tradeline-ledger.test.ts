@@ -0,0 +1,103 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { describeLedger, parseLedger, summarizeLedger, withLedgerMetrics } from "./tradeline-ledger";
+
+const NOW = new Date("2026-10-19T12:00:00Z");
+
+test("parseLedger keeps valid rows and drops partially filled ones", () => {
+  const ledger = parseLedger([
+    { creditor: "Uline", type: "net30", balance: "" },
+    { creditor: "", type: "card", limit: 5000 },
+    { creditor: "Amex", type: "charge", limit: 5000 },
+    { creditor: "Chase Ink", type: "card", limit: "5000", balance: "1250", statementDay: "" },
+  ]);
+
+  assert.deepEqual(ledger.map(entry => entry.creditor), ["Uline", "Chase Ink"]);
+  assert.equal(ledger[0].balance, 0);
+  assert.equal(ledger[0].limit, undefined);
+  assert.equal(ledger[0].status, "current");
+  assert.deepEqual(ledger[0].bureaus, []);
+  assert.equal(ledger[1].limit, 5000);
+  assert.equal(ledger[1].balance, 1250);
+  assert.equal(ledger[1].statementDay, undefined);
+});
+
+test("parseLedger rejects malformed dates and out-of-range days of the month", () => {
+  const ledger = parseLedger([
+    { creditor: "Quill", type: "net30", opened: "2026-13-01" },
+    { creditor: "Grainger", type: "net30", dueDay: 32 },
+    { creditor: "Home Depot", type: "net30", opened: "2024-02-29", dueDay: 31 },
+  ]);
+
+  assert.deepEqual(ledger.map(entry => entry.creditor), ["Home Depot"]);
+});
+
+test("parseLedger returns an empty ledger for anything but an array", () => {
+  assert.deepEqual(parseLedger(undefined), []);
+  assert.deepEqual(parseLedger({ creditor: "Uline", type: "net30" }), []);
+});
+
+test("summarizeLedger counts only open revolving accounts with a limit toward utilization", () => {
+  const summary = summarizeLedger(parseLedger([
+    { creditor: "Chase Ink", type: "card", limit: 10000, balance: 2500, opened: "2022-10-19" },
+    { creditor: "Bank line", type: "revolving", limit: 10000, balance: 500, opened: "2024-10-19" },
+    { creditor: "Closed card", type: "card", limit: 5000, balance: 5000, status: "closed", opened: "2020-10-19" },
+    { creditor: "Uline", type: "net30", balance: 900 },
+    { creditor: "SBA loan", type: "loan", limit: 50000, balance: 40000, status: "late30" },
+  ]), NOW);
+
+  assert.equal(summary.activeTradeLines, 4);
+  assert.equal(summary.totalLimit, 20000);
+  assert.equal(summary.totalBalance, 3000);
+  assert.equal(summary.utilization, 15);
+  assert.deepEqual(summary.accounts.map(account => account.utilization), [25, 5, 100, null, null]);
+  // Closed accounts still age on the report
+  assert.equal(summary.averageAgeYears, 4);
+  assert.equal(summary.delinquentAccounts, 1);
+});
+
+test("summarizeLedger reports null utilization and age when nothing supports them", () => {
+  const summary = summarizeLedger(parseLedger([{ creditor: "Uline", type: "net30" }]), NOW);
+
+  assert.equal(summary.utilization, null);
+  assert.equal(summary.averageAgeYears, null);
+});
+
+test("describeLedger labels type and status and adds per-account utilization", () => {
+  const [entry] = describeLedger(parseLedger([{ creditor: "Chase Ink", type: "card", limit: 4000, balance: 1000, status: "late60" }]));
+
+  assert.equal(entry.type, "Credit card");
+  assert.equal(entry.status, "60 days late");
+  assert.equal(entry.utilization, 25);
+});
+
+test("withLedgerMetrics replaces the typed-in metrics with the ledger's", () => {
+  const formData = withLedgerMetrics({
+    businessName: "Acme",
+    utilization: 80,
+    tradeLines: 12,
+    ledger: [
+      { creditor: "Chase Ink", type: "card", limit: 10000, balance: 1000, opened: "2024-10-19" },
+      { creditor: "Uline", type: "net30" },
+    ],
+  }, NOW) as Record<string, unknown>;
+
+  assert.equal(formData.utilization, 10);
+  assert.equal(formData.tradeLines, 2);
+  assert.equal(formData.averageAccountAge, 2);
+  assert.equal((formData.ledger as unknown[]).length, 2);
+});
+
+test("withLedgerMetrics keeps the typed-in utilization when no card has a limit", () => {
+  const formData = withLedgerMetrics({ utilization: 40, tradeLines: 3, ledger: [{ creditor: "Uline", type: "net30" }] }, NOW);
+
+  assert.equal(formData.utilization, 40);
+  assert.equal(formData.tradeLines, 1);
+});
+
+test("withLedgerMetrics leaves form data without a ledger unchanged", () => {
+  const formData = { utilization: 40, tradeLines: 3 };
+
+  assert.equal(withLedgerMetrics(formData, NOW), formData);
+  assert.equal(withLedgerMetrics(null, NOW), null);
+});
@@ -0,0 +1,143 @@
+// Tradeline ledger
+// One entry per business credit account. The ledger derives the utilization, active tradeline count and
+// average account age the roadmap is built from, so they no longer have to be typed in by hand.
+// Bundled for the browser as public/tradeline-ledger.js (npm run build:browser) for the form and KPI panel.
+
+import { z } from "zod";
+import {
+  LEDGER_BUREAUS,
+  PAYMENT_STATUSES,
+  PAYMENT_STATUS_LABELS,
+  REVOLVING_TYPES,
+  TRADELINE_TYPES,
+  TRADELINE_TYPE_LABELS,
+  type TradelineType,
+} from "./tradeline-types";
+
+export * from "./tradeline-types";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Blank inputs arrive as "" - treat them as missing rather than 0
+const optionalAmount = z.preprocess(
+  value => value === "" || value === null ? undefined : value,
+  z.coerce.number().min(0).max(100_000_000).optional()
+);
+
+const dayOfMonth = z.preprocess(
+  value => value === "" || value === null ? undefined : value,
+  z.coerce.number().int().min(1).max(31).optional()
+);
+
+export const tradelineSchema = z.object({
+  creditor: z.string().trim().min(1).max(80),
+  type: z.enum(TRADELINE_TYPES),
+  limit: optionalAmount,
+  balance: optionalAmount.transform(value => value ?? 0),
+  opened: z.preprocess(
+    value => value === "" || value === null ? undefined : value,
+    z.string().trim().regex(/^\d{4}-\d{2}-\d{2}$/).refine(value => !isNaN(Date.parse(`${value}T00:00:00Z`))).optional()
+  ),
+  bureaus: z.array(z.enum(LEDGER_BUREAUS)).max(LEDGER_BUREAUS.length).optional().default([]),
+  status: z.enum(PAYMENT_STATUSES).optional().default("current"),
+  // Revolving accounts only, for the paydown optimizer (shared/paydown-optimizer.ts)
+  apr: z.preprocess(
+    value => value === "" || value === null ? undefined : value,
+    z.coerce.number().min(0).max(100).optional()
+  ),
+  // Day of the month the statement closes - the balance on that day is what gets reported
+  statementDay: dayOfMonth,
+  // Day of the month payment is due, for the payment calendar (shared/payment-calendar.ts)
+  dueDay: dayOfMonth,
+});
+
+export type Tradeline = z.infer<typeof tradelineSchema>;
+
+export interface AccountUtilization {
+  creditor: string;
+  type: TradelineType;
+  // Whole percent, null for accounts without a limit or that are not revolving
+  utilization: number | null;
+}
+
+export interface LedgerSummary {
+  activeTradeLines: number;
+  // Aggregate revolving utilization (whole percent), null when no open revolving account has a limit
+  utilization: number | null;
+  totalLimit: number;
+  totalBalance: number;
+  accounts: AccountUtilization[];
+  // Years, one decimal; null when no entry has an open date
+  averageAgeYears: number | null;
+  // Open accounts currently 30+ days late or in collections
+  delinquentAccounts: number;
+}
+
+// Keep every valid entry and drop the rest - the form sends partially filled rows
+export function parseLedger(rows: unknown): Tradeline[] {
+  if (!Array.isArray(rows)) return [];
+  return rows.slice(0, 100).flatMap(row => {
+    const parsed = tradelineSchema.safeParse(row);
+    return parsed.success ? [parsed.data] : [];
+  });
+}
+
+export function summarizeLedger(entries: Tradeline[], now: Date = new Date()): LedgerSummary {
+  const open = entries.filter(entry => entry.status !== "closed");
+  const revolving = open.filter(entry => REVOLVING_TYPES.includes(entry.type) && (entry.limit || 0) > 0);
+  const totalLimit = revolving.reduce((sum, entry) => sum + (entry.limit || 0), 0);
+  const totalBalance = revolving.reduce((sum, entry) => sum + entry.balance, 0);
+
+  // Closed accounts still age on the report, so they count toward average age
+  const ages = entries
+    .filter(entry => entry.opened)
+    .map(entry => (now.getTime() - Date.parse(`${entry.opened}T00:00:00Z`)) / (365.25 * DAY_MS))
+    .filter(age => age >= 0);
+
+  return {
+    activeTradeLines: open.length,
+    utilization: totalLimit > 0 ? Math.round((totalBalance / totalLimit) * 100) : null,
+    totalLimit,
+    totalBalance,
+    accounts: entries.map(entry => ({
+      creditor: entry.creditor,
+      type: entry.type,
+      utilization: REVOLVING_TYPES.includes(entry.type) && (entry.limit || 0) > 0
+        ? Math.round((entry.balance / entry.limit!) * 100)
+        : null,
+    })),
+    averageAgeYears: ages.length > 0 ? Math.round((ages.reduce((sum, age) => sum + age, 0) / ages.length) * 10) / 10 : null,
+    delinquentAccounts: open.filter(entry => entry.status !== "current").length,
+  };
+}
+
+// Ledger entries with readable type and status labels and per-account utilization, for the roadmap prompt
+export type LedgerPromptEntry = Omit<Tradeline, "type" | "status"> & { type: string; status: string; utilization: number | null };
+
+export function describeLedger(entries: Tradeline[]): LedgerPromptEntry[] {
+  const { accounts } = summarizeLedger(entries);
+  return entries.map((entry, index) => ({
+    ...entry,
+    type: TRADELINE_TYPE_LABELS[entry.type],
+    status: PAYMENT_STATUS_LABELS[entry.status],
+    utilization: accounts[index].utilization,
+  }));
+}
+
+// Form data with the ledger-derived metrics in place of the typed-in ones (unchanged without a ledger)
+export function withLedgerMetrics<T extends { ledger?: unknown; utilization?: unknown; tradeLines?: unknown } | null | undefined>(
+  formData: T,
+  now: Date = new Date()
+): T {
+  const ledger = parseLedger(formData?.ledger);
+  if (!formData || ledger.length === 0) return formData;
+
+  const summary = summarizeLedger(ledger, now);
+  return {
+    ...formData,
+    ledger,
+    tradeLines: summary.activeTradeLines,
+    utilization: summary.utilization ?? formData.utilization,
+    averageAccountAge: summary.averageAgeYears ?? undefined,
+  };
+}
@@ -0,0 +1,30 @@
+// Tradeline types
+// Account types, bureaus, payment statuses and their labels, with no zod dependency so the paydown
+// optimizer and payment calendar bundles (npm run build:browser) don't each pull in the ledger schema.
+// shared/tradeline-ledger.ts re-exports everything here.
+
+export const TRADELINE_TYPES = ["net30", "revolving", "card", "loan"] as const;
+export const LEDGER_BUREAUS = ["Dun & Bradstreet", "Experian", "Equifax", "TransUnion"] as const;
+export const PAYMENT_STATUSES = ["current", "late30", "late60", "late90", "collection", "closed"] as const;
+
+export type TradelineType = typeof TRADELINE_TYPES[number];
+export type PaymentStatus = typeof PAYMENT_STATUSES[number];
+
+export const TRADELINE_TYPE_LABELS: Record<TradelineType, string> = {
+  net30: "Vendor net-30",
+  revolving: "Revolving line",
+  card: "Credit card",
+  loan: "Loan",
+};
+
+export const PAYMENT_STATUS_LABELS: Record<PaymentStatus, string> = {
+  current: "Current",
+  late30: "30 days late",
+  late60: "60 days late",
+  late90: "90+ days late",
+  collection: "Charged off / collections",
+  closed: "Closed",
+};
+
+// Only revolving credit counts toward utilization - net-30 invoices and installment loans do not
+export const REVOLVING_TYPES: TradelineType[] = ["revolving", "card"];
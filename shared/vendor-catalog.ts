@@ -0,0 +1,153 @@
+// Curated vendor tradeline catalog
+// The vendors Credit Commander recommends, with the terms each one actually offers. matchVendors picks
+// and ranks vendors for a credit profile deterministically, so approval odds, bureaus and minimums come
+// from this file rather than the AI - the model only writes the narrative around the picks.
+
+// Bump when entries change so cached roadmaps built from the old catalog are not reused
+export const VENDOR_CATALOG_VERSION = "2026-10";
+
+export type VendorTier = "Starter" | "Net-30" | "Revolving";
+export type ApprovalOdds = "High" | "Medium" | "Low";
+
+export interface VendorCatalogEntry {
+  id: string;
+  name: string;
+  tier: VendorTier;
+  reportsBureaus: string[];
+  minTimeInBusinessMonths: number;
+  // Reporting tradelines the vendor expects before it approves
+  minTradeLines: number;
+  pgRequired: boolean;
+  // Owner FICO the vendor looks for; 0 when there is no personal credit check
+  minFico: number;
+  netTerms: string;
+  minOrder: number;
+  summary: string;
+}
+
+export const VENDOR_CATALOG: VendorCatalogEntry[] = [
+  { id: "uline", name: "Uline", tier: "Starter", reportsBureaus: ["Dun & Bradstreet", "Experian"], minTimeInBusinessMonths: 0, minTradeLines: 0, pgRequired: false, minFico: 0, netTerms: "Net 30", minOrder: 0, summary: "Approves new businesses with an EIN and reports net-30 payments quickly." },
+  { id: "quill", name: "Quill", tier: "Starter", reportsBureaus: ["Dun & Bradstreet"], minTimeInBusinessMonths: 0, minTradeLines: 0, pgRequired: false, minFico: 0, netTerms: "Net 30", minOrder: 100, summary: "Office supplier that extends net-30 terms without a personal guarantee." },
+  { id: "grainger", name: "Grainger", tier: "Starter", reportsBureaus: ["Dun & Bradstreet"], minTimeInBusinessMonths: 0, minTradeLines: 0, pgRequired: false, minFico: 0, netTerms: "Net 30", minOrder: 0, summary: "Industrial supplier that extends net-30 terms to registered businesses." },
+  { id: "crown_office_supplies", name: "Crown Office Supplies", tier: "Starter", reportsBureaus: ["Dun & Bradstreet", "Experian", "Equifax"], minTimeInBusinessMonths: 0, minTradeLines: 0, pgRequired: false, minFico: 0, netTerms: "Net 30", minOrder: 0, summary: "Reports to all three business bureaus from the first invoice." },
+  { id: "home_depot_business", name: "Home Depot Business", tier: "Net-30", reportsBureaus: ["Dun & Bradstreet", "Experian", "Equifax"], minTimeInBusinessMonths: 12, minTradeLines: 3, pgRequired: true, minFico: 640, netTerms: "Net 30", minOrder: 0, summary: "Reports to all three business bureaus once starter accounts are established." },
+  { id: "office_depot_business", name: "Office Depot Business", tier: "Net-30", reportsBureaus: ["Dun & Bradstreet"], minTimeInBusinessMonths: 6, minTradeLines: 3, pgRequired: false, minFico: 0, netTerms: "Net 30", minOrder: 0, summary: "Adds a second net-30 line with everyday supply spend." },
+  { id: "sams_club_business", name: "Sam's Club Business Credit", tier: "Revolving", reportsBureaus: ["Dun & Bradstreet", "Experian"], minTimeInBusinessMonths: 12, minTradeLines: 5, pgRequired: true, minFico: 640, netTerms: "Revolving", minOrder: 0, summary: "Store revolving line that reports a business balance on everyday purchases." },
+  { id: "shell_small_business", name: "Shell Small Business Card", tier: "Revolving", reportsBureaus: ["Dun & Bradstreet", "Experian"], minTimeInBusinessMonths: 12, minTradeLines: 5, pgRequired: true, minFico: 650, netTerms: "Revolving", minOrder: 0, summary: "Fuel card that reports a revolving balance to the business bureaus." },
+];
+
+export interface VendorMatchProfile {
+  startDate: string;
+  ownerFico: number;
+  tradeLines: number;
+  latePayments: number;
+}
+
+export interface VendorMatch {
+  name: string;
+  tier: VendorTier;
+  minFico: number;
+  reportsBureaus: string[];
+  reason: string;
+  approvalOdds: ApprovalOdds;
+  minTimeInBusinessMonths: number;
+  pgRequired: boolean;
+  netTerms: string;
+  minOrder: number;
+  matchReasons: string[];
+}
+
+const ODDS_RANK: Record<ApprovalOdds, number> = { High: 0, Medium: 1, Low: 2 };
+const TIER_RANK: Record<VendorTier, number> = { Starter: 0, "Net-30": 1, Revolving: 2 };
+
+// Whole months since the business started (0 when the date is missing or invalid)
+export function getBusinessAgeMonths(startDate: string, now: Date = new Date()): number {
+  const start = new Date(startDate);
+  if (isNaN(start.getTime())) return 0;
+  return Math.max(0, (now.getFullYear() - start.getFullYear()) * 12 + (now.getMonth() - start.getMonth()));
+}
+
+function plural(count: number, word: string): string {
+  return `${count} ${word}${count === 1 ? "" : "s"}`;
+}
+
+// Approval odds for one vendor, with the reasons behind them
+function scoreVendor(entry: VendorCatalogEntry, profile: VendorMatchProfile, ageMonths: number): VendorMatch {
+  const reasons: string[] = [];
+  let unmet = 0;
+  let soft = 0;
+
+  if (entry.minTimeInBusinessMonths === 0) {
+    reasons.push("Approves new businesses");
+  } else if (ageMonths >= entry.minTimeInBusinessMonths) {
+    reasons.push(`In business ${plural(ageMonths, "month")} - meets the ${entry.minTimeInBusinessMonths}-month minimum`);
+  } else {
+    unmet++;
+    reasons.push(`Needs ${entry.minTimeInBusinessMonths} months in business (currently ${ageMonths})`);
+  }
+
+  if (entry.minTradeLines > 0) {
+    if (profile.tradeLines >= entry.minTradeLines) {
+      reasons.push(`${plural(profile.tradeLines, "tradeline")} reporting - meets the ${entry.minTradeLines}-tradeline minimum`);
+    } else {
+      unmet++;
+      reasons.push(`Expects ${entry.minTradeLines} reporting tradelines (currently ${profile.tradeLines})`);
+    }
+  }
+
+  if (!entry.pgRequired) {
+    reasons.push("No personal guarantee or personal credit check");
+  } else if (profile.ownerFico >= entry.minFico + 40) {
+    reasons.push(`Personal guarantee required - owner FICO ${profile.ownerFico} is well above the ${entry.minFico} minimum`);
+  } else if (profile.ownerFico >= entry.minFico) {
+    soft++;
+    reasons.push(`Personal guarantee required - owner FICO ${profile.ownerFico} just clears the ${entry.minFico} minimum`);
+  } else {
+    unmet++;
+    reasons.push(`Personal guarantee required - owner FICO ${profile.ownerFico} is below the ${entry.minFico} minimum`);
+  }
+
+  if (profile.latePayments > 0 && entry.tier !== "Starter") {
+    soft++;
+    reasons.push(`${plural(profile.latePayments, "recent late payment")} may weigh on the credit review`);
+  }
+
+  return {
+    name: entry.name,
+    tier: entry.tier,
+    minFico: entry.minFico,
+    reportsBureaus: entry.reportsBureaus,
+    reason: entry.summary,
+    approvalOdds: unmet > 0 ? "Low" : soft > 0 ? "Medium" : "High",
+    minTimeInBusinessMonths: entry.minTimeInBusinessMonths,
+    pgRequired: entry.pgRequired,
+    netTerms: entry.netTerms,
+    minOrder: entry.minOrder,
+    matchReasons: reasons,
+  };
+}
+
+// Pick and rank catalog vendors for a profile: starter tiers first, then best odds, widest bureau
+// reporting and lowest minimum order. Tiers more than one step ahead of the profile are skipped, and
+// once three tradelines report only the two best starter vendors are kept to leave room for the next tier.
+export function matchVendors(profile: VendorMatchProfile, limit = 5, now: Date = new Date()): VendorMatch[] {
+  const ageMonths = getBusinessAgeMonths(profile.startDate, now);
+  const eligible = VENDOR_CATALOG.filter(entry => entry.minTradeLines <= Math.max(3, profile.tradeLines));
+  const maxStarters = profile.tradeLines >= 3 ? 2 : limit;
+
+  return eligible
+    .map(entry => scoreVendor(entry, profile, ageMonths))
+    .sort((a, b) =>
+      TIER_RANK[a.tier] - TIER_RANK[b.tier] ||
+      ODDS_RANK[a.approvalOdds] - ODDS_RANK[b.approvalOdds] ||
+      b.reportsBureaus.length - a.reportsBureaus.length ||
+      a.minOrder - b.minOrder ||
+      a.name.localeCompare(b.name))
+    .filter((match, index) => match.tier !== "Starter" || index < maxStarters)
+    .slice(0, limit);
+}
+
+// Catalog vendors in a tier, in catalog order
+export function getCatalogVendors(tier: VendorTier): VendorCatalogEntry[] {
+  return VENDOR_CATALOG.filter(entry => entry.tier === tier);
+}